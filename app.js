@@ -11,12 +11,30 @@ import equipeManager from './equipe.js';
 import relatoriosManager from './relatorios.js';
 import emailManager from './email.js';
 import backupManager from './backup.js';
-import { hideLoading, showNotification } from './utils.js';
+import destinosBackup from './destinos.js';
+import { isCriptografado, descriptografar } from './criptografia.js';
+import workflowManager from './workflow.js';
+import calendarioManager from './calendario.js';
+import slaManager from './sla.js';
+import comentariosManager from './comentarios.js';
+import auditoriaManager from './auditoria.js';
+import lixeiraManager from './lixeira.js';
+import versoesManager from './versoes.js';
+import importacaoManager from './importacao.js';
+import duplicadosManager from './duplicados.js';
+import migracoesManager from './migracoes.js';
+import listasManager from './listas.js';
+import camposExtrasManager from './camposExtras.js';
+import { showLoading, hideLoading, showNotification, escaparHtml, validarUrl } from './utils.js';
+import { BACKUP_CONFIG } from './config.js';
 
 class App {
     constructor() {
         this.currentSection = 'dashboard';
         this.isInitialized = false;
+        this.restauracao = null;
+        this.importacao = null;
+        this.senhaBackup = null;
     }
 
     /**
@@ -34,6 +52,14 @@ class App {
                 throw new Error('Firebase não inicializado. Verifique as credenciais.');
             }
 
+            // Listas de validação, campos personalizados, calendário, regras de SLA e fluxo de status
+            // precisam estar carregados antes dos módulos (opções, dias úteis, prazos e status dependem deles)
+            await listasManager.initialize();
+            await camposExtrasManager.initialize();
+            await calendarioManager.initialize();
+            await slaManager.initialize();
+            await workflowManager.initialize();
+
             // Inicializa módulos
             await Promise.all([
                 dashboardManager.initialize(),
@@ -41,6 +67,13 @@ class App {
                 equipeManager.initialize(),
                 relatoriosManager.initialize()
             ]);
+            comentariosManager.initialize();
+            auditoriaManager.initialize();
+            versoesManager.initialize();
+            importacaoManager.initialize();
+            duplicadosManager.initialize();
+            migracoesManager.initialize();
+            await lixeiraManager.initialize();
 
             console.log('✅ Módulos inicializados');
 
@@ -67,11 +100,20 @@ class App {
             this.setupBackup();
             this.updateBackupStatus();
 
-            // Backup automatico (nao-bloqueante)
-            backupManager.autoBackupIfNeeded().then(() => {
+            // Backup automatico conforme a politica de agendamento (nao-bloqueante)
+            backupManager.iniciarAgendamento(() => {
                 this.updateBackupStatus();
             });
 
+            // Limpeza automatica da lixeira (nao-bloqueante)
+            lixeiraManager.purgarExpirados();
+
+            // Inclui no indice de SIGADOC os processos anteriores a ele (nao-bloqueante)
+            duplicadosManager.sincronizarIndice();
+
+            // Conta os processos em versoes anteriores do formato (nao-bloqueante)
+            migracoesManager.verificarPendentes();
+
             // Mostra seção inicial
             this.showSection('dashboard');
 
@@ -506,6 +548,8 @@ class App {
      * Configura event handlers para a secao de backup
      */
     setupBackup() {
+        destinosBackup.definirSolicitante((destino, campo) => this.solicitarSegredoDestino(destino, campo));
+
         const btnManual = document.getElementById('btnBackupManual');
         const btnListar = document.getElementById('btnListarBackups');
 
@@ -550,16 +594,601 @@ class App {
             const btnDownload = e.target.closest('.btn-download-backup');
             if (btnDownload) {
                 const backupKey = btnDownload.dataset.key;
+                const senha = await this.solicitarSenhaBackup(true);
+                if (senha === null) return;
+
                 btnDownload.disabled = true;
                 btnDownload.textContent = 'Baixando...';
 
-                await backupManager.downloadBackup(backupKey);
+                await backupManager.downloadBackup(backupKey, senha || null);
                 showNotification('Download iniciado!', 'info');
 
                 btnDownload.disabled = false;
                 btnDownload.textContent = 'Baixar';
             }
+
+            const btnVerificar = e.target.closest('.btn-verify-backup');
+            if (btnVerificar) {
+                btnVerificar.disabled = true;
+                btnVerificar.textContent = 'Verificando...';
+
+                const result = await backupManager.verificar(btnVerificar.dataset.key);
+                if (result.success) {
+                    const situacao = BACKUP_CONFIG.INTEGRIDADE[result.data.situacao];
+                    showNotification(
+                        `Backup ${situacao.rotulo.toLowerCase()}${result.data.detalhes ? `: ${result.data.detalhes}` : ''}`,
+                        situacao.notificacao
+                    );
+                    await this.renderBackupList();
+                } else {
+                    showNotification('Erro ao verificar backup: ' + result.error, 'error');
+                    btnVerificar.disabled = false;
+                    btnVerificar.textContent = 'Verificar';
+                }
+            }
+
+            const btnRestore = e.target.closest('.btn-restore-backup');
+            if (btnRestore) {
+                await this.abrirRestauracao(btnRestore.dataset.key);
+            }
+        });
+
+        // Restauracao: marcar um caminho marca todos os seus registros
+        document.getElementById('restauracaoPrevia')?.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('restauracao-path-check')) return;
+            document.querySelectorAll(`.restauracao-registro-check[data-path="${e.target.dataset.path}"]:not(:disabled)`)
+                .forEach(check => { check.checked = e.target.checked; });
+        });
+
+        document.getElementById('btnRestaurarTudo')?.addEventListener('click', () => {
+            this.executarRestauracao(true);
+        });
+
+        document.getElementById('btnRestaurarSelecionados')?.addEventListener('click', () => {
+            this.executarRestauracao(false);
+        });
+
+        document.getElementById('btnCancelarRestauracao')?.addEventListener('click', () => {
+            document.getElementById('modalRestauracao')?.classList.remove('active');
+            this.restauracao = null;
+        });
+
+        // Importacao de arquivo gerado por "Baixar"
+        const inputArquivo = document.getElementById('inputImportarBackup');
+        document.getElementById('btnImportarBackup')?.addEventListener('click', () => {
+            if (!authManager.isGestor()) {
+                showNotification('Apenas gestores podem importar backups', 'warning');
+                return;
+            }
+            inputArquivo?.click();
         });
+
+        inputArquivo?.addEventListener('change', async () => {
+            const arquivo = inputArquivo.files[0];
+            inputArquivo.value = '';
+            if (arquivo) await this.abrirImportacao(arquivo);
+        });
+
+        document.getElementById('btnConfirmarImportacao')?.addEventListener('click', () => {
+            this.executarImportacao();
+        });
+
+        document.getElementById('btnCancelarImportacao')?.addEventListener('click', () => {
+            document.getElementById('modalImportacao')?.classList.remove('active');
+            this.importacao = null;
+        });
+
+        // Senha de criptografia dos arquivos exportados e importados
+        document.getElementById('formSenhaBackup')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.confirmarSenhaBackup();
+        });
+
+        document.getElementById('btnSenhaBackupSemCriptografia')?.addEventListener('click', () => {
+            this.resolverSenhaBackup('');
+        });
+
+        document.getElementById('btnCancelarSenhaBackup')?.addEventListener('click', () => {
+            this.resolverSenhaBackup(null);
+        });
+
+        document.querySelector('#modalSenhaBackup .modal-close')?.addEventListener('click', () => {
+            this.resolverSenhaBackup(null);
+        });
+
+        // Politica de backup: agendamento, retencao e destinos
+        document.getElementById('btnPoliticaBackup')?.addEventListener('click', () => {
+            this.abrirPoliticaBackup();
+        });
+
+        document.getElementById('politicaFrequencia')?.addEventListener('change', () => {
+            this.atualizarCamposAgendamento();
+        });
+
+        document.getElementById('formPoliticaBackup')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvarPoliticaBackup();
+        });
+
+        document.getElementById('btnCancelarPoliticaBackup')?.addEventListener('click', () => {
+            document.getElementById('modalPoliticaBackup')?.classList.remove('active');
+        });
+    }
+
+    /**
+     * Pede a senha de criptografia de um arquivo de backup
+     * @param {boolean} exportacao - Na exportacao pede confirmacao e permite baixar sem criptografia
+     * @param {Object} segredo - { destino, campo } quando um destino de backup pede um campo secreto
+     * @returns {Promise<string|null>} A senha, '' para exportar sem criptografia ou null se cancelado
+     */
+    solicitarSenhaBackup(exportacao, segredo = null) {
+        this.resolverSenhaBackup(null);
+
+        document.getElementById('formSenhaBackup')?.reset();
+        document.getElementById('senhaBackupTitulo').textContent = segredo
+            ? `Backup: ${segredo.destino.nome}`
+            : exportacao ? 'Exportar Backup' : 'Arquivo Criptografado';
+        document.getElementById('senhaBackupRotulo').textContent = segredo ? segredo.campo.rotulo : 'Senha';
+        document.getElementById('senhaBackupDescricao').textContent = segredo
+            ? `Informe "${segredo.campo.rotulo}" para o destino ${segredo.destino.nome}. Ele vale ate o fim desta sessao e nao fica guardado no sistema.`
+            : exportacao
+                ? `O arquivo contem emails, papeis e dados dos processos. Com senha (minimo de ${BACKUP_CONFIG.CRIPTOGRAFIA.TAMANHO_MINIMO_SENHA} caracteres), ele e criptografado e so pode ser importado com ela. A senha nao fica guardada no sistema.`
+                : 'Informe a senha usada na exportacao do backup.';
+        document.getElementById('senhaBackupConfirmacaoGrupo').style.display = exportacao ? '' : 'none';
+        document.getElementById('btnSenhaBackupSemCriptografia').style.display = exportacao && !segredo ? '' : 'none';
+        document.getElementById('modalSenhaBackup')?.classList.add('active');
+        document.getElementById('senhaBackup')?.focus();
+
+        return new Promise(resolve => {
+            this.senhaBackup = { exportacao, segredo, resolve };
+        });
+    }
+
+    /**
+     * Pede ao gestor um campo secreto de destino de backup (senha de criptografia, token)
+     * Esconde o carregamento enquanto o modal esta aberto (ex.: backup de seguranca da restauracao)
+     */
+    async solicitarSegredoDestino(destino, campo) {
+        const carregando = document.getElementById('loadingOverlay')?.classList.contains('active');
+        if (carregando) hideLoading();
+        try {
+            return await this.solicitarSenhaBackup(!!campo.tamanhoMinimo, { destino, campo });
+        } finally {
+            if (carregando) showLoading();
+        }
+    }
+
+    /**
+     * Valida a senha informada no modal e a entrega a quem a solicitou
+     */
+    confirmarSenhaBackup() {
+        if (!this.senhaBackup) return;
+
+        const senha = document.getElementById('senhaBackup').value;
+        if (this.senhaBackup.exportacao) {
+            if (senha.length < BACKUP_CONFIG.CRIPTOGRAFIA.TAMANHO_MINIMO_SENHA) {
+                showNotification(`A senha deve ter ao menos ${BACKUP_CONFIG.CRIPTOGRAFIA.TAMANHO_MINIMO_SENHA} caracteres`, 'error');
+                return;
+            }
+            if (senha !== document.getElementById('senhaBackupConfirmacao').value) {
+                showNotification('A confirmacao nao confere com a senha', 'error');
+                return;
+            }
+        } else if (!senha) {
+            showNotification(this.senhaBackup.segredo
+                ? `Informe "${this.senhaBackup.segredo.campo.rotulo}"`
+                : 'Informe a senha do arquivo', 'error');
+            return;
+        }
+
+        this.resolverSenhaBackup(senha);
+    }
+
+    /**
+     * Fecha o modal de senha e conclui a solicitacao pendente
+     */
+    resolverSenhaBackup(senha) {
+        document.getElementById('modalSenhaBackup')?.classList.remove('active');
+        if (!this.senhaBackup) return;
+
+        const { resolve } = this.senhaBackup;
+        this.senhaBackup = null;
+        document.getElementById('formSenhaBackup')?.reset();
+        resolve(senha);
+    }
+
+    /**
+     * Abre o modal da politica de backup preenchido com a politica atual
+     */
+    async abrirPoliticaBackup() {
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem configurar a politica de backup', 'warning');
+            return;
+        }
+
+        const politica = await backupManager.getPolitica();
+
+        const frequencia = document.getElementById('politicaFrequencia');
+        frequencia.innerHTML = Object.entries(BACKUP_CONFIG.FREQUENCIAS)
+            .map(([valor, rotulo]) => `<option value="${valor}">${rotulo}</option>`)
+            .join('');
+        frequencia.value = politica.frequencia;
+        document.getElementById('politicaHorario').value = politica.horario;
+        document.getElementById('politicaDiaSemana').value = politica.diaSemana;
+        document.getElementById('politicaDiaMes').value = politica.diaMes;
+        document.getElementById('politicaDiarios').value = politica.retencao.diarios;
+        document.getElementById('politicaSemanais').value = politica.retencao.semanais;
+        document.getElementById('politicaMensais').value = politica.retencao.mensais;
+        this.atualizarCamposAgendamento();
+
+        const container = document.getElementById('politicaDestinos');
+        container.innerHTML = destinosBackup.listar().map(destino => {
+            const config = politica.destinos[destino.id] || {};
+            return `
+                <div class="form-group">
+                    <label class="restauracao-check">
+                        <input type="checkbox" data-destino="${destino.id}" ${config.ativo ? 'checked' : ''}>
+                        <strong>${escaparHtml(destino.nome)}</strong>
+                    </label>
+                    <small class="form-help">${escaparHtml(destino.descricao)}</small>
+                    ${destino.campos.filter(campo => !campo.secreto).map(campo => campo.tipo === 'checkbox' ? `
+                        <label class="restauracao-check">
+                            <input type="checkbox" data-destino="${destino.id}" data-campo="${campo.id}" ${config[campo.id] ? 'checked' : ''}>
+                            ${escaparHtml(campo.rotulo)}
+                        </label>
+                    ` : `
+                        <label>${escaparHtml(campo.rotulo)}${campo.obrigatorio ? '*' : ''}</label>
+                        <input type="${campo.tipo || 'text'}" data-destino="${destino.id}" data-campo="${campo.id}"
+                            value="${escaparHtml(config[campo.id] || '')}">
+                    `).join('')}
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('modalPoliticaBackup')?.classList.add('active');
+    }
+
+    /**
+     * Mostra o dia da semana ou do mes conforme a frequencia escolhida
+     */
+    atualizarCamposAgendamento() {
+        const frequencia = document.getElementById('politicaFrequencia')?.value;
+        const diaSemana = document.getElementById('politicaDiaSemanaGrupo');
+        const diaMes = document.getElementById('politicaDiaMesGrupo');
+        if (diaSemana) diaSemana.style.display = frequencia === 'semanal' ? '' : 'none';
+        if (diaMes) diaMes.style.display = frequencia === 'mensal' ? '' : 'none';
+    }
+
+    /**
+     * Le o modal e salva a politica de backup
+     */
+    async salvarPoliticaBackup() {
+        const politica = {
+            frequencia: document.getElementById('politicaFrequencia').value,
+            horario: document.getElementById('politicaHorario').value,
+            diaSemana: parseInt(document.getElementById('politicaDiaSemana').value),
+            diaMes: parseInt(document.getElementById('politicaDiaMes').value),
+            retencao: {
+                diarios: parseInt(document.getElementById('politicaDiarios').value) || 0,
+                semanais: parseInt(document.getElementById('politicaSemanais').value) || 0,
+                mensais: parseInt(document.getElementById('politicaMensais').value) || 0
+            },
+            destinos: {}
+        };
+
+        if (!politica.horario) {
+            showNotification('Informe o horario do backup', 'error');
+            return;
+        }
+        if (politica.retencao.diarios < 1) {
+            showNotification('Mantenha ao menos 1 backup diario', 'error');
+            return;
+        }
+
+        const container = document.getElementById('politicaDestinos');
+        for (const destino of destinosBackup.listar()) {
+            const ativo = container.querySelector(`input[type="checkbox"][data-destino="${destino.id}"]:not([data-campo])`)?.checked || false;
+            const config = { ativo };
+
+            // Campos secretos nao sao gravados: o destino os pede no momento do backup
+            for (const campo of destino.campos.filter(campo => !campo.secreto)) {
+                if (campo.tipo === 'checkbox') {
+                    config[campo.id] = container.querySelector(`[data-destino="${destino.id}"][data-campo="${campo.id}"]`)?.checked || false;
+                    continue;
+                }
+
+                const valor = container.querySelector(`[data-destino="${destino.id}"][data-campo="${campo.id}"]`)?.value.trim() || '';
+                if (ativo && campo.obrigatorio && !valor) {
+                    showNotification(`Preencha "${campo.rotulo}" do destino ${destino.nome}`, 'error');
+                    return;
+                }
+                if (ativo && campo.tipo === 'url' && valor && !validarUrl(valor)) {
+                    showNotification(`URL invalida no destino ${destino.nome}`, 'error');
+                    return;
+                }
+                if (ativo && campo.tamanhoMinimo && valor && valor.length < campo.tamanhoMinimo) {
+                    showNotification(`"${campo.rotulo}" do destino ${destino.nome} deve ter ao menos ${campo.tamanhoMinimo} caracteres`, 'error');
+                    return;
+                }
+                if (valor) config[campo.id] = valor;
+            }
+
+            politica.destinos[destino.id] = config;
+        }
+
+        if (!Object.values(politica.destinos).some(config => config.ativo)) {
+            showNotification('Selecione ao menos um destino de backup', 'error');
+            return;
+        }
+
+        showLoading();
+        try {
+            const resultado = await backupManager.salvarPolitica(politica);
+            if (resultado.success) {
+                showNotification('Politica de backup salva', 'success');
+                document.getElementById('modalPoliticaBackup')?.classList.remove('active');
+                this.updateBackupStatus();
+            } else {
+                showNotification('Erro ao salvar a politica de backup', 'error');
+            }
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Le e valida o arquivo de backup e mostra os conflitos com os dados atuais
+     */
+    async abrirImportacao(arquivo) {
+        let conteudo = await arquivo.text();
+        let senha = null;
+        if (isCriptografado(conteudo)) {
+            senha = await this.solicitarSenhaBackup(false);
+            if (senha === null) return;
+        }
+
+        showLoading();
+        try {
+            if (senha !== null) {
+                try {
+                    conteudo = await descriptografar(conteudo, senha);
+                } catch (error) {
+                    showNotification(error.message, 'error');
+                    return;
+                }
+            }
+
+            const validacao = await backupManager.validarArquivo(conteudo);
+            if (!validacao.success) {
+                showNotification(validacao.error, 'error');
+                return;
+            }
+
+            const backupData = validacao.data;
+            this.importacao = {
+                nome: arquivo.name,
+                backupData,
+                previa: await backupManager.compararComAtual(backupData)
+            };
+
+            const resumo = document.getElementById('importacaoResumo');
+            if (resumo) {
+                resumo.textContent = `${arquivo.name}: backup versao ${backupData.metadata.version} de ` +
+                    `${backupData.metadata.createdAt ? new Date(backupData.metadata.createdAt).toLocaleString('pt-BR') : 'data desconhecida'}, ` +
+                    `caminhos: ${backupData.metadata.paths.join(', ')}.`;
+            }
+
+            this.renderConflitosImportacao();
+            document.getElementById('modalImportacao')?.classList.add('active');
+        } catch (error) {
+            console.error('Erro ao ler arquivo de backup:', error);
+            showNotification('Erro ao ler o arquivo de backup', 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Renderiza, por caminho, os registros novos e os IDs em conflito com os dados atuais
+     */
+    renderConflitosImportacao() {
+        const container = document.getElementById('importacaoConflitos');
+        if (!container || !this.importacao) return;
+
+        const filtrar = (registros, situacao) => registros.filter(r => r.situacao === situacao);
+
+        container.innerHTML = `
+            <div style="overflow-x:auto;">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Caminho</th>
+                            <th>Novos</th>
+                            <th>Conflitos (ID existente com outro conteudo)</th>
+                            <th>Identicos</th>
+                            <th>So nos dados atuais</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.importacao.previa.map(({ path, registros, iguais }) => {
+                            const conflitos = filtrar(registros, 'sobrescrever');
+                            return `
+                                <tr>
+                                    <td><strong>${path}</strong></td>
+                                    <td>${filtrar(registros, 'recriar').length}</td>
+                                    <td>
+                                        ${conflitos.length === 0 ? '0' : `
+                                            <details>
+                                                <summary>${conflitos.length}</summary>
+                                                ${conflitos.map(r => `${escaparHtml(r.rotulo)} <small>(${r.id})</small>`).join('<br>')}
+                                            </details>
+                                        `}
+                                    </td>
+                                    <td>${iguais}</td>
+                                    <td>${filtrar(registros, 'remover').length}</td>
+                                </tr>
+                            `;
+                        }).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Importa o arquivo no modo escolhido (mesclar ou substituir)
+     */
+    async executarImportacao() {
+        if (!this.importacao) return;
+
+        const modo = document.querySelector('input[name="importacaoModo"]:checked')?.value || 'mesclar';
+        const mensagem = modo === 'substituir'
+            ? 'Substituir os caminhos do arquivo? Conflitos serao sobrescritos e registros que so existem nos dados atuais serao removidos.'
+            : 'Mesclar o arquivo? Apenas os registros novos serao gravados; conflitos mantem os dados atuais.';
+        if (!confirm(mensagem)) return;
+
+        showLoading();
+        try {
+            const { backupData, previa, nome } = this.importacao;
+            const result = await backupManager.importar(backupData, previa, modo, nome);
+            if (result.success) {
+                showNotification(`${result.data.total} registro(s) importado(s). Backup de seguranca: ${result.data.seguranca}`, 'success');
+                document.getElementById('modalImportacao')?.classList.remove('active');
+                this.importacao = null;
+                this.updateBackupStatus();
+                const listContainer = document.getElementById('backupListContainer');
+                if (listContainer?.style.display !== 'none') await this.renderBackupList();
+            } else {
+                showNotification('Erro ao importar: ' + result.error, 'error');
+            }
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Abre a previa da restauracao: diferencas entre o backup e os dados atuais
+     */
+    async abrirRestauracao(backupKey) {
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem restaurar backups', 'warning');
+            return;
+        }
+
+        showLoading();
+        try {
+            const backup = await backupManager.getBackup(backupKey);
+            if (!backup.success) {
+                showNotification(backup.error, 'error');
+                return;
+            }
+
+            this.restauracao = {
+                key: backupKey,
+                previa: await backupManager.compararComAtual(backup.data)
+            };
+
+            const integro = await backupManager.conferirHash(backup.data);
+            const resumo = document.getElementById('restauracaoResumo');
+            if (resumo) {
+                resumo.textContent = `Backup de ${new Date(backup.data.metadata.createdAt).toLocaleString('pt-BR')} ` +
+                    `(${backup.data.metadata.createdBy}). Um backup de seguranca dos dados atuais e criado antes de restaurar.` +
+                    (integro === false ? ' ATENCAO: o conteudo nao confere com o hash registrado na criacao (backup alterado ou incompleto).' : '');
+            }
+
+            this.renderPreviaRestauracao();
+            document.getElementById('modalRestauracao')?.classList.add('active');
+        } catch (error) {
+            console.error('Erro ao comparar backup:', error);
+            showNotification('Erro ao comparar o backup com os dados atuais', 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Renderiza as diferencas por caminho, com selecao por caminho ou por registro
+     */
+    renderPreviaRestauracao() {
+        const container = document.getElementById('restauracaoPrevia');
+        if (!container || !this.restauracao) return;
+
+        const situacoes = {
+            recriar: { rotulo: 'Recriar', badge: 'badge-success' },
+            sobrescrever: { rotulo: 'Sobrescrever', badge: 'badge-warning' },
+            remover: { rotulo: 'Remover', badge: 'badge-danger' }
+        };
+
+        const contar = (registros, situacao) => registros.filter(r => r.situacao === situacao).length;
+
+        container.innerHTML = this.restauracao.previa.map(({ path, registros, iguais }) => `
+            <div class="restauracao-path">
+                ${registros.length === 0 ? `
+                    <p><strong>${path}</strong> <span class="form-help">sem diferencas (${iguais} registro(s))</span></p>
+                ` : `
+                    <label class="restauracao-check">
+                        <input type="checkbox" class="restauracao-path-check" data-path="${path}">
+                        <strong>${path}</strong>
+                        <span class="form-help">
+                            ${contar(registros, 'recriar')} a recriar, ${contar(registros, 'sobrescrever')} a sobrescrever,
+                            ${contar(registros, 'remover')} a remover, ${iguais} igua(is)
+                        </span>
+                    </label>
+                    <details>
+                        <summary>Ver registros</summary>
+                        <ul class="restauracao-registros">
+                            ${registros.map(r => `
+                                <li>
+                                    <label class="restauracao-check">
+                                        <input type="checkbox" class="restauracao-registro-check"
+                                            data-path="${path}" data-id="${r.id}" ${r.bloqueado ? 'disabled' : ''}>
+                                        <span class="badge ${situacoes[r.situacao].badge}">${situacoes[r.situacao].rotulo}</span>
+                                        ${escaparHtml(r.rotulo)}
+                                        ${r.bloqueado ? '<span class="form-help">(comentarios pertencem aos autores: so podem ser removidos)</span>' : ''}
+                                    </label>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </details>
+                `}
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Restaura todos os registros diferentes ou apenas os selecionados
+     */
+    async executarRestauracao(tudo) {
+        if (!this.restauracao) return;
+
+        const selecao = tudo
+            ? this.restauracao.previa.flatMap(({ path, registros }) =>
+                registros.filter(r => !r.bloqueado).map(r => ({ path, id: r.id })))
+            : [...document.querySelectorAll('.restauracao-registro-check:checked')]
+                .map(check => ({ path: check.dataset.path, id: check.dataset.id }));
+
+        if (selecao.length === 0) {
+            showNotification('Nenhum registro selecionado para restaurar', 'warning');
+            return;
+        }
+
+        if (!confirm(`Restaurar ${selecao.length} registro(s) do backup? Os dados atuais serao substituidos.`)) return;
+
+        showLoading();
+        try {
+            const result = await backupManager.restaurar(this.restauracao.key, selecao);
+            if (result.success) {
+                showNotification(`${result.data.total} registro(s) restaurado(s). Backup de seguranca: ${result.data.seguranca}`, 'success');
+                document.getElementById('modalRestauracao')?.classList.remove('active');
+                this.restauracao = null;
+                this.updateBackupStatus();
+                await this.renderBackupList();
+            } else {
+                showNotification('Erro ao restaurar: ' + result.error, 'error');
+            }
+        } finally {
+            hideLoading();
+        }
     }
 
     /**
@@ -574,6 +1203,17 @@ class App {
 
         const lastBackup = await backupManager.getLastBackupInfo();
 
+        const resumo = document.getElementById('backupPoliticaResumo');
+        if (resumo && authManager.isGestor()) {
+            const politica = await backupManager.getPolitica();
+            const destinos = destinosBackup.listar()
+                .filter(destino => politica.destinos[destino.id]?.ativo)
+                .map(destino => destino.nome);
+            resumo.textContent = `${BACKUP_CONFIG.FREQUENCIAS[politica.frequencia]} as ${politica.horario}; ` +
+                `mantem ${politica.retencao.diarios} diario(s), ${politica.retencao.semanais} semanal(is) e ` +
+                `${politica.retencao.mensais} mensal(is); destinos: ${destinos.join(', ') || 'nenhum'}.`;
+        }
+
         if (lastBackup && statusBadge) {
             statusBadge.textContent = `Ultimo: ${new Date(lastBackup.createdAt).toLocaleDateString('pt-BR')}`;
             statusBadge.classList.remove('status-inactive');
@@ -597,6 +1237,22 @@ class App {
         }
     }
 
+    /**
+     * Badge com o resultado da ultima verificacao de integridade do backup
+     */
+    renderIntegridadeBackup(backup) {
+        if (!backupManager.isNoBanco(backup)) return '-';
+
+        const verificacao = backup.verificacao;
+        const situacao = BACKUP_CONFIG.INTEGRIDADE[verificacao?.situacao] || BACKUP_CONFIG.INTEGRIDADE.pendente;
+        const titulo = verificacao
+            ? `Verificado em ${new Date(verificacao.verificadoEm).toLocaleString('pt-BR')} por ${verificacao.verificadoPor}` +
+                (verificacao.detalhes ? `\n${verificacao.detalhes}` : '')
+            : (backup.hash ? 'Ainda nao verificado' : 'Backup criado sem hash');
+
+        return `<span class="status-badge ${situacao.classe}" title="${escaparHtml(titulo)}">${situacao.rotulo}</span>`;
+    }
+
     /**
      * Renderiza a lista de backups disponiveis
      */
@@ -619,11 +1275,12 @@ class App {
 
         container.innerHTML = `
             <div style="overflow-x:auto;">
-                <table class="data-table" style="min-width:600px;">
+                <table class="data-table" style="min-width:700px;">
                     <thead>
                         <tr>
                             <th>Data</th>
                             <th>Tipo</th>
+                            <th>Integridade</th>
                             <th>Tamanho</th>
                             <th>Realizado por</th>
                             <th>Acao</th>
@@ -634,19 +1291,42 @@ class App {
                             <tr>
                                 <td>${new Date(b.createdAt).toLocaleString('pt-BR')}</td>
                                 <td>
-                                    <span class="status-badge ${b.automatic ? 'status-inactive' : 'status-active'}">
-                                        ${b.automatic ? 'Automatico' : 'Manual'}
+                                    <span class="status-badge ${b.automatic ? 'status-inactive' : 'status-active'}"
+                                        title="${escaparHtml(b.observacao)}">
+                                        ${b.importado ? 'Importado' : b.observacao ? 'Seguranca' : b.automatic ? 'Automatico' : 'Manual'}
                                     </span>
+                                    <small title="${b.tipo === 'incremental' ? `Base: ${b.base}` : ''}">
+                                        ${b.tipo === 'incremental' ? `Incremental (${b.alteracoes ?? 0} alt.)` : 'Completo'}
+                                    </small>
                                 </td>
+                                <td>${this.renderIntegridadeBackup(b)}</td>
                                 <td>${b.size || '-'}</td>
                                 <td>${b.createdBy}</td>
                                 <td>
-                                    <button class="btn-secondary btn-download-backup"
-                                        data-key="${b.key}"
-                                        style="padding:4px 12px; font-size:0.85rem;"
-                                        title="Baixar backup">
-                                        Baixar
-                                    </button>
+                                    ${!backupManager.isNoBanco(b) ? `
+                                        <small title="${escaparHtml(Object.entries(b.destinos).map(([id, s]) => `${id}: ${s}`).join('\n'))}">
+                                            Fora do banco (${Object.keys(b.destinos).join(', ')})
+                                        </small>
+                                    ` : `
+                                        <button class="btn-secondary btn-download-backup"
+                                            data-key="${b.key}"
+                                            style="padding:4px 12px; font-size:0.85rem;"
+                                            title="Baixar backup">
+                                            Baixar
+                                        </button>
+                                        <button class="btn-secondary btn-verify-backup"
+                                            data-key="${b.key}"
+                                            style="padding:4px 12px; font-size:0.85rem;"
+                                            title="Reler o backup e conferir hash e registros">
+                                            Verificar
+                                        </button>
+                                        <button class="btn-secondary btn-restore-backup"
+                                            data-key="${b.key}"
+                                            style="padding:4px 12px; font-size:0.85rem;"
+                                            title="Comparar e restaurar backup">
+                                            Restaurar
+                                        </button>
+                                    `}
                                 </td>
                             </tr>
                         `).join('')}
@@ -725,7 +1405,7 @@ class App {
      */
     async checkConnection() {
         try {
-            const result = await dbManager.getAll('test');
+            await dbManager.getAll('test');
             return true;
         } catch (error) {
             return false;
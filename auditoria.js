@@ -0,0 +1,466 @@
+/**
+ * Módulo de Auditoria
+ * Registra, na mesma escrita atômica, quem alterou o quê em cada gravação no banco
+ * (usuário, caminho, operação, diff antes/depois e data) e oferece aos gestores
+ * um visualizador com filtros por usuário, entidade e período
+ *
+ * O registro é best-effort: as regras garantem que a entrada é nova e leva o uid e o email de quem
+ * grava, mas não que corresponde a uma escrita real nem que toda escrita tenha sua entrada (um
+ * cliente modificado pode gravar sem passar por gravar() ou acrescentar entradas avulsas)
+ */
+
+import {
+    ref,
+    get,
+    update,
+    push,
+    query,
+    orderByChild,
+    startAt,
+    endAt,
+    endBefore,
+    limitToLast
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js';
+
+import { DB_PATHS, AUDITORIA_CONFIG } from './config.js';
+import authManager from './auth.js';
+import {
+    formatarDataHora,
+    isoParaInputDate,
+    escaparHtml,
+    truncar,
+    serializarOrdenado,
+    showLoading,
+    hideLoading,
+    showNotification
+} from './utils.js';
+
+// Campos que mudam em toda gravação e não interessam no diff
+const CAMPOS_IGNORADOS = ['updatedAt'];
+
+const OPERACOES = {
+    create: { rotulo: 'Criação', badge: 'badge-success' },
+    update: { rotulo: 'Alteração', badge: 'badge-info' },
+    delete: { rotulo: 'Exclusão', badge: 'badge-danger' }
+};
+
+class AuditoriaManager {
+    constructor() {
+        this.db = null;
+        this.entradas = [];
+        this.consultadas = []; // entradas do período já lidas, da mais recente para a mais antiga
+        this.periodo = null;   // { inicio, fim } em ISO
+        this.haAnteriores = false;
+        this.usuarios = [];
+    }
+
+    /**
+     * Banco de dados (window.database), obtido na primeira gravação
+     * A auditoria pode ser usada antes da inicialização dos módulos (ex.: cadastro do usuário)
+     */
+    getDb() {
+        if (!this.db) this.db = window.database;
+        return this.db;
+    }
+
+    /**
+     * Inicializa o visualizador
+     */
+    initialize() {
+        this.setupEventListeners();
+    }
+
+    // ============ REGISTRO ============
+
+    /**
+     * Grava as alterações e as entradas de auditoria correspondentes numa única escrita atômica
+     * Todas as escritas do sistema devem passar por aqui
+     * @param {Object} updates - { 'caminho/completo': valor }, valor null remove o caminho
+     */
+    async gravar(updates) {
+        const db = this.getDb();
+
+        // Agrupa as escritas pelo registro afetado (uma entrada por registro)
+        const registros = {};
+        Object.entries(updates).forEach(([caminho, valor]) => {
+            const registro = this.getCaminhoRegistro(caminho);
+            (registros[registro] = registros[registro] || []).push([caminho, valor]);
+        });
+
+        // O usuário do Auth já está disponível logo após o cadastro, antes do authManager
+        const usuario = authManager.auth?.currentUser || authManager.currentUser;
+        const timestamp = new Date().toISOString();
+        const entradas = {};
+
+        await Promise.all(Object.entries(registros).map(async ([caminhoRegistro, alteracoes]) => {
+            const entrada = await this.montarEntrada(caminhoRegistro, alteracoes);
+            if (!entrada) return;
+
+            const chave = push(ref(db, DB_PATHS.AUDITORIA)).key;
+            entradas[`${DB_PATHS.AUDITORIA}/${chave}`] = {
+                ...entrada,
+                uid: usuario?.uid || null,
+                email: usuario?.email || 'desconhecido',
+                timestamp
+            };
+        }));
+
+        await update(ref(db), { ...updates, ...entradas });
+    }
+
+    /**
+     * Caminho do registro afetado por uma escrita (padrão: entidade/id)
+     */
+    getCaminhoRegistro(caminho) {
+        const partes = caminho.split('/').filter(Boolean);
+        const profundidade = AUDITORIA_CONFIG.PROFUNDIDADE_REGISTRO[partes[0]] || 2;
+        return partes.slice(0, profundidade).join('/');
+    }
+
+    /**
+     * Monta a entrada de auditoria de um registro, lendo o valor anterior
+     * @returns {Object|null} Entrada sem usuário e data, ou null se nada mudou
+     */
+    async montarEntrada(caminhoRegistro, alteracoes) {
+        const partes = caminhoRegistro.split('/');
+        const entidade = partes[0];
+        const registroId = partes.length > 1 ? partes[partes.length - 1] : null;
+
+        if (AUDITORIA_CONFIG.ENTIDADES_SEM_DIFF.includes(entidade)) {
+            const exclusao = alteracoes.every(([, valor]) => valor === null);
+            return {
+                operacao: exclusao ? 'delete' : 'update',
+                path: caminhoRegistro,
+                entidade,
+                registroId
+            };
+        }
+
+        const snapshot = await get(ref(this.getDb(), caminhoRegistro));
+        const antes = snapshot.exists() ? snapshot.val() : null;
+        const depois = this.aplicarAlteracoes(antes, caminhoRegistro, alteracoes);
+
+        if (this.isVazio(antes) && this.isVazio(depois)) return null;
+
+        const operacao = this.isVazio(antes) ? 'create' : this.isVazio(depois) ? 'delete' : 'update';
+        const diff = this.calcularDiff(antes, depois);
+        if (operacao === 'update' && Object.keys(diff).length === 0) return null;
+
+        const referencia = this.isVazio(depois) ? antes : depois;
+        const rotulo = typeof referencia === 'object'
+            ? referencia.sigadoc || referencia.nome || referencia.email || null
+            : null;
+
+        return {
+            operacao,
+            path: caminhoRegistro,
+            entidade,
+            registroId,
+            rotulo,
+            diff
+        };
+    }
+
+    /**
+     * Aplica as escritas de um registro sobre o seu valor anterior
+     */
+    aplicarAlteracoes(antes, caminhoRegistro, alteracoes) {
+        const clonar = (valor) => valor === null || valor === undefined ? null : JSON.parse(JSON.stringify(valor));
+        const nivel = caminhoRegistro.split('/').length;
+        let resultado = clonar(antes);
+
+        alteracoes.forEach(([caminho, valor]) => {
+            const relativo = caminho.split('/').filter(Boolean).slice(nivel);
+            if (relativo.length === 0) {
+                resultado = clonar(valor);
+                return;
+            }
+
+            if (!resultado || typeof resultado !== 'object') resultado = {};
+            let no = resultado;
+            relativo.slice(0, -1).forEach(parte => {
+                if (!no[parte] || typeof no[parte] !== 'object') no[parte] = {};
+                no = no[parte];
+            });
+
+            const campo = relativo[relativo.length - 1];
+            if (valor === null) {
+                delete no[campo];
+            } else {
+                no[campo] = clonar(valor);
+            }
+        });
+
+        return resultado;
+    }
+
+    /**
+     * Campos alterados entre os dois valores: { campo: { antes, depois } }
+     * Valores que não são objetos são registrados no campo "valor"
+     */
+    calcularDiff(antes, depois) {
+        const isObjeto = (valor) => valor !== null && typeof valor === 'object';
+
+        if (!isObjeto(antes) && !isObjeto(depois)) {
+            return serializarOrdenado(antes) === serializarOrdenado(depois)
+                ? {}
+                : { valor: { antes: antes ?? null, depois: depois ?? null } };
+        }
+
+        const a = isObjeto(antes) ? antes : {};
+        const d = isObjeto(depois) ? depois : {};
+        const diff = {};
+
+        new Set([...Object.keys(a), ...Object.keys(d)]).forEach(campo => {
+            if (CAMPOS_IGNORADOS.includes(campo)) return;
+            if (serializarOrdenado(a[campo]) !== serializarOrdenado(d[campo])) {
+                diff[campo] = { antes: a[campo] ?? null, depois: d[campo] ?? null };
+            }
+        });
+
+        return diff;
+    }
+
+    /**
+     * Firebase não guarda objetos vazios: equivalem a registro inexistente
+     */
+    isVazio(valor) {
+        return valor === null || valor === undefined ||
+            (typeof valor === 'object' && Object.keys(valor).length === 0);
+    }
+
+    // ============ VISUALIZADOR (APENAS GESTORES) ============
+
+    /**
+     * Configura event listeners do visualizador
+     */
+    setupEventListeners() {
+        document.getElementById('btnAbrirAuditoria')?.addEventListener('click', () => {
+            this.abrirModal();
+        });
+
+        document.getElementById('formAuditoria')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.buscar();
+        });
+
+        document.getElementById('auditoriaResultados')?.addEventListener('click', (e) => {
+            if (e.target.closest('#btnAuditoriaAnteriores')) this.carregarAnteriores();
+        });
+    }
+
+    /**
+     * Abre o visualizador com os últimos 7 dias
+     */
+    async abrirModal() {
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem consultar a auditoria', 'warning');
+            return;
+        }
+
+        const hoje = new Date();
+        const inicio = new Date();
+        inicio.setDate(hoje.getDate() - 7);
+        document.getElementById('auditoriaInicio').value = isoParaInputDate(inicio);
+        document.getElementById('auditoriaFim').value = isoParaInputDate(hoje);
+
+        this.usuarios = await authManager.getAllUsers();
+        const selectUsuario = document.getElementById('auditoriaUsuario');
+        if (selectUsuario) {
+            selectUsuario.innerHTML = '<option value="">Todos</option>' +
+                this.usuarios.map(u => `<option value="${u.uid}">${escaparHtml(u.email)}</option>`).join('');
+        }
+
+        const selectEntidade = document.getElementById('auditoriaEntidade');
+        if (selectEntidade) {
+            const entidades = Object.values(DB_PATHS).filter(p => p !== DB_PATHS.AUDITORIA).concat('backups');
+            selectEntidade.innerHTML = '<option value="">Todas</option>' +
+                entidades.map(e => `<option value="${e}">${e}</option>`).join('');
+        }
+
+        document.getElementById('modalAuditoria')?.classList.add('active');
+        await this.buscar();
+    }
+
+    /**
+     * Consulta as entradas mais recentes do período e aplica os filtros de usuário, entidade e texto
+     * A consulta é feita pelo índice de timestamp, em páginas de LIMITE_CONSULTA entradas; os demais
+     * filtros valem só para as páginas já lidas (ver carregarAnteriores)
+     */
+    async buscar() {
+        const inicio = document.getElementById('auditoriaInicio').value;
+        const fim = document.getElementById('auditoriaFim').value;
+        if (!inicio || !fim || fim < inicio) {
+            showNotification('Informe um período válido', 'error');
+            return;
+        }
+
+        this.periodo = {
+            inicio: new Date(`${inicio}T00:00:00`).toISOString(),
+            fim: new Date(`${fim}T23:59:59.999`).toISOString()
+        };
+        this.consultadas = [];
+
+        showLoading();
+        try {
+            await this.carregarPagina();
+            this.aplicarFiltros();
+            this.renderEntradas();
+        } catch (error) {
+            console.error('Erro ao consultar auditoria:', error);
+            showNotification('Erro ao consultar a auditoria', 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Lê a próxima página do período: as entradas anteriores à mais antiga já lida
+     * Entradas da mesma escrita têm o mesmo timestamp e são desempatadas pela chave
+     */
+    async carregarPagina() {
+        const maisAntiga = this.consultadas[this.consultadas.length - 1];
+        const consulta = query(
+            ref(this.getDb(), DB_PATHS.AUDITORIA),
+            orderByChild('timestamp'),
+            startAt(this.periodo.inicio),
+            maisAntiga ? endBefore(maisAntiga.timestamp, maisAntiga.id) : endAt(this.periodo.fim),
+            limitToLast(AUDITORIA_CONFIG.LIMITE_CONSULTA)
+        );
+        const snapshot = await get(consulta);
+        const pagina = snapshot.exists()
+            ? Object.entries(snapshot.val()).map(([id, value]) => ({ ...value, id }))
+            : [];
+
+        pagina.sort((a, b) => b.timestamp.localeCompare(a.timestamp) || b.id.localeCompare(a.id));
+        this.consultadas.push(...pagina);
+        this.haAnteriores = pagina.length >= AUDITORIA_CONFIG.LIMITE_CONSULTA;
+    }
+
+    /**
+     * Lê a página anterior do período e reaplica os filtros
+     */
+    async carregarAnteriores() {
+        if (!this.periodo || !this.haAnteriores) return;
+
+        showLoading();
+        try {
+            await this.carregarPagina();
+            this.aplicarFiltros();
+            this.renderEntradas();
+        } catch (error) {
+            console.error('Erro ao consultar auditoria:', error);
+            showNotification('Erro ao consultar a auditoria', 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Aplica os filtros de usuário, entidade e texto às entradas já lidas
+     */
+    aplicarFiltros() {
+        const uid = document.getElementById('auditoriaUsuario').value;
+        const entidade = document.getElementById('auditoriaEntidade').value;
+        const busca = document.getElementById('auditoriaBusca').value.trim().toLowerCase();
+
+        this.entradas = this.consultadas
+            .filter(e => !uid || e.uid === uid)
+            .filter(e => !entidade || e.entidade === entidade)
+            .filter(e => !busca || [e.rotulo, e.registroId, e.path, e.email]
+                .some(campo => campo && campo.toLowerCase().includes(busca)));
+    }
+
+    /**
+     * Renderiza a tabela de entradas
+     * Enquanto houver entradas do período ainda não lidas, avisa que o resultado está truncado
+     */
+    renderEntradas() {
+        const container = document.getElementById('auditoriaResultados');
+        if (!container) return;
+
+        const truncado = this.haAnteriores ? `
+            <p class="form-help">
+                Foram lidas as ${this.consultadas.length} alterações mais recentes do período, até
+                ${formatarDataHora(this.consultadas[this.consultadas.length - 1].timestamp)}. Os filtros de usuário,
+                entidade e texto valem só para elas: alterações anteriores que atendem aos filtros não aparecem.
+                <button type="button" class="btn-secondary" id="btnAuditoriaAnteriores">Carregar anteriores</button>
+            </p>
+        ` : '';
+
+        if (this.entradas.length === 0) {
+            container.innerHTML = `
+                <p class="form-help">Nenhuma alteração encontrada para os filtros informados.</p>
+                ${truncado}
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            ${truncado}
+            <div class="table-container">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Data/Hora</th>
+                            <th>Usuário</th>
+                            <th>Operação</th>
+                            <th>Entidade</th>
+                            <th>Registro</th>
+                            <th>Alterações</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.entradas.map(e => `
+                            <tr>
+                                <td>${formatarDataHora(e.timestamp)}</td>
+                                <td>${escaparHtml(e.email)}</td>
+                                <td>
+                                    <span class="badge ${OPERACOES[e.operacao]?.badge || 'badge-info'}">
+                                        ${OPERACOES[e.operacao]?.rotulo || escaparHtml(e.operacao)}
+                                    </span>
+                                </td>
+                                <td>${escaparHtml(e.entidade)}</td>
+                                <td title="${escaparHtml(e.path)}">${escaparHtml(e.rotulo || e.registroId || '-')}</td>
+                                <td>${this.renderDiff(e.diff)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza o diff de uma entrada como lista expansível
+     */
+    renderDiff(diff) {
+        const campos = Object.entries(diff || {});
+        if (campos.length === 0) return '-';
+
+        const formatar = (valor) => {
+            if (valor === null || valor === undefined) return '—';
+            const texto = typeof valor === 'object' ? JSON.stringify(valor) : String(valor);
+            return escaparHtml(truncar(texto, 200));
+        };
+
+        return `
+            <details class="auditoria-diff">
+                <summary>${campos.length} campo(s)</summary>
+                <ul>
+                    ${campos.map(([campo, { antes, depois }]) => `
+                        <li>
+                            <strong>${escaparHtml(campo)}</strong>:
+                            <span class="auditoria-antes">${formatar(antes)}</span> →
+                            <span class="auditoria-depois">${formatar(depois)}</span>
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+}
+
+// Exporta instância única
+const auditoriaManager = new AuditoriaManager();
+export default auditoriaManager;
@@ -11,8 +11,9 @@ import {
     updatePassword
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
 
-import { ref, get, set, update, remove } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js';
+import { ref, get } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js';
 import { DB_PATHS } from './config.js';
+import auditoriaManager from './auditoria.js';
 
 class AuthManager {
     constructor() {
@@ -66,11 +67,13 @@ class AuthManager {
             // Usuário existe no Auth mas não no DB — cria registro
             const allUsers = await get(ref(this.db, DB_PATHS.USUARIOS));
             const role = allUsers.exists() ? 'usuario' : 'gestor';
-            await set(ref(this.db, `${DB_PATHS.USUARIOS}/${user.uid}`), {
-                email: user.email,
-                nome: user.email.split('@')[0],
-                role: role,
-                criadoEm: new Date().toISOString()
+            await auditoriaManager.gravar({
+                [`${DB_PATHS.USUARIOS}/${user.uid}`]: {
+                    email: user.email,
+                    nome: user.email.split('@')[0],
+                    role: role,
+                    criadoEm: new Date().toISOString()
+                }
             });
             this.currentRole = role;
         }
@@ -107,11 +110,13 @@ class AuthManager {
             const allUsers = await get(ref(this.db, DB_PATHS.USUARIOS));
             const role = allUsers.exists() ? 'usuario' : 'gestor';
 
-            await set(ref(this.db, `${DB_PATHS.USUARIOS}/${user.uid}`), {
-                email: email,
-                nome: email.split('@')[0],
-                role: role,
-                criadoEm: new Date().toISOString()
+            await auditoriaManager.gravar({
+                [`${DB_PATHS.USUARIOS}/${user.uid}`]: {
+                    email: email,
+                    nome: email.split('@')[0],
+                    role: role,
+                    criadoEm: new Date().toISOString()
+                }
             });
 
             this.currentUser = user;
@@ -171,7 +176,7 @@ class AuthManager {
             return { success: false, error: 'Sem permissão' };
         }
         try {
-            await update(ref(this.db, `${DB_PATHS.USUARIOS}/${uid}`), { role });
+            await auditoriaManager.gravar({ [`${DB_PATHS.USUARIOS}/${uid}/role`]: role });
             return { success: true };
         } catch (error) {
             return { success: false, error: 'Erro ao atualizar papel' };
@@ -190,7 +195,7 @@ class AuthManager {
             return { success: false, error: 'Você não pode excluir a si mesmo' };
         }
         try {
-            await remove(ref(this.db, `${DB_PATHS.USUARIOS}/${uid}`));
+            await auditoriaManager.gravar({ [`${DB_PATHS.USUARIOS}/${uid}`]: null });
             return { success: true };
         } catch (error) {
             console.error('Erro ao deletar usuário:', error);
@@ -218,10 +223,10 @@ class AuthManager {
 
             // Atualiza dados no banco de dados (nome e email para exibição)
             const updates = {};
-            if (dados.nome !== undefined) updates.nome = dados.nome;
-            if (dados.email !== undefined) updates.email = dados.email;
+            if (dados.nome !== undefined) updates[`${DB_PATHS.USUARIOS}/${uid}/nome`] = dados.nome;
+            if (dados.email !== undefined) updates[`${DB_PATHS.USUARIOS}/${uid}/email`] = dados.email;
 
-            await update(ref(this.db, `${DB_PATHS.USUARIOS}/${uid}`), updates);
+            await auditoriaManager.gravar(updates);
             return { success: true };
         } catch (error) {
             console.error('Erro ao atualizar usuário:', error);
@@ -6,18 +6,22 @@
 
 import {
     ref,
-    get,
-    set,
-    remove
+    get
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js';
 
-import { BACKUP_PATHS, BACKUP_CONFIG } from './config.js';
+import { BACKUP_PATHS, BACKUP_CONFIG, DB_PATHS } from './config.js';
 import authManager from './auth.js';
+import dbManager from './database.js';
+import destinosBackup from './destinos.js';
+import { serializarOrdenado, calcularSha256, chaveSigadoc } from './utils.js';
 
 class BackupManager {
     constructor() {
         this.db = null;
         this.initialized = false;
+        this.politica = BACKUP_CONFIG.POLITICA_PADRAO;
+        this.agendamento = null;
+        this.executando = false;
     }
 
     /**
@@ -56,25 +60,90 @@ class BackupManager {
     }
 
     /**
-     * Verifica se o backup automatico ja foi feito hoje
+     * Le a politica de backup salva, completando com os valores padrao
+     * Politicas antigas guardavam senha e token em texto puro: eles sao descartados
+     * (o destino passa a pedi-los no momento do backup) e a politica e regravada sem eles
      */
-    async hasBackupToday() {
+    async getPolitica() {
         try {
-            const snapshot = await get(ref(this.db, BACKUP_PATHS.LAST_BACKUP));
-            if (snapshot.exists()) {
-                const lastDate = snapshot.val().date;
-                return lastDate === this._getTodayString();
+            const snapshot = await get(ref(this.db, BACKUP_PATHS.POLITICA));
+            const salva = snapshot.exists() ? snapshot.val() : {};
+            const padrao = BACKUP_CONFIG.POLITICA_PADRAO;
+
+            const destinos = { ...(salva.destinos || padrao.destinos) };
+            if (destinos.arquivo?.senha) destinos.arquivo = { ...destinos.arquivo, criptografar: true };
+            if (destinos.http?.token) destinos.http = { ...destinos.http, usarToken: true };
+
+            this.politica = {
+                ...padrao,
+                ...salva,
+                retencao: { ...padrao.retencao, ...salva.retencao },
+                destinos: destinosBackup.semSegredos(destinos)
+            };
+
+            if (salva.destinos?.arquivo?.senha || salva.destinos?.http?.token) {
+                const resultado = await this.salvarPolitica(this.politica);
+                if (!resultado.success) console.error('Erro ao remover segredos da politica de backup:', resultado.error);
             }
-            return false;
         } catch (error) {
-            console.error('Erro ao verificar ultimo backup:', error);
-            return false;
+            console.error('Erro ao ler politica de backup:', error);
         }
+        return this.politica;
+    }
+
+    /**
+     * Salva a politica de backup (agendamento, retencao e destinos, sem os campos secretos)
+     */
+    async salvarPolitica(politica) {
+        politica = { ...politica, destinos: destinosBackup.semSegredos(politica.destinos) };
+        const resultado = await dbManager.multiUpdate({ [BACKUP_PATHS.POLITICA]: politica });
+        if (resultado.success) this.politica = politica;
+        return resultado;
+    }
+
+    /**
+     * Momento agendado mais recente (ja passado) segundo a politica
+     */
+    _ultimoAgendamento(politica, agora = new Date()) {
+        const [hora, minuto] = politica.horario.split(':').map(Number);
+        const agendado = new Date(agora);
+        agendado.setHours(hora, minuto, 0, 0);
+
+        if (politica.frequencia === 'semanal') {
+            agendado.setDate(agendado.getDate() - (agendado.getDay() - politica.diaSemana + 7) % 7);
+            if (agendado > agora) agendado.setDate(agendado.getDate() - 7);
+        } else if (politica.frequencia === 'mensal') {
+            agendado.setDate(politica.diaMes);
+            if (agendado > agora) agendado.setMonth(agendado.getMonth() - 1);
+        } else if (agendado > agora) {
+            agendado.setDate(agendado.getDate() - 1);
+        }
+
+        return agendado;
+    }
+
+    /**
+     * Verifica se ha backup agendado pendente (nenhum backup desde o ultimo horario agendado)
+     */
+    async isBackupPendente() {
+        const politica = await this.getPolitica();
+        const ultimo = await this.getLastBackupInfo();
+        if (!ultimo) return true;
+        return new Date(ultimo.createdAt) < this._ultimoAgendamento(politica);
+    }
+
+    /**
+     * Indica se o backup foi gravado no banco (backups antigos nao registram destinos)
+     */
+    isNoBanco(backup) {
+        return !backup.destinos || backup.destinos.rtdb === 'ok';
     }
 
     /**
      * Coleta todos os dados dos caminhos configurados
      * Usa get() raw para preservar a estrutura exata (chaves Firebase)
+     * Uma leitura que falha interrompe a coleta: um caminho vazio por engano entraria no
+     * backup (e no incremental) como se todos os seus registros tivessem sido removidos
      */
     async collectAllData() {
         const data = {};
@@ -85,7 +154,7 @@ class BackupManager {
                 data[path] = snapshot.exists() ? snapshot.val() : null;
             } catch (error) {
                 console.error(`Erro ao coletar dados de ${path}:`, error);
-                data[path] = null;
+                throw new Error(`Falha ao ler ${path}: ${error?.message || error?.code || 'erro desconhecido'}`);
             }
         }
 
@@ -93,10 +162,15 @@ class BackupManager {
     }
 
     /**
-     * Cria um backup completo armazenado no Realtime Database
+     * Cria um backup e o envia para os destinos ativos na politica
+     * No banco, e incremental (apenas registros alterados desde o backup anterior) ou completo,
+     * quando nao ha backup anterior ou o ultimo completo tem mais de INTERVALO_COMPLETO_DIAS.
+     * Os demais destinos sempre recebem o backup completo
      * @param {boolean} isAutomatic - Se e um backup automatico ou manual
+     * @param {string|null} observacao - Motivo do backup (ex.: seguranca antes de uma restauracao)
+     * @param {Array} protegidos - Chaves de backups que a limpeza apos o backup nao pode remover
      */
-    async createBackup(isAutomatic = false) {
+    async createBackup(isAutomatic = false, observacao = null, protegidos = []) {
         if (!this.initialized) {
             return { success: false, error: 'BackupManager nao inicializado' };
         }
@@ -105,55 +179,98 @@ class BackupManager {
             const today = this._getTodayString();
             const timestamp = new Date().toISOString();
             const userEmail = authManager.currentUser?.email || 'desconhecido';
+            const politica = await this.getPolitica();
+            const noBanco = !!politica.destinos.rtdb?.ativo;
 
             // 1. Coleta todos os dados
             const data = await this.collectAllData();
 
-            // 2. Cria o snapshot
-            const backupData = {
-                metadata: {
-                    createdAt: timestamp,
-                    createdBy: userEmail,
-                    date: today,
-                    automatic: isAutomatic,
-                    version: '1.0',
-                    paths: BACKUP_CONFIG.PATHS_TO_BACKUP
-                },
-                data: data
+            // 2. Cria o snapshot (incremental sobre o backup anterior, quando possivel)
+            const metadata = {
+                createdAt: timestamp,
+                createdBy: userEmail,
+                date: today,
+                automatic: isAutomatic,
+                version: BACKUP_CONFIG.VERSAO,
+                paths: BACKUP_CONFIG.PATHS_TO_BACKUP,
+                observacao
             };
 
+            const incremental = noBanco ? await this._prepararIncremental(data) : null;
+            const backupData = incremental
+                ? {
+                    metadata: {
+                        ...metadata,
+                        tipo: 'incremental',
+                        base: incremental.base,
+                        completoBase: incremental.completoBase
+                    },
+                    data: incremental.alterados,
+                    removidos: incremental.removidos
+                }
+                : {
+                    metadata: { ...metadata, tipo: 'completo' },
+                    data: data
+                };
+
+            // Integridade: hash do conteudo gravado, hash do estado completo e registros por caminho
+            const integridade = {
+                hash: await this._calcularHash({ data: backupData.data, removidos: backupData.removidos }),
+                hashCompleto: await this._calcularHash({ data }),
+                contagem: this._contarRegistros(data)
+            };
+            Object.assign(metadata, integridade);
+            Object.assign(backupData.metadata, integridade);
+
             // Calcula tamanho aproximado
             const jsonString = JSON.stringify(backupData);
             const size = this._formatSize(jsonString);
 
-            // 3. Gera chave unica para o backup
+            // 3. Gera chave unica para o backup e envia aos destinos
             const backupKey = `backup_${today}_${Date.now()}`;
+            const destinos = await destinosBackup.enviar({
+                key: backupKey,
+                dados: backupData,
+                completo: { metadata: { ...this._metadataCompleto(metadata), tipo: 'completo' }, data }
+            }, politica.destinos);
 
-            // 4. Salva snapshot completo no Realtime Database
-            await set(ref(this.db, `${BACKUP_PATHS.DATA}/${backupKey}`), backupData);
+            if (!Object.values(destinos).includes('ok')) {
+                throw new Error(Object.keys(destinos).length
+                    ? `Nenhum destino recebeu o backup (${Object.entries(destinos).map(([id, s]) => `${id}: ${s}`).join('; ')})`
+                    : 'Nenhum destino de backup ativo');
+            }
 
-            // 5. Salva metadata resumido (para listagem rapida sem carregar dados completos)
+            // 4. Metadata resumido (para listagem rapida sem carregar dados completos)
             const backupMeta = {
                 key: backupKey,
                 date: today,
                 createdAt: timestamp,
                 createdBy: userEmail,
                 automatic: isAutomatic,
-                size: size
+                size: size,
+                observacao,
+                tipo: backupData.metadata.tipo,
+                base: backupData.metadata.base || null,
+                completoBase: backupData.metadata.completoBase || backupKey,
+                alteracoes: incremental ? incremental.total : null,
+                destinos,
+                ...integridade
             };
 
-            await set(ref(this.db, `${BACKUP_PATHS.METADATA}/${backupKey}`), backupMeta);
-
-            // 6. Atualiza registro do ultimo backup
-            await set(ref(this.db, BACKUP_PATHS.LAST_BACKUP), {
-                date: today,
-                createdAt: timestamp,
-                createdBy: userEmail,
-                key: backupKey
+            // 5. Salva metadata e registro do ultimo backup
+            const resultado = await dbManager.multiUpdate({
+                [`${BACKUP_PATHS.METADATA}/${backupKey}`]: backupMeta,
+                [BACKUP_PATHS.LAST_BACKUP]: {
+                    date: today,
+                    createdAt: timestamp,
+                    createdBy: userEmail,
+                    key: backupKey
+                }
             });
+            if (!resultado.success) throw resultado.error;
 
-            // 7. Limpa backups antigos
-            await this.cleanupOldBackups();
+            // 6. Limpa backups antigos
+            await this.cleanupOldBackups(protegidos);
 
             console.log(`Backup criado com sucesso: ${backupKey}`);
             return { success: true, data: backupMeta };
@@ -165,28 +282,155 @@ class BackupManager {
     }
 
     /**
-     * Executa backup automatico se necessario (apenas para gestor, 1x ao dia)
+     * Decide se o proximo backup pode ser incremental e calcula as alteracoes
+     * em relacao ao estado reconstruido do backup anterior
+     * @returns {Object|null} { base, completoBase, alterados, removidos, total } ou null para backup completo
      */
-    async autoBackupIfNeeded() {
-        if (!this.initialized) return;
-        if (!authManager.isGestor()) return;
+    async _prepararIncremental(data) {
+        // Backups importados podem ser de outra epoca: a cadeia segue apenas os criados aqui
+        const backups = await this.listBackups();
+        const anterior = backups.find(b => !b.importado && this.isNoBanco(b));
+        if (!anterior) return null;
 
-        const alreadyDone = await this.hasBackupToday();
-        if (alreadyDone) {
-            console.log('Backup automatico ja realizado hoje');
-            return;
+        const completoBase = anterior.tipo === 'incremental' ? anterior.completoBase : anterior.key;
+        const completo = backups.find(b => b.key === completoBase);
+        if (!completo) return null;
+
+        const limite = new Date();
+        limite.setDate(limite.getDate() - BACKUP_CONFIG.INTERVALO_COMPLETO_DIAS);
+        if (completo.createdAt < limite.toISOString()) return null;
+
+        const estadoAnterior = await this.getBackup(anterior.key);
+        if (!estadoAnterior.success) {
+            console.warn('Cadeia de backups incompleta, criando backup completo:', estadoAnterior.error);
+            return null;
         }
 
-        console.log('Iniciando backup automatico diario...');
-        const result = await this.createBackup(true);
+        return {
+            base: anterior.key,
+            completoBase,
+            ...this._calcularAlteracoes(estadoAnterior.data.data || {}, data)
+        };
+    }
 
-        if (result.success) {
-            console.log('Backup automatico concluido com sucesso');
-        } else {
-            console.error('Falha no backup automatico:', result.error);
+    /**
+     * Registros novos ou alterados e registros removidos entre dois estados
+     * (o Firebase nao guarda null, por isso as remocoes ficam em um mapa separado)
+     */
+    _calcularAlteracoes(anterior, atual) {
+        const alterados = {};
+        const removidos = {};
+        let total = 0;
+
+        BACKUP_CONFIG.PATHS_TO_BACKUP.forEach(path => {
+            const antes = anterior[path] || {};
+            const depois = atual[path] || {};
+
+            Object.entries(depois).forEach(([id, registro]) => {
+                if (serializarOrdenado(antes[id]) !== serializarOrdenado(registro)) {
+                    alterados[path] = alterados[path] || {};
+                    alterados[path][id] = registro;
+                    total++;
+                }
+            });
+
+            Object.keys(antes).forEach(id => {
+                if (depois[id] === undefined) {
+                    removidos[path] = removidos[path] || {};
+                    removidos[path][id] = true;
+                    total++;
+                }
+            });
+        });
+
+        return { alterados, removidos, total };
+    }
+
+    /**
+     * Remove valores nulos e objetos vazios, que o Firebase nao armazena,
+     * para o hash calculado na criacao coincidir com o do conteudo relido
+     */
+    _normalizar(valor) {
+        if (valor === null || valor === undefined) return null;
+        if (typeof valor !== 'object') return valor;
+
+        const resultado = {};
+        Object.entries(valor).forEach(([chave, item]) => {
+            const normalizado = this._normalizar(item);
+            if (normalizado !== null) resultado[chave] = normalizado;
+        });
+        return Object.keys(resultado).length > 0 ? resultado : null;
+    }
+
+    /**
+     * Hash SHA-256 do conteudo normalizado, independente da ordem das chaves
+     */
+    async _calcularHash(conteudo) {
+        return await calcularSha256(serializarOrdenado(this._normalizar(conteudo)));
+    }
+
+    /**
+     * Quantidade de registros de cada caminho do backup
+     */
+    _contarRegistros(data) {
+        return Object.fromEntries(BACKUP_CONFIG.PATHS_TO_BACKUP.map(path =>
+            [path, Object.keys(data?.[path] || {}).length]
+        ));
+    }
+
+    /**
+     * Metadata de um backup visto como completo: o hash passa a ser o do estado completo
+     */
+    _metadataCompleto({ base, completoBase, hashCompleto, ...metadata }) {
+        return hashCompleto ? { ...metadata, hash: hashCompleto } : metadata;
+    }
+
+    /**
+     * Executa backup automatico se houver backup agendado pendente (apenas para gestor)
+     * @returns {boolean} true se um backup foi realizado
+     */
+    async autoBackupIfNeeded() {
+        if (!this.initialized) return false;
+        if (!authManager.isGestor()) return false;
+        if (this.executando) return false;
+
+        this.executando = true;
+        try {
+            if (!(await this.isBackupPendente())) {
+                console.log('Backup automatico em dia com o agendamento');
+                return false;
+            }
+
+            console.log('Iniciando backup automatico agendado...');
+            const result = await this.createBackup(true);
+
+            if (result.success) {
+                console.log('Backup automatico concluido com sucesso');
+            } else {
+                console.error('Falha no backup automatico:', result.error);
+            }
+            return result.success;
+        } finally {
+            this.executando = false;
         }
     }
 
+    /**
+     * Verifica o agendamento na entrada e periodicamente enquanto o sistema estiver aberto
+     * Sem servidor, o backup depende de um gestor com o sistema aberto no horario ou depois dele
+     * @param {Function} aoConcluir - Chamado apos cada backup automatico realizado
+     */
+    iniciarAgendamento(aoConcluir = () => {}) {
+        if (!this.initialized || !authManager.isGestor() || this.agendamento) return;
+
+        const verificar = () => this.autoBackupIfNeeded().then(realizado => {
+            if (realizado) aoConcluir();
+        });
+
+        verificar();
+        this.agendamento = setInterval(verificar, BACKUP_CONFIG.INTERVALO_VERIFICACAO_MINUTOS * 60 * 1000);
+    }
+
     /**
      * Lista todos os backups disponiveis a partir dos metadados no DB
      */
@@ -198,7 +442,7 @@ class BackupManager {
             const backups = [];
             const data = snapshot.val();
 
-            for (const [key, value] of Object.entries(data)) {
+            for (const value of Object.values(data)) {
                 backups.push(value);
             }
 
@@ -229,56 +473,568 @@ class BackupManager {
     }
 
     /**
-     * Baixa um backup como arquivo JSON
+     * Baixa um backup como arquivo JSON, criptografado quando a senha e informada
+     * Backups incrementais sao baixados ja reconstruidos, como um backup completo
      */
-    async downloadBackup(backupKey) {
+    async downloadBackup(backupKey, senha = null) {
         try {
-            const snapshot = await get(ref(this.db, `${BACKUP_PATHS.DATA}/${backupKey}`));
-            if (!snapshot.exists()) {
-                console.error('Backup nao encontrado:', backupKey);
+            const backup = await this.getBackup(backupKey);
+            if (!backup.success) {
+                console.error('Backup nao encontrado:', backupKey, backup.error);
                 return;
             }
 
-            const backupData = snapshot.val();
-            const jsonString = JSON.stringify(backupData, null, 2);
-            const blob = new Blob([jsonString], { type: 'application/json' });
-            const url = URL.createObjectURL(blob);
-
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `${backupKey}.json`;
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-
-            URL.revokeObjectURL(url);
+            await destinosBackup.get('arquivo').enviar({ key: backupKey, completo: backup.data }, { criptografar: !!senha, senha });
         } catch (error) {
             console.error('Erro ao baixar backup:', error);
         }
     }
 
     /**
-     * Remove backups com mais de RETENTION_DAYS dias
+     * Le o conteudo completo de um backup
+     * Incrementais sao reconstruidos a partir do backup completo da cadeia,
+     * aplicando em ordem cada incremental ate o solicitado
+     * @returns {Object} { success, data } com data no formato de um backup completo
      */
-    async cleanupOldBackups() {
+    async getBackup(backupKey) {
         try {
-            const cutoffDate = new Date();
-            cutoffDate.setDate(cutoffDate.getDate() - BACKUP_CONFIG.RETENTION_DAYS);
-            const cutoffString = cutoffDate.toISOString();
+            const cadeia = await this._lerCadeia(backupKey);
+            if (!cadeia.success) return cadeia;
 
+            const { metadata } = cadeia.data[cadeia.data.length - 1].backup;
+            return {
+                success: true,
+                data: {
+                    metadata: { ...this._metadataCompleto(metadata), tipo: 'completo' },
+                    data: this._reconstruir(cadeia.data.map(item => item.backup))
+                }
+            };
+        } catch (error) {
+            console.error('Erro ao ler backup:', error);
+            return { success: false, error: error.message || 'Erro ao ler backup' };
+        }
+    }
+
+    /**
+     * Le os snapshots gravados da cadeia de um backup, do completo ate o solicitado
+     * @returns {Object} { success, data: [{ key, backup }] }
+     */
+    async _lerCadeia(backupKey) {
+        const cadeia = [];
+        let key = backupKey;
+
+        while (key) {
+            const snapshot = await get(ref(this.db, `${BACKUP_PATHS.DATA}/${key}`));
+            if (!snapshot.exists()) {
+                return {
+                    success: false,
+                    error: key === backupKey ? 'Backup nao encontrado' : `Cadeia de backups incompleta: ${key} ausente`
+                };
+            }
+
+            const backup = snapshot.val();
+            cadeia.unshift({ key, backup });
+            key = backup.metadata?.tipo === 'incremental' ? backup.metadata.base : null;
+        }
+
+        return { success: true, data: cadeia };
+    }
+
+    /**
+     * Aplica em ordem os incrementais sobre o backup completo da cadeia
+     */
+    _reconstruir(cadeia) {
+        const data = JSON.parse(JSON.stringify(cadeia[0].data || {}));
+        cadeia.slice(1).forEach(incremental => {
+            Object.entries(incremental.data || {}).forEach(([path, registros]) => {
+                data[path] = { ...(data[path] || {}), ...registros };
+            });
+            Object.entries(incremental.removidos || {}).forEach(([path, ids]) => {
+                Object.keys(ids).forEach(id => {
+                    if (data[path]) delete data[path][id];
+                });
+            });
+        });
+        return data;
+    }
+
+    /**
+     * Confere um backup completo (arquivo ou reconstruido) com o hash registrado na criacao
+     * @returns {boolean|null} null quando o backup nao tem hash
+     */
+    async conferirHash(backupData) {
+        if (!backupData.metadata?.hash) return null;
+        return await this._calcularHash({ data: backupData.data }) === backupData.metadata.hash;
+    }
+
+    /**
+     * Verifica a integridade de um backup gravado no banco: rele cada snapshot da cadeia,
+     * confere o hash registrado na criacao e a quantidade de registros por caminho do
+     * estado reconstruido. O resultado fica registrado no metadata do backup
+     * @returns {Object} { success, data: { situacao, detalhes, verificadoEm, verificadoPor } }
+     * situacao: 'integro', 'corrompido' (conteudo alterado), 'incompleto' (snapshot ausente
+     * ou registros faltando) ou 'sem-hash' (backup anterior ao registro de hash)
+     */
+    async verificar(backupKey) {
+        try {
             const backups = await this.listBackups();
+            const porChave = Object.fromEntries(backups.map(backup => [backup.key, backup]));
+            const meta = porChave[backupKey];
+            if (!meta) return { success: false, error: 'Backup nao encontrado' };
+
+            const detalhes = [];
+            let corrompido = false;
+            let incompleto = false;
+            let semHash = false;
 
-            for (const backup of backups) {
-                if (backup.createdAt < cutoffString) {
-                    // Remove dados do backup
-                    await remove(ref(this.db, `${BACKUP_PATHS.DATA}/${backup.key}`));
+            const cadeia = await this._lerCadeia(backupKey);
+            if (!cadeia.success) {
+                incompleto = true;
+                detalhes.push(cadeia.error);
+            } else {
+                for (const { key, backup } of cadeia.data) {
+                    const esperado = porChave[key]?.hash;
+                    if (!esperado) {
+                        semHash = true;
+                        continue;
+                    }
 
-                    // Remove metadata
-                    await remove(ref(this.db, `${BACKUP_PATHS.METADATA}/${backup.key}`));
+                    const hash = await this._calcularHash({ data: backup.data, removidos: backup.removidos });
+                    if (hash !== esperado) {
+                        corrompido = true;
+                        detalhes.push(key === backupKey
+                            ? 'Conteudo diferente do registrado na criacao'
+                            : `Backup base ${key} alterado`);
+                    }
+                }
 
-                    console.log(`Backup antigo removido: ${backup.key}`);
+                if (meta.contagem) {
+                    const contagem = this._contarRegistros(this._reconstruir(cadeia.data.map(item => item.backup)));
+                    Object.entries(meta.contagem).forEach(([path, total]) => {
+                        if (contagem[path] !== total) {
+                            incompleto = true;
+                            detalhes.push(`${path}: ${contagem[path] ?? 0} de ${total} registro(s)`);
+                        }
+                    });
                 }
             }
+
+            const verificacao = {
+                situacao: corrompido ? 'corrompido' : incompleto ? 'incompleto' : semHash ? 'sem-hash' : 'integro',
+                detalhes: detalhes.join('; ') || null,
+                verificadoEm: new Date().toISOString(),
+                verificadoPor: authManager.currentUser?.email || 'desconhecido'
+            };
+
+            const resultado = await dbManager.multiUpdate({
+                [`${BACKUP_PATHS.METADATA}/${backupKey}/verificacao`]: verificacao
+            });
+            if (!resultado.success) throw resultado.error;
+
+            return { success: true, data: verificacao };
+        } catch (error) {
+            console.error('Erro ao verificar backup:', error);
+            return { success: false, error: error.message || 'Erro ao verificar backup' };
+        }
+    }
+
+    /**
+     * Compara um backup com os dados atuais, registro a registro
+     * Situacoes do ponto de vista da restauracao:
+     * 'recriar' (so no backup), 'sobrescrever' (diferente) e 'remover' (so nos dados atuais)
+     * Fios de comentarios pertencem aos autores: a restauracao so remove fios inteiros,
+     * nunca os recria nem sobrescreve (regras do Firebase)
+     * @returns {Array} [{ path, registros: [{ id, rotulo, situacao, bloqueado }], iguais }]
+     */
+    async compararComAtual(backupData) {
+        const atual = await this.collectAllData();
+        const paths = (backupData.metadata?.paths || Object.keys(backupData.data || {}))
+            .filter(path => BACKUP_CONFIG.PATHS_TO_BACKUP.includes(path));
+
+        return paths.map(path => {
+            const doBackup = backupData.data?.[path] || {};
+            const doAtual = atual[path] || {};
+            const registros = [];
+            let iguais = 0;
+
+            new Set([...Object.keys(doBackup), ...Object.keys(doAtual)]).forEach(id => {
+                const antigo = doBackup[id];
+                const vigente = doAtual[id];
+
+                let situacao;
+                if (vigente === undefined) {
+                    situacao = 'recriar';
+                } else if (antigo === undefined) {
+                    situacao = 'remover';
+                } else if (serializarOrdenado(this._semMarcas(antigo)) !== serializarOrdenado(this._semMarcas(vigente))) {
+                    situacao = 'sobrescrever';
+                } else {
+                    iguais++;
+                    return;
+                }
+
+                const referencia = antigo || vigente;
+                registros.push({
+                    id,
+                    rotulo: referencia?.sigadoc || referencia?.nome || referencia?.email || id,
+                    situacao,
+                    bloqueado: path === DB_PATHS.COMENTARIOS && situacao !== 'remover'
+                });
+            });
+
+            return { path, registros, iguais };
+        });
+    }
+
+    /**
+     * Remove do registro as marcas gravadas pela propria restauracao, para a comparacao
+     */
+    _semMarcas(registro) {
+        if (!registro || typeof registro !== 'object') return registro;
+        const resto = { ...registro };
+        delete resto.restauradoDe;
+        delete resto.restauradoEm;
+        return resto;
+    }
+
+    /**
+     * Restaura registros de um backup numa unica escrita atomica,
+     * depois de criar automaticamente um backup de seguranca dos dados atuais
+     * @param {Array} selecao - [{ path, id }] dos registros a restaurar
+     */
+    async restaurar(backupKey, selecao) {
+        if (!this.initialized) {
+            return { success: false, error: 'BackupManager nao inicializado' };
+        }
+        if (selecao.length === 0) {
+            return { success: false, error: 'Nenhum registro selecionado' };
+        }
+
+        const backup = await this.getBackup(backupKey);
+        if (!backup.success) return backup;
+
+        const locais = await this._verificarLocaisProcessos(backup.data.data || {}, selecao);
+        if (!locais.success) return locais;
+
+        const indice = await this._alteracoesIndiceSigadoc(backup.data.data || {}, selecao);
+        if (!indice.success) return indice;
+
+        // O backup restaurado fica protegido da limpeza: as regras so aceitam a marca restauradoDe
+        // enquanto ele existe no banco
+        const seguranca = await this.createBackup(false, `Antes da restauracao de ${backupKey}`, [backupKey]);
+        if (!seguranca.success) {
+            return { success: false, error: 'Falha no backup de seguranca. Nada foi restaurado.' };
+        }
+
+        const restauradoEm = new Date().toISOString();
+        const updates = { ...indice.data };
+        selecao.forEach(({ path, id }) => {
+            const valor = backup.data.data?.[path]?.[id] ?? null;
+            // Processos em andamento restaurados podem estar em qualquer etapa do fluxo;
+            // as marcas da restauracao autorizam o status nas regras (como reabertoDe)
+            updates[`${path}/${id}`] = valor && path === DB_PATHS.PROCESSOS_ANDAMENTO
+                ? { ...valor, restauradoDe: backupKey, restauradoEm }
+                : valor;
+        });
+
+        const resultado = await dbManager.multiUpdate(updates);
+        if (!resultado.success) {
+            return { success: false, error: 'Erro ao gravar os dados restaurados. Nada foi alterado.' };
+        }
+
+        console.log(`Backup ${backupKey} restaurado (${selecao.length} registros). Seguranca: ${seguranca.data.key}`);
+        return { success: true, data: { total: selecao.length, seguranca: seguranca.data.key } };
+    }
+
+    /**
+     * Confere que cada processo da restauracao termina em um unico lugar (andamento, finalizados,
+     * cancelados ou lixeira). Restaurar um processo em andamento que depois foi finalizado,
+     * cancelado ou excluido exige selecionar tambem o registro do outro lugar, que entao e
+     * restaurado ou removido conforme o backup na mesma escrita
+     * @returns {Object} { success } ou { success: false, error }
+     */
+    async _verificarLocaisProcessos(dadosBackup, selecao) {
+        const locais = [
+            DB_PATHS.PROCESSOS_ANDAMENTO,
+            DB_PATHS.PROCESSOS_FINALIZADOS,
+            DB_PATHS.PROCESSOS_CANCELADOS,
+            DB_PATHS.LIXEIRA
+        ];
+        const ids = [...new Set(selecao.filter(({ path }) => locais.includes(path)).map(({ id }) => id))];
+
+        try {
+            for (const id of ids) {
+                const finais = [];
+                for (const local of locais) {
+                    const selecionado = selecao.some(item => item.path === local && item.id === id);
+                    const existe = selecionado
+                        ? dadosBackup[local]?.[id] !== undefined && dadosBackup[local]?.[id] !== null
+                        : (await get(ref(this.db, `${local}/${id}`))).exists();
+                    if (existe) finais.push({ local, selecionado });
+                }
+
+                if (finais.length > 1) {
+                    const restaurado = finais.find(f => f.selecionado) || finais[0];
+                    const registro = dadosBackup[restaurado.local]?.[id];
+                    const rotulo = registro?.sigadoc || registro?.dados?.sigadoc || id;
+                    const outros = finais.filter(f => !f.selecionado).map(f => f.local).join(', ');
+                    return {
+                        success: false,
+                        error: `O processo ${rotulo} ficaria em mais de um lugar (${finais.map(f => f.local).join(', ')}). ` +
+                            `Selecione tambem o registro em ${outros} para restaura-lo ou remove-lo junto. Nada foi restaurado.`
+                    };
+                }
+            }
+        } catch (error) {
+            console.error('Erro ao conferir os processos da restauracao:', error);
+            return { success: false, error: 'Erro ao conferir os processos da restauracao. Nada foi restaurado.' };
+        }
+
+        return { success: true };
+    }
+
+    /**
+     * Monta as alteracoes do indice de SIGADOC para os processos em andamento e finalizados
+     * da restauracao: libera o numero dos registros substituidos ou removidos e ocupa o dos
+     * restaurados. Recusa a restauracao se ela deixar dois processos com o mesmo SIGADOC
+     * @returns {Object} { success, data: alteracoes } ou { success: false, error }
+     */
+    async _alteracoesIndiceSigadoc(dadosBackup, selecao) {
+        const indexados = selecao.filter(({ path }) => dbManager.isOrigemIndexada(path));
+        if (indexados.length === 0) return { success: true, data: {} };
+
+        const [indice, andamento, finalizados] = await Promise.all([
+            dbManager.getIndiceSigadoc(),
+            dbManager.getAll(DB_PATHS.PROCESSOS_ANDAMENTO),
+            dbManager.getAll(DB_PATHS.PROCESSOS_FINALIZADOS)
+        ]);
+        if (!indice.success || !andamento.success || !finalizados.success) {
+            return { success: false, error: 'Erro ao ler o indice de SIGADOC. Nada foi restaurado.' };
+        }
+
+        const atuais = {};
+        [...andamento.data, ...finalizados.data].forEach(processo => { atuais[processo.id] = processo; });
+        const reescritos = new Set(indexados.map(({ id }) => id));
+
+        const remocoes = {};
+        const inclusoes = {};
+        for (const { path, id } of indexados) {
+            const anterior = atuais[id];
+            if (anterior?.sigadoc && indice.data[chaveSigadoc(anterior.sigadoc)] === id) {
+                remocoes[`${DB_PATHS.INDICE_SIGADOC}/${chaveSigadoc(anterior.sigadoc)}`] = null;
+            }
+
+            const restaurado = dadosBackup[path]?.[id];
+            if (!restaurado?.sigadoc) continue;
+
+            const caminho = `${DB_PATHS.INDICE_SIGADOC}/${chaveSigadoc(restaurado.sigadoc)}`;
+            const dono = inclusoes[caminho] ?? indice.data[chaveSigadoc(restaurado.sigadoc)];
+            const ocupado = dono && dono !== id && (inclusoes[caminho] || (atuais[dono] && !reescritos.has(dono)));
+            if (ocupado) {
+                return {
+                    success: false,
+                    error: `A restauracao deixaria dois processos com o SIGADOC ${restaurado.sigadoc}. Nada foi restaurado.`
+                };
+            }
+            inclusoes[caminho] = id;
+        }
+
+        // Inclusoes por ultimo: um numero liberado por um registro pode ser ocupado por outro
+        return { success: true, data: { ...remocoes, ...inclusoes } };
+    }
+
+    /**
+     * Le e valida um arquivo JSON gerado por downloadBackup
+     * Confere metadata.version, metadata.paths, a estrutura dos dados e,
+     * quando presentes, o hash e a contagem de registros
+     * @returns {Object} { success, data } ou { success: false, error }
+     */
+    async validarArquivo(conteudo) {
+        let backupData;
+        try {
+            backupData = JSON.parse(conteudo);
+        } catch (error) {
+            return { success: false, error: 'O arquivo nao e um JSON valido' };
+        }
+
+        const metadata = backupData?.metadata;
+        if (!metadata || typeof backupData.data !== 'object') {
+            return { success: false, error: 'O arquivo nao e um backup do sistema (faltam metadata ou data)' };
+        }
+
+        if (!BACKUP_CONFIG.VERSOES_SUPORTADAS.includes(metadata.version)) {
+            return { success: false, error: `Versao de backup nao suportada: ${metadata.version || 'ausente'}` };
+        }
+
+        if (metadata.tipo === 'incremental') {
+            return { success: false, error: 'Backup incremental nao pode ser importado sozinho; baixe-o novamente pelo sistema' };
+        }
+
+        if (!Array.isArray(metadata.paths) || metadata.paths.length === 0) {
+            return { success: false, error: 'O backup nao informa os caminhos salvos (metadata.paths)' };
+        }
+
+        const desconhecidos = metadata.paths.filter(path => !BACKUP_CONFIG.PATHS_TO_BACKUP.includes(path));
+        if (desconhecidos.length > 0) {
+            return { success: false, error: `Caminhos desconhecidos no backup: ${desconhecidos.join(', ')}` };
+        }
+
+        const dados = backupData.data || {};
+        for (const [path, registros] of Object.entries(dados)) {
+            if (!metadata.paths.includes(path)) {
+                return { success: false, error: `Dados de "${path}" fora dos caminhos declarados` };
+            }
+            if (registros !== null && (typeof registros !== 'object' || Array.isArray(registros))) {
+                return { success: false, error: `Conteudo invalido em "${path}"` };
+            }
+            const chaveInvalida = Object.keys(registros || {}).find(id => /[.#$\[\]\/]/.test(id) || !id);
+            if (chaveInvalida !== undefined) {
+                return { success: false, error: `ID invalido em "${path}": ${chaveInvalida}` };
+            }
+        }
+
+        // Arquivos baixados a partir da versao 2.0 trazem hash e contagem de registros
+        if (await this.conferirHash(backupData) === false) {
+            return { success: false, error: 'O conteudo do arquivo nao confere com o hash registrado: arquivo alterado ou corrompido' };
+        }
+
+        const faltando = Object.entries(metadata.contagem || {})
+            .filter(([path, total]) => Object.keys(dados[path] || {}).length !== total)
+            .map(([path]) => path);
+        if (faltando.length > 0) {
+            return { success: false, error: `Backup incompleto: quantidade de registros diferente em ${faltando.join(', ')}` };
+        }
+
+        return { success: true, data: backupData };
+    }
+
+    /**
+     * Importa um backup carregado de arquivo
+     * O arquivo e guardado como backup (pode ser restaurado de novo depois) e aplicado:
+     * 'mesclar' grava apenas os registros que nao existem nos dados atuais;
+     * 'substituir' deixa os caminhos do arquivo identicos a ele
+     * @param {Array} previa - Resultado de compararComAtual para o arquivo
+     */
+    async importar(backupData, previa, modo, nomeArquivo) {
+        if (!this.initialized) {
+            return { success: false, error: 'BackupManager nao inicializado' };
+        }
+
+        const selecao = previa.flatMap(({ path, registros }) => registros
+            .filter(r => !r.bloqueado && (modo === 'substituir' || r.situacao === 'recriar'))
+            .map(r => ({ path, id: r.id })));
+
+        if (selecao.length === 0) {
+            return { success: false, error: 'Nada a importar: os dados atuais ja contem todos os registros do arquivo' };
+        }
+
+        try {
+            const timestamp = new Date().toISOString();
+            const backupKey = `backup_${this._getTodayString()}_${Date.now()}_importado`;
+            const resultado = await dbManager.multiUpdate({
+                [`${BACKUP_PATHS.DATA}/${backupKey}`]: backupData,
+                [`${BACKUP_PATHS.METADATA}/${backupKey}`]: {
+                    key: backupKey,
+                    date: this._getTodayString(),
+                    createdAt: timestamp,
+                    createdBy: authManager.currentUser?.email || 'desconhecido',
+                    automatic: false,
+                    importado: true,
+                    tipo: 'completo',
+                    hash: await this._calcularHash({ data: backupData.data }),
+                    contagem: this._contarRegistros(backupData.data),
+                    size: this._formatSize(JSON.stringify(backupData)),
+                    observacao: `Importado do arquivo ${nomeArquivo} (backup de ${backupData.metadata.createdAt || 'data desconhecida'})`
+                }
+            });
+            if (!resultado.success) throw resultado.error;
+
+            return await this.restaurar(backupKey, selecao);
+        } catch (error) {
+            console.error('Erro ao importar backup:', error);
+            return { success: false, error: error.message || 'Erro ao importar backup' };
+        }
+    }
+
+    /**
+     * Seleciona os backups mantidos pelas faixas de retencao da politica:
+     * todos os backups dos N dias mais recentes com backup, o mais recente de cada
+     * uma das N semanas mais recentes e o mais recente de cada um dos N meses mais recentes
+     * @param {Array} backups - Ordenados do mais recente para o mais antigo
+     */
+    _selecionarPorRetencao(backups, retencao) {
+        const mantidos = new Set();
+
+        const semanaDe = (backup) => {
+            const inicio = new Date(backup.createdAt);
+            inicio.setHours(0, 0, 0, 0);
+            inicio.setDate(inicio.getDate() - (inicio.getDay() + 6) % 7);
+            return inicio.toISOString();
+        };
+
+        const faixas = [
+            { chave: backup => backup.date, limite: retencao.diarios, todos: true },
+            { chave: semanaDe, limite: retencao.semanais },
+            { chave: backup => backup.date.slice(0, 7), limite: retencao.mensais }
+        ];
+
+        faixas.forEach(({ chave, limite, todos }) => {
+            const periodos = new Set();
+            backups.forEach(backup => {
+                const periodo = chave(backup);
+                if (!periodos.has(periodo)) {
+                    if (periodos.size >= limite) return;
+                    periodos.add(periodo);
+                    mantidos.add(backup.key);
+                } else if (todos) {
+                    mantidos.add(backup.key);
+                }
+            });
+        });
+
+        return mantidos;
+    }
+
+    /**
+     * Remove os backups fora das faixas de retencao da politica (diarios, semanais e mensais)
+     * Backups que ainda sao base de um incremental mantido nao sao removidos.
+     * Destinos externos (arquivo, HTTP) tem retencao propria
+     * @param {Array} protegidos - Chaves mantidas alem das faixas (ex.: backup sendo restaurado)
+     */
+    async cleanupOldBackups(protegidos = []) {
+        try {
+            const politica = await this.getPolitica();
+            const backups = await this.listBackups();
+            const porChave = Object.fromEntries(backups.map(backup => [backup.key, backup]));
+            const mantidos = [
+                ...this._selecionarPorRetencao(backups, politica.retencao),
+                ...protegidos.filter(key => porChave[key])
+            ];
+
+            // Percorre a cadeia de cada backup mantido marcando as bases necessarias
+            const necessarios = new Set(mantidos);
+            mantidos.forEach(key => {
+                let base = porChave[key].base;
+                while (base && !necessarios.has(base)) {
+                    necessarios.add(base);
+                    base = porChave[base]?.base;
+                }
+            });
+
+            const antigos = backups.filter(backup => !necessarios.has(backup.key));
+            if (antigos.length === 0) return;
+
+            // Remove dados e metadata de todos os backups antigos numa unica escrita
+            const updates = {};
+            antigos.forEach(backup => {
+                updates[`${BACKUP_PATHS.DATA}/${backup.key}`] = null;
+                updates[`${BACKUP_PATHS.METADATA}/${backup.key}`] = null;
+            });
+
+            const resultado = await dbManager.multiUpdate(updates);
+            if (resultado.success) {
+                antigos.forEach(backup => console.log(`Backup antigo removido: ${backup.key}`));
+            }
         } catch (error) {
             console.error('Erro na limpeza de backups antigos:', error);
         }
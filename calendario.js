@@ -0,0 +1,439 @@
+/**
+ * Módulo de Calendário
+ * Calcula dias úteis considerando fins de semana, feriados nacionais
+ * (fixos e móveis, derivados da Páscoa), feriados locais e recessos
+ * cadastrados pelos gestores no Firebase
+ */
+
+import {
+    ref,
+    get,
+    push,
+    onValue
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js';
+
+import { DB_PATHS, FERIADOS_NACIONAIS_FIXOS, MESSAGES } from './config.js';
+import authManager from './auth.js';
+import auditoriaManager from './auditoria.js';
+import {
+    parseDataLocal,
+    isoParaInputDate,
+    formatarData,
+    escaparHtml,
+    showLoading,
+    hideLoading,
+    showNotification
+} from './utils.js';
+
+class CalendarioManager {
+    constructor() {
+        this.db = null;
+        this.feriadosLocais = [];
+        this.recessos = [];
+        this.cacheNacionais = {};
+        this.unsubscribe = null;
+        this.callbacks = [];
+    }
+
+    /**
+     * Inicializa o calendário e escuta feriados locais e recessos em tempo real
+     */
+    async initialize() {
+        this.db = window.database;
+        if (!this.db) {
+            console.warn('CalendarioManager: Firebase Database nao disponivel');
+            return;
+        }
+
+        try {
+            const snapshot = await get(ref(this.db, DB_PATHS.CALENDARIO));
+            this.aplicarDados(snapshot.exists() ? snapshot.val() : {});
+        } catch (error) {
+            console.error('Erro ao carregar calendário:', error);
+        }
+
+        this.unsubscribe = onValue(ref(this.db, DB_PATHS.CALENDARIO), (snapshot) => {
+            this.aplicarDados(snapshot.exists() ? snapshot.val() : {});
+            this.callbacks.forEach(cb => cb());
+            this.renderListas();
+        });
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Registra callback para mudanças no calendário
+     */
+    onChange(callback) {
+        this.callbacks.push(callback);
+    }
+
+    /**
+     * Converte o nó do calendário em listas com ID
+     */
+    aplicarDados(dados) {
+        const paraLista = (obj) => Object.entries(obj || {}).map(([id, value]) => ({ ...value, id }));
+        this.feriadosLocais = paraLista(dados.feriados);
+        this.recessos = paraLista(dados.recessos);
+    }
+
+    // ============ FERIADOS NACIONAIS ============
+
+    /**
+     * Calcula o domingo de Páscoa (algoritmo de Meeus/Jones/Butcher)
+     */
+    calcularPascoa(ano) {
+        const a = ano % 19;
+        const b = Math.floor(ano / 100);
+        const c = ano % 100;
+        const d = Math.floor(b / 4);
+        const e = b % 4;
+        const f = Math.floor((b + 8) / 25);
+        const g = Math.floor((b - f + 1) / 3);
+        const h = (19 * a + b - d - g + 15) % 30;
+        const i = Math.floor(c / 4);
+        const k = c % 4;
+        const l = (32 + 2 * e + 2 * i - h - k) % 7;
+        const m = Math.floor((a + 11 * h + 22 * l) / 451);
+        const mes = Math.floor((h + l - 7 * m + 114) / 31);
+        const dia = ((h + l - 7 * m + 114) % 31) + 1;
+        return new Date(ano, mes - 1, dia);
+    }
+
+    /**
+     * Retorna os feriados nacionais do ano (fixos + móveis)
+     * @returns {Array} [{ data: 'YYYY-MM-DD', descricao }]
+     */
+    getFeriadosNacionais(ano) {
+        if (this.cacheNacionais[ano]) return this.cacheNacionais[ano];
+
+        const fixos = FERIADOS_NACIONAIS_FIXOS
+            .filter(f => !f.desde || ano >= f.desde)
+            .map(f => ({
+                data: `${ano}-${f.mesDia}`,
+                descricao: f.descricao
+            }));
+
+        const pascoa = this.calcularPascoa(ano);
+        const relativoPascoa = (dias, descricao) => {
+            const data = new Date(pascoa);
+            data.setDate(pascoa.getDate() + dias);
+            return { data: isoParaInputDate(data), descricao };
+        };
+
+        const moveis = [
+            relativoPascoa(-48, 'Carnaval (segunda-feira)'),
+            relativoPascoa(-47, 'Carnaval (terça-feira)'),
+            relativoPascoa(-2, 'Sexta-feira Santa'),
+            relativoPascoa(60, 'Corpus Christi')
+        ];
+
+        this.cacheNacionais[ano] = [...fixos, ...moveis]
+            .sort((a, b) => a.data.localeCompare(b.data));
+        return this.cacheNacionais[ano];
+    }
+
+    // ============ CONSULTAS ============
+
+    /**
+     * Retorna a descrição do feriado ou recesso da data, ou null se não houver
+     */
+    getFeriado(data) {
+        const dataStr = isoParaInputDate(data);
+        if (!dataStr) return null;
+
+        const ano = Number(dataStr.substring(0, 4));
+        const mesDia = dataStr.substring(5);
+
+        const nacional = this.getFeriadosNacionais(ano).find(f => f.data === dataStr);
+        if (nacional) return nacional.descricao;
+
+        const local = this.feriadosLocais.find(f =>
+            f.recorrente ? f.data?.substring(5) === mesDia : f.data === dataStr
+        );
+        if (local) return local.descricao;
+
+        const recesso = this.recessos.find(r => r.inicio <= dataStr && dataStr <= r.fim);
+        if (recesso) return recesso.descricao;
+
+        return null;
+    }
+
+    /**
+     * Verifica se a data é dia útil (não é fim de semana, feriado ou recesso)
+     */
+    isDiaUtil(data) {
+        const d = parseDataLocal(data);
+        if (!d) return false;
+        const diaSemana = d.getDay();
+        if (diaSemana === 0 || diaSemana === 6) return false;
+        return this.getFeriado(d) === null;
+    }
+
+    /**
+     * Calcula dias úteis entre duas datas (inclusive)
+     */
+    calcularDiasUteis(dataInicio, dataFim) {
+        const inicio = parseDataLocal(dataInicio);
+        const fim = parseDataLocal(dataFim);
+        if (!inicio || !fim) return 0;
+
+        let diasUteis = 0;
+        const atual = new Date(inicio);
+        while (atual <= fim) {
+            if (this.isDiaUtil(atual)) diasUteis++;
+            atual.setDate(atual.getDate() + 1);
+        }
+        return diasUteis;
+    }
+
+    /**
+     * Retorna a própria data, se for dia útil, ou o próximo dia útil
+     */
+    proximoDiaUtil(data) {
+        const atual = parseDataLocal(data);
+        if (!atual) return null;
+        while (!this.isDiaUtil(atual)) {
+            atual.setDate(atual.getDate() + 1);
+        }
+        return isoParaInputDate(atual);
+    }
+
+    /**
+     * Soma dias úteis a uma data (o dia inicial não é contado)
+     * @returns {string} Data resultante no formato YYYY-MM-DD
+     */
+    adicionarDiasUteis(dataInicio, quantidade) {
+        const atual = parseDataLocal(dataInicio);
+        if (!atual) return null;
+
+        let restantes = quantidade;
+        while (restantes > 0) {
+            atual.setDate(atual.getDate() + 1);
+            if (this.isDiaUtil(atual)) restantes--;
+        }
+        return isoParaInputDate(atual);
+    }
+
+    /**
+     * Dias úteis até o prazo (negativo se vencido)
+     * Prazo que cai em dia não útil é prorrogado para o primeiro dia útil seguinte
+     */
+    diasUteisAtePrazo(dataFinal) {
+        if (!dataFinal) return null;
+
+        const prazo = this.proximoDiaUtil(dataFinal);
+        if (!prazo) return null;
+
+        const hoje = isoParaInputDate(new Date());
+        if (prazo === hoje) return 0;
+
+        if (prazo > hoje) {
+            return this.calcularDiasUteis(hoje, prazo) - (this.isDiaUtil(hoje) ? 1 : 0);
+        }
+        return -Math.max(1, this.calcularDiasUteis(prazo, hoje) - 1);
+    }
+
+    // ============ CADASTRO (APENAS GESTORES) ============
+
+    /**
+     * Configura event listeners do modal de calendário
+     */
+    setupEventListeners() {
+        document.getElementById('btnConfigurarCalendario')?.addEventListener('click', () => {
+            this.abrirModal();
+        });
+
+        document.getElementById('calendarioAno')?.addEventListener('change', () => {
+            this.renderNacionais();
+        });
+
+        document.getElementById('formFeriado')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvarFeriado();
+        });
+
+        document.getElementById('formRecesso')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvarRecesso();
+        });
+
+        // Remoção por delegação
+        document.getElementById('modalCalendario')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.btn-remover-calendario');
+            if (!btn) return;
+            this.remover(btn.dataset.tipo, btn.dataset.id);
+        });
+    }
+
+    /**
+     * Abre o modal de calendário
+     */
+    abrirModal() {
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem gerenciar o calendário', 'warning');
+            return;
+        }
+
+        const selectAno = document.getElementById('calendarioAno');
+        if (selectAno) {
+            const anoAtual = new Date().getFullYear();
+            selectAno.innerHTML = [anoAtual - 1, anoAtual, anoAtual + 1]
+                .map(ano => `<option value="${ano}" ${ano === anoAtual ? 'selected' : ''}>${ano}</option>`)
+                .join('');
+        }
+
+        this.renderNacionais();
+        this.renderListas();
+        document.getElementById('modalCalendario')?.classList.add('active');
+    }
+
+    /**
+     * Renderiza os feriados nacionais do ano selecionado
+     */
+    renderNacionais() {
+        const container = document.getElementById('calendarioNacionais');
+        if (!container) return;
+
+        const ano = parseInt(document.getElementById('calendarioAno')?.value) || new Date().getFullYear();
+        container.innerHTML = `
+            <ul class="calendario-lista">
+                ${this.getFeriadosNacionais(ano).map(f => `
+                    <li><strong>${formatarData(f.data)}</strong> ${escaparHtml(f.descricao)}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Renderiza feriados locais e recessos cadastrados
+     */
+    renderListas() {
+        const containerFeriados = document.getElementById('calendarioLocais');
+        const containerRecessos = document.getElementById('calendarioRecessos');
+
+        if (containerFeriados) {
+            const feriados = [...this.feriadosLocais].sort((a, b) => (a.data || '').localeCompare(b.data || ''));
+            containerFeriados.innerHTML = feriados.length === 0
+                ? '<p class="form-help">Nenhum feriado local cadastrado.</p>'
+                : `<ul class="calendario-lista">
+                    ${feriados.map(f => `
+                        <li>
+                            <span>
+                                <strong>${f.recorrente ? formatarData(f.data).substring(0, 5) + ' (anual)' : formatarData(f.data)}</strong>
+                                ${escaparHtml(f.descricao)}
+                            </span>
+                            <button type="button" class="btn-icon btn-delete btn-remover-calendario"
+                                data-tipo="feriados" data-id="${f.id}" title="Remover">🗑️</button>
+                        </li>
+                    `).join('')}
+                </ul>`;
+        }
+
+        if (containerRecessos) {
+            const recessos = [...this.recessos].sort((a, b) => (a.inicio || '').localeCompare(b.inicio || ''));
+            containerRecessos.innerHTML = recessos.length === 0
+                ? '<p class="form-help">Nenhum recesso cadastrado.</p>'
+                : `<ul class="calendario-lista">
+                    ${recessos.map(r => `
+                        <li>
+                            <span>
+                                <strong>${formatarData(r.inicio)} a ${formatarData(r.fim)}</strong>
+                                ${escaparHtml(r.descricao)}
+                            </span>
+                            <button type="button" class="btn-icon btn-delete btn-remover-calendario"
+                                data-tipo="recessos" data-id="${r.id}" title="Remover">🗑️</button>
+                        </li>
+                    `).join('')}
+                </ul>`;
+        }
+    }
+
+    /**
+     * Salva um feriado local
+     */
+    async salvarFeriado() {
+        const feriado = {
+            data: document.getElementById('inputFeriadoData').value,
+            descricao: document.getElementById('inputFeriadoDescricao').value.trim(),
+            recorrente: document.getElementById('inputFeriadoRecorrente').checked
+        };
+
+        if (!feriado.data || !feriado.descricao) {
+            showNotification('Informe a data e a descrição do feriado', 'error');
+            return;
+        }
+
+        await this.gravar('feriados', feriado);
+        document.getElementById('formFeriado')?.reset();
+    }
+
+    /**
+     * Salva um período de recesso
+     */
+    async salvarRecesso() {
+        const recesso = {
+            inicio: document.getElementById('inputRecessoInicio').value,
+            fim: document.getElementById('inputRecessoFim').value,
+            descricao: document.getElementById('inputRecessoDescricao').value.trim()
+        };
+
+        if (!recesso.inicio || !recesso.fim || !recesso.descricao) {
+            showNotification('Informe o período e a descrição do recesso', 'error');
+            return;
+        }
+
+        if (recesso.fim < recesso.inicio) {
+            showNotification('A data final do recesso deve ser posterior à inicial', 'error');
+            return;
+        }
+
+        await this.gravar('recessos', recesso);
+        document.getElementById('formRecesso')?.reset();
+    }
+
+    /**
+     * Grava um item (feriado ou recesso) no calendário
+     */
+    async gravar(tipo, dados) {
+        showLoading();
+        try {
+            const chave = push(ref(this.db, `${DB_PATHS.CALENDARIO}/${tipo}`)).key;
+            await auditoriaManager.gravar({
+                [`${DB_PATHS.CALENDARIO}/${tipo}/${chave}`]: {
+                    ...dados,
+                    criadoPor: authManager.currentUser?.email || 'desconhecido',
+                    createdAt: new Date().toISOString()
+                }
+            });
+            showNotification(MESSAGES.SUCCESS.SAVE, 'success');
+        } catch (error) {
+            console.error('Erro ao salvar item do calendário:', error);
+            showNotification(MESSAGES.ERROR.SAVE, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Remove um feriado local ou recesso
+     */
+    async remover(tipo, id) {
+        if (!confirm(MESSAGES.CONFIRM.DELETE)) return;
+
+        showLoading();
+        try {
+            await auditoriaManager.gravar({ [`${DB_PATHS.CALENDARIO}/${tipo}/${id}`]: null });
+            showNotification(MESSAGES.SUCCESS.DELETE, 'success');
+        } catch (error) {
+            console.error('Erro ao remover item do calendário:', error);
+            showNotification(MESSAGES.ERROR.DELETE, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+}
+
+// Singleton
+const calendarioManager = new CalendarioManager();
+export default calendarioManager;
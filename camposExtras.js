@@ -0,0 +1,564 @@
+/**
+ * Módulo de Campos Personalizados
+ * Campos adicionais do processo definidos pelos gestores para cada tipo de cotação
+ * (ex.: modalidade e valor estimado na licitação). Os valores ficam em camposExtras,
+ * aparecem no formulário conforme o tipo escolhido e nas exportações e filtros dos relatórios
+ */
+
+import dbManager from './database.js';
+import authManager from './auth.js';
+import listasManager from './listas.js';
+import { DB_PATHS, MESSAGES } from './config.js';
+import {
+    TIPOS_CAMPO_EXTRA,
+    TAMANHO_MAXIMO_CAMPO_EXTRA,
+    CARACTERES_PROIBIDOS_LISTA,
+    TAMANHO_MAXIMO_VALOR_LISTA
+} from './schema.js';
+import {
+    formatarData,
+    formatarMoeda,
+    escaparHtml,
+    normalizarTexto,
+    showLoading,
+    hideLoading,
+    showNotification
+} from './utils.js';
+
+class CamposExtrasManager {
+    constructor() {
+        this.salvos = {}; // { tipoCotacao: { campoId: { rotulo, tipo, obrigatorio, ordem, opcoes } } }
+        this.callbacks = [];
+        this.tipoEditando = null;
+        this.campoEditando = null; // id do campo em edição no cadastro
+    }
+
+    /**
+     * Inicializa o módulo e escuta as definições em tempo real
+     */
+    async initialize() {
+        const resultado = await dbManager.getCamposPersonalizados();
+        if (resultado.success) {
+            this.salvos = resultado.data;
+        }
+
+        dbManager.listen(DB_PATHS.CAMPOS_PERSONALIZADOS, (data) => {
+            this.salvos = {};
+            data.forEach(({ id, ...campos }) => {
+                this.salvos[id] = campos;
+            });
+            this.callbacks.forEach(cb => cb());
+            if (document.getElementById('modalCamposExtras')?.classList.contains('active')) {
+                this.renderCampos();
+            }
+        });
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Registra callback para mudanças nas definições
+     */
+    onChange(callback) {
+        this.callbacks.push(callback);
+    }
+
+    /**
+     * Campos personalizados de um tipo de cotação, na ordem definida pelo gestor
+     * @returns {Array} [{ id, rotulo, tipo, obrigatorio, opcoes: [...] }]
+     */
+    definicoes(tipoCotacao) {
+        const ordenar = (objeto) => Object.entries(objeto || {}).sort(([, a], [, b]) => a - b).map(([chave]) => chave);
+
+        return Object.entries(this.salvos[tipoCotacao] || {})
+            .sort(([, a], [, b]) => a.ordem - b.ordem)
+            .map(([id, { rotulo, tipo, obrigatorio, opcoes }]) => ({
+                id,
+                rotulo,
+                tipo,
+                obrigatorio: !!obrigatorio,
+                opcoes: ordenar(opcoes)
+            }));
+    }
+
+    /**
+     * Texto de exibição de um valor conforme o tipo do campo
+     */
+    formatarValor(campo, valor) {
+        if (valor === undefined || valor === null || valor === '') return '';
+
+        switch (campo.tipo) {
+            case 'moeda': return formatarMoeda(valor);
+            case 'numero': return Number(valor).toLocaleString('pt-BR');
+            case 'data': return formatarData(valor);
+            case 'booleano': return valor ? 'Sim' : 'Não';
+            default: return String(valor);
+        }
+    }
+
+    /**
+     * Colunas de exportação dos campos personalizados dos tipos de cotação presentes nos processos
+     * Campos de tipos diferentes com o mesmo rótulo ocupam a mesma coluna
+     * @returns {Array} [{ rotulo, valor(processo) }]
+     */
+    colunasExportacao(processos) {
+        const tipos = listasManager.valores('TIPO_COTACAO', { incluirInativos: true })
+            .filter(tipo => processos.some(p => p.tipoCotacao === tipo));
+
+        const rotulos = [];
+        tipos.forEach(tipo => {
+            this.definicoes(tipo).forEach(campo => {
+                if (!rotulos.includes(campo.rotulo)) rotulos.push(campo.rotulo);
+            });
+        });
+
+        return rotulos.map(rotulo => ({
+            rotulo,
+            valor: (processo) => {
+                const campo = this.definicoes(processo.tipoCotacao).find(c => c.rotulo === rotulo);
+                return campo ? this.formatarValor(campo, processo.camposExtras?.[campo.id]) : '';
+            }
+        }));
+    }
+
+    // ============ FORMULÁRIO DO PROCESSO ============
+
+    /**
+     * Renderiza os campos personalizados do tipo de cotação no formulário do processo
+     * A seção que contém o container fica oculta quando o tipo não tem campos
+     * @param {Object} valores - Valores a preencher ({ campoId: valor })
+     */
+    renderFormulario(container, tipoCotacao, valores = {}) {
+        if (!container) return;
+
+        const campos = tipoCotacao ? this.definicoes(tipoCotacao) : [];
+        const secao = container.closest('.form-section');
+        if (secao) secao.hidden = campos.length === 0;
+
+        container.innerHTML = campos.map(campo => {
+            const id = `campoExtra_${campo.id}`;
+            const valor = valores[campo.id];
+            const atributos = `id="${id}" data-campo-extra="${campo.id}" data-tipo="${campo.tipo}" ${campo.obrigatorio ? 'required' : ''}`;
+            const rotulo = `${escaparHtml(campo.rotulo)}${campo.obrigatorio ? '*' : ''}`;
+
+            let controle;
+            switch (campo.tipo) {
+                case 'numero':
+                    controle = `<input type="number" step="any" ${atributos} value="${valor ?? ''}">`;
+                    break;
+                case 'moeda':
+                    controle = `<input type="number" step="0.01" min="0" placeholder="R$" ${atributos} value="${valor ?? ''}">`;
+                    break;
+                case 'data':
+                    controle = `<input type="date" ${atributos} value="${escaparHtml(valor ?? '')}">`;
+                    break;
+                case 'selecao': {
+                    // Opção removida da definição continua visível no processo que a usa
+                    const opcoes = valor && !campo.opcoes.includes(valor) ? [...campo.opcoes, valor] : campo.opcoes;
+                    controle = `
+                        <select ${atributos}>
+                            <option value="">Selecione...</option>
+                            ${opcoes.map(opcao => `
+                                <option value="${escaparHtml(opcao)}" ${opcao === valor ? 'selected' : ''}>${escaparHtml(opcao)}</option>
+                            `).join('')}
+                        </select>
+                    `;
+                    break;
+                }
+                case 'booleano':
+                    return `
+                        <div class="form-group">
+                            <label class="workflow-check">
+                                <input type="checkbox" id="${id}" data-campo-extra="${campo.id}" data-tipo="booleano" ${valor ? 'checked' : ''}>
+                                ${escaparHtml(campo.rotulo)}
+                            </label>
+                        </div>
+                    `;
+                default:
+                    controle = `<input type="text" maxlength="${TAMANHO_MAXIMO_CAMPO_EXTRA}" ${atributos} value="${escaparHtml(valor ?? '')}">`;
+            }
+
+            return `
+                <div class="form-group">
+                    <label for="${id}">${rotulo}</label>
+                    ${controle}
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Lê os campos personalizados renderizados no formulário
+     * @returns {Object} { campoId: valor } (null para os não preenchidos)
+     */
+    lerFormulario(container) {
+        const valores = {};
+        container?.querySelectorAll('[data-campo-extra]').forEach(input => {
+            const { campoExtra, tipo } = input.dataset;
+            if (tipo === 'booleano') {
+                valores[campoExtra] = input.checked;
+            } else if (input.value.trim() === '') {
+                valores[campoExtra] = null;
+            } else if (tipo === 'numero') {
+                valores[campoExtra] = Number(input.value);
+            } else if (tipo === 'moeda') {
+                valores[campoExtra] = Math.round(Number(input.value) * 100) / 100;
+            } else {
+                valores[campoExtra] = tipo === 'texto' ? input.value.trim() : input.value;
+            }
+        });
+        return valores;
+    }
+
+    // ============ FILTRO DOS RELATÓRIOS ============
+
+    /**
+     * Renderiza o controle de valor do filtro conforme o tipo do campo
+     * Texto: contém; seleção e Sim/Não: igual; número, moeda e data: intervalo
+     */
+    renderFiltro(container, campo) {
+        if (!container) return;
+        if (!campo) {
+            container.innerHTML = '';
+            return;
+        }
+
+        switch (campo.tipo) {
+            case 'selecao':
+            case 'booleano': {
+                const opcoes = campo.tipo === 'booleano'
+                    ? [['true', 'Sim'], ['false', 'Não']]
+                    : campo.opcoes.map(opcao => [opcao, opcao]);
+                container.innerHTML = `
+                    <select data-filtro="valor" class="input-date">
+                        <option value="">Qualquer valor</option>
+                        ${opcoes.map(([valor, rotulo]) => `<option value="${escaparHtml(valor)}">${escaparHtml(rotulo)}</option>`).join('')}
+                    </select>
+                `;
+                break;
+            }
+            case 'numero':
+            case 'moeda':
+            case 'data': {
+                const tipo = campo.tipo === 'data' ? 'date' : 'number';
+                container.innerHTML = `
+                    <input type="${tipo}" step="any" data-filtro="minimo" class="input-date" placeholder="De">
+                    até
+                    <input type="${tipo}" step="any" data-filtro="maximo" class="input-date" placeholder="Até">
+                `;
+                break;
+            }
+            default:
+                container.innerHTML = '<input type="text" data-filtro="valor" class="input-date" placeholder="Contém">';
+        }
+    }
+
+    /**
+     * Lê o filtro renderizado por renderFiltro
+     * @returns {Object} { valor } ou { minimo, maximo } (vazios como null)
+     */
+    lerFiltro(container) {
+        const filtro = {};
+        container?.querySelectorAll('[data-filtro]').forEach(input => {
+            filtro[input.dataset.filtro] = input.value.trim() === '' ? null : input.value.trim();
+        });
+        return filtro;
+    }
+
+    /**
+     * Verifica se o processo atende ao filtro de um campo personalizado
+     */
+    atendeFiltro(processo, campo, filtro) {
+        const valor = processo.camposExtras?.[campo.id];
+
+        switch (campo.tipo) {
+            case 'selecao':
+                return filtro.valor === null || valor === filtro.valor;
+            case 'booleano':
+                return filtro.valor === null || !!valor === (filtro.valor === 'true');
+            case 'numero':
+            case 'moeda':
+            case 'data': {
+                if (filtro.minimo === null && filtro.maximo === null) return true;
+                if (valor === undefined || valor === null || valor === '') return false;
+                // Datas comparadas como texto ISO
+                const converter = campo.tipo === 'data' ? (v) => String(v).slice(0, 10) : Number;
+                return (filtro.minimo === null || converter(valor) >= converter(filtro.minimo)) &&
+                    (filtro.maximo === null || converter(valor) <= converter(filtro.maximo));
+            }
+            default:
+                return filtro.valor === null || normalizarTexto(valor).includes(normalizarTexto(filtro.valor));
+        }
+    }
+
+    // ============ CADASTRO DE CAMPOS (APENAS GESTORES) ============
+
+    /**
+     * Configura event listeners do modal de campos personalizados
+     */
+    setupEventListeners() {
+        document.getElementById('btnAbrirCamposExtras')?.addEventListener('click', () => {
+            this.abrirModal();
+        });
+
+        document.getElementById('camposExtrasTipo')?.addEventListener('change', (e) => {
+            this.tipoEditando = e.target.value;
+            this.limparFormulario();
+            this.renderCampos();
+        });
+
+        document.getElementById('campoExtraTipo')?.addEventListener('change', () => {
+            this.atualizarFormularioCampo();
+        });
+
+        document.getElementById('btnCancelarCampoExtra')?.addEventListener('click', () => {
+            this.limparFormulario();
+        });
+
+        document.getElementById('formCampoExtra')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvarCampo();
+        });
+
+        document.getElementById('camposExtrasLista')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.btn-icon');
+            if (!btn) return;
+            const indice = Number(btn.dataset.indice);
+
+            if (btn.dataset.action === 'up') {
+                this.moverCampo(indice, -1);
+            } else if (btn.dataset.action === 'down') {
+                this.moverCampo(indice, 1);
+            } else if (btn.dataset.action === 'edit') {
+                this.preencherFormulario(indice);
+            } else if (btn.dataset.action === 'delete') {
+                this.removerCampo(indice);
+            }
+        });
+    }
+
+    /**
+     * Abre o modal de campos personalizados
+     */
+    abrirModal() {
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem configurar campos personalizados', 'warning');
+            return;
+        }
+
+        const select = document.getElementById('camposExtrasTipo');
+        if (select) {
+            listasManager.preencherSelect(select, 'TIPO_COTACAO', { incluirInativos: true });
+            this.tipoEditando = select.value;
+        }
+
+        const selectTipo = document.getElementById('campoExtraTipo');
+        if (selectTipo) {
+            selectTipo.innerHTML = Object.entries(TIPOS_CAMPO_EXTRA)
+                .map(([tipo, rotulo]) => `<option value="${tipo}">${rotulo}</option>`)
+                .join('');
+        }
+
+        this.limparFormulario();
+        this.renderCampos();
+        document.getElementById('modalCamposExtras')?.classList.add('active');
+    }
+
+    /**
+     * Renderiza os campos do tipo de cotação selecionado
+     */
+    renderCampos() {
+        const container = document.getElementById('camposExtrasLista');
+        if (!container) return;
+
+        const campos = this.definicoes(this.tipoEditando);
+        if (campos.length === 0) {
+            container.innerHTML = '<p class="form-help">Nenhum campo personalizado para este tipo de cotação.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Ordem</th>
+                        <th>Rótulo</th>
+                        <th>Tipo</th>
+                        <th>Obrigatório</th>
+                        <th>Opções</th>
+                        <th>Ações</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${campos.map((campo, indice) => `
+                        <tr>
+                            <td>${indice + 1}</td>
+                            <td>${escaparHtml(campo.rotulo)}</td>
+                            <td>${TIPOS_CAMPO_EXTRA[campo.tipo] || campo.tipo}</td>
+                            <td>${campo.obrigatorio ? 'Sim' : 'Não'}</td>
+                            <td>${escaparHtml(campo.opcoes.join(', ')) || '-'}</td>
+                            <td class="table-actions">
+                                <button type="button" class="btn-icon" data-action="up" data-indice="${indice}" title="Subir" ${indice === 0 ? 'disabled' : ''}>⬆️</button>
+                                <button type="button" class="btn-icon" data-action="down" data-indice="${indice}" title="Descer" ${indice === campos.length - 1 ? 'disabled' : ''}>⬇️</button>
+                                <button type="button" class="btn-icon btn-edit" data-action="edit" data-indice="${indice}" title="Editar">✏️</button>
+                                <button type="button" class="btn-icon btn-delete" data-action="delete" data-indice="${indice}" title="Excluir">🗑️</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Mostra as opções apenas para seleção; Sim/Não não pode ser obrigatório
+     */
+    atualizarFormularioCampo() {
+        const tipo = document.getElementById('campoExtraTipo')?.value;
+        const grupoOpcoes = document.getElementById('campoExtraOpcoesGrupo');
+        if (grupoOpcoes) grupoOpcoes.hidden = tipo !== 'selecao';
+
+        const obrigatorio = document.getElementById('campoExtraObrigatorio');
+        if (obrigatorio) {
+            obrigatorio.disabled = tipo === 'booleano';
+            if (tipo === 'booleano') obrigatorio.checked = false;
+        }
+    }
+
+    /**
+     * Limpa o formulário e sai do modo de edição
+     */
+    limparFormulario() {
+        this.campoEditando = null;
+        document.getElementById('formCampoExtra')?.reset();
+        const selectTipo = document.getElementById('campoExtraTipo');
+        if (selectTipo) selectTipo.disabled = false;
+        const titulo = document.getElementById('campoExtraTitulo');
+        if (titulo) titulo.textContent = 'Adicionar Campo';
+        this.atualizarFormularioCampo();
+    }
+
+    /**
+     * Carrega um campo no formulário para edição
+     * O tipo não muda depois de criado, para não invalidar os valores já gravados
+     */
+    preencherFormulario(indice) {
+        const campo = this.definicoes(this.tipoEditando)[indice];
+        if (!campo) return;
+
+        this.campoEditando = campo.id;
+        document.getElementById('campoExtraRotulo').value = campo.rotulo;
+        document.getElementById('campoExtraTipo').value = campo.tipo;
+        document.getElementById('campoExtraOpcoes').value = campo.opcoes.join('\n');
+        document.getElementById('campoExtraObrigatorio').checked = campo.obrigatorio;
+        const titulo = document.getElementById('campoExtraTitulo');
+        if (titulo) titulo.textContent = `Editar Campo "${campo.rotulo}"`;
+        this.atualizarFormularioCampo();
+        document.getElementById('campoExtraTipo').disabled = true;
+    }
+
+    /**
+     * Gera o identificador do campo a partir do rótulo (ex.: "Valor Estimado" → valorEstimado)
+     */
+    gerarId(rotulo, campos) {
+        const palavras = normalizarTexto(rotulo).replace(/[^a-z0-9 ]/g, '').split(' ').filter(Boolean);
+        let base = palavras.map((p, i) => i === 0 ? p : p[0].toUpperCase() + p.slice(1)).join('').slice(0, 36);
+        if (!/^[a-z]/.test(base)) base = `campo${base}`;
+
+        let id = base;
+        for (let i = 2; campos.some(c => c.id === id); i++) id = `${base}${i}`;
+        return id;
+    }
+
+    /**
+     * Grava os campos do tipo de cotação em edição
+     */
+    async salvar(campos) {
+        showLoading();
+        try {
+            const resultado = await dbManager.salvarCamposPersonalizados(this.tipoEditando, campos);
+            if (!resultado.success) showNotification(MESSAGES.ERROR.SAVE, 'error');
+            return resultado.success;
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Adiciona um campo ou atualiza o campo em edição
+     */
+    async salvarCampo() {
+        if (!this.tipoEditando) return;
+
+        const campos = this.definicoes(this.tipoEditando);
+        const rotulo = document.getElementById('campoExtraRotulo').value.trim();
+        const tipo = document.getElementById('campoExtraTipo').value;
+        const obrigatorio = document.getElementById('campoExtraObrigatorio').checked;
+        const opcoes = [...new Set(document.getElementById('campoExtraOpcoes').value
+            .split('\n').map(opcao => opcao.trim()).filter(Boolean))];
+
+        if (!rotulo || rotulo.length > TAMANHO_MAXIMO_VALOR_LISTA) {
+            showNotification(`Informe o rótulo (até ${TAMANHO_MAXIMO_VALOR_LISTA} caracteres)`, 'error');
+            return;
+        }
+        if (campos.some(c => c.id !== this.campoEditando && normalizarTexto(c.rotulo) === normalizarTexto(rotulo))) {
+            showNotification(`Já existe um campo "${rotulo}" neste tipo de cotação`, 'error');
+            return;
+        }
+        if (tipo === 'selecao') {
+            if (opcoes.length === 0) {
+                showNotification('Informe ao menos uma opção (uma por linha)', 'error');
+                return;
+            }
+            const invalida = opcoes.find(opcao =>
+                opcao.length > TAMANHO_MAXIMO_VALOR_LISTA || CARACTERES_PROIBIDOS_LISTA.test(opcao));
+            if (invalida) {
+                showNotification(`Opção inválida: "${invalida}" (até ${TAMANHO_MAXIMO_VALOR_LISTA} caracteres, sem . # $ / [ ])`, 'error');
+                return;
+            }
+        }
+
+        const dados = { rotulo, tipo, obrigatorio: tipo !== 'booleano' && obrigatorio, opcoes };
+        const novosCampos = this.campoEditando
+            ? campos.map(c => c.id === this.campoEditando ? { ...c, ...dados, tipo: c.tipo } : c)
+            : [...campos, { id: this.gerarId(rotulo, campos), ...dados }];
+
+        if (await this.salvar(novosCampos)) {
+            showNotification(MESSAGES.SUCCESS.SAVE, 'success');
+            this.limparFormulario();
+        }
+    }
+
+    /**
+     * Move um campo uma posição acima (-1) ou abaixo (1)
+     */
+    async moverCampo(indice, deslocamento) {
+        const campos = this.definicoes(this.tipoEditando);
+        const destino = indice + deslocamento;
+        if (!campos[indice] || !campos[destino]) return;
+
+        [campos[indice], campos[destino]] = [campos[destino], campos[indice]];
+        await this.salvar(campos);
+    }
+
+    /**
+     * Remove um campo do tipo de cotação
+     * Os valores já gravados nos processos são mantidos, mas deixam de aparecer no formulário
+     */
+    async removerCampo(indice) {
+        const campos = this.definicoes(this.tipoEditando);
+        const campo = campos[indice];
+        if (!campo) return;
+
+        if (!confirm(`Excluir o campo "${campo.rotulo}"? Os valores já preenchidos nos processos são mantidos, mas deixam de ser exibidos e exportados.`)) return;
+
+        if (await this.salvar(campos.filter(c => c !== campo))) {
+            if (this.campoEditando === campo.id) this.limparFormulario();
+            showNotification(`Campo "${campo.rotulo}" excluído`, 'success');
+        }
+    }
+}
+
+// Exporta instância única
+const camposExtrasManager = new CamposExtrasManager();
+export default camposExtrasManager;
@@ -3,6 +3,7 @@
  * Gerencia criação e atualização de gráficos com Chart.js
  */
 
+import listasManager from './listas.js';
 import { CHART_COLORS, CHART_OPTIONS } from './config.js';
 import { contarOcorrencias } from './utils.js';
 
@@ -145,6 +146,52 @@ class ChartManager {
         return this.charts[canvasId];
     }
 
+    /**
+     * Cria gráfico de barras agrupadas (várias séries por rótulo)
+     */
+    createGroupedBarChart(canvasId, labels, datasets, yLabel = '') {
+        this.destroyChart(canvasId);
+
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return null;
+
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'bar',
+            data: {
+                labels: labels,
+                datasets: datasets.map((dataset, index) => ({
+                    label: dataset.label,
+                    data: dataset.data,
+                    backgroundColor: dataset.color || Object.values(CHART_COLORS)[index],
+                    borderRadius: 6,
+                    borderWidth: 0
+                }))
+            },
+            options: {
+                ...CHART_OPTIONS,
+                scales: {
+                    x: {
+                        grid: {
+                            display: false
+                        }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: !!yLabel,
+                            text: yLabel
+                        },
+                        grid: {
+                            color: 'rgba(0, 0, 0, 0.05)'
+                        }
+                    }
+                }
+            }
+        });
+
+        return this.charts[canvasId];
+    }
+
     /**
      * Cria gráfico de linha
      */
@@ -294,10 +341,10 @@ class ChartManager {
             meses.push(data.toLocaleDateString('pt-BR', { month: 'short', year: 'numeric' }));
         }
 
-        const contarPorMes = (processos, campo, campoAlternativo = null) => {
+        const contarPorMes = (processos, campo) => {
             return meses.map(mes => {
                 return processos.filter(p => {
-                    const valorCampo = p[campo] || (campoAlternativo ? p[campoAlternativo] : null);
+                    const valorCampo = p[campo];
                     if (!valorCampo) return false;
                     const dataProcesso = new Date(valorCampo);
                     const mesProcesso = dataProcesso.toLocaleDateString('pt-BR', {
@@ -317,7 +364,7 @@ class ChartManager {
             },
             {
                 label: 'Finalizados',
-                data: contarPorMes(processosFinalizados, 'dataFinalizacao', 'dataEntrega'),
+                data: contarPorMes(processosFinalizados, 'dataFinalizacao'),
                 color: CHART_COLORS.success
             }
         ];
@@ -353,15 +400,16 @@ class ChartManager {
      */
     renderChartComplexidade(processos) {
         const contagem = contarOcorrencias(processos, 'grauComplexidade');
-        const ordem = ['BAIXO', 'MÉDIO', 'ALTO', 'MUITO ALTO'];
+        const ordem = listasManager.valores('GRAU_COMPLEXIDADE', { incluirInativos: true });
         const labels = ordem.filter(o => contagem[o]);
         const data = labels.map(l => contagem[l]);
-        const colors = [
+        const cores = [
             CHART_COLORS.success,
             CHART_COLORS.info,
             CHART_COLORS.warning,
             CHART_COLORS.danger
         ];
+        const colors = labels.map(l => cores[ordem.indexOf(l) % cores.length]);
 
         return this.createDoughnutChart('chartComplexidade', labels, data, colors);
     }
@@ -397,6 +445,30 @@ class ChartManager {
         );
     }
 
+    /**
+     * Gráfico de tempo de permanência por etapa (média, mediana e P90)
+     * Com quebra por grupo, mostra o P90 de cada grupo lado a lado
+     * @param {Array} estatisticas - [{ etapa, media, mediana, p90 }] da visão geral
+     * @param {Object|null} grupos - { grupo: [{ etapa, p90 }] } da quebra selecionada
+     */
+    renderChartGargalos(estatisticas, grupos = null) {
+        const labels = estatisticas.map(e => e.etapa);
+        const cores = Object.values(CHART_COLORS);
+        const datasets = grupos
+            ? Object.keys(grupos).sort((a, b) => a.localeCompare(b)).map((grupo, index) => ({
+                label: `${grupo} (P90)`,
+                data: labels.map(etapa => grupos[grupo].find(e => e.etapa === etapa)?.p90 ?? null),
+                color: cores[index % cores.length]
+            }))
+            : [
+                { label: 'Média', data: estatisticas.map(e => e.media), color: CHART_COLORS.primary },
+                { label: 'Mediana', data: estatisticas.map(e => e.mediana), color: CHART_COLORS.info },
+                { label: 'P90', data: estatisticas.map(e => e.p90), color: CHART_COLORS.danger }
+            ];
+
+        return this.createGroupedBarChart('chartGargalos', labels, datasets, 'Dias');
+    }
+
     /**
      * Atualiza todos os gráficos do dashboard
      */
@@ -0,0 +1,274 @@
+/**
+ * Módulo de Comentários
+ * Fio de comentários e notas internas de cada processo, visível para todos os papéis,
+ * com menção opcional a um funcionário e edição/exclusão apenas pelo autor
+ */
+
+import dbManager from './database.js';
+import authManager from './auth.js';
+import emailManager from './email.js';
+import { DB_PATHS, MESSAGES } from './config.js';
+import {
+    formatarDataHora,
+    escaparHtml,
+    validarEmail,
+    showLoading,
+    hideLoading,
+    showNotification
+} from './utils.js';
+
+class ComentariosManager {
+    constructor() {
+        this.processo = null;
+        this.comentarios = [];
+        this.funcionarios = [];
+        this.pathAtual = null;
+    }
+
+    /**
+     * Inicializa o módulo
+     */
+    initialize() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configura event listeners do modal de comentários
+     */
+    setupEventListeners() {
+        document.getElementById('formComentario')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvarComentario();
+        });
+
+        document.querySelector('#modalComentarios .modal-close')?.addEventListener('click', () => {
+            this.fecharModal();
+        });
+
+        document.getElementById('comentariosLista')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.btn-icon');
+            if (!btn) return;
+            const comentario = this.comentarios.find(c => c.id === btn.dataset.id);
+            if (!comentario) return;
+
+            if (btn.dataset.action === 'edit') {
+                this.editarComentario(comentario);
+            } else if (btn.dataset.action === 'delete') {
+                this.removerComentario(comentario);
+            }
+        });
+    }
+
+    /**
+     * Abre o fio de comentários do processo e passa a escutá-lo em tempo real
+     */
+    async abrirModal(processo) {
+        if (!processo) {
+            showNotification('Processo não encontrado', 'error');
+            return;
+        }
+
+        const modal = document.getElementById('modalComentarios');
+        if (!modal) return;
+
+        this.fecharModal();
+        this.processo = processo;
+        this.comentarios = [];
+
+        const titulo = document.getElementById('modalComentariosTitle');
+        if (titulo) titulo.textContent = `Comentários - ${processo.sigadoc}`;
+        document.getElementById('formComentario')?.reset();
+        this.renderComentarios();
+        modal.classList.add('active');
+
+        await this.popularMencoes();
+
+        this.pathAtual = dbManager.getPathComentarios(processo.id);
+        dbManager.listen(this.pathAtual, (data) => {
+            this.comentarios = data.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+            this.renderComentarios();
+        });
+    }
+
+    /**
+     * Fecha o modal e encerra a escuta do fio
+     */
+    fecharModal() {
+        if (this.pathAtual) {
+            dbManager.removeListener(this.pathAtual);
+            this.pathAtual = null;
+        }
+        this.processo = null;
+        document.getElementById('modalComentarios')?.classList.remove('active');
+    }
+
+    /**
+     * Popula o select de menção com os funcionários cadastrados
+     */
+    async popularMencoes() {
+        const select = document.getElementById('comentarioMencao');
+        if (!select) return;
+
+        const resultado = await dbManager.getAll(DB_PATHS.FUNCIONARIOS);
+        this.funcionarios = resultado.success
+            ? resultado.data.sort((a, b) => (a.nome || '').localeCompare(b.nome || ''))
+            : [];
+
+        select.innerHTML = '<option value="">Ninguém</option>' +
+            this.funcionarios.map(f => `<option value="${escaparHtml(f.id)}">${escaparHtml(f.nome)}</option>`).join('');
+    }
+
+    /**
+     * Renderiza o fio de comentários
+     */
+    renderComentarios() {
+        const container = document.getElementById('comentariosLista');
+        if (!container) return;
+
+        if (this.comentarios.length === 0) {
+            container.innerHTML = '<p class="comentarios-vazio">Nenhum comentário neste processo.</p>';
+            return;
+        }
+
+        const uid = authManager.currentUser?.uid;
+
+        container.innerHTML = `
+            <ul class="comentarios-lista">
+                ${this.comentarios.map(c => `
+                    <li class="comentario">
+                        <div class="comentario-header">
+                            <span class="comentario-autor">${escaparHtml(c.autorEmail)}</span>
+                            <span class="comentario-data">
+                                ${formatarDataHora(c.createdAt)}${c.editado ? ' · editado' : ''}
+                            </span>
+                            ${c.autorUid && c.autorUid === uid ? `
+                                <span class="table-actions">
+                                    <button type="button" class="btn-icon btn-edit" data-action="edit" data-id="${c.id}" title="Editar">✏️</button>
+                                    <button type="button" class="btn-icon btn-delete" data-action="delete" data-id="${c.id}" title="Excluir">🗑️</button>
+                                </span>
+                            ` : ''}
+                        </div>
+                        ${c.mencao?.nome ? `<span class="comentario-mencao">@${escaparHtml(c.mencao.nome)}</span>` : ''}
+                        <p class="comentario-texto">${escaparHtml(c.texto)}</p>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+
+        container.scrollTop = container.scrollHeight;
+    }
+
+    /**
+     * Publica um novo comentário no fio do processo aberto
+     */
+    async salvarComentario() {
+        if (!this.processo) return;
+
+        const texto = document.getElementById('inputComentario').value.trim();
+        if (!texto) {
+            showNotification('Escreva o comentário antes de enviar', 'error');
+            return;
+        }
+
+        const funcionario = this.funcionarios.find(f =>
+            f.id === document.getElementById('comentarioMencao')?.value
+        );
+        const mencao = funcionario ? { funcionarioId: funcionario.id, nome: funcionario.nome } : null;
+
+        showLoading();
+        try {
+            const resultado = await dbManager.createComentario(
+                this.processo.id,
+                texto,
+                mencao
+            );
+
+            if (resultado.success) {
+                document.getElementById('formComentario')?.reset();
+                if (funcionario) this.notificarMencao(funcionario, texto);
+            } else {
+                showNotification(MESSAGES.ERROR.SAVE, 'error');
+            }
+        } catch (error) {
+            console.error('Erro ao salvar comentário:', error);
+            showNotification(MESSAGES.ERROR.SAVE, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Avisa por email o funcionário mencionado, se ele tiver email cadastrado
+     * Falhas no envio não impedem o comentário
+     */
+    notificarMencao(funcionario, texto) {
+        if (!validarEmail(funcionario.contato || '')) return;
+
+        const processo = this.processo;
+        emailManager.enviarEmail({
+            tipo_notificacao: '💬 MENÇÃO EM COMENTÁRIO',
+            assunto: `Você foi mencionado no processo ${processo.sigadoc}`,
+            mensagem_principal: `${authManager.currentUser?.email || 'Um usuário'} mencionou você em um comentário.`,
+            numero_processo: processo.sigadoc,
+            descricao: texto,
+            tipo_cotacao: processo.tipoCotacao || '-',
+            responsavel: processo.responsavel || '-',
+            data_info: '',
+            prazo_info: '',
+            unidade: processo.unidadeExecutora || '-',
+            info_extra: '',
+            link_sei: processo.link || '',
+            link_sei_html: emailManager.gerarBotaoSei(processo.link),
+            link_sistema: window.location.origin
+        }, funcionario.contato).catch(error => {
+            console.error('Erro ao notificar menção:', error);
+        });
+    }
+
+    /**
+     * Edita o texto de um comentário do próprio usuário
+     */
+    async editarComentario(comentario) {
+        const texto = prompt('Editar comentário:', comentario.texto);
+        if (texto === null) return;
+        if (!texto.trim()) {
+            showNotification('O comentário não pode ficar vazio', 'error');
+            return;
+        }
+        if (texto.trim() === comentario.texto) return;
+
+        showLoading();
+        try {
+            const resultado = await dbManager.updateComentario(
+                this.processo.id,
+                comentario.id,
+                texto.trim()
+            );
+            if (!resultado.success) showNotification(MESSAGES.ERROR.UPDATE, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Exclui um comentário do próprio usuário
+     */
+    async removerComentario(comentario) {
+        if (!confirm('Tem certeza que deseja excluir este comentário?')) return;
+
+        showLoading();
+        try {
+            const resultado = await dbManager.deleteComentario(
+                this.processo.id,
+                comentario.id
+            );
+            if (!resultado.success) showNotification(MESSAGES.ERROR.DELETE, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+}
+
+// Exporta instância única
+const comentariosManager = new ComentariosManager();
+export default comentariosManager;
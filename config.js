@@ -18,9 +18,20 @@ export const firebaseConfig = {
 export const DB_PATHS = {
     PROCESSOS_ANDAMENTO: 'processosAndamento',
     PROCESSOS_FINALIZADOS: 'processosFinalizados',
+    PROCESSOS_CANCELADOS: 'processosCancelados',
     FUNCIONARIOS: 'funcionarios',
     LISTAS_VALIDACAO: 'listasValidacao',
-    USUARIOS: 'usuarios'
+    CAMPOS_PERSONALIZADOS: 'camposPersonalizados',
+    USUARIOS: 'usuarios',
+    WORKFLOW: 'workflow',
+    CALENDARIO: 'calendario',
+    SLA_REGRAS: 'slaRegras',
+    COMENTARIOS: 'comentarios',
+    AUDITORIA: 'auditoria',
+    LIXEIRA: 'lixeira',
+    CONFIGURACOES: 'configuracoes',
+    IMPORTACOES: 'importacoes',
+    INDICE_SIGADOC: 'indiceSigadoc'
 };
 
 // Opções de lista para validação
@@ -41,8 +52,15 @@ export const OPCOES = {
         'Em Análise Jurídica',
         'Publicado',
         'Em Andamento',
-        'Concluído',
-        'Cancelado'
+        'Concluído'
+    ],
+    MOTIVO_CANCELAMENTO: [
+        'Deserta',
+        'Fracassada',
+        'Desistência da Unidade',
+        'Perda do Objeto',
+        'Duplicidade',
+        'Outro'
     ],
     UNIDADE_EXECUTORA: [
         'Coordenadoria Militar',
@@ -56,6 +74,70 @@ export const OPCOES = {
     ]
 };
 
+// Fluxo padrão de status por tipo de cotação (etapas na ordem em que ocorrem)
+// Usado como ponto de partida até que um gestor salve o fluxo no banco
+export const FLUXO_PADRAO = {
+    'DISPENSA DE LICITAÇÃO': [
+        'Em Elaboração',
+        'Aguardando Aprovação',
+        'Validação Orçamento - SEPLAN',
+        'Em Análise Jurídica',
+        'Em Andamento',
+        'Concluído'
+    ],
+    'LICITAÇÃO': [
+        'Em Elaboração',
+        'Aguardando Aprovação',
+        'Validação Orçamento - SEPLAN',
+        'Em Análise Jurídica',
+        'Publicado',
+        'Em Andamento',
+        'Concluído'
+    ],
+    'AJUSTES CONTRATUAIS': [
+        'Em Elaboração',
+        'Aguardando Aprovação',
+        'Em Análise Jurídica',
+        'Em Andamento',
+        'Concluído'
+    ],
+    'LEVANTAMENTO DE MERCADO': [
+        'Em Elaboração',
+        'Em Andamento',
+        'Concluído'
+    ]
+};
+
+// Campos que podem ser exigidos ao entrar em uma etapa do fluxo
+export const CAMPOS_FLUXO = {
+    link: 'Link',
+    dataFinal: 'Prazo Final',
+    descricao: 'Descrição',
+    quantidadeItens: 'Quantidade de Itens',
+    unidadeExecutora: 'Unidade Executora',
+    responsavel: 'Responsável'
+};
+
+// Feriados nacionais de data fixa (MM-DD); desde: primeiro ano em que o feriado vale
+// Feriados móveis (Carnaval, Sexta-feira Santa, Corpus Christi) são calculados a partir da Páscoa
+export const FERIADOS_NACIONAIS_FIXOS = [
+    { mesDia: '01-01', descricao: 'Confraternização Universal' },
+    { mesDia: '04-21', descricao: 'Tiradentes' },
+    { mesDia: '05-01', descricao: 'Dia do Trabalho' },
+    { mesDia: '09-07', descricao: 'Independência do Brasil' },
+    { mesDia: '10-12', descricao: 'Nossa Senhora Aparecida' },
+    { mesDia: '11-02', descricao: 'Finados' },
+    { mesDia: '11-15', descricao: 'Proclamação da República' },
+    { mesDia: '11-20', descricao: 'Dia Nacional de Zumbi e da Consciência Negra', desde: 2024 }, // Lei 14.759/2023
+    { mesDia: '12-25', descricao: 'Natal' }
+];
+
+// Marcos do histórico de status que não fazem parte de OPCOES.STATUS
+export const STATUS_SISTEMA = {
+    FINALIZADO: 'Finalizado',
+    CANCELADO: 'Cancelado'
+};
+
 // Configuração da OpenAI (para recursos de IA)
 // ATENÇÃO: Em produção, use uma função serverless para proteger a API key
 export const OPENAI_CONFIG = {
@@ -76,19 +158,83 @@ export const EMAIL_CONFIG = {
 export const BACKUP_PATHS = {
     DATA: 'backups/data',
     METADATA: 'backups/metadata',
-    LAST_BACKUP: 'backups/lastBackup'
+    LAST_BACKUP: 'backups/lastBackup',
+    POLITICA: 'backups/politica'
 };
 
 export const BACKUP_CONFIG = {
-    RETENTION_DAYS: 30,
+    VERSAO: '2.0',
+    // Versoes de backup aceitas na importacao de arquivos
+    VERSOES_SUPORTADAS: ['1.0', '2.0'],
+    // Entre snapshots completos, os backups guardam apenas os registros alterados
+    INTERVALO_COMPLETO_DIAS: 7,
+    // Politica usada enquanto o gestor nao salva uma propria (backups/politica)
+    POLITICA_PADRAO: {
+        frequencia: 'diaria',
+        horario: '08:00',
+        diaSemana: 1,
+        diaMes: 1,
+        retencao: { diarios: 7, semanais: 4, mensais: 12 },
+        destinos: { rtdb: { ativo: true } }
+    },
+    FREQUENCIAS: { diaria: 'Diaria', semanal: 'Semanal', mensal: 'Mensal' },
+    // Situacoes da verificacao de integridade (hash e contagem de registros)
+    INTEGRIDADE: {
+        integro: { rotulo: 'Integro', classe: 'status-active', notificacao: 'success' },
+        corrompido: { rotulo: 'Corrompido', classe: 'status-error', notificacao: 'error' },
+        incompleto: { rotulo: 'Incompleto', classe: 'status-error', notificacao: 'error' },
+        'sem-hash': { rotulo: 'Sem hash', classe: 'status-warning', notificacao: 'warning' },
+        pendente: { rotulo: 'Nao verificado', classe: 'status-inactive', notificacao: 'info' }
+    },
+    // Com o sistema aberto por um gestor, o agendamento e verificado neste intervalo
+    INTERVALO_VERIFICACAO_MINUTOS: 15,
+    // Arquivos exportados com senha: AES-GCM com chave derivada por PBKDF2
+    CRIPTOGRAFIA: {
+        ITERACOES: 310000,
+        TAMANHO_MINIMO_SENHA: 10
+    },
     PATHS_TO_BACKUP: [
         'processosAndamento',
         'processosFinalizados',
+        'processosCancelados',
+        'comentarios',
         'funcionarios',
-        'usuarios'
+        'lixeira',
+        'usuarios',
+        // Configuracao dos gestores: as regras validam os processos contra ela
+        'listasValidacao',
+        'camposPersonalizados',
+        'workflow',
+        'calendario',
+        'slaRegras'
     ]
 };
 
+// Configuração da Lixeira (exclusão lógica)
+export const LIXEIRA_CONFIG = {
+    RETENCAO_DIAS_PADRAO: 30,
+    ORIGENS: {
+        processosAndamento: 'Processo em andamento',
+        processosFinalizados: 'Processo finalizado',
+        processosCancelados: 'Processo cancelado',
+        funcionarios: 'Membro da equipe'
+    }
+};
+
+// Configuração do Log de Auditoria
+export const AUDITORIA_CONFIG = {
+    // Nível do caminho que identifica um registro (padrão: entidade/id)
+    PROFUNDIDADE_REGISTRO: {
+        calendario: 3,
+        comentarios: 3,
+        backups: 3
+    },
+    // Entidades auditadas sem o diff (conteúdo volumoso e restrito a gestores)
+    ENTIDADES_SEM_DIFF: ['backups'],
+    // Máximo de entradas retornadas por consulta no visualizador
+    LIMITE_CONSULTA: 500
+};
+
 // Cores para gráficos (mesma paleta do projeto)
 export const CHART_COLORS = {
     primary: '#2563eb',
@@ -140,17 +286,22 @@ export const MESSAGES = {
     SUCCESS: {
         SAVE: 'Dados salvos com sucesso! ✅',
         DELETE: 'Item excluído com sucesso! ✅',
-        UPDATE: 'Dados atualizados com sucesso! ✅'
+        UPDATE: 'Dados atualizados com sucesso! ✅',
+        LIXEIRA: 'Item movido para a lixeira! 🗑️',
+        RESTORE: 'Item restaurado com sucesso! ✅'
     },
     ERROR: {
         SAVE: 'Erro ao salvar dados. Tente novamente. ❌',
         DELETE: 'Erro ao excluir item. Tente novamente. ❌',
         UPDATE: 'Erro ao atualizar dados. Tente novamente. ❌',
         LOAD: 'Erro ao carregar dados. Tente novamente. ❌',
-        NETWORK: 'Erro de conexão. Verifique sua internet. 🌐'
+        NETWORK: 'Erro de conexão. Verifique sua internet. 🌐',
+        SIGADOC_DUPLICADO: 'Já existe um processo em andamento ou finalizado com este SIGADOC. ❌'
     },
     CONFIRM: {
-        DELETE: 'Tem certeza que deseja excluir este item?'
+        DELETE: 'Tem certeza que deseja excluir este item?',
+        LIXEIRA: 'Mover este item para a lixeira? Um gestor poderá restaurá-lo até a exclusão definitiva.',
+        PURGE: 'Excluir definitivamente? Esta ação não pode ser desfeita.'
     }
 };
 
@@ -158,6 +309,10 @@ export default {
     firebaseConfig,
     DB_PATHS,
     OPCOES,
+    FLUXO_PADRAO,
+    CAMPOS_FLUXO,
+    FERIADOS_NACIONAIS_FIXOS,
+    STATUS_SISTEMA,
     BACKUP_PATHS,
     BACKUP_CONFIG,
     CHART_COLORS,
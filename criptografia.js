@@ -0,0 +1,120 @@
+/**
+ * Modulo de Criptografia de Backups
+ * Cifra e decifra arquivos de backup com AES-GCM, usando uma chave derivada da
+ * senha por PBKDF2 (Web Crypto), para guardar copias fora do sistema sem expor
+ * emails, papeis e dados dos processos
+ */
+
+import { BACKUP_CONFIG } from './config.js';
+
+const FORMATO = 'manage-proc-backup-criptografado';
+
+/**
+ * Converte bytes para base64 (em blocos, para nao estourar a pilha em arquivos grandes)
+ */
+function paraBase64(bytes) {
+    let binario = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binario += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binario);
+}
+
+/**
+ * Converte base64 para bytes
+ */
+function deBase64(texto) {
+    return Uint8Array.from(atob(texto), caractere => caractere.charCodeAt(0));
+}
+
+/**
+ * Deriva a chave AES-GCM de 256 bits a partir da senha
+ */
+async function derivarChave(senha, salt, iteracoes) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(senha),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+
+    return await crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt, iterations: iteracoes, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Verifica se o conteudo de um arquivo e um backup criptografado
+ * @param {string} conteudo - Texto do arquivo
+ */
+export function isCriptografado(conteudo) {
+    try {
+        return JSON.parse(conteudo)?.criptografia?.formato === FORMATO;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Cifra um backup com a senha informada
+ * Salt e IV sao aleatorios a cada exportacao e ficam no proprio arquivo
+ * @returns {Object} Envelope { criptografia: { formato, algoritmo, kdf, iteracoes, salt, iv }, conteudo }
+ */
+export async function criptografar(dados, senha) {
+    const { ITERACOES } = BACKUP_CONFIG.CRIPTOGRAFIA;
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+
+    const chave = await derivarChave(senha, salt, ITERACOES);
+    const cifrado = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv },
+        chave,
+        new TextEncoder().encode(JSON.stringify(dados))
+    );
+
+    return {
+        criptografia: {
+            formato: FORMATO,
+            algoritmo: 'AES-GCM',
+            kdf: 'PBKDF2-SHA256',
+            iteracoes: ITERACOES,
+            salt: paraBase64(salt),
+            iv: paraBase64(iv)
+        },
+        conteudo: paraBase64(new Uint8Array(cifrado))
+    };
+}
+
+/**
+ * Decifra o conteudo de um arquivo de backup criptografado
+ * @param {string} conteudo - Texto do arquivo
+ * @returns {string} JSON do backup original
+ * @throws {Error} Se a senha estiver incorreta ou o arquivo tiver sido alterado
+ */
+export async function descriptografar(conteudo, senha) {
+    const { criptografia, conteudo: cifrado } = JSON.parse(conteudo);
+
+    const chave = await derivarChave(senha, deBase64(criptografia.salt), criptografia.iteracoes);
+    try {
+        const decifrado = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: deBase64(criptografia.iv) },
+            chave,
+            deBase64(cifrado)
+        );
+        return new TextDecoder().decode(decifrado);
+    } catch {
+        // AES-GCM autentica o conteudo: senha errada e arquivo alterado falham da mesma forma
+        throw new Error('Senha incorreta ou arquivo corrompido');
+    }
+}
+
+export default {
+    isCriptografado,
+    criptografar,
+    descriptografar
+};
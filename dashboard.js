@@ -6,12 +6,14 @@
 import dbManager from './database.js';
 import chartManager from './charts.js';
 import emailManager from './email.js';
-import { DB_PATHS, OPCOES } from './config.js';
+import calendarioManager from './calendario.js';
+import listasManager from './listas.js';
+import { DB_PATHS } from './config.js';
 import {
-    diasParaPrazo,
+    formatarData,
     formatarPrazo,
     truncar,
-    calcularMedia,
+    listarProrrogacoes,
     showLoading,
     hideLoading,
     showNotification
@@ -21,6 +23,7 @@ class DashboardManager {
     constructor() {
         this.processosAndamento = [];
         this.processosFinalizados = [];
+        this.processosCancelados = [];
         this.funcionarios = [];
         this.filtros = {
             periodo: 30,
@@ -38,6 +41,7 @@ class DashboardManager {
         await this.carregarDados();
         this.setupEventListeners();
         this.popularFiltros();
+        listasManager.onChange(() => this.popularFiltrosListas());
         this.setupProdutividadeMensal();
         this.atualizarDados();
 
@@ -65,9 +69,10 @@ class DashboardManager {
     async carregarDados() {
         showLoading();
         try {
-            const [andamento, finalizados, funcionarios] = await Promise.all([
+            const [andamento, finalizados, cancelados, funcionarios] = await Promise.all([
                 dbManager.getProcessosAndamento(),
                 dbManager.getProcessosFinalizados(),
+                dbManager.getProcessosCancelados(),
                 dbManager.getFuncionarios()
             ]);
 
@@ -79,6 +84,10 @@ class DashboardManager {
                 this.processosFinalizados = finalizados.data;
             }
 
+            if (cancelados.success) {
+                this.processosCancelados = cancelados.data;
+            }
+
             if (funcionarios.success) {
                 this.funcionarios = funcionarios.data;
             }
@@ -96,6 +105,11 @@ class DashboardManager {
                 this.atualizarDados();
             });
 
+            dbManager.listen(DB_PATHS.PROCESSOS_CANCELADOS, (data) => {
+                this.processosCancelados = data;
+                this.atualizarDados();
+            });
+
             dbManager.listen(DB_PATHS.FUNCIONARIOS, (data) => {
                 this.funcionarios = data;
                 this.atualizarDados();
@@ -144,21 +158,7 @@ class DashboardManager {
     popularFiltros() {
         if (this.filtrosPopulados) return;
 
-        // Filtro de unidade
-        const selectUnidade = document.getElementById('filterUnidade');
-        if (selectUnidade) {
-            const unidades = OPCOES.UNIDADE_EXECUTORA || [];
-            selectUnidade.innerHTML = '<option value="">Todas as Unidades</option>' +
-                unidades.map(u => `<option value="${u}">${u}</option>`).join('');
-        }
-
-        // Filtro de tipo de processo
-        const selectTipo = document.getElementById('filterTipoProcesso');
-        if (selectTipo) {
-            const tipos = OPCOES.TIPO_COTACAO || [];
-            selectTipo.innerHTML = '<option value="">Todos os Tipos</option>' +
-                tipos.map(t => `<option value="${t}">${t}</option>`).join('');
-        }
+        this.popularFiltrosListas();
 
         // Filtro de responsável (preenchido dinamicamente com dados dos processos)
         this.atualizarFiltroResponsavel();
@@ -166,6 +166,21 @@ class DashboardManager {
         this.filtrosPopulados = true;
     }
 
+    /**
+     * Popula os filtros de unidade e tipo de processo com as listas de validação
+     * (inclusive os valores desativados, que ainda constam nos processos antigos)
+     */
+    popularFiltrosListas() {
+        listasManager.preencherSelect(document.getElementById('filterUnidade'), 'UNIDADE_EXECUTORA', {
+            vazio: 'Todas as Unidades',
+            incluirInativos: true
+        });
+        listasManager.preencherSelect(document.getElementById('filterTipoProcesso'), 'TIPO_COTACAO', {
+            vazio: 'Todos os Tipos',
+            incluirInativos: true
+        });
+    }
+
     /**
      * Atualiza filtro de responsável com dados únicos dos processos
      */
@@ -262,7 +277,7 @@ class DashboardManager {
 
         // Filtro de período - por data de finalização
         processos = processos.filter(p => {
-            const dataFinalizacao = p.dataFinalizacao || p.dataEntrega || p.finalizadoEm;
+            const dataFinalizacao = p.dataFinalizacao;
             if (!dataFinalizacao) return false;
             const dataProcesso = new Date(dataFinalizacao);
             return dataProcesso >= dataLimite;
@@ -286,6 +301,21 @@ class DashboardManager {
         return processos;
     }
 
+    /**
+     * Filtra processos cancelados (período pela data de cancelamento)
+     */
+    filtrarProcessosCancelados() {
+        const dataLimite = this.getDataLimitePeriodo();
+
+        return this.processosCancelados.filter(p => {
+            if (!p.dataCancelamento || new Date(p.dataCancelamento) < dataLimite) return false;
+            if (this.filtros.unidade && p.unidadeExecutora !== this.filtros.unidade) return false;
+            if (this.filtros.tipoProcesso && p.tipoCotacao !== this.filtros.tipoProcesso) return false;
+            if (this.filtros.responsavel && p.responsavel !== this.filtros.responsavel) return false;
+            return true;
+        });
+    }
+
     /**
      * Atualiza todos os dados do dashboard
      */
@@ -316,22 +346,33 @@ class DashboardManager {
             this.animateValue(kpiFinalizados, 0, processosFinalizadosFiltrados.length, 800);
         }
 
-        // KPI: Tempo Médio (usa diasCorridos ou diasDecorridos)
+        // KPI: Tempo Médio (dias corridos até a finalização)
         const kpiTempoMedio = document.getElementById('kpiTempoMedio');
         if (kpiTempoMedio) {
-            const processosComTempo = processosFinalizadosFiltrados.filter(p =>
-                p.diasCorridos || p.diasDecorridos
-            );
+            const processosComTempo = processosFinalizadosFiltrados.filter(p => p.diasCorridos);
             let tempoMedio = 0;
             if (processosComTempo.length > 0) {
-                const soma = processosComTempo.reduce((acc, p) =>
-                    acc + (p.diasCorridos || p.diasDecorridos || 0), 0
-                );
+                const soma = processosComTempo.reduce((acc, p) => acc + p.diasCorridos, 0);
                 tempoMedio = Math.round(soma / processosComTempo.length);
             }
             this.animateValue(kpiTempoMedio, 0, tempoMedio, 800);
         }
 
+        // KPI: Taxa de Sucesso (finalizados sobre processos encerrados, cancelados incluídos)
+        const kpiTaxaSucesso = document.getElementById('kpiTaxaSucesso');
+        if (kpiTaxaSucesso) {
+            const cancelados = this.filtrarProcessosCancelados().length;
+            const encerrados = processosFinalizadosFiltrados.length + cancelados;
+            kpiTaxaSucesso.textContent = encerrados > 0
+                ? `${Math.round((processosFinalizadosFiltrados.length / encerrados) * 100)}%`
+                : '-';
+
+            const kpiCancelados = document.getElementById('kpiCancelados');
+            if (kpiCancelados) {
+                kpiCancelados.textContent = `${cancelados} cancelado(s) no período`;
+            }
+        }
+
         // KPI: Equipe Ativa
         const kpiEquipe = document.getElementById('kpiEquipe');
         if (kpiEquipe) {
@@ -377,11 +418,11 @@ class DashboardManager {
             processosBase = processosBase.filter(p => p.responsavel === this.filtros.responsavel);
         }
 
-        // Filtra processos com prazo próximo (<=5 dias) ou vencido
+        // Filtra processos com prazo próximo (<=5 dias úteis) ou vencido
         const processosCriticos = processosBase
             .map(p => ({
                 ...p,
-                diasPrazo: diasParaPrazo(p.dataFinal)
+                diasPrazo: calendarioManager.diasUteisAtePrazo(p.dataFinal)
             }))
             .filter(p => p.diasPrazo !== null && p.diasPrazo <= 5)
             .sort((a, b) => a.diasPrazo - b.diasPrazo)
@@ -399,6 +440,7 @@ class DashboardManager {
 
         const html = processosCriticos.map(p => {
             const prazoClass = p.diasPrazo < 0 ? 'danger' : 'warning';
+            const prorrogacoes = listarProrrogacoes(p).length;
 
             return `
                 <div class="processo-critico-item">
@@ -406,9 +448,15 @@ class DashboardManager {
                         <div class="processo-critico-sigadoc">${p.sigadoc}</div>
                         <div class="processo-critico-desc">${truncar(p.descricao, 60)}</div>
                         <div class="processo-critico-responsavel">👤 ${p.responsavel}</div>
+                        ${prorrogacoes > 0 ? `
+                            <div class="processo-critico-prorrogacao">
+                                ⏳ Prazo original ${formatarData(p.dataFinalOriginal)} · prorrogado para
+                                ${formatarData(p.dataFinal)} (${prorrogacoes} ${prorrogacoes === 1 ? 'prorrogação' : 'prorrogações'})
+                            </div>
+                        ` : ''}
                     </div>
                     <div class="processo-critico-prazo ${prazoClass}">
-                        ${formatarPrazo(p.diasPrazo)}
+                        ${formatarPrazo(p.diasPrazo, true)}
                     </div>
                 </div>
             `;
@@ -580,7 +628,6 @@ class DashboardManager {
             return `<td class="cell-empty">-</td>`;
         }
 
-        const total = dados.finalizados + dados.andamento;
         const percentFin = maxMensal > 0 ? (dados.finalizados / maxMensal) * 100 : 0;
         const percentAnd = maxMensal > 0 ? (dados.andamento / maxMensal) * 100 : 0;
 
@@ -649,7 +696,7 @@ class DashboardManager {
 
             if (estaFinalizado) {
                 // Para finalizados, usa data de finalização
-                dataRelevante = p.dataFinalizacao || p.dataEntrega || p.finalizadoEm || p.dataFinal;
+                dataRelevante = p.dataFinalizacao;
                 finalizado = true;
             } else {
                 // Para em andamento, usa data de início
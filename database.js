@@ -4,19 +4,69 @@
  */
 
 import { 
-    getDatabase, 
     ref, 
-    set, 
     get, 
-    update, 
-    remove, 
     onValue,
     push,
     query,
     orderByChild
 } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js';
 
-import { DB_PATHS } from './config.js';
+import { DB_PATHS, STATUS_SISTEMA } from './config.js';
+import authManager from './auth.js';
+import calendarioManager from './calendario.js';
+import auditoriaManager from './auditoria.js';
+import { chaveSigadoc } from './utils.js';
+import { VERSAO_ESQUEMA, LISTAS } from './schema.js';
+
+// Campos do cadastro que a mesclagem de duplicados copia para o processo mantido, se estiverem vazios nele
+const CAMPOS_MESCLAGEM = [
+    'link',
+    'dataInicio',
+    'dataFinal',
+    'tipoCotacao',
+    'tipoObjeto',
+    'descricao',
+    'responsavel',
+    'grauComplexidade',
+    'quantidadeItens',
+    'unidadeExecutora'
+];
+
+/**
+ * Renomeia uma etapa na definição de fluxo de um tipo de cotação
+ * (status iniciais, transições de e para a etapa e campos exigidos ao entrar nela)
+ */
+function renomearEtapaFluxo(definicao, antigo, novo) {
+    const renomearChaves = (objeto = {}) => Object.fromEntries(
+        Object.entries(objeto).map(([chave, valor]) => [chave === antigo ? novo : chave, valor])
+    );
+    return {
+        ...definicao,
+        iniciais: renomearChaves(definicao.iniciais),
+        transicoes: Object.fromEntries(
+            Object.entries(definicao.transicoes || {}).map(([de, destinos]) =>
+                [de === antigo ? novo : de, renomearChaves(destinos)])
+        ),
+        camposObrigatorios: renomearChaves(definicao.camposObrigatorios)
+    };
+}
+
+/**
+ * Alterações que renomeiam uma etapa nas entradas do histórico de status de um processo
+ * (o relatório de gargalos agrupa as etapas pelo nome gravado no histórico)
+ * @param {string} caminho - Caminho do processo (ou dos dados do item na lixeira)
+ * @returns {Object} { [caminho/historicoStatus/chave/de|para]: novo }
+ */
+function renomearEtapaHistorico(caminho, historico, antigo, novo) {
+    const updates = {};
+    Object.entries(historico || {}).forEach(([chave, entrada]) => {
+        ['de', 'para'].forEach(lado => {
+            if (entrada?.[lado] === antigo) updates[`${caminho}/historicoStatus/${chave}/${lado}`] = novo;
+        });
+    });
+    return updates;
+}
 
 class DatabaseManager {
     constructor() {
@@ -44,7 +94,7 @@ class DatabaseManager {
                 createdAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString()
             };
-            await set(newRef, dataWithId);
+            await auditoriaManager.gravar({ [`${path}/${newRef.key}`]: dataWithId });
             return { success: true, id: newRef.key, data: dataWithId };
         } catch (error) {
             console.error('Erro ao criar registro:', error);
@@ -95,14 +145,15 @@ class DatabaseManager {
 
     /**
      * Atualiza um registro existente
+     * @param {Object} extras - Alterações adicionais gravadas na mesma operação
      */
-    async update(path, id, data) {
+    async update(path, id, data, extras = {}) {
         try {
-            const updates = {
-                ...data,
-                updatedAt: new Date().toISOString()
-            };
-            await update(ref(this.db, `${path}/${id}`), updates);
+            const updates = { ...extras };
+            Object.entries({ ...data, updatedAt: new Date().toISOString() }).forEach(([campo, valor]) => {
+                updates[`${path}/${id}/${campo}`] = valor;
+            });
+            await auditoriaManager.gravar(updates);
             return { success: true };
         } catch (error) {
             console.error('Erro ao atualizar registro:', error);
@@ -115,7 +166,7 @@ class DatabaseManager {
      */
     async delete(path, id) {
         try {
-            await remove(ref(this.db, `${path}/${id}`));
+            await auditoriaManager.gravar({ [`${path}/${id}`]: null });
             return { success: true };
         } catch (error) {
             console.error('Erro ao deletar registro:', error);
@@ -123,6 +174,44 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Aplica alterações em vários caminhos numa única escrita atômica
+     * (todas são gravadas ou nenhuma é, junto com as entradas de auditoria)
+     * @param {Object} updates - { 'caminho/completo': valor }, valor null remove o caminho
+     */
+    async multiUpdate(updates) {
+        try {
+            await auditoriaManager.gravar(updates);
+            return { success: true };
+        } catch (error) {
+            console.error('Erro ao atualizar múltiplos caminhos:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Move um registro para outro caminho mantendo a chave (push key) original
+     * @param {Object} extras - Alterações adicionais gravadas na mesma operação
+     */
+    async move(fromPath, toPath, id, data, extras = {}) {
+        return await this.multiUpdate({
+            ...extras,
+            [`${toPath}/${id}`]: {
+                ...data,
+                id,
+                updatedAt: new Date().toISOString()
+            },
+            [`${fromPath}/${id}`]: null
+        });
+    }
+
+    /**
+     * Gera uma nova chave única (push key) para um caminho, sem gravar dados
+     */
+    gerarChave(path) {
+        return push(ref(this.db, path)).key;
+    }
+
     /**
      * Escuta mudanças em tempo real em um caminho
      */
@@ -179,11 +268,53 @@ class DatabaseManager {
 
     // ============ MÉTODOS ESPECÍFICOS PARA PROCESSOS ============
 
+    /**
+     * Monta uma entrada do histórico de status com autor e data da transição
+     */
+    criarEntradaHistorico(de, para, observacao = '') {
+        const entrada = {
+            de: de || null,
+            para,
+            data: new Date().toISOString(),
+            usuarioUid: authManager.currentUser?.uid || null,
+            usuarioEmail: authManager.currentUser?.email || 'desconhecido'
+        };
+        if (observacao && observacao.trim()) {
+            entrada.observacao = observacao.trim();
+        }
+        return entrada;
+    }
+
     /**
      * Cria um novo processo em andamento
+     * Registra o status inicial como primeira entrada do histórico
      */
-    async createProcessoAndamento(processo) {
-        return await this.create(DB_PATHS.PROCESSOS_ANDAMENTO, processo);
+    async createProcessoAndamento(processo, observacao = '') {
+        try {
+            const id = this.gerarChave(DB_PATHS.PROCESSOS_ANDAMENTO);
+            const chave = this.gerarChave(`${DB_PATHS.PROCESSOS_ANDAMENTO}/${id}/historicoStatus`);
+            const agora = new Date().toISOString();
+            const dados = {
+                ...processo,
+                id,
+                historicoStatus: {
+                    [chave]: this.criarEntradaHistorico(null, processo.status, observacao)
+                },
+                schemaVersion: VERSAO_ESQUEMA,
+                createdAt: agora,
+                updatedAt: agora
+            };
+
+            // O processo e sua entrada no índice de SIGADOC são gravados juntos
+            const resultado = await this.multiUpdate({
+                [`${DB_PATHS.PROCESSOS_ANDAMENTO}/${id}`]: dados,
+                ...(await this.alteracoesIndiceSigadoc(id, processo.sigadoc))
+            });
+            return resultado.success ? { success: true, id, data: dados } : resultado;
+        } catch (error) {
+            console.error('Erro ao criar processo:', error);
+            return { success: false, error };
+        }
     }
 
     /**
@@ -195,13 +326,52 @@ class DatabaseManager {
 
     /**
      * Atualiza um processo em andamento
+     * @param {Object|null} transicao - { de, para, observacao } quando o status mudou
+     */
+    async updateProcessoAndamento(id, updates, transicao = null) {
+        const dados = { ...updates };
+        let indice = {};
+        if (dados.sigadoc !== undefined) {
+            const atual = await this.getById(DB_PATHS.PROCESSOS_ANDAMENTO, id);
+            indice = await this.alteracoesIndiceSigadoc(id, dados.sigadoc, atual.data?.sigadoc);
+        }
+        if (transicao && transicao.de !== transicao.para) {
+            const chave = this.gerarChave(`${DB_PATHS.PROCESSOS_ANDAMENTO}/${id}/historicoStatus`);
+            dados[`historicoStatus/${chave}`] = this.criarEntradaHistorico(
+                transicao.de,
+                transicao.para,
+                transicao.observacao
+            );
+        }
+        return await this.update(DB_PATHS.PROCESSOS_ANDAMENTO, id, dados, indice);
+    }
+
+    /**
+     * Prorroga o prazo de um processo em andamento
+     * Preserva o prazo original (dataFinalOriginal) na primeira prorrogação
+     * e registra prazo anterior, novo prazo, justificativa e aprovador
      */
-    async updateProcessoAndamento(id, updates) {
-        return await this.update(DB_PATHS.PROCESSOS_ANDAMENTO, id, updates);
+    async prorrogarPrazo(id, processo, novoPrazo, justificativa) {
+        const chave = this.gerarChave(`${DB_PATHS.PROCESSOS_ANDAMENTO}/${id}/prorrogacoes`);
+        const dados = {
+            dataFinal: novoPrazo,
+            [`prorrogacoes/${chave}`]: {
+                prazoAnterior: processo.dataFinal,
+                novoPrazo,
+                justificativa: justificativa.trim(),
+                aprovadoPor: authManager.currentUser?.email || 'desconhecido',
+                aprovadoPorUid: authManager.currentUser?.uid || null,
+                data: new Date().toISOString()
+            }
+        };
+        if (!processo.dataFinalOriginal) {
+            dados.dataFinalOriginal = processo.dataFinal;
+        }
+        return await this.update(DB_PATHS.PROCESSOS_ANDAMENTO, id, dados);
     }
 
     /**
-     * Move processo de andamento para finalizado
+     * Move processo de andamento para finalizado (mesma chave, escrita atômica)
      */
     async finalizarProcesso(id) {
         try {
@@ -212,25 +382,166 @@ class DatabaseManager {
 
             const processo = resultado.data;
             const dataFinalizacao = new Date().toISOString().split('T')[0];
+            const chaveHistorico = this.gerarChave(`${DB_PATHS.PROCESSOS_FINALIZADOS}/${id}/historicoStatus`);
 
             const processoFinalizado = {
                 ...processo,
+                historicoStatus: {
+                    ...(processo.historicoStatus || {}),
+                    [chaveHistorico]: this.criarEntradaHistorico(processo.status, STATUS_SISTEMA.FINALIZADO)
+                },
                 dataFinalizacao,
                 diasCorridos: this.calcularDiasCorridos(processo.dataInicio, dataFinalizacao),
                 diasUteis: this.calcularDiasUteis(processo.dataInicio, dataFinalizacao),
                 finalizadoEm: new Date().toISOString()
             };
 
-            await this.create(DB_PATHS.PROCESSOS_FINALIZADOS, processoFinalizado);
-            await this.delete(DB_PATHS.PROCESSOS_ANDAMENTO, id);
-
-            return { success: true };
+            // Processos anteriores ao índice de SIGADOC ganham a entrada ao serem gravados
+            return await this.move(
+                DB_PATHS.PROCESSOS_ANDAMENTO,
+                DB_PATHS.PROCESSOS_FINALIZADOS,
+                id,
+                processoFinalizado,
+                await this.alteracoesIndiceSigadoc(id, processo.sigadoc)
+            );
         } catch (error) {
             console.error('Erro ao finalizar processo:', error);
             return { success: false, error };
         }
     }
 
+    /**
+     * Cancela um processo em andamento, arquivando-o em processosCancelados (mesma chave)
+     * Registra a categoria do motivo, a justificativa e o autor
+     */
+    async cancelarProcesso(id, motivo, justificativa) {
+        try {
+            const resultado = await this.getById(DB_PATHS.PROCESSOS_ANDAMENTO, id);
+            if (!resultado.success) {
+                return { success: false, error: 'Processo não encontrado' };
+            }
+
+            // Processos cancelados não ocupam o SIGADOC no índice
+            return await this.move(
+                DB_PATHS.PROCESSOS_ANDAMENTO,
+                DB_PATHS.PROCESSOS_CANCELADOS,
+                id,
+                this.montarProcessoCancelado(id, resultado.data, motivo, justificativa),
+                await this.alteracoesIndiceSigadoc(id, null, resultado.data.sigadoc)
+            );
+        } catch (error) {
+            console.error('Erro ao cancelar processo:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Monta o registro de um processo cancelado, com a entrada no histórico de status
+     * e a categoria do motivo, a justificativa e o autor
+     * Registros antigos marcavam o cancelamento no próprio status ("Cancelado"), que não
+     * pertence à lista de status: nesse caso a etapa é removida
+     */
+    montarProcessoCancelado(id, processo, motivo, justificativa) {
+        const chaveHistorico = this.gerarChave(`${DB_PATHS.PROCESSOS_CANCELADOS}/${id}/historicoStatus`);
+        const { status, ...dados } = processo;
+        const etapa = status === STATUS_SISTEMA.CANCELADO ? null : status;
+        return {
+            ...dados,
+            ...(etapa !== undefined && etapa !== null ? { status: etapa } : {}),
+            historicoStatus: {
+                ...(processo.historicoStatus || {}),
+                [chaveHistorico]: this.criarEntradaHistorico(
+                    etapa,
+                    STATUS_SISTEMA.CANCELADO,
+                    `Motivo: ${motivo}`
+                )
+            },
+            dataCancelamento: new Date().toISOString().split('T')[0],
+            cancelamento: {
+                motivo,
+                justificativa: justificativa.trim(),
+                data: new Date().toISOString(),
+                usuarioUid: authManager.currentUser?.uid || null,
+                usuarioEmail: authManager.currentUser?.email || 'desconhecido'
+            }
+        };
+    }
+
+    /**
+     * Busca todos os processos cancelados
+     */
+    async getProcessosCancelados() {
+        return await this.getAll(DB_PATHS.PROCESSOS_CANCELADOS);
+    }
+
+    /**
+     * Move um processo cancelado para a lixeira
+     */
+    async deleteProcessoCancelado(id) {
+        return await this.moverParaLixeira(DB_PATHS.PROCESSOS_CANCELADOS, id);
+    }
+
+    /**
+     * Reabre um processo finalizado ou cancelado, devolvendo-o a processosAndamento
+     * com o ID e histórico originais. O motivo é registrado no histórico de status
+     */
+    async reabrirProcesso(id, motivo, cancelado = false) {
+        const origem = cancelado ? DB_PATHS.PROCESSOS_CANCELADOS : DB_PATHS.PROCESSOS_FINALIZADOS;
+        try {
+            const resultado = await this.getById(origem, id);
+            if (!resultado.success) {
+                return { success: false, error: 'Processo não encontrado' };
+            }
+
+            const {
+                dataFinalizacao,
+                diasCorridos,
+                diasUteis,
+                finalizadoEm,
+                dataCancelamento,
+                cancelamento,
+                ...processo
+            } = resultado.data;
+            const existente = await get(ref(this.db, `${DB_PATHS.PROCESSOS_ANDAMENTO}/${id}`));
+            if (existente.exists()) {
+                return { success: false, error: 'Já existe um processo em andamento com este ID' };
+            }
+
+            // Um processo cancelado pode ter sido substituído por outro com o mesmo SIGADOC
+            const conflito = await this.verificarSigadoc(processo.sigadoc, [id]);
+            if (!conflito.success) return conflito;
+            if (conflito.data) {
+                return { success: false, error: `Já existe outro processo com o SIGADOC ${processo.sigadoc}` };
+            }
+            const indice = await this.alteracoesIndiceSigadoc(id, processo.sigadoc);
+
+            const chaveHistorico = this.gerarChave(`${DB_PATHS.PROCESSOS_ANDAMENTO}/${id}/historicoStatus`);
+            const processoReaberto = {
+                ...processo,
+                reabertoDe: id,
+                historicoStatus: {
+                    ...(processo.historicoStatus || {}),
+                    [chaveHistorico]: this.criarEntradaHistorico(
+                        cancelado ? STATUS_SISTEMA.CANCELADO : STATUS_SISTEMA.FINALIZADO,
+                        processo.status,
+                        `Reaberto: ${motivo}`
+                    )
+                }
+            };
+
+            return await this.move(
+                origem,
+                DB_PATHS.PROCESSOS_ANDAMENTO,
+                id,
+                processoReaberto,
+                indice
+            );
+        } catch (error) {
+            console.error('Erro ao reabrir processo:', error);
+            return { success: false, error };
+        }
+    }
+
     /**
      * Busca todos os processos finalizados
      */
@@ -239,17 +550,17 @@ class DatabaseManager {
     }
 
     /**
-     * Deleta um processo em andamento
+     * Move um processo em andamento para a lixeira
      */
     async deleteProcessoAndamento(id) {
-        return await this.delete(DB_PATHS.PROCESSOS_ANDAMENTO, id);
+        return await this.moverParaLixeira(DB_PATHS.PROCESSOS_ANDAMENTO, id);
     }
 
     /**
-     * Deleta um processo finalizado
+     * Move um processo finalizado para a lixeira
      */
     async deleteProcessoFinalizado(id) {
-        return await this.delete(DB_PATHS.PROCESSOS_FINALIZADOS, id);
+        return await this.moverParaLixeira(DB_PATHS.PROCESSOS_FINALIZADOS, id);
     }
 
     /**
@@ -271,6 +582,170 @@ class DatabaseManager {
         }
     }
 
+    // ============ MÉTODOS ESPECÍFICOS PARA O ÍNDICE DE SIGADOC ============
+
+    /**
+     * Indica se os processos do caminho ocupam o SIGADOC no índice de unicidade
+     * Cancelados e itens da lixeira liberam o número
+     */
+    isOrigemIndexada(path) {
+        return path === DB_PATHS.PROCESSOS_ANDAMENTO || path === DB_PATHS.PROCESSOS_FINALIZADOS;
+    }
+
+    /**
+     * Busca o índice de SIGADOC ({ chave: ID do processo })
+     */
+    async getIndiceSigadoc() {
+        try {
+            const snapshot = await get(ref(this.db, DB_PATHS.INDICE_SIGADOC));
+            return { success: true, data: snapshot.exists() ? snapshot.val() : {} };
+        } catch (error) {
+            console.error('Erro ao buscar índice de SIGADOC:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Procura outro processo em andamento ou finalizado que ocupe o SIGADOC
+     * Entradas do índice que apontam para processos que já saíram dessas listas são ignoradas
+     * @param {Array} ignorarIds - IDs do próprio processo
+     * @returns {Object} { success, data: { id, path } ou null }
+     */
+    async verificarSigadoc(sigadoc, ignorarIds = []) {
+        try {
+            const entrada = await get(ref(this.db, `${DB_PATHS.INDICE_SIGADOC}/${chaveSigadoc(sigadoc)}`));
+            const id = entrada.val();
+            if (!id || ignorarIds.includes(id)) {
+                return { success: true, data: null };
+            }
+
+            for (const path of [DB_PATHS.PROCESSOS_ANDAMENTO, DB_PATHS.PROCESSOS_FINALIZADOS]) {
+                const processo = await get(ref(this.db, `${path}/${id}`));
+                if (processo.exists() && chaveSigadoc(processo.val().sigadoc) === chaveSigadoc(sigadoc)) {
+                    return { success: true, data: { id, path } };
+                }
+            }
+            return { success: true, data: null };
+        } catch (error) {
+            console.error('Erro ao verificar SIGADOC:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Monta as alterações do índice para um processo que passa a ter o SIGADOC informado
+     * (null quando o processo deixa de ocupar um SIGADOC). A entrada do SIGADOC anterior
+     * só é removida se ainda apontar para o processo
+     * @returns {Object} Alterações para gravar junto com o processo
+     */
+    async alteracoesIndiceSigadoc(id, sigadocNovo, sigadocAnterior = null) {
+        const updates = {};
+        const chaveNova = sigadocNovo ? chaveSigadoc(sigadocNovo) : null;
+
+        if (sigadocAnterior && chaveSigadoc(sigadocAnterior) !== chaveNova) {
+            const chaveAnterior = chaveSigadoc(sigadocAnterior);
+            const entrada = await get(ref(this.db, `${DB_PATHS.INDICE_SIGADOC}/${chaveAnterior}`));
+            if (entrada.val() === id) {
+                updates[`${DB_PATHS.INDICE_SIGADOC}/${chaveAnterior}`] = null;
+            }
+        }
+
+        if (chaveNova) {
+            updates[`${DB_PATHS.INDICE_SIGADOC}/${chaveNova}`] = id;
+        }
+        return updates;
+    }
+
+    /**
+     * Grava no índice os SIGADOCs que ainda não estão nele (processos anteriores ao índice)
+     * Em grupos duplicados, o processo mais antigo fica com o número até a mesclagem
+     * @param {Array} processos - Processos em andamento e finalizados
+     * @returns {Object} { success, data: quantidade de entradas gravadas }
+     */
+    async sincronizarIndiceSigadoc(processos) {
+        const indice = await this.getIndiceSigadoc();
+        if (!indice.success) return indice;
+
+        const ids = new Set(processos.map(p => p.id));
+        const updates = {};
+        [...processos]
+            .sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''))
+            .forEach(processo => {
+                const chave = chaveSigadoc(processo.sigadoc);
+                const atual = updates[`${DB_PATHS.INDICE_SIGADOC}/${chave}`] ?? indice.data[chave];
+                if (!processo.sigadoc || (atual && ids.has(atual))) return;
+                updates[`${DB_PATHS.INDICE_SIGADOC}/${chave}`] = processo.id;
+            });
+
+        const total = Object.keys(updates).length;
+        if (total === 0) return { success: true, data: 0 };
+
+        const resultado = await this.multiUpdate(updates);
+        return resultado.success ? { success: true, data: total } : resultado;
+    }
+
+    /**
+     * Mescla processos duplicados em um processo principal numa única escrita atômica
+     * Campos do cadastro vazios no principal são preenchidos com os dos duplicados, que são
+     * cancelados com o motivo "Duplicidade" (mantendo histórico e comentários) e
+     * registrados em mescladoDe no principal
+     * @param {Object} principal - { id, path } do processo mantido
+     * @param {Array} duplicados - [{ id, path }] dos processos mesclados nele
+     */
+    async mesclarProcessos(principal, duplicados) {
+        try {
+            const [base, ...outros] = await Promise.all(
+                [principal, ...duplicados].map(({ path, id }) => this.getById(path, id))
+            );
+            if (!base.success || outros.some(r => !r.success)) {
+                return { success: false, error: 'Processo não encontrado. Atualize a lista de duplicados.' };
+            }
+
+            const agora = new Date().toISOString();
+            const raiz = `${principal.path}/${principal.id}`;
+            const mesclado = { ...base.data };
+            const updates = {
+                [`${DB_PATHS.INDICE_SIGADOC}/${chaveSigadoc(base.data.sigadoc)}`]: principal.id,
+                [`${raiz}/updatedAt`]: agora
+            };
+
+            duplicados.forEach(({ path, id }, indice) => {
+                const processo = outros[indice].data;
+
+                CAMPOS_MESCLAGEM.forEach(campo => {
+                    const vazio = mesclado[campo] === undefined || mesclado[campo] === null || mesclado[campo] === '';
+                    if (vazio && processo[campo] !== undefined && processo[campo] !== null && processo[campo] !== '') {
+                        mesclado[campo] = processo[campo];
+                        updates[`${raiz}/${campo}`] = processo[campo];
+                    }
+                });
+
+                updates[`${raiz}/mescladoDe/${id}`] = {
+                    sigadoc: processo.sigadoc,
+                    origem: path,
+                    mescladoEm: agora,
+                    mescladoPor: authManager.currentUser?.email || 'desconhecido'
+                };
+                updates[`${DB_PATHS.PROCESSOS_CANCELADOS}/${id}`] = {
+                    ...this.montarProcessoCancelado(
+                        id,
+                        processo,
+                        'Duplicidade',
+                        `Mesclado no processo ${base.data.sigadoc} (${principal.id})`
+                    ),
+                    id,
+                    updatedAt: agora
+                };
+                updates[`${path}/${id}`] = null;
+            });
+
+            return await this.multiUpdate(updates);
+        } catch (error) {
+            console.error('Erro ao mesclar processos:', error);
+            return { success: false, error };
+        }
+    }
+
     // ============ MÉTODOS ESPECÍFICOS PARA FUNCIONÁRIOS ============
 
     /**
@@ -295,10 +770,508 @@ class DatabaseManager {
     }
 
     /**
-     * Deleta um funcionário
+     * Move um funcionário para a lixeira
      */
     async deleteFuncionario(id) {
-        return await this.delete(DB_PATHS.FUNCIONARIOS, id);
+        return await this.moverParaLixeira(DB_PATHS.FUNCIONARIOS, id);
+    }
+
+    // ============ MÉTODOS ESPECÍFICOS PARA O FLUXO DE STATUS ============
+
+    /**
+     * Busca as definições de fluxo de todos os tipos de cotação
+     */
+    async getWorkflow() {
+        try {
+            const snapshot = await get(ref(this.db, DB_PATHS.WORKFLOW));
+            return { success: true, data: snapshot.exists() ? snapshot.val() : {} };
+        } catch (error) {
+            console.error('Erro ao buscar fluxo de status:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Salva a definição de fluxo de um tipo de cotação (substitui a anterior)
+     */
+    async salvarWorkflow(tipoCotacao, definicao) {
+        try {
+            await auditoriaManager.gravar({
+                [`${DB_PATHS.WORKFLOW}/${tipoCotacao}`]: {
+                    ...definicao,
+                    updatedAt: new Date().toISOString()
+                }
+            });
+            return { success: true };
+        } catch (error) {
+            console.error('Erro ao salvar fluxo de status:', error);
+            return { success: false, error };
+        }
+    }
+
+    // ============ MÉTODOS ESPECÍFICOS PARA REGRAS DE SLA ============
+
+    /**
+     * Busca todas as regras de SLA
+     */
+    async getSlaRegras() {
+        return await this.getAll(DB_PATHS.SLA_REGRAS);
+    }
+
+    /**
+     * Cria uma regra de SLA
+     */
+    async createSlaRegra(regra) {
+        return await this.create(DB_PATHS.SLA_REGRAS, regra);
+    }
+
+    /**
+     * Atualiza uma regra de SLA
+     */
+    async updateSlaRegra(id, updates) {
+        return await this.update(DB_PATHS.SLA_REGRAS, id, updates);
+    }
+
+    /**
+     * Deleta uma regra de SLA
+     */
+    async deleteSlaRegra(id) {
+        return await this.delete(DB_PATHS.SLA_REGRAS, id);
+    }
+
+    // ============ MÉTODOS ESPECÍFICOS PARA COMENTÁRIOS ============
+
+    /**
+     * Caminho do fio de comentários de um processo
+     * O fio é indexado pelo ID do processo, que é mantido ao finalizar, cancelar e reabrir
+     */
+    getPathComentarios(processoId) {
+        return `${DB_PATHS.COMENTARIOS}/${processoId}`;
+    }
+
+    /**
+     * Cria um comentário no fio do processo, em nome do usuário atual
+     * @param {Object|null} mencao - { funcionarioId, nome } do funcionário mencionado
+     */
+    async createComentario(processoId, texto, mencao = null) {
+        const usuario = authManager.currentUser;
+        return await this.create(this.getPathComentarios(processoId), {
+            texto,
+            autorUid: usuario?.uid || null,
+            autorEmail: usuario?.email || 'desconhecido',
+            mencao,
+            editado: false
+        });
+    }
+
+    /**
+     * Atualiza o texto de um comentário (as regras só permitem ao autor)
+     */
+    async updateComentario(processoId, id, texto) {
+        return await this.update(this.getPathComentarios(processoId), id, { texto, editado: true });
+    }
+
+    /**
+     * Deleta um comentário (as regras só permitem ao autor)
+     */
+    async deleteComentario(processoId, id) {
+        return await this.delete(this.getPathComentarios(processoId), id);
+    }
+
+    // ============ MÉTODOS ESPECÍFICOS PARA A LIXEIRA ============
+
+    /**
+     * Move um registro para a lixeira (exclusão lógica), mantendo a chave
+     * Fora da lista de origem, o item deixa de aparecer em listas, KPIs, gráficos e emails
+     */
+    async moverParaLixeira(path, id) {
+        try {
+            const resultado = await this.getById(path, id);
+            if (!resultado.success) {
+                return { success: false, error: 'Registro não encontrado' };
+            }
+
+            // Na lixeira, o processo deixa de ocupar o SIGADOC no índice
+            const indice = this.isOrigemIndexada(path)
+                ? await this.alteracoesIndiceSigadoc(id, null, resultado.data.sigadoc)
+                : {};
+
+            return await this.move(path, DB_PATHS.LIXEIRA, id, {
+                origem: path,
+                dados: resultado.data,
+                excluidoEm: new Date().toISOString(),
+                excluidoPor: authManager.currentUser?.email || 'desconhecido',
+                excluidoPorUid: authManager.currentUser?.uid || null
+            }, indice);
+        } catch (error) {
+            console.error('Erro ao mover registro para a lixeira:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Busca todos os itens da lixeira
+     */
+    async getLixeira() {
+        return await this.getAll(DB_PATHS.LIXEIRA);
+    }
+
+    /**
+     * Restaura um item da lixeira para a lista de origem, com a mesma chave
+     */
+    async restaurarDaLixeira(id) {
+        try {
+            const resultado = await this.getById(DB_PATHS.LIXEIRA, id);
+            if (!resultado.success) {
+                return { success: false, error: 'Item não encontrado na lixeira' };
+            }
+
+            const { origem, dados } = resultado.data;
+            const existente = await get(ref(this.db, `${origem}/${id}`));
+            if (existente.exists()) {
+                return { success: false, error: 'Já existe um registro com este ID na lista de origem' };
+            }
+
+            let indice = {};
+            if (this.isOrigemIndexada(origem)) {
+                const conflito = await this.verificarSigadoc(dados.sigadoc, [id]);
+                if (!conflito.success) return conflito;
+                if (conflito.data) {
+                    return { success: false, error: `Já existe outro processo com o SIGADOC ${dados.sigadoc}` };
+                }
+                indice = await this.alteracoesIndiceSigadoc(id, dados.sigadoc);
+            }
+
+            return await this.move(DB_PATHS.LIXEIRA, origem, id, dados, indice);
+        } catch (error) {
+            console.error('Erro ao restaurar item da lixeira:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Exclui itens da lixeira definitivamente numa única escrita,
+     * junto com o fio de comentários dos processos
+     * @param {Array} itens - Itens da lixeira ({ id, origem, dados })
+     */
+    async purgarDaLixeira(itens) {
+        const updates = {};
+        itens.forEach(item => {
+            updates[`${DB_PATHS.LIXEIRA}/${item.id}`] = null;
+            if (item.origem !== DB_PATHS.FUNCIONARIOS) {
+                updates[this.getPathComentarios(item.id)] = null;
+            }
+        });
+        return await this.multiUpdate(updates);
+    }
+
+    /**
+     * Busca os dias de retenção da lixeira (null se não configurado)
+     */
+    async getRetencaoLixeira() {
+        try {
+            const snapshot = await get(ref(this.db, `${DB_PATHS.CONFIGURACOES}/lixeira/retencaoDias`));
+            return { success: true, data: snapshot.exists() ? snapshot.val() : null };
+        } catch (error) {
+            console.error('Erro ao buscar retenção da lixeira:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Salva os dias de retenção da lixeira
+     */
+    async salvarRetencaoLixeira(dias) {
+        return await this.multiUpdate({
+            [`${DB_PATHS.CONFIGURACOES}/lixeira/retencaoDias`]: dias
+        });
+    }
+
+    // ============ MÉTODOS ESPECÍFICOS PARA IMPORTAÇÃO DE PLANILHAS ============
+
+    /**
+     * Cria os processos de uma importação e o registro do lote numa única escrita atômica
+     * O lote guarda os IDs criados para que a importação possa ser desfeita por inteiro
+     * @param {Array} processos - Processos já normalizados e validados
+     * @param {string} arquivo - Nome da planilha importada
+     */
+    async importarProcessos(processos, arquivo) {
+        try {
+            const loteId = this.gerarChave(DB_PATHS.IMPORTACOES);
+            const agora = new Date().toISOString();
+            const updates = {};
+            const ids = {};
+
+            processos.forEach(processo => {
+                const id = this.gerarChave(DB_PATHS.PROCESSOS_ANDAMENTO);
+                const chaveHistorico = this.gerarChave(`${DB_PATHS.PROCESSOS_ANDAMENTO}/${id}/historicoStatus`);
+                updates[`${DB_PATHS.PROCESSOS_ANDAMENTO}/${id}`] = {
+                    ...processo,
+                    id,
+                    importacaoLote: loteId,
+                    historicoStatus: {
+                        [chaveHistorico]: this.criarEntradaHistorico(null, processo.status, `Importado da planilha ${arquivo}`)
+                    },
+                    schemaVersion: VERSAO_ESQUEMA,
+                    createdAt: agora,
+                    updatedAt: agora
+                };
+                updates[`${DB_PATHS.INDICE_SIGADOC}/${chaveSigadoc(processo.sigadoc)}`] = id;
+                ids[id] = processo.sigadoc;
+            });
+
+            updates[`${DB_PATHS.IMPORTACOES}/${loteId}`] = {
+                arquivo,
+                total: processos.length,
+                processos: ids,
+                criadoEm: agora,
+                criadoPor: authManager.currentUser?.email || 'desconhecido'
+            };
+
+            const resultado = await this.multiUpdate(updates);
+            return resultado.success
+                ? { success: true, data: { loteId, total: processos.length } }
+                : resultado;
+        } catch (error) {
+            console.error('Erro ao importar processos:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Busca os lotes de importação
+     */
+    async getImportacoes() {
+        return await this.getAll(DB_PATHS.IMPORTACOES);
+    }
+
+    /**
+     * Desfaz um lote de importação, removendo os processos criados por ele
+     * Processos do lote que já saíram de andamento (finalizados, cancelados ou na lixeira) são mantidos
+     * @returns {Object} { success, data: { removidos, mantidos } }
+     */
+    async desfazerImportacao(loteId) {
+        try {
+            const lote = await this.getById(DB_PATHS.IMPORTACOES, loteId);
+            if (!lote.success) {
+                return { success: false, error: 'Importação não encontrada' };
+            }
+            if (lote.data.desfeitoEm) {
+                return { success: false, error: 'Esta importação já foi desfeita' };
+            }
+
+            const andamento = await this.getAll(DB_PATHS.PROCESSOS_ANDAMENTO);
+            if (!andamento.success) return andamento;
+
+            const presentes = new Map(andamento.data
+                .filter(p => p.importacaoLote === loteId)
+                .map(p => [p.id, p]));
+            const ids = Object.keys(lote.data.processos || {});
+            const removidos = ids.filter(id => presentes.has(id));
+
+            const indice = await this.getIndiceSigadoc();
+            if (!indice.success) return indice;
+
+            const updates = {
+                [`${DB_PATHS.IMPORTACOES}/${loteId}/desfeitoEm`]: new Date().toISOString(),
+                [`${DB_PATHS.IMPORTACOES}/${loteId}/desfeitoPor`]: authManager.currentUser?.email || 'desconhecido',
+                [`${DB_PATHS.IMPORTACOES}/${loteId}/removidos`]: removidos.length
+            };
+            removidos.forEach(id => {
+                updates[`${DB_PATHS.PROCESSOS_ANDAMENTO}/${id}`] = null;
+                const chave = chaveSigadoc(presentes.get(id).sigadoc);
+                if (indice.data[chave] === id) {
+                    updates[`${DB_PATHS.INDICE_SIGADOC}/${chave}`] = null;
+                }
+            });
+
+            const resultado = await this.multiUpdate(updates);
+            return resultado.success
+                ? { success: true, data: { removidos: removidos.length, mantidos: ids.length - removidos.length } }
+                : resultado;
+        } catch (error) {
+            console.error('Erro ao desfazer importação:', error);
+            return { success: false, error };
+        }
+    }
+
+    // ============ MÉTODOS ESPECÍFICOS PARA AS LISTAS DE VALIDAÇÃO ============
+
+    /**
+     * Busca as listas de validação salvas ({ LISTA: { valor: { ordem, ativo } } })
+     */
+    async getListasValidacao() {
+        try {
+            const snapshot = await get(ref(this.db, DB_PATHS.LISTAS_VALIDACAO));
+            return { success: true, data: snapshot.exists() ? snapshot.val() : {} };
+        } catch (error) {
+            console.error('Erro ao buscar listas de validação:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Salva uma lista de validação inteira (substitui a anterior), na ordem recebida
+     * @param {Array} itens - [{ valor, ativo }]
+     * @param {Object} extras - Alterações adicionais gravadas na mesma operação
+     */
+    async salvarListaValidacao(lista, itens, extras = {}) {
+        return await this.multiUpdate({
+            ...extras,
+            [`${DB_PATHS.LISTAS_VALIDACAO}/${lista}`]: Object.fromEntries(
+                itens.map(({ valor, ativo }, ordem) => [valor, { ordem, ativo }])
+            )
+        });
+    }
+
+    /**
+     * Renomeia um valor de uma lista de validação numa única escrita atômica
+     * O fluxo de status, os campos personalizados e as regras de SLA sempre passam a usar o novo nome; os registros
+     * com o valor (inclusive na lixeira) só são atualizados se atualizarRegistros; no status, as etapas do
+     * histórico de status também são renomeadas
+     * @param {Array} itens - Lista completa, já com o valor renomeado
+     * @returns {Object} { success, data: { registros } } - quantidade de registros atualizados
+     */
+    async renomearValorLista(lista, itens, antigo, novo, atualizarRegistros) {
+        try {
+            const { campo, registros } = LISTAS[lista];
+            const updates = {};
+
+            if (lista === 'TIPO_COTACAO') {
+                const campos = await this.getCamposPersonalizados();
+                if (!campos.success) return campos;
+                if (campos.data[antigo]) {
+                    updates[`${DB_PATHS.CAMPOS_PERSONALIZADOS}/${antigo}`] = null;
+                    updates[`${DB_PATHS.CAMPOS_PERSONALIZADOS}/${novo}`] = campos.data[antigo];
+                }
+            }
+
+            if (lista === 'TIPO_COTACAO' || lista === 'STATUS') {
+                const workflow = await this.getWorkflow();
+                if (!workflow.success) return workflow;
+
+                Object.entries(workflow.data).forEach(([tipo, definicao]) => {
+                    if (lista === 'TIPO_COTACAO') {
+                        if (tipo !== antigo) return;
+                        updates[`${DB_PATHS.WORKFLOW}/${antigo}`] = null;
+                        updates[`${DB_PATHS.WORKFLOW}/${novo}`] = definicao;
+                    } else {
+                        const renomeada = renomearEtapaFluxo(definicao, antigo, novo);
+                        if (JSON.stringify(renomeada) !== JSON.stringify(definicao)) {
+                            updates[`${DB_PATHS.WORKFLOW}/${tipo}`] = renomeada;
+                        }
+                    }
+                });
+            }
+
+            const regrasSla = await this.getSlaRegras();
+            if (!regrasSla.success) return regrasSla;
+            regrasSla.data
+                .filter(regra => regra[campo] === antigo)
+                .forEach(regra => {
+                    updates[`${DB_PATHS.SLA_REGRAS}/${regra.id}/${campo}`] = novo;
+                });
+
+            let total = 0;
+            if (atualizarRegistros) {
+                for (const path of registros) {
+                    const resultado = await this.getAll(path);
+                    if (!resultado.success) return resultado;
+                    resultado.data
+                        .filter(registro => registro[campo] === antigo)
+                        .forEach(registro => {
+                            updates[`${path}/${registro.id}/${campo}`] = novo;
+                            total++;
+                        });
+                    if (lista === 'STATUS') {
+                        resultado.data.forEach(registro => Object.assign(updates,
+                            renomearEtapaHistorico(`${path}/${registro.id}`, registro.historicoStatus, antigo, novo)));
+                    }
+                }
+
+                const lixeira = await this.getLixeira();
+                if (!lixeira.success) return lixeira;
+                lixeira.data
+                    .filter(item => registros.includes(item.origem) && item.dados?.[campo] === antigo)
+                    .forEach(item => {
+                        updates[`${DB_PATHS.LIXEIRA}/${item.id}/dados/${campo}`] = novo;
+                        total++;
+                    });
+                if (lista === 'STATUS') {
+                    lixeira.data
+                        .filter(item => registros.includes(item.origem))
+                        .forEach(item => Object.assign(updates,
+                            renomearEtapaHistorico(`${DB_PATHS.LIXEIRA}/${item.id}/dados`, item.dados?.historicoStatus, antigo, novo)));
+                }
+            }
+
+            const resultado = await this.salvarListaValidacao(lista, itens, updates);
+            return resultado.success ? { success: true, data: { registros: total } } : resultado;
+        } catch (error) {
+            console.error('Erro ao renomear valor da lista:', error);
+            return { success: false, error };
+        }
+    }
+
+    // ============ MÉTODOS ESPECÍFICOS PARA CAMPOS PERSONALIZADOS ============
+
+    /**
+     * Busca as definições de campos personalizados de todos os tipos de cotação
+     */
+    async getCamposPersonalizados() {
+        try {
+            const snapshot = await get(ref(this.db, DB_PATHS.CAMPOS_PERSONALIZADOS));
+            return { success: true, data: snapshot.exists() ? snapshot.val() : {} };
+        } catch (error) {
+            console.error('Erro ao buscar campos personalizados:', error);
+            return { success: false, error };
+        }
+    }
+
+    /**
+     * Salva os campos personalizados de um tipo de cotação (substitui os anteriores), na ordem recebida
+     * @param {Array} campos - [{ id, rotulo, tipo, obrigatorio, opcoes: [...] }]
+     */
+    async salvarCamposPersonalizados(tipoCotacao, campos) {
+        return await this.multiUpdate({
+            [`${DB_PATHS.CAMPOS_PERSONALIZADOS}/${tipoCotacao}`]: campos.length === 0 ? null : Object.fromEntries(
+                campos.map(({ id, rotulo, tipo, obrigatorio, opcoes }, ordem) => [id, {
+                    rotulo,
+                    tipo,
+                    obrigatorio,
+                    ordem,
+                    ...(tipo === 'selecao' ? { opcoes: Object.fromEntries(opcoes.map((opcao, i) => [opcao, i])) } : {})
+                }])
+            )
+        });
+    }
+
+    // ============ MÉTODOS ESPECÍFICOS PARA MIGRAÇÃO DE DADOS ============
+
+    /**
+     * Grava a migração de um lote de registros numa única escrita atômica
+     * Só os campos alterados são gravados (null remove o campo), junto com o schemaVersion
+     * Registros com destino são movidos: o registro migrado inteiro vai para o destino
+     * e sai do caminho de origem (e do índice de SIGADOC, como nos cancelamentos)
+     * @param {Array} registros - [{ caminho, alteracoes, versao, destino, processo }], caminho do registro
+     *                            (ex.: processosAndamento/id ou lixeira/id/dados)
+     */
+    async migrarRegistros(registros) {
+        const updates = {};
+        for (const { caminho, alteracoes, versao, destino, processo } of registros) {
+            if (destino) {
+                Object.assign(updates, await this.alteracoesIndiceSigadoc(processo.id, null, processo.sigadoc));
+                updates[destino] = { ...processo, schemaVersion: versao, updatedAt: new Date().toISOString() };
+                updates[caminho] = null;
+                continue;
+            }
+
+            Object.entries(alteracoes).forEach(([campo, valor]) => {
+                updates[`${caminho}/${campo}`] = valor;
+            });
+            updates[`${caminho}/schemaVersion`] = versao;
+        }
+        return await this.multiUpdate(updates);
     }
 
     // ============ MÉTODOS AUXILIARES ============
@@ -315,36 +1288,18 @@ class DatabaseManager {
     }
 
     /**
-     * Calcula dias úteis entre duas datas (excluindo sábados e domingos)
+     * Calcula dias úteis entre duas datas
+     * Exclui fins de semana, feriados nacionais, feriados locais e recessos (ver calendario.js)
      */
     calcularDiasUteis(dataInicio, dataFim) {
-        const inicio = new Date(dataInicio);
-        const fim = new Date(dataFim);
-        let diasUteis = 0;
-        const atual = new Date(inicio);
-
-        while (atual <= fim) {
-            const diaSemana = atual.getDay();
-            // 0 = domingo, 6 = sábado
-            if (diaSemana !== 0 && diaSemana !== 6) {
-                diasUteis++;
-            }
-            atual.setDate(atual.getDate() + 1);
-        }
-
-        return diasUteis;
+        return calendarioManager.calcularDiasUteis(dataInicio, dataFim);
     }
 
     /**
-     * Calcula dias para o prazo
+     * Calcula dias úteis para o prazo (negativo se vencido)
      */
     calcularDiasParaPrazo(dataFinal) {
-        if (!dataFinal) return null;
-        const hoje = new Date();
-        const prazo = new Date(dataFinal);
-        const diffTime = prazo - hoje;
-        const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        return diffDays;
+        return calendarioManager.diasUteisAtePrazo(dataFinal);
     }
 
     /**
@@ -0,0 +1,206 @@
+/**
+ * Modulo de Destinos de Backup
+ * Cada destino recebe o snapshot de um backup e o guarda em um lugar diferente
+ * (banco de dados, arquivo baixado, endpoint HTTP). Outros destinos podem ser
+ * adicionados com registrar(), informando id, nome, campos de configuracao e enviar()
+ *
+ * Campos secretos (senha de criptografia, token) nunca sao gravados na politica:
+ * sao pedidos ao gestor no momento do envio e ficam apenas na memoria desta sessao
+ */
+
+import { BACKUP_PATHS, BACKUP_CONFIG } from './config.js';
+import dbManager from './database.js';
+import { criptografar } from './criptografia.js';
+
+/**
+ * Baixa um conteudo como arquivo JSON no navegador
+ */
+function baixarJson(nomeArquivo, conteudo) {
+    const blob = new Blob([JSON.stringify(conteudo, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = nomeArquivo;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+}
+
+class DestinosBackup {
+    constructor() {
+        this.destinos = {};
+        this.segredos = {};      // { [destinoId]: { [campoId]: valor } }, so em memoria
+        this.solicitante = null; // async (destino, campo) => valor ou null se cancelado
+
+        // Guarda o snapshot no proprio Realtime Database (incremental quando possivel)
+        this.registrar({
+            id: 'rtdb',
+            nome: 'Banco de dados (Firebase)',
+            descricao: 'Necessario para restaurar pelo sistema e para os backups incrementais.',
+            enviar: async ({ key, dados }) => {
+                const resultado = await dbManager.multiUpdate({ [`${BACKUP_PATHS.DATA}/${key}`]: dados });
+                if (!resultado.success) throw resultado.error;
+            }
+        });
+
+        this.registrar({
+            id: 'arquivo',
+            nome: 'Arquivo baixado',
+            descricao: 'Baixa o backup completo em JSON no computador do gestor que o realizou. Com criptografia, a senha e pedida no momento do backup e nao fica guardada no sistema.',
+            campos: [
+                { id: 'criptografar', rotulo: 'Criptografar o arquivo com senha', tipo: 'checkbox' },
+                {
+                    id: 'senha',
+                    rotulo: 'Senha de criptografia',
+                    tipo: 'password',
+                    secreto: true,
+                    obrigatorio: true,
+                    quando: 'criptografar',
+                    tamanhoMinimo: BACKUP_CONFIG.CRIPTOGRAFIA.TAMANHO_MINIMO_SENHA
+                }
+            ],
+            enviar: async ({ key, completo }, config = {}) => {
+                if (config.criptografar) {
+                    baixarJson(`${key}.criptografado.json`, await criptografar(completo, config.senha));
+                } else {
+                    baixarJson(`${key}.json`, completo);
+                }
+            }
+        });
+
+        this.registrar({
+            id: 'http',
+            nome: 'Endpoint HTTP',
+            descricao: 'Envia o backup completo em JSON (POST) para um endpoint proprio. O token, se usado, e pedido no momento do backup e nao fica guardado no sistema.',
+            campos: [
+                { id: 'url', rotulo: 'URL do endpoint', tipo: 'url', obrigatorio: true },
+                { id: 'usarToken', rotulo: 'Enviar token (Authorization: Bearer)', tipo: 'checkbox' },
+                { id: 'token', rotulo: 'Token (Authorization: Bearer)', tipo: 'password', secreto: true, obrigatorio: true, quando: 'usarToken' }
+            ],
+            enviar: async ({ key, completo }, config) => {
+                const headers = { 'Content-Type': 'application/json' };
+                if (config.usarToken) headers.Authorization = `Bearer ${config.token}`;
+
+                const resposta = await fetch(config.url, {
+                    method: 'POST',
+                    headers,
+                    body: JSON.stringify({ key, backup: completo })
+                });
+                if (!resposta.ok) throw new Error(`HTTP ${resposta.status}`);
+            }
+        });
+    }
+
+    /**
+     * Registra um destino de backup
+     * @param {Object} destino - { id, nome, descricao, campos: [{ id, rotulo, tipo, obrigatorio, tamanhoMinimo, secreto, quando }], enviar(snapshot, config) }
+     * Campos com secreto: true sao pedidos no envio; quando indica o campo checkbox que os torna necessarios
+     */
+    registrar(destino) {
+        if (!destino?.id || typeof destino.enviar !== 'function') {
+            throw new Error('Destino de backup invalido: id e enviar() sao obrigatorios');
+        }
+        this.destinos[destino.id] = { campos: [], descricao: '', ...destino };
+    }
+
+    /**
+     * Lista os destinos registrados
+     */
+    listar() {
+        return Object.values(this.destinos);
+    }
+
+    /**
+     * Retorna um destino pelo id
+     */
+    get(id) {
+        return this.destinos[id] || null;
+    }
+
+    /**
+     * Define quem pede ao gestor os campos secretos no momento do envio
+     * @param {Function} solicitante - async (destino, campo) => valor ou null se cancelado
+     */
+    definirSolicitante(solicitante) {
+        this.solicitante = solicitante;
+    }
+
+    /**
+     * Remove os campos secretos de uma configuracao de destinos antes de grava-la
+     * @param {Object} configDestinos - { [id]: { ativo, ...campos } }
+     * @returns {Object} Copia sem os campos secretos
+     */
+    semSegredos(configDestinos) {
+        const limpos = {};
+        for (const [id, config] of Object.entries(configDestinos || {})) {
+            const secretos = (this.get(id)?.campos || []).filter(campo => campo.secreto).map(campo => campo.id);
+            limpos[id] = Object.fromEntries(Object.entries(config || {}).filter(([campo]) => !secretos.includes(campo)));
+        }
+        return limpos;
+    }
+
+    /**
+     * Obtem os campos secretos exigidos pela configuracao do destino
+     * Usa o valor ja informado nesta sessao ou pede ao gestor
+     */
+    async _obterSegredos(destino, config) {
+        const valores = {};
+
+        for (const campo of destino.campos) {
+            if (!campo.secreto || (campo.quando && !config[campo.quando])) continue;
+
+            const valor = this.segredos[destino.id]?.[campo.id]
+                || (this.solicitante ? await this.solicitante(destino, campo) : null);
+            if (!valor) {
+                if (campo.obrigatorio) throw new Error(`"${campo.rotulo}" nao informado`);
+                continue;
+            }
+
+            this.segredos[destino.id] = { ...this.segredos[destino.id], [campo.id]: valor };
+            valores[campo.id] = valor;
+        }
+
+        return valores;
+    }
+
+    /**
+     * Envia o snapshot para cada destino ativo na politica
+     * Uma falha em um destino nao impede os demais
+     * @param {Object} snapshot - { key, dados (como gravado no banco), completo (backup reconstruido) }
+     * @param {Object} configDestinos - politica.destinos: { [id]: { ativo, ...campos } }
+     * @returns {Object} { [id]: 'ok' | 'erro: mensagem' }
+     */
+    async enviar(snapshot, configDestinos) {
+        const situacao = {};
+
+        for (const [id, config] of Object.entries(configDestinos || {})) {
+            if (!config?.ativo) continue;
+
+            const destino = this.get(id);
+            if (!destino) {
+                situacao[id] = 'erro: destino nao registrado';
+                continue;
+            }
+
+            try {
+                const segredos = await this._obterSegredos(destino, config);
+                await destino.enviar(snapshot, { ...config, ...segredos });
+                situacao[id] = 'ok';
+            } catch (error) {
+                // Um token ou senha recusado volta a ser pedido no proximo envio
+                delete this.segredos[id];
+                console.error(`Erro ao enviar backup para o destino ${id}:`, error);
+                situacao[id] = `erro: ${error?.message || error?.code || 'falha no envio'}`;
+            }
+        }
+
+        return situacao;
+    }
+}
+
+// Exporta instancia unica
+const destinosBackup = new DestinosBackup();
+export default destinosBackup;
@@ -0,0 +1,236 @@
+/**
+ * Módulo de Processos Duplicados
+ * Lista os processos em andamento e finalizados que compartilham o mesmo SIGADOC
+ * (cadastrados antes do índice de unicidade) e permite ao gestor mesclá-los.
+ * Também completa o índice com os processos anteriores a ele
+ */
+
+import dbManager from './database.js';
+import authManager from './auth.js';
+import { DB_PATHS, MESSAGES } from './config.js';
+import {
+    formatarData,
+    escaparHtml,
+    chaveSigadoc,
+    showLoading,
+    hideLoading,
+    showNotification
+} from './utils.js';
+
+const SITUACOES = {
+    [DB_PATHS.PROCESSOS_ANDAMENTO]: 'Em andamento',
+    [DB_PATHS.PROCESSOS_FINALIZADOS]: 'Finalizado'
+};
+
+class DuplicadosManager {
+    constructor() {
+        this.grupos = []; // [{ chave, sigadoc, processos: [{ path, processo }] }]
+    }
+
+    /**
+     * Inicializa o módulo
+     */
+    initialize() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configura event listeners do modal de duplicados
+     */
+    setupEventListeners() {
+        document.getElementById('btnVerificarDuplicados')?.addEventListener('click', () => {
+            this.abrirModal();
+        });
+
+        document.getElementById('duplicadosLista')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action="merge"]');
+            if (btn) this.mesclar(btn.dataset.chave);
+        });
+    }
+
+    /**
+     * Carrega os processos que ocupam SIGADOC e os agrupa pelo número
+     * @returns {Array|null} Processos carregados ({ path, processo }) ou null em caso de erro
+     */
+    async carregar() {
+        const [andamento, finalizados] = await Promise.all([
+            dbManager.getProcessosAndamento(),
+            dbManager.getProcessosFinalizados()
+        ]);
+        if (!andamento.success || !finalizados.success) return null;
+
+        const processos = [
+            ...andamento.data.map(processo => ({ path: DB_PATHS.PROCESSOS_ANDAMENTO, processo })),
+            ...finalizados.data.map(processo => ({ path: DB_PATHS.PROCESSOS_FINALIZADOS, processo }))
+        ];
+
+        const porChave = new Map();
+        processos.forEach(item => {
+            const chave = chaveSigadoc(item.processo.sigadoc);
+            if (!porChave.has(chave)) porChave.set(chave, []);
+            porChave.get(chave).push(item);
+        });
+
+        this.grupos = [...porChave.entries()]
+            .filter(([, itens]) => itens.length > 1)
+            .map(([chave, itens]) => ({
+                chave,
+                sigadoc: itens[0].processo.sigadoc,
+                processos: itens.sort((a, b) =>
+                    (a.processo.createdAt || '').localeCompare(b.processo.createdAt || ''))
+            }));
+
+        return processos;
+    }
+
+    /**
+     * Completa o índice de SIGADOC com os processos anteriores a ele
+     * Executado na entrada de um gestor, como a limpeza da lixeira
+     */
+    async sincronizarIndice() {
+        if (!authManager.isGestor()) return;
+
+        try {
+            const processos = await this.carregar();
+            if (!processos) return;
+
+            const resultado = await dbManager.sincronizarIndiceSigadoc(processos.map(item => item.processo));
+            if (resultado.success && resultado.data > 0) {
+                console.log(`🔢 ${resultado.data} SIGADOC(s) incluído(s) no índice de unicidade`);
+            }
+            this.updateStatus();
+        } catch (error) {
+            console.error('Erro ao sincronizar índice de SIGADOC:', error);
+        }
+    }
+
+    /**
+     * Abre o modal com os grupos de processos duplicados
+     */
+    async abrirModal() {
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem mesclar processos duplicados', 'warning');
+            return;
+        }
+
+        showLoading();
+        try {
+            if (!await this.carregar()) {
+                showNotification(MESSAGES.ERROR.LOAD, 'error');
+                return;
+            }
+            this.renderGrupos();
+            this.updateStatus();
+            document.getElementById('modalDuplicados')?.classList.add('active');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Atualiza o badge de duplicados no card de configurações
+     */
+    updateStatus() {
+        const badge = document.getElementById('duplicadosStatus');
+        if (!badge) return;
+
+        const total = this.grupos.length;
+        badge.textContent = total === 0 ? 'Nenhum' : `${total} ${total === 1 ? 'número' : 'números'}`;
+        badge.className = `status-badge ${total === 0 ? 'status-inactive' : 'status-warning'}`;
+    }
+
+    /**
+     * Renderiza cada grupo de duplicados com a escolha do processo mantido
+     */
+    renderGrupos() {
+        const container = document.getElementById('duplicadosLista');
+        if (!container) return;
+
+        if (this.grupos.length === 0) {
+            container.innerHTML = '<p class="form-help">Nenhum SIGADOC duplicado entre processos em andamento e finalizados.</p>';
+            return;
+        }
+
+        container.innerHTML = this.grupos.map(grupo => `
+            <div class="form-section duplicados-grupo">
+                <h4>SIGADOC ${escaparHtml(grupo.sigadoc)} (${grupo.processos.length} processos)</h4>
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Manter</th>
+                                <th>Situação</th>
+                                <th>Descrição</th>
+                                <th>Responsável</th>
+                                <th>Status</th>
+                                <th>Cadastrado em</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${grupo.processos.map(({ path, processo }, indice) => `
+                                <tr>
+                                    <td>
+                                        <input type="radio" name="manter-${escaparHtml(grupo.chave)}"
+                                            value="${processo.id}" ${indice === 0 ? 'checked' : ''}>
+                                    </td>
+                                    <td>${SITUACOES[path]}</td>
+                                    <td>${escaparHtml(processo.descricao || '-')}</td>
+                                    <td>${escaparHtml(processo.responsavel || '-')}</td>
+                                    <td>${escaparHtml(processo.status || '-')}</td>
+                                    <td>${processo.createdAt ? formatarData(processo.createdAt) : '-'}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                <div class="form-actions">
+                    <button type="button" class="btn-primary" data-action="merge" data-chave="${escaparHtml(grupo.chave)}">Mesclar no Selecionado</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Mescla os processos de um grupo no processo escolhido para ser mantido
+     */
+    async mesclar(chave) {
+        const grupo = this.grupos.find(g => g.chave === chave);
+        if (!grupo) return;
+
+        const selecionado = [...document.querySelectorAll('#duplicadosLista input[type="radio"]:checked')]
+            .find(input => input.name === `manter-${chave}`)?.value;
+        const principal = grupo.processos.find(item => item.processo.id === selecionado);
+        if (!principal) return;
+
+        const duplicados = grupo.processos.filter(item => item !== principal);
+        const mensagem = `Mesclar ${duplicados.length} processo(s) no processo mantido (${SITUACOES[principal.path]})?\n\n` +
+            'Campos vazios do processo mantido serão preenchidos com os dos duplicados, e os duplicados ' +
+            'serão cancelados com o motivo "Duplicidade", mantendo seu histórico e comentários.';
+        if (!confirm(mensagem)) return;
+
+        showLoading();
+        try {
+            const resultado = await dbManager.mesclarProcessos(
+                { id: principal.processo.id, path: principal.path },
+                duplicados.map(({ path, processo }) => ({ id: processo.id, path }))
+            );
+            if (resultado.success) {
+                showNotification(`Processos do SIGADOC ${grupo.sigadoc} mesclados`, 'success');
+                await this.carregar();
+                this.renderGrupos();
+                this.updateStatus();
+            } else {
+                showNotification(
+                    typeof resultado.error === 'string' ? resultado.error : MESSAGES.ERROR.UPDATE,
+                    'error'
+                );
+            }
+        } finally {
+            hideLoading();
+        }
+    }
+}
+
+// Exporta instância única
+const duplicadosManager = new DuplicadosManager();
+export default duplicadosManager;
@@ -4,9 +4,10 @@
  * Envia emails apenas para o responsável do processo (membro da equipe)
  */
 
-import { EMAIL_CONFIG, DB_PATHS } from './config.js';
+import { EMAIL_CONFIG, DB_PATHS, STATUS_SISTEMA } from './config.js';
 import dbManager from './database.js';
-import { formatarData, diasParaPrazo } from './utils.js';
+import calendarioManager from './calendario.js';
+import { formatarData } from './utils.js';
 
 class EmailManager {
     constructor() {
@@ -166,7 +167,7 @@ class EmailManager {
     }
 
     /**
-     * Notifica sobre prazo próximo (5 dias ou 1 dia)
+     * Notifica sobre prazo próximo (5 dias úteis ou 1 dia útil)
      * Envia para o responsável do processo
      */
     async notificarAlertaPrazo(processo, diasRestantes) {
@@ -178,8 +179,8 @@ class EmailManager {
 
         const urgencia = diasRestantes <= 1 ? '🚨 URGENTE' : '⚠️ ATENÇÃO';
         const mensagem = diasRestantes <= 1
-            ? 'O prazo do processo sob sua responsabilidade vence AMANHÃ!'
-            : `Restam apenas ${diasRestantes} dias para o prazo do processo sob sua responsabilidade.`;
+            ? 'O prazo do processo sob sua responsabilidade vence no PRÓXIMO DIA ÚTIL!'
+            : `Restam apenas ${diasRestantes} dias úteis para o prazo do processo sob sua responsabilidade.`;
 
         const params = {
             tipo_notificacao: `${urgencia} - ALERTA DE PRAZO`,
@@ -190,7 +191,7 @@ class EmailManager {
             tipo_cotacao: processo.tipoCotacao || '-',
             responsavel: processo.responsavel || '-',
             data_info: `Prazo Final: ${formatarData(processo.dataFinal)}`,
-            prazo_info: `⏰ ${diasRestantes} dia(s) restante(s)`,
+            prazo_info: `⏰ ${diasRestantes} dia(s) útil(eis) restante(s)`,
             unidade: processo.unidadeExecutora || '-',
             info_extra: `Status atual: ${processo.status || '-'}`,
             link_sei: processo.link || '',
@@ -219,7 +220,10 @@ class EmailManager {
             for (const processo of processos) {
                 if (!processo.dataFinal || !processo.responsavel) continue;
 
-                const dias = diasParaPrazo(processo.dataFinal);
+                // Registros antigos com status "Cancelado" ainda em andamento não geram alertas
+                if (processo.status === STATUS_SISTEMA.CANCELADO) continue;
+
+                const dias = calendarioManager.diasUteisAtePrazo(processo.dataFinal);
                 if (dias === null) continue;
 
                 // Alerta de 5 dias
@@ -5,7 +5,8 @@
 
 import dbManager from './database.js';
 import authManager from './auth.js';
-import { OPCOES, MESSAGES, DB_PATHS } from './config.js';
+import listasManager from './listas.js';
+import { MESSAGES, DB_PATHS } from './config.js';
 import { 
     gerarIniciais,
     gerarCorPorString,
@@ -110,10 +111,14 @@ class EquipeManager {
         const modal = document.getElementById('modalFuncionario');
         const form = document.getElementById('formFuncionario');
 
+        // Vínculos da lista de validação (o desativado só aparece para quem já o tem)
+        const selectVinculo = document.getElementById('inputVinculo');
+        listasManager.preencherSelect(selectVinculo, 'VINCULO', { atual: funcionario?.vinculo });
+
         if (funcionario) {
             document.getElementById('inputNome').value = funcionario.nome || '';
             document.getElementById('inputContato').value = funcionario.contato || '';
-            document.getElementById('inputVinculo').value = funcionario.vinculo || '';
+            selectVinculo.value = funcionario.vinculo || '';
         } else {
             form.reset();
         }
@@ -166,16 +171,16 @@ class EquipeManager {
     }
 
     /**
-     * Deleta um funcionário
+     * Exclui um funcionário, movendo-o para a lixeira
      */
     async deletarFuncionario(id) {
-        if (!confirm(MESSAGES.CONFIRM.DELETE)) return;
+        if (!confirm(MESSAGES.CONFIRM.LIXEIRA)) return;
 
         showLoading();
         try {
             const resultado = await dbManager.deleteFuncionario(id);
             if (resultado.success) {
-                showNotification(MESSAGES.SUCCESS.DELETE, 'success');
+                showNotification(MESSAGES.SUCCESS.LIXEIRA, 'success');
                 await this.carregarDados();
             } else {
                 showNotification(MESSAGES.ERROR.DELETE, 'error');
@@ -296,7 +301,7 @@ class EquipeManager {
             let tempoMedio = 0;
             if (finalizados.length > 0) {
                 const somaTempos = finalizados.reduce((acc, p) => {
-                    return acc + (p.diasDecorridos || 0);
+                    return acc + (p.diasCorridos || 0);
                 }, 0);
                 tempoMedio = Math.round(somaTempos / finalizados.length);
             }
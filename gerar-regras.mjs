@@ -0,0 +1,57 @@
+/**
+ * Gera as regras de validação dos processos, das listas de validação, dos campos personalizados
+ * e do vínculo dos funcionários em firebase-rules-deploy.json a partir do esquema (schema.js).
+ * As demais regras do arquivo não são alteradas.
+ *
+ * Uso: node gerar-regras.mjs [--verificar]
+ * Com --verificar, apenas confere se o arquivo está atualizado (sai com erro se não estiver)
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import {
+    SCHEMA_PROCESSOS,
+    regrasProcessos,
+    regrasListasValidacao,
+    regrasCamposPersonalizados,
+    regrasFuncionario
+} from './schema.js';
+import { DB_PATHS } from './config.js';
+
+const ARQUIVO = new URL('./firebase-rules-deploy.json', import.meta.url);
+
+/**
+ * Formata as regras como o arquivo é mantido: listas curtas em uma linha
+ * e uma linha em branco entre os nós principais
+ */
+function formatar(regras) {
+    return JSON.stringify(regras, null, 2)
+        .replace(/\[\n\s+("[^"\n]*"(?:,\n\s+"[^"\n]*")*)\n\s+\]/g, (_, itens) => `[${itens.split(/,\n\s+/).join(', ')}]`)
+        .replace(/\n(    "[^"]+": \{)/g, '\n\n$1') + '\n';
+}
+
+const atual = readFileSync(ARQUIVO, 'utf8');
+const regras = JSON.parse(atual);
+
+Object.keys(SCHEMA_PROCESSOS).forEach(path => {
+    const lista = regras.rules[path];
+    lista.$processoId = regrasProcessos(path, lista.$processoId);
+});
+
+regras.rules[DB_PATHS.LISTAS_VALIDACAO] = regrasListasValidacao(regras.rules[DB_PATHS.LISTAS_VALIDACAO]);
+regras.rules[DB_PATHS.CAMPOS_PERSONALIZADOS] = regrasCamposPersonalizados(regras.rules[DB_PATHS.CAMPOS_PERSONALIZADOS]);
+
+const funcionarios = regras.rules[DB_PATHS.FUNCIONARIOS];
+funcionarios.$funcionarioId = regrasFuncionario(funcionarios.$funcionarioId);
+
+const gerado = formatar(regras);
+
+if (process.argv.includes('--verificar')) {
+    if (gerado !== atual) {
+        console.error('firebase-rules-deploy.json desatualizado em relação a schema.js. Execute: node gerar-regras.mjs');
+        process.exit(1);
+    }
+    console.log('firebase-rules-deploy.json em dia com schema.js');
+} else {
+    writeFileSync(ARQUIVO, gerado);
+    console.log('Regras geradas a partir de schema.js');
+}
@@ -0,0 +1,654 @@
+/**
+ * Módulo de Importação de Processos por Planilha
+ * Lê planilhas CSV ou XLSX, associa as colunas aos campos do processo, normaliza
+ * datas e valores de lista e mostra a validação linha a linha antes de gravar.
+ * Cada importação é um lote, que pode ser simulado antes e desfeito por inteiro depois
+ * (apenas gestores)
+ */
+
+import dbManager from './database.js';
+import authManager from './auth.js';
+import workflowManager from './workflow.js';
+import slaManager from './sla.js';
+import listasManager from './listas.js';
+import { DB_PATHS, MESSAGES } from './config.js';
+import { CAMPOS_PROCESSO, SCHEMA_PROCESSOS, validarProcesso } from './schema.js';
+import {
+    formatarDataHora,
+    escaparHtml,
+    normalizarTexto,
+    chaveSigadoc,
+    showLoading,
+    hideLoading,
+    showNotification
+} from './utils.js';
+
+// Campos que podem ser importados: os do esquema dos processos, na ordem do formulário
+// O status é opcional na planilha (sem ele, o processo entra no status inicial do fluxo)
+const CAMPOS = Object.entries(CAMPOS_PROCESSO).map(([id, campo]) => ({
+    id,
+    ...campo,
+    obrigatorio: id !== 'status' && SCHEMA_PROCESSOS[DB_PATHS.PROCESSOS_ANDAMENTO].obrigatorios.includes(id)
+}));
+
+// Data serial do Excel: dias desde 30/12/1899
+const EPOCA_EXCEL = Date.UTC(1899, 11, 30);
+
+// SheetJS só é carregado quando o modal abre, em versão fixa e conferida por SRI
+// (a 0.18.5 do cdnjs tem falhas ao ler arquivos maliciosos: CVE-2023-30533 e CVE-2024-22363)
+// Ao trocar a versão, recalcule: openssl dgst -sha384 -binary xlsx.full.min.js | openssl base64 -A
+const SHEETJS = {
+    url: 'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js',
+    integridade: 'sha384-EnyY0/GSHQGSxSgMwaIPzSESbqoOLSexfnSMN2AP+39Ckmn92stwABZynq1JyzdT'
+};
+let carregamentoSheetJS = null;
+
+/**
+ * Carrega o SheetJS uma única vez; uma falha permite tentar de novo na próxima abertura
+ */
+function carregarSheetJS() {
+    if (window.XLSX) return Promise.resolve(window.XLSX);
+
+    if (!carregamentoSheetJS) {
+        carregamentoSheetJS = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = SHEETJS.url;
+            script.integrity = SHEETJS.integridade;
+            script.crossOrigin = 'anonymous';
+            script.onload = () => resolve(window.XLSX);
+            script.onerror = () => {
+                script.remove();
+                carregamentoSheetJS = null;
+                reject(new Error('Falha ao carregar o SheetJS'));
+            };
+            document.head.appendChild(script);
+        });
+    }
+    return carregamentoSheetJS;
+}
+
+class ImportacaoManager {
+    constructor() {
+        this.arquivo = null;
+        this.planilha = null; // Pasta de trabalho lida pelo SheetJS
+        this.cabecalho = [];
+        this.linhas = [];
+        this.mapeamento = {};
+        this.resultado = []; // Linhas validadas: { numero, dados, erros }
+        this.importacoes = [];
+    }
+
+    /**
+     * Inicializa o módulo
+     */
+    initialize() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configura event listeners do modal de importação
+     */
+    setupEventListeners() {
+        document.getElementById('importacaoArquivo')?.addEventListener('change', (e) => {
+            this.lerArquivo(e.target.files[0]);
+        });
+
+        document.getElementById('importacaoAba')?.addEventListener('change', (e) => {
+            this.carregarAba(e.target.value);
+        });
+
+        document.getElementById('importacaoMapeamento')?.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-campo]');
+            if (!select) return;
+            this.mapeamento[select.dataset.campo] = select.value;
+            this.limparRelatorio();
+        });
+
+        document.getElementById('btnSimularImportacao')?.addEventListener('click', () => {
+            this.simular();
+        });
+
+        document.getElementById('btnConfirmarImportacao')?.addEventListener('click', () => {
+            this.importar();
+        });
+
+        document.getElementById('importacoesAnteriores')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-action="undo-import"]');
+            if (btn) this.desfazer(btn.dataset.id);
+        });
+    }
+
+    /**
+     * Abre o modal de importação
+     */
+    async abrirModal() {
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem importar processos', 'warning');
+            return;
+        }
+
+        showLoading();
+        try {
+            await carregarSheetJS();
+        } catch (error) {
+            console.error('Erro ao carregar biblioteca de planilhas:', error);
+            showNotification('Biblioteca de planilhas não carregada. Verifique a conexão e tente novamente.', 'error');
+            return;
+        } finally {
+            hideLoading();
+        }
+
+        this.limpar();
+        document.getElementById('modalImportacaoProcessos')?.classList.add('active');
+        await this.carregarImportacoes();
+    }
+
+    /**
+     * Volta o assistente ao passo inicial
+     */
+    limpar() {
+        this.arquivo = null;
+        this.planilha = null;
+        this.cabecalho = [];
+        this.linhas = [];
+        this.mapeamento = {};
+
+        const input = document.getElementById('importacaoArquivo');
+        if (input) input.value = '';
+        document.getElementById('importacaoAbaGrupo').style.display = 'none';
+        document.getElementById('importacaoMapeamento').innerHTML = '';
+        document.getElementById('importacaoAcoes').style.display = 'none';
+        this.limparRelatorio();
+    }
+
+    /**
+     * Descarta o relatório de validação (o mapeamento ou os dados mudaram)
+     */
+    limparRelatorio() {
+        this.resultado = [];
+        document.getElementById('importacaoRelatorio').innerHTML = '';
+        document.getElementById('btnConfirmarImportacao').disabled = true;
+    }
+
+    // ============ LEITURA DA PLANILHA ============
+
+    /**
+     * Lê o arquivo escolhido (CSV ou XLSX)
+     * CSV é lido como texto sem conversão de valores, para que datas no formato
+     * dd/mm/aaaa não sejam interpretadas no padrão americano
+     */
+    async lerArquivo(arquivo) {
+        if (!arquivo) return;
+
+        showLoading();
+        try {
+            const csv = /\.csv$/i.test(arquivo.name);
+            this.planilha = csv
+                ? XLSX.read(await arquivo.text(), { type: 'string', raw: true })
+                : XLSX.read(await arquivo.arrayBuffer(), { type: 'array', cellDates: true });
+            this.arquivo = arquivo.name;
+
+            const abas = this.planilha.SheetNames;
+            const selectAba = document.getElementById('importacaoAba');
+            selectAba.innerHTML = abas
+                .map(aba => `<option value="${escaparHtml(aba)}">${escaparHtml(aba)}</option>`)
+                .join('');
+            document.getElementById('importacaoAbaGrupo').style.display = abas.length > 1 ? '' : 'none';
+
+            this.carregarAba(abas[0]);
+        } catch (error) {
+            console.error('Erro ao ler planilha:', error);
+            showNotification('Não foi possível ler a planilha. Use um arquivo CSV ou XLSX.', 'error');
+            this.limpar();
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Carrega as linhas de uma aba; a primeira linha não vazia é o cabeçalho
+     */
+    carregarAba(nome) {
+        const linhas = XLSX.utils.sheet_to_json(this.planilha.Sheets[nome], {
+            header: 1,
+            defval: '',
+            blankrows: false
+        });
+
+        this.cabecalho = (linhas[0] || []).map(coluna => String(coluna).trim());
+        this.linhas = linhas.slice(1);
+        this.mapeamento = this.sugerirMapeamento(this.cabecalho);
+
+        if (this.linhas.length === 0) {
+            showNotification('A planilha não tem linhas de dados abaixo do cabeçalho', 'warning');
+        }
+
+        this.renderMapeamento();
+        this.limparRelatorio();
+        document.getElementById('importacaoAcoes').style.display = this.linhas.length > 0 ? '' : 'none';
+    }
+
+    /**
+     * Associa automaticamente as colunas cujo cabeçalho corresponde ao nome ou rótulo do campo
+     * @returns {Object} { [campo]: índice da coluna (string) ou '' }
+     */
+    sugerirMapeamento(cabecalho) {
+        const colunas = cabecalho.map(normalizarTexto);
+        const mapeamento = {};
+
+        CAMPOS.forEach(campo => {
+            const nomes = [normalizarTexto(campo.id), normalizarTexto(campo.rotulo)];
+            const indice = colunas.findIndex(coluna => nomes.includes(coluna));
+            mapeamento[campo.id] = indice >= 0 ? String(indice) : '';
+        });
+
+        return mapeamento;
+    }
+
+    /**
+     * Renderiza a associação entre campos do processo e colunas da planilha
+     */
+    renderMapeamento() {
+        const container = document.getElementById('importacaoMapeamento');
+        if (!container) return;
+
+        const opcoesColunas = this.cabecalho
+            .map((coluna, indice) => `<option value="${indice}">${escaparHtml(coluna || `Coluna ${indice + 1}`)}</option>`)
+            .join('');
+
+        container.innerHTML = `
+            <h4>Colunas da planilha</h4>
+            <p class="form-help">${this.linhas.length} linha(s) em ${escaparHtml(this.arquivo)}. Campos com * são obrigatórios.</p>
+            <div class="form-grid">
+                ${CAMPOS.map(campo => `
+                    <div class="form-group">
+                        <label>${escaparHtml(campo.rotulo)}${campo.obrigatorio ? '*' : ''}</label>
+                        <select data-campo="${escaparHtml(campo.id)}">
+                            <option value="">${campo.id === 'status' ? 'Status inicial do fluxo' : 'Não importar'}</option>
+                            ${opcoesColunas}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+        `;
+
+        container.querySelectorAll('select[data-campo]').forEach(select => {
+            select.value = this.mapeamento[select.dataset.campo] ?? '';
+        });
+    }
+
+    // ============ NORMALIZAÇÃO E VALIDAÇÃO ============
+
+    /**
+     * Converte uma data da planilha para AAAA-MM-DD
+     * Aceita datas do Excel, dd/mm/aaaa, dd/mm/aa, dd-mm-aaaa e aaaa-mm-dd
+     * @returns {string|null} Data normalizada ou null se inválida
+     */
+    normalizarData(valor) {
+        let ano, mes, dia;
+
+        if (valor instanceof Date) {
+            if (isNaN(valor)) return null;
+            // O SheetJS cria a data à meia-noite local; arredonda para evitar desvios de fuso
+            const data = new Date(valor.getTime() + 12 * 60 * 60 * 1000);
+            [ano, mes, dia] = [data.getFullYear(), data.getMonth() + 1, data.getDate()];
+        } else if (typeof valor === 'number') {
+            const data = new Date(EPOCA_EXCEL + Math.floor(valor) * 86400000);
+            [ano, mes, dia] = [data.getUTCFullYear(), data.getUTCMonth() + 1, data.getUTCDate()];
+        } else {
+            const texto = String(valor).trim();
+            let partes = texto.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+            if (partes) {
+                [ano, mes, dia] = [+partes[1], +partes[2], +partes[3]];
+            } else if ((partes = texto.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/))) {
+                [dia, mes, ano] = [+partes[1], +partes[2], +partes[3]];
+                if (ano < 100) ano += 2000;
+            } else {
+                return null;
+            }
+        }
+
+        const data = new Date(Date.UTC(ano, mes - 1, dia));
+        if (data.getUTCFullYear() !== ano || data.getUTCMonth() !== mes - 1 || data.getUTCDate() !== dia) {
+            return null;
+        }
+        return data.toISOString().slice(0, 10);
+    }
+
+    /**
+     * Encontra a opção correspondente ao valor, ignorando acentos e maiúsculas
+     * Aceita também o início da opção, desde que seja de uma única opção ("Dispensa" → "DISPENSA DE LICITAÇÃO")
+     * @returns {string|null} Opção da lista ou null se não houver correspondência única
+     */
+    normalizarOpcao(valor, opcoes) {
+        const texto = normalizarTexto(valor);
+        if (!texto) return null;
+
+        const exata = opcoes.find(opcao => normalizarTexto(opcao) === texto);
+        if (exata) return exata;
+
+        const parciais = opcoes.filter(opcao => normalizarTexto(opcao).startsWith(texto));
+        return parciais.length === 1 ? parciais[0] : null;
+    }
+
+    /**
+     * Valida e normaliza todas as linhas conforme o mapeamento atual
+     * @returns {Array} [{ numero, dados, erros }], numero é a linha na planilha
+     */
+    async validar() {
+        const faltando = CAMPOS
+            .filter(campo => campo.obrigatorio && this.mapeamento[campo.id] === '')
+            .map(campo => campo.rotulo);
+        if (faltando.length > 0) {
+            showNotification(`Associe uma coluna aos campos obrigatórios: ${faltando.join(', ')}`, 'error');
+            return null;
+        }
+
+        // Cancelados não ocupam o SIGADOC (índice de unicidade)
+        const [andamento, finalizados, funcionarios] = await Promise.all([
+            dbManager.getProcessosAndamento(),
+            dbManager.getProcessosFinalizados(),
+            dbManager.getFuncionarios()
+        ]);
+        if (![andamento, finalizados, funcionarios].every(r => r.success)) {
+            showNotification(MESSAGES.ERROR.LOAD, 'error');
+            return null;
+        }
+
+        const existentes = new Set(
+            [...andamento.data, ...finalizados.data].map(p => chaveSigadoc(p.sigadoc))
+        );
+        const nomes = funcionarios.data.map(f => f.nome);
+        const naPlanilha = new Map(); // Chave do SIGADOC → primeira linha em que aparece
+
+        return this.linhas.map((linha, indice) => {
+            const numero = indice + 2; // A linha 1 é o cabeçalho
+            const { dados, erros } = this.normalizarLinha(linha, nomes);
+
+            if (dados.sigadoc) {
+                const chave = chaveSigadoc(dados.sigadoc);
+                if (existentes.has(chave)) {
+                    erros.push(`SIGADOC ${dados.sigadoc} já cadastrado`);
+                } else if (naPlanilha.has(chave)) {
+                    erros.push(`SIGADOC repetido na linha ${naPlanilha.get(chave)}`);
+                } else {
+                    naPlanilha.set(chave, numero);
+                }
+            }
+
+            return { numero, dados, erros };
+        });
+    }
+
+    /**
+     * Normaliza uma linha da planilha para os dados de um processo
+     * @returns {Object} { dados, erros }
+     */
+    normalizarLinha(linha, nomesFuncionarios) {
+        const dados = {};
+        const erros = [];
+        const invalidos = new Set();
+
+        CAMPOS.forEach(campo => {
+            const coluna = this.mapeamento[campo.id];
+            const bruto = coluna === '' ? '' : linha[coluna];
+            const vazio = bruto === '' || bruto === null || bruto === undefined || String(bruto).trim() === '';
+
+            if (vazio) {
+                if (campo.obrigatorio) erros.push(`${campo.rotulo} não informado`);
+                return;
+            }
+
+            // Formatos e limites são conferidos depois, pelo esquema
+            let valor;
+            if (campo.id === 'responsavel') {
+                valor = this.normalizarOpcao(bruto, nomesFuncionarios);
+            } else if (campo.tipo === 'opcao') {
+                valor = this.normalizarOpcao(bruto, listasManager.valores(campo.lista));
+            } else if (campo.tipo === 'data') {
+                valor = this.normalizarData(bruto);
+            } else if (campo.tipo === 'inteiro') {
+                valor = Number(String(bruto).replace(',', '.'));
+                if (!Number.isFinite(valor)) valor = null;
+            } else {
+                valor = String(bruto).trim();
+            }
+
+            if (valor === null) {
+                invalidos.add(campo.id);
+                erros.push(`${campo.rotulo} inválido: "${String(bruto).trim()}"`);
+            } else {
+                dados[campo.id] = valor;
+            }
+        });
+
+        if (!dados.tipoCotacao) return { dados, erros };
+
+        // Sem coluna de status, o processo entra no primeiro status inicial do fluxo
+        if (!dados.status && !invalidos.has('status')) {
+            dados.status = workflowManager.getStatusPermitidos(dados.tipoCotacao)[0];
+            if (!dados.status) erros.push(`Nenhum status inicial definido no fluxo de ${dados.tipoCotacao}`);
+        }
+
+        dados.sla = slaManager.calcularSla(dados);
+        if (!dados.dataFinal && dados.sla) {
+            dados.dataFinal = dados.sla.prazo;
+        }
+        // Mesma validação do formulário e das regras do Firebase
+        if (erros.length === 0) {
+            erros.push(...validarProcesso(dados, undefined, listasManager.opcoesValidas()));
+        }
+
+        if (dados.status) {
+            erros.push(...workflowManager.validar(dados));
+        }
+
+        return { dados, erros };
+    }
+
+    // ============ SIMULAÇÃO E IMPORTAÇÃO ============
+
+    /**
+     * Valida a planilha e mostra o relatório, sem gravar nada
+     */
+    async simular() {
+        showLoading();
+        try {
+            const resultado = await this.validar();
+            if (!resultado) return;
+
+            this.resultado = resultado;
+            this.renderRelatorio();
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Importa as linhas válidas como um único lote
+     * A validação é refeita antes de gravar, para considerar processos cadastrados desde a simulação
+     */
+    async importar() {
+        showLoading();
+        let validos;
+        try {
+            const resultado = await this.validar();
+            if (!resultado) return;
+
+            this.resultado = resultado;
+            this.renderRelatorio();
+            validos = resultado.filter(linha => linha.erros.length === 0);
+        } finally {
+            hideLoading();
+        }
+
+        if (validos.length === 0) {
+            showNotification('Nenhuma linha válida para importar', 'warning');
+            return;
+        }
+
+        const ignoradas = this.resultado.length - validos.length;
+        const mensagem = `Importar ${validos.length} processo(s) de ${this.arquivo}?` +
+            (ignoradas > 0 ? `\n\n${ignoradas} linha(s) com erro serão ignoradas.` : '') +
+            '\n\nA importação poderá ser desfeita por inteiro depois.';
+        if (!confirm(mensagem)) return;
+
+        showLoading();
+        try {
+            const resultado = await dbManager.importarProcessos(validos.map(linha => linha.dados), this.arquivo);
+            if (resultado.success) {
+                showNotification(`${resultado.data.total} processo(s) importado(s)`, 'success');
+                this.limpar();
+                await this.carregarImportacoes();
+            } else {
+                showNotification(MESSAGES.ERROR.SAVE, 'error');
+            }
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Renderiza o relatório de validação linha a linha
+     */
+    renderRelatorio() {
+        const container = document.getElementById('importacaoRelatorio');
+        if (!container) return;
+
+        const validas = this.resultado.filter(linha => linha.erros.length === 0).length;
+        const comErro = this.resultado.length - validas;
+        document.getElementById('btnConfirmarImportacao').disabled = validas === 0;
+
+        container.innerHTML = `
+            <p class="importacao-resumo">
+                <span class="status-badge status-active">${validas} válida(s)</span>
+                <span class="status-badge ${comErro > 0 ? 'status-error' : 'status-inactive'}">${comErro} com erro</span>
+            </p>
+            <div class="table-container importacao-tabela">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Linha</th>
+                            <th>SIGADOC</th>
+                            <th>Tipo de Cotação</th>
+                            <th>Responsável</th>
+                            <th>Status</th>
+                            <th>Resultado</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.resultado.map(({ numero, dados, erros }) => `
+                            <tr class="${erros.length > 0 ? 'importacao-erro' : ''}">
+                                <td>${numero}</td>
+                                <td>${escaparHtml(dados.sigadoc || '-')}</td>
+                                <td>${escaparHtml(dados.tipoCotacao || '-')}</td>
+                                <td>${escaparHtml(dados.responsavel || '-')}</td>
+                                <td>${escaparHtml(dados.status || '-')}</td>
+                                <td>${erros.length > 0
+                                    ? `<ul>${erros.map(erro => `<li>${escaparHtml(erro)}</li>`).join('')}</ul>`
+                                    : '✅ Pronta para importar'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    // ============ LOTES IMPORTADOS ============
+
+    /**
+     * Carrega e renderiza as importações anteriores
+     */
+    async carregarImportacoes() {
+        const resultado = await dbManager.getImportacoes();
+        this.importacoes = resultado.success
+            ? resultado.data.sort((a, b) => (b.criadoEm || '').localeCompare(a.criadoEm || ''))
+            : [];
+        this.renderImportacoes();
+    }
+
+    /**
+     * Renderiza a lista de importações anteriores
+     */
+    renderImportacoes() {
+        const container = document.getElementById('importacoesAnteriores');
+        if (!container) return;
+
+        if (this.importacoes.length === 0) {
+            container.innerHTML = '<p class="form-help">Nenhuma importação realizada.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="table-container">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Arquivo</th>
+                            <th>Processos</th>
+                            <th>Importado em</th>
+                            <th>Por</th>
+                            <th>Situação</th>
+                            <th>Ações</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.importacoes.map(lote => `
+                            <tr>
+                                <td>${escaparHtml(lote.arquivo)}</td>
+                                <td>${lote.total}</td>
+                                <td>${formatarDataHora(lote.criadoEm)}</td>
+                                <td>${escaparHtml(lote.criadoPor)}</td>
+                                <td>${lote.desfeitoEm
+                                    ? `Desfeita em ${formatarDataHora(lote.desfeitoEm)} por ${escaparHtml(lote.desfeitoPor)}`
+                                    : 'Ativa'}</td>
+                                <td class="table-actions">
+                                    ${lote.desfeitoEm ? '' : `<button type="button" class="btn-icon btn-delete" data-action="undo-import" data-id="${lote.id}" title="Desfazer Importação">↩️</button>`}
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Desfaz uma importação, removendo os processos do lote que ainda estão em andamento
+     */
+    async desfazer(loteId) {
+        const lote = this.importacoes.find(l => l.id === loteId);
+        if (!lote) return;
+
+        const mensagem = `Desfazer a importação de ${lote.arquivo}?\n\n` +
+            `Os processos do lote que ainda estão em andamento serão removidos, ` +
+            `inclusive as alterações feitas neles depois da importação. ` +
+            `Processos já finalizados, cancelados ou na lixeira são mantidos.`;
+        if (!confirm(mensagem)) return;
+
+        showLoading();
+        try {
+            const resultado = await dbManager.desfazerImportacao(loteId);
+            if (resultado.success) {
+                const { removidos, mantidos } = resultado.data;
+                showNotification(
+                    `${removidos} processo(s) removido(s)` + (mantidos > 0 ? `; ${mantidos} mantido(s) por já terem saído de andamento` : ''),
+                    'success'
+                );
+                await this.carregarImportacoes();
+            } else {
+                showNotification(
+                    typeof resultado.error === 'string' ? resultado.error : MESSAGES.ERROR.DELETE,
+                    'error'
+                );
+            }
+        } finally {
+            hideLoading();
+        }
+    }
+}
+
+// Exporta instância única
+const importacaoManager = new ImportacaoManager();
+export default importacaoManager;
@@ -0,0 +1,355 @@
+/**
+ * Módulo de Listas de Validação
+ * Valores aceitos em tipo de cotação, tipo de objeto, status, unidade executora,
+ * vínculo e grau de complexidade, mantidos pelos gestores em listasValidacao.
+ * Enquanto uma lista não é salva, valem os valores padrão de OPCOES (config.js)
+ */
+
+import dbManager from './database.js';
+import authManager from './auth.js';
+import { OPCOES, DB_PATHS, MESSAGES } from './config.js';
+import { LISTAS, CARACTERES_PROIBIDOS_LISTA, TAMANHO_MAXIMO_VALOR_LISTA } from './schema.js';
+import {
+    escaparHtml,
+    normalizarTexto,
+    showLoading,
+    hideLoading,
+    showNotification
+} from './utils.js';
+
+class ListasManager {
+    constructor() {
+        this.salvas = {}; // { LISTA: { valor: { ordem, ativo } } }
+        this.callbacks = [];
+        this.listaEditando = Object.keys(LISTAS)[0];
+    }
+
+    /**
+     * Inicializa o módulo e escuta as listas em tempo real
+     */
+    async initialize() {
+        const resultado = await dbManager.getListasValidacao();
+        if (resultado.success) {
+            this.salvas = resultado.data;
+        }
+
+        dbManager.listen(DB_PATHS.LISTAS_VALIDACAO, (data) => {
+            this.salvas = {};
+            data.forEach(({ id, ...valores }) => {
+                this.salvas[id] = valores;
+            });
+            this.callbacks.forEach(cb => cb());
+            if (document.getElementById('modalListas')?.classList.contains('active')) {
+                this.renderItens();
+            }
+        });
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Registra callback para mudanças nas listas
+     */
+    onChange(callback) {
+        this.callbacks.push(callback);
+    }
+
+    /**
+     * Itens de uma lista na ordem definida pelo gestor
+     * @returns {Array} [{ valor, ativo }]
+     */
+    itens(lista) {
+        const salva = this.salvas[lista];
+        if (!salva) return (OPCOES[lista] || []).map(valor => ({ valor, ativo: true }));
+
+        return Object.entries(salva)
+            .sort(([, a], [, b]) => a.ordem - b.ordem)
+            .map(([valor, { ativo }]) => ({ valor, ativo }));
+    }
+
+    /**
+     * Valores de uma lista; os desativados só entram se incluirInativos
+     * (filtros e relatórios precisam deles para os processos antigos)
+     */
+    valores(lista, { incluirInativos = false } = {}) {
+        return this.itens(lista)
+            .filter(item => incluirInativos || item.ativo)
+            .map(item => item.valor);
+    }
+
+    /**
+     * Valores aceitos por lista na validação de um processo (ver validarProcesso)
+     * Os valores desativados continuam aceitos no registro que já os usa
+     * @param {Object} atual - Registro sendo editado (null para novos)
+     */
+    opcoesValidas(atual = null, { incluirInativos = false } = {}) {
+        return Object.fromEntries(Object.entries(LISTAS).map(([lista, { campo }]) => {
+            const valores = this.valores(lista, { incluirInativos });
+            const valorAtual = atual?.[campo];
+            const manter = valorAtual && !valores.includes(valorAtual) &&
+                this.valores(lista, { incluirInativos: true }).includes(valorAtual);
+            return [lista, manter ? [...valores, valorAtual] : valores];
+        }));
+    }
+
+    /**
+     * Preenche um select com os valores de uma lista, mantendo a seleção
+     * Um valor desativado só aparece se for o do registro em edição (atual)
+     */
+    preencherSelect(select, lista, { vazio = null, atual = null, incluirInativos = false } = {}) {
+        if (!select) return;
+
+        const selecionado = select.value;
+        const valores = this.valores(lista, { incluirInativos });
+        if (atual && !valores.includes(atual)) valores.push(atual);
+
+        select.innerHTML = (vazio !== null ? `<option value="">${vazio}</option>` : '') +
+            valores.map(valor => `<option value="${escaparHtml(valor)}">${escaparHtml(valor)}</option>`).join('');
+
+        if (valores.includes(selecionado) || (vazio !== null && selecionado === '')) {
+            select.value = selecionado;
+        }
+    }
+
+    // ============ CADASTRO DE VALORES (APENAS GESTORES) ============
+
+    /**
+     * Configura event listeners do modal de listas
+     */
+    setupEventListeners() {
+        document.getElementById('btnAbrirListas')?.addEventListener('click', () => {
+            this.abrirModal();
+        });
+
+        document.getElementById('listasSelecao')?.addEventListener('change', (e) => {
+            this.listaEditando = e.target.value;
+            this.renderItens();
+        });
+
+        document.getElementById('formValorLista')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.adicionarValor();
+        });
+
+        document.getElementById('listasItens')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.btn-icon');
+            if (!btn) return;
+            const indice = Number(btn.dataset.indice);
+
+            if (btn.dataset.action === 'up') {
+                this.moverValor(indice, -1);
+            } else if (btn.dataset.action === 'down') {
+                this.moverValor(indice, 1);
+            } else if (btn.dataset.action === 'edit') {
+                this.renomearValor(indice);
+            } else if (btn.dataset.action === 'toggle') {
+                this.alternarValor(indice);
+            }
+        });
+    }
+
+    /**
+     * Abre o modal de listas de validação
+     */
+    abrirModal() {
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem alterar as listas de validação', 'warning');
+            return;
+        }
+
+        const select = document.getElementById('listasSelecao');
+        if (select) {
+            select.innerHTML = Object.entries(LISTAS)
+                .map(([lista, { rotulo }]) => `<option value="${lista}">${rotulo}</option>`)
+                .join('');
+            select.value = this.listaEditando;
+        }
+
+        document.getElementById('formValorLista')?.reset();
+        this.renderItens();
+        document.getElementById('modalListas')?.classList.add('active');
+    }
+
+    /**
+     * Renderiza os valores da lista selecionada
+     */
+    renderItens() {
+        const container = document.getElementById('listasItens');
+        if (!container) return;
+
+        const itens = this.itens(this.listaEditando);
+        const aviso = this.salvas[this.listaEditando]
+            ? ''
+            : '<p class="form-help">Lista ainda não salva: valem os valores padrão do sistema até a primeira alteração.</p>';
+
+        container.innerHTML = `
+            ${aviso}
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Ordem</th>
+                        <th>Valor</th>
+                        <th>Situação</th>
+                        <th>Ações</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${itens.map((item, indice) => `
+                        <tr class="${item.ativo ? '' : 'lista-inativo'}">
+                            <td>${indice + 1}</td>
+                            <td>${escaparHtml(item.valor)}</td>
+                            <td>${item.ativo ? 'Ativo' : 'Desativado'}</td>
+                            <td class="table-actions">
+                                <button type="button" class="btn-icon" data-action="up" data-indice="${indice}" title="Subir" ${indice === 0 ? 'disabled' : ''}>⬆️</button>
+                                <button type="button" class="btn-icon" data-action="down" data-indice="${indice}" title="Descer" ${indice === itens.length - 1 ? 'disabled' : ''}>⬇️</button>
+                                <button type="button" class="btn-icon btn-edit" data-action="edit" data-indice="${indice}" title="Renomear">✏️</button>
+                                <button type="button" class="btn-icon ${item.ativo ? 'btn-delete' : ''}" data-action="toggle" data-indice="${indice}"
+                                    title="${item.ativo ? 'Desativar' : 'Reativar'}">${item.ativo ? '🚫' : '♻️'}</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Valida um valor novo ou renomeado
+     * @returns {string|null} Mensagem de erro ou null se válido
+     */
+    validarValor(valor, itens) {
+        if (!valor) return 'Informe o valor';
+        if (valor.length > TAMANHO_MAXIMO_VALOR_LISTA) {
+            return `O valor deve ter no máximo ${TAMANHO_MAXIMO_VALOR_LISTA} caracteres`;
+        }
+        if (CARACTERES_PROIBIDOS_LISTA.test(valor)) {
+            return 'O valor não pode conter os caracteres . # $ / [ ]';
+        }
+        const duplicado = itens.find(item => normalizarTexto(item.valor) === normalizarTexto(valor));
+        if (duplicado) {
+            return `"${duplicado.valor}" já está na lista${duplicado.ativo ? '' : ' (desativado)'}`;
+        }
+        return null;
+    }
+
+    /**
+     * Grava a lista em edição com os itens informados
+     */
+    async salvar(itens) {
+        showLoading();
+        try {
+            const resultado = await dbManager.salvarListaValidacao(this.listaEditando, itens);
+            if (!resultado.success) showNotification(MESSAGES.ERROR.SAVE, 'error');
+            return resultado.success;
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Adiciona um valor ao fim da lista
+     */
+    async adicionarValor() {
+        const input = document.getElementById('listasNovoValor');
+        const valor = input?.value.trim();
+        const itens = this.itens(this.listaEditando);
+
+        const erro = this.validarValor(valor, itens);
+        if (erro) {
+            showNotification(erro, 'error');
+            return;
+        }
+
+        if (await this.salvar([...itens, { valor, ativo: true }])) {
+            showNotification(`"${valor}" adicionado`, 'success');
+            document.getElementById('formValorLista')?.reset();
+        }
+    }
+
+    /**
+     * Move um valor uma posição acima (-1) ou abaixo (1)
+     */
+    async moverValor(indice, deslocamento) {
+        const itens = this.itens(this.listaEditando);
+        const destino = indice + deslocamento;
+        if (!itens[indice] || !itens[destino]) return;
+
+        [itens[indice], itens[destino]] = [itens[destino], itens[indice]];
+        await this.salvar(itens);
+    }
+
+    /**
+     * Desativa ou reativa um valor
+     * Valores desativados deixam de ser oferecidos em novos cadastros, mas os registros
+     * que já os usam continuam válidos e aparecem nos filtros
+     */
+    async alternarValor(indice) {
+        const itens = this.itens(this.listaEditando);
+        const item = itens[indice];
+        if (!item) return;
+
+        if (item.ativo && itens.filter(i => i.ativo).length === 1) {
+            showNotification('A lista precisa de ao menos um valor ativo', 'error');
+            return;
+        }
+        if (item.ativo && !confirm(`Desativar "${item.valor}"? Ele deixa de ser oferecido em novos cadastros.`)) return;
+
+        item.ativo = !item.ativo;
+        await this.salvar(itens);
+    }
+
+    /**
+     * Renomeia um valor, opcionalmente atualizando os registros que o usam
+     * Sem a atualização, o nome antigo permanece desativado na lista para que esses
+     * registros continuem válidos. Status sempre atualiza os registros: o fluxo de status
+     * passa a usar o novo nome e os processos ficariam sem transições a partir do antigo
+     */
+    async renomearValor(indice) {
+        const itens = this.itens(this.listaEditando);
+        const item = itens[indice];
+        if (!item) return;
+
+        const novo = prompt(`Novo nome para "${item.valor}":`, item.valor)?.trim();
+        if (!novo || novo === item.valor) return;
+
+        const erro = this.validarValor(novo, itens.filter(i => i !== item));
+        if (erro) {
+            showNotification(erro, 'error');
+            return;
+        }
+
+        let atualizarRegistros = true;
+        if (this.listaEditando === 'STATUS') {
+            if (!confirm(`Renomear "${item.valor}" para "${novo}"? O fluxo de status, os processos nesse status e o histórico de status passam a usar o novo nome.`)) return;
+        } else {
+            atualizarRegistros = confirm(
+                `Atualizar também os registros que usam "${item.valor}" para "${novo}"?\n\n` +
+                'OK: todos os registros (inclusive os da lixeira) passam a usar o novo nome.\n' +
+                'Cancelar: os registros mantêm o nome antigo, que fica desativado na lista.'
+            );
+        }
+
+        const novosItens = itens.map(i => i === item ? { valor: novo, ativo: i.ativo } : i);
+        if (!atualizarRegistros) novosItens.splice(indice + 1, 0, { valor: item.valor, ativo: false });
+
+        showLoading();
+        try {
+            const resultado = await dbManager.renomearValorLista(
+                this.listaEditando, novosItens, item.valor, novo, atualizarRegistros
+            );
+            if (resultado.success) {
+                showNotification(atualizarRegistros
+                    ? `"${item.valor}" renomeado para "${novo}" em ${resultado.data.registros} registro(s)`
+                    : `"${item.valor}" renomeado para "${novo}"`, 'success');
+            } else {
+                showNotification(MESSAGES.ERROR.SAVE, 'error');
+            }
+        } finally {
+            hideLoading();
+        }
+    }
+}
+
+// Exporta instância única
+const listasManager = new ListasManager();
+export default listasManager;
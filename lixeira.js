@@ -0,0 +1,252 @@
+/**
+ * Módulo da Lixeira
+ * Processos e membros da equipe excluídos ficam na lixeira, onde os gestores podem
+ * restaurá-los ou excluí-los definitivamente. Itens mais antigos que o período de
+ * retenção são removidos automaticamente
+ */
+
+import dbManager from './database.js';
+import authManager from './auth.js';
+import { DB_PATHS, LIXEIRA_CONFIG, MESSAGES } from './config.js';
+import {
+    formatarData,
+    formatarDataHora,
+    escaparHtml,
+    showLoading,
+    hideLoading,
+    showNotification
+} from './utils.js';
+
+class LixeiraManager {
+    constructor() {
+        this.itens = [];
+        this.retencaoDias = LIXEIRA_CONFIG.RETENCAO_DIAS_PADRAO;
+    }
+
+    /**
+     * Inicializa o módulo
+     * A lixeira só é lida por gestores (regras do Firebase)
+     */
+    async initialize() {
+        this.setupEventListeners();
+        if (!authManager.isGestor()) return;
+
+        const retencao = await dbManager.getRetencaoLixeira();
+        if (retencao.success && retencao.data) {
+            this.retencaoDias = retencao.data;
+        }
+
+        dbManager.listen(DB_PATHS.LIXEIRA, (data) => {
+            this.itens = data.sort((a, b) => (b.excluidoEm || '').localeCompare(a.excluidoEm || ''));
+            this.renderItens();
+            this.updateStatus();
+        });
+    }
+
+    /**
+     * Configura event listeners do modal da lixeira
+     */
+    setupEventListeners() {
+        document.getElementById('btnAbrirLixeira')?.addEventListener('click', () => {
+            this.abrirModal();
+        });
+
+        document.getElementById('btnSalvarRetencao')?.addEventListener('click', () => {
+            this.salvarRetencao();
+        });
+
+        document.getElementById('lixeiraLista')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.btn-icon');
+            if (!btn) return;
+            const item = this.itens.find(i => i.id === btn.dataset.id);
+            if (!item) return;
+
+            if (btn.dataset.action === 'restore') {
+                this.restaurar(item);
+            } else if (btn.dataset.action === 'purge') {
+                this.purgar(item);
+            }
+        });
+    }
+
+    /**
+     * Abre o modal da lixeira
+     */
+    abrirModal() {
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem acessar a lixeira', 'warning');
+            return;
+        }
+
+        document.getElementById('lixeiraRetencao').value = this.retencaoDias;
+        this.renderItens();
+        document.getElementById('modalLixeira')?.classList.add('active');
+    }
+
+    /**
+     * Data em que o item será removido definitivamente
+     */
+    getDataExpiracao(item) {
+        const data = new Date(item.excluidoEm);
+        data.setDate(data.getDate() + this.retencaoDias);
+        return data;
+    }
+
+    /**
+     * Identificação do item para exibição (SIGADOC do processo ou nome do funcionário)
+     */
+    getRotulo(item) {
+        return item.dados?.sigadoc || item.dados?.nome || item.id;
+    }
+
+    /**
+     * Renderiza a tabela de itens da lixeira
+     */
+    renderItens() {
+        const container = document.getElementById('lixeiraLista');
+        if (!container) return;
+
+        if (this.itens.length === 0) {
+            container.innerHTML = '<p class="form-help">A lixeira está vazia.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="table-container">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Tipo</th>
+                            <th>Item</th>
+                            <th>Excluído em</th>
+                            <th>Excluído por</th>
+                            <th>Remoção definitiva</th>
+                            <th>Ações</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.itens.map(item => `
+                            <tr>
+                                <td>${LIXEIRA_CONFIG.ORIGENS[item.origem] || item.origem}</td>
+                                <td>
+                                    <strong>${escaparHtml(this.getRotulo(item))}</strong>
+                                    ${item.dados?.descricao ? `<br><small>${escaparHtml(item.dados.descricao)}</small>` : ''}
+                                </td>
+                                <td>${formatarDataHora(item.excluidoEm)}</td>
+                                <td>${escaparHtml(item.excluidoPor)}</td>
+                                <td>${formatarData(this.getDataExpiracao(item).toISOString())}</td>
+                                <td class="table-actions">
+                                    <button type="button" class="btn-icon btn-edit" data-action="restore" data-id="${item.id}" title="Restaurar">↩️</button>
+                                    <button type="button" class="btn-icon btn-delete" data-action="purge" data-id="${item.id}" title="Excluir Definitivamente">🗑️</button>
+                                </td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Atualiza o badge de quantidade de itens no card de configurações
+     */
+    updateStatus() {
+        const badge = document.getElementById('lixeiraStatus');
+        if (!badge) return;
+
+        const total = this.itens.length;
+        badge.textContent = total === 0 ? 'Vazia' : `${total} ${total === 1 ? 'item' : 'itens'}`;
+        badge.className = `status-badge ${total === 0 ? 'status-inactive' : 'status-active'}`;
+    }
+
+    /**
+     * Restaura um item para a lista de origem
+     */
+    async restaurar(item) {
+        showLoading();
+        try {
+            const resultado = await dbManager.restaurarDaLixeira(item.id);
+            if (resultado.success) {
+                showNotification(MESSAGES.SUCCESS.RESTORE, 'success');
+            } else {
+                showNotification(
+                    typeof resultado.error === 'string' ? resultado.error : MESSAGES.ERROR.UPDATE,
+                    'error'
+                );
+            }
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Exclui um item definitivamente
+     */
+    async purgar(item) {
+        if (!confirm(MESSAGES.CONFIRM.PURGE)) return;
+
+        showLoading();
+        try {
+            const resultado = await dbManager.purgarDaLixeira([item]);
+            showNotification(
+                resultado.success ? MESSAGES.SUCCESS.DELETE : MESSAGES.ERROR.DELETE,
+                resultado.success ? 'success' : 'error'
+            );
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Salva o período de retenção da lixeira
+     */
+    async salvarRetencao() {
+        const dias = parseInt(document.getElementById('lixeiraRetencao').value);
+        if (!dias || dias < 1) {
+            showNotification('Informe a quantidade de dias de retenção', 'error');
+            return;
+        }
+
+        showLoading();
+        try {
+            const resultado = await dbManager.salvarRetencaoLixeira(dias);
+            if (resultado.success) {
+                this.retencaoDias = dias;
+                this.renderItens();
+                showNotification(MESSAGES.SUCCESS.SAVE, 'success');
+            } else {
+                showNotification(MESSAGES.ERROR.SAVE, 'error');
+            }
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Remove definitivamente os itens com período de retenção vencido
+     * Executado na entrada de um gestor, como o backup automático
+     */
+    async purgarExpirados() {
+        if (!authManager.isGestor()) return;
+
+        try {
+            const resultado = await dbManager.getLixeira();
+            if (!resultado.success) return;
+
+            const agora = new Date();
+            const expirados = resultado.data.filter(item => this.getDataExpiracao(item) <= agora);
+            if (expirados.length === 0) return;
+
+            const purga = await dbManager.purgarDaLixeira(expirados);
+            if (purga.success) {
+                console.log(`🗑️ ${expirados.length} item(ns) removido(s) definitivamente da lixeira`);
+            }
+        } catch (error) {
+            console.error('Erro na limpeza automática da lixeira:', error);
+        }
+    }
+}
+
+// Exporta instância única
+const lixeiraManager = new LixeiraManager();
+export default lixeiraManager;
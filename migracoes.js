@@ -0,0 +1,587 @@
+/**
+ * Módulo de Migração de Dados
+ * Leva os registros de processo gravados em formatos anteriores ao formato atual
+ * (VERSAO_ESQUEMA, em schema.js). Cada registro guarda em schemaVersion a versão em
+ * que está; o gestor simula a migração, resolve os valores sem correspondência e a executa.
+ * As versões são gravadas em ordem: um registro com pendência numa versão recebe as anteriores
+ */
+
+import dbManager from './database.js';
+import authManager from './auth.js';
+import listasManager from './listas.js';
+import { DB_PATHS, MESSAGES, STATUS_SISTEMA } from './config.js';
+import { VERSAO_ESQUEMA, CAMPOS_PROCESSO, validarProcesso } from './schema.js';
+import {
+    escaparHtml,
+    normalizarTexto,
+    showLoading,
+    hideLoading,
+    showNotification
+} from './utils.js';
+
+// Registros gravados a cada escrita durante a execução
+const TAMANHO_LOTE = 100;
+
+// Listas migradas; os itens de processo na lixeira são migrados conforme a lista de origem
+const LISTAS = {
+    [DB_PATHS.PROCESSOS_ANDAMENTO]: 'Em andamento',
+    [DB_PATHS.PROCESSOS_FINALIZADOS]: 'Finalizado',
+    [DB_PATHS.PROCESSOS_CANCELADOS]: 'Cancelado',
+    [DB_PATHS.LIXEIRA]: 'Lixeira'
+};
+
+// Processos em andamento com o status "Cancelado", gravados antes de os cancelamentos irem para
+// processosCancelados, são arquivados lá com este motivo (a etapa anterior não é conhecida)
+const CANCELAMENTO_LEGADO = {
+    motivo: 'Outro',
+    justificativa: 'Cancelado antes do arquivamento de processos cancelados (status "Cancelado" em andamento)'
+};
+
+// Valores antigos com correspondência conhecida nas opções atuais
+const EQUIVALENCIAS = {
+    tipoCotacao: {
+        'DISPENSA': 'DISPENSA DE LICITAÇÃO',
+        'LEVANTAMENTO': 'LEVANTAMENTO DE MERCADO'
+    },
+    status: {
+        'Validação Orçamento': 'Validação Orçamento - SEPLAN',
+        'Finalizado': 'Concluído'
+    },
+    unidadeExecutora: {
+        'Engenharia Civil': 'Secretaria de Engenharia e Arquitetura',
+        'TI — Tecnologia da Informação': 'Secretaria de Tecnologia da Informação e Comunicação'
+    }
+};
+
+/**
+ * Migrações em ordem de versão. aplicar(processo, contexto) recebe o registro já nas
+ * versões anteriores e retorna as alterações ({ campo: valor }, null remove o campo)
+ * contexto: { path (lista de origem), substituicoes ({ campo: { valorAntigo: novo } }) }
+ * converteOpcoes: a partir desta versão os valores de opção precisam estar nas opções atuais
+ */
+export const MIGRACOES = [
+    {
+        versao: 1,
+        descricao: 'Campos de finalização antigos (dataEntrega, diasDecorridos) passam a dataFinalizacao e diasCorridos',
+        aplicar(processo, { path }) {
+            const alteracoes = {};
+            if ('dataEntrega' in processo) alteracoes.dataEntrega = null;
+            if ('diasDecorridos' in processo) alteracoes.diasDecorridos = null;
+            if (path !== DB_PATHS.PROCESSOS_FINALIZADOS) return alteracoes;
+
+            const dataFinalizacao = processo.dataFinalizacao ||
+                processo.dataEntrega ||
+                (processo.finalizadoEm ? processo.finalizadoEm.split('T')[0] : null);
+            if (!dataFinalizacao) return alteracoes;
+
+            if (!processo.dataFinalizacao) alteracoes.dataFinalizacao = dataFinalizacao;
+            if (!processo.finalizadoEm) alteracoes.finalizadoEm = dataFinalizacao;
+            if (processo.diasCorridos === undefined) {
+                alteracoes.diasCorridos = processo.diasDecorridos ??
+                    (processo.dataInicio ? dbManager.calcularDiasCorridos(processo.dataInicio, dataFinalizacao) : null);
+            }
+            if (processo.diasUteis === undefined && processo.dataInicio) {
+                alteracoes.diasUteis = dbManager.calcularDiasUteis(processo.dataInicio, dataFinalizacao);
+            }
+            return alteracoes;
+        }
+    },
+    {
+        versao: 2,
+        descricao: 'Valores fora das opções atuais (tipo de cotação, status, unidade executora etc.) são convertidos',
+        converteOpcoes: true,
+        aplicar(processo, { substituicoes }) {
+            const alteracoes = {};
+            Object.entries(CAMPOS_PROCESSO)
+                .filter(([, campo]) => campo.tipo === 'opcao')
+                .forEach(([id, campo]) => {
+                    // Valores desativados na lista de validação continuam válidos
+                    const opcoes = listasManager.valores(campo.lista, { incluirInativos: true });
+                    const valor = processo[id];
+                    if (valor === undefined || valor === null || valor === '' || opcoes.includes(valor)) return;
+
+                    const equivalente = EQUIVALENCIAS[id]?.[valor];
+                    const novo = substituicoes[id]?.[valor] ||
+                        (opcoes.includes(equivalente) ? equivalente : null) ||
+                        opcoes.find(opcao => normalizarTexto(opcao) === normalizarTexto(valor));
+                    if (novo) alteracoes[id] = novo;
+                });
+            return alteracoes;
+        }
+    }
+];
+
+/**
+ * Aplica alterações a uma cópia do registro, removendo os campos com valor null
+ */
+function aplicarAlteracoes(processo, alteracoes) {
+    const resultado = { ...processo, ...alteracoes };
+    Object.keys(alteracoes).forEach(campo => {
+        if (alteracoes[campo] === null) delete resultado[campo];
+    });
+    return resultado;
+}
+
+/**
+ * Opções válidas acrescidas dos valores de opção que o registro já tem
+ * (usadas nas versões que não convertem opções: esses valores não são regravados)
+ */
+function opcoesComValoresAtuais(opcoes, processo) {
+    const resultado = { ...opcoes };
+    Object.entries(CAMPOS_PROCESSO)
+        .filter(([id, campo]) => campo.tipo === 'opcao' && processo[id] !== undefined && processo[id] !== null)
+        .forEach(([id, campo]) => {
+            resultado[campo.lista] = [...(resultado[campo.lista] || []), processo[id]];
+        });
+    return resultado;
+}
+
+/**
+ * Descreve uma alteração para o relatório
+ */
+function descreverAlteracao(campo, anterior, novo) {
+    if (novo === null) return `${campo} removido`;
+    if (anterior === undefined || anterior === null) return `${campo}: ${novo}`;
+    return `${campo}: ${anterior} → ${novo}`;
+}
+
+class MigracoesManager {
+    constructor() {
+        this.registros = [];   // [{ path (lista de origem), lista, caminho, processo, destino }]
+        this.plano = [];       // registros a migrar, com { versao, migracoes, alteracoes, pendencias, migrado, gravar }
+        this.substituicoes = {}; // { campo: { valorAntigo: novo } }
+        this.executando = false;
+
+        if (MIGRACOES[MIGRACOES.length - 1].versao !== VERSAO_ESQUEMA) {
+            throw new Error('A última migração deve levar os registros à VERSAO_ESQUEMA de schema.js');
+        }
+    }
+
+    /**
+     * Inicializa o módulo
+     */
+    initialize() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configura event listeners do modal de migração
+     */
+    setupEventListeners() {
+        document.getElementById('btnAbrirMigracao')?.addEventListener('click', () => {
+            this.abrirModal();
+        });
+
+        document.getElementById('btnSimularMigracao')?.addEventListener('click', () => {
+            this.simular();
+        });
+
+        document.getElementById('btnExecutarMigracao')?.addEventListener('click', () => {
+            this.executar();
+        });
+
+        document.getElementById('migracaoRelatorio')?.addEventListener('change', (e) => {
+            const select = e.target.closest('select[data-campo]');
+            if (!select) return;
+
+            const { campo, valor } = select.dataset;
+            const valores = this.substituicoes[campo] || (this.substituicoes[campo] = {});
+            if (select.value) {
+                valores[valor] = select.value;
+            } else {
+                delete valores[valor];
+            }
+            this.planejar();
+            this.renderRelatorio();
+        });
+    }
+
+    /**
+     * Carrega os registros de processo de todas as listas e da lixeira
+     * @returns {boolean} true se carregou
+     */
+    async carregar() {
+        const [andamento, finalizados, cancelados, lixeira] = await Promise.all([
+            dbManager.getProcessosAndamento(),
+            dbManager.getProcessosFinalizados(),
+            dbManager.getProcessosCancelados(),
+            dbManager.getLixeira()
+        ]);
+        if (![andamento, finalizados, cancelados, lixeira].every(resultado => resultado.success)) return false;
+
+        this.registros = [
+            ...andamento.data.map(processo => processo.status === STATUS_SISTEMA.CANCELADO
+                ? this.arquivamentoLegado(processo)
+                : { path: DB_PATHS.PROCESSOS_ANDAMENTO, lista: DB_PATHS.PROCESSOS_ANDAMENTO, processo }),
+            ...finalizados.data.map(processo => ({ path: DB_PATHS.PROCESSOS_FINALIZADOS, lista: DB_PATHS.PROCESSOS_FINALIZADOS, processo })),
+            ...cancelados.data.map(processo => ({ path: DB_PATHS.PROCESSOS_CANCELADOS, lista: DB_PATHS.PROCESSOS_CANCELADOS, processo })),
+            ...lixeira.data
+                .filter(item => item.origem !== DB_PATHS.FUNCIONARIOS && item.dados)
+                .map(item => ({ path: item.origem, lista: DB_PATHS.LIXEIRA, processo: { ...item.dados, id: item.id } }))
+        ].map(registro => ({
+            ...registro,
+            caminho: registro.lista === DB_PATHS.LIXEIRA
+                ? `${DB_PATHS.LIXEIRA}/${registro.processo.id}/dados`
+                : `${registro.lista}/${registro.processo.id}`
+        }));
+
+        return true;
+    }
+
+    /**
+     * Registro de um processo em andamento com o status antigo "Cancelado": é migrado como
+     * processo cancelado (CANCELAMENTO_LEGADO) e movido para processosCancelados
+     */
+    arquivamentoLegado(processo) {
+        const cancelado = dbManager.montarProcessoCancelado(
+            processo.id,
+            processo,
+            CANCELAMENTO_LEGADO.motivo,
+            CANCELAMENTO_LEGADO.justificativa
+        );
+        // A data do cancelamento não é conhecida; a última alteração é a melhor aproximação
+        if (processo.updatedAt) cancelado.dataCancelamento = processo.updatedAt.split('T')[0];
+
+        return {
+            path: DB_PATHS.PROCESSOS_CANCELADOS,
+            lista: DB_PATHS.PROCESSOS_ANDAMENTO,
+            processo: cancelado,
+            destino: `${DB_PATHS.PROCESSOS_CANCELADOS}/${processo.id}`
+        };
+    }
+
+    /**
+     * Aplica as migrações pendentes de cada registro, sem gravar
+     * Cada versão é validada para a lista de origem; as versões até a primeira com pendência
+     * são gravadas (gravar: { versao, alteracoes }) e as demais esperam a pendência ser resolvida
+     * (itens da lixeira não passam pelas regras e são sempre migrados)
+     * Cancelados antigos ainda em andamento entram no plano em qualquer versão, para serem movidos;
+     * como o registro é regravado inteiro, só são movidos quando todas as versões passam
+     */
+    planejar() {
+        const contexto = { substituicoes: this.substituicoes };
+        const opcoes = listasManager.opcoesValidas(null, { incluirInativos: true });
+
+        this.plano = this.registros
+            .filter(({ processo, destino }) => destino || (processo.schemaVersion || 0) < VERSAO_ESQUEMA)
+            .map(registro => {
+                const versao = registro.processo.schemaVersion || 0;
+                const migracoes = MIGRACOES.filter(migracao => migracao.versao > versao);
+                const opcoesAnteriores = opcoesComValoresAtuais(opcoes, registro.processo);
+                let atual = { ...registro.processo };
+                let converteOpcoes = Boolean(registro.destino);
+                const alteracoes = {};
+                let gravar = { versao, alteracoes: {} };
+                let pendencias = [];
+
+                migracoes.forEach(migracao => {
+                    const resultado = migracao.aplicar(atual, { ...contexto, path: registro.path });
+                    Object.assign(alteracoes, resultado);
+                    atual = aplicarAlteracoes(atual, resultado);
+                    converteOpcoes = converteOpcoes || Boolean(migracao.converteOpcoes);
+
+                    // Depois da primeira pendência, as versões seguintes só aparecem na simulação
+                    if (pendencias.length > 0) return;
+                    if (registro.lista !== DB_PATHS.LIXEIRA) {
+                        pendencias = validarProcesso(atual, registro.path, converteOpcoes ? opcoes : opcoesAnteriores);
+                    }
+                    if (pendencias.length === 0) gravar = { versao: migracao.versao, alteracoes: { ...alteracoes } };
+                });
+
+                // Cancelado antigo já na versão atual: só o arquivamento é validado
+                if (migracoes.length === 0) pendencias = validarProcesso(atual, registro.path, opcoes);
+
+                // Sem versão a gravar (ou cancelado antigo com pendência), o registro não é alterado
+                if (registro.destino ? pendencias.length > 0 : gravar.versao === versao) gravar = null;
+                return { ...registro, versao, migracoes, alteracoes, pendencias, migrado: atual, gravar };
+            });
+    }
+
+    /**
+     * Valores de opção sem correspondência, agrupados por campo e valor
+     * @returns {Array} [{ campo, valor, quantidade }]
+     */
+    valoresSemCorrespondencia() {
+        const contagem = new Map();
+        this.plano.forEach(({ migrado }) => {
+            Object.entries(CAMPOS_PROCESSO)
+                .filter(([, campo]) => campo.tipo === 'opcao')
+                .forEach(([id, campo]) => {
+                    const valor = migrado[id];
+                    if (valor === undefined || valor === null || valor === '' ||
+                        listasManager.valores(campo.lista, { incluirInativos: true }).includes(valor)) return;
+                    const chave = `${id}\u0000${valor}`;
+                    contagem.set(chave, { campo: id, valor, quantidade: (contagem.get(chave)?.quantidade || 0) + 1 });
+                });
+        });
+
+        // Valores já substituídos continuam na lista para que a escolha possa ser desfeita
+        Object.entries(this.substituicoes).forEach(([campo, valores]) => {
+            Object.keys(valores).forEach(valor => {
+                const chave = `${campo}\u0000${valor}`;
+                if (contagem.has(chave)) return;
+                const quantidade = this.plano.filter(({ processo }) => processo[campo] === valor).length;
+                if (quantidade > 0) contagem.set(chave, { campo, valor, quantidade });
+            });
+        });
+
+        return [...contagem.values()];
+    }
+
+    /**
+     * Abre o modal de migração
+     */
+    async abrirModal() {
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem migrar os dados', 'warning');
+            return;
+        }
+
+        document.getElementById('migracaoRelatorio').innerHTML = '';
+        document.getElementById('migracaoProgresso').hidden = true;
+        document.getElementById('btnExecutarMigracao').disabled = true;
+        document.getElementById('migracaoVersao').textContent = `Versão atual do formato: ${VERSAO_ESQUEMA}`;
+        document.getElementById('modalMigracao')?.classList.add('active');
+        await this.simular();
+    }
+
+    /**
+     * Verifica quantos registros estão em versões anteriores e atualiza o badge
+     * Executado na entrada de um gestor, como a limpeza da lixeira
+     */
+    async verificarPendentes() {
+        if (!authManager.isGestor()) return;
+
+        try {
+            if (!await this.carregar()) return;
+            this.planejar();
+            this.updateStatus();
+        } catch (error) {
+            console.error('Erro ao verificar migração de dados:', error);
+        }
+    }
+
+    /**
+     * Atualiza o badge de migração no card de configurações
+     */
+    updateStatus() {
+        const badge = document.getElementById('migracaoStatus');
+        if (!badge) return;
+
+        const total = this.plano.length;
+        badge.textContent = total === 0 ? 'Atualizado' : `${total} pendente(s)`;
+        badge.className = `status-badge ${total === 0 ? 'status-active' : 'status-warning'}`;
+    }
+
+    /**
+     * Simula a migração (dry-run) e mostra o relatório, sem gravar
+     */
+    async simular() {
+        showLoading();
+        try {
+            if (!await this.carregar()) {
+                showNotification(MESSAGES.ERROR.LOAD, 'error');
+                return;
+            }
+            this.planejar();
+            this.renderRelatorio();
+            this.updateStatus();
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Executa a migração em lotes, mostrando o progresso: registros sem pendências vão à versão
+     * atual e os com pendência recebem as versões anteriores a ela
+     * Os registros são recarregados antes, para considerar alterações desde a simulação
+     */
+    async executar() {
+        if (this.executando) return;
+
+        showLoading();
+        let prontos;
+        try {
+            if (!await this.carregar()) {
+                showNotification(MESSAGES.ERROR.LOAD, 'error');
+                return;
+            }
+            this.planejar();
+            this.renderRelatorio();
+            prontos = this.plano.filter(registro => registro.gravar);
+        } finally {
+            hideLoading();
+        }
+
+        if (prontos.length === 0) {
+            showNotification('Nenhum registro pronto para migrar', 'warning');
+            return;
+        }
+
+        const parciais = prontos.filter(registro => registro.pendencias.length > 0).length;
+        const semAlteracao = this.plano.length - prontos.length;
+        const mensagem = `Migrar ${prontos.length} registro(s)? ${prontos.length - parciais} vão para a versão ${VERSAO_ESQUEMA}.` +
+            (parciais > 0 ? `\n\n${parciais} registro(s) com pendência recebem só as versões anteriores a ela.` : '') +
+            (semAlteracao > 0 ? `\n\n${semAlteracao} registro(s) com pendência não serão alterados.` : '') +
+            '\n\nAs alterações ficam registradas na auditoria.';
+        if (!confirm(mensagem)) return;
+
+        this.executando = true;
+        document.getElementById('btnExecutarMigracao').disabled = true;
+        let migrados = 0;
+        try {
+            for (let inicio = 0; inicio < prontos.length; inicio += TAMANHO_LOTE) {
+                this.renderProgresso(migrados, prontos.length);
+                const lote = prontos.slice(inicio, inicio + TAMANHO_LOTE);
+                const resultado = await dbManager.migrarRegistros(lote.map(({ caminho, gravar, destino, migrado }) => ({
+                    caminho,
+                    alteracoes: gravar.alteracoes,
+                    versao: gravar.versao,
+                    destino,
+                    processo: migrado
+                })));
+                if (!resultado.success) {
+                    showNotification(`Migração interrompida após ${migrados} registro(s). ${MESSAGES.ERROR.UPDATE}`, 'error');
+                    return;
+                }
+                migrados += lote.length;
+            }
+            this.renderProgresso(migrados, prontos.length);
+            showNotification(`${migrados} registro(s) migrado(s)` +
+                (parciais > 0 ? `, ${parciais} até a versão anterior à pendência` : ''), 'success');
+        } finally {
+            this.executando = false;
+            await this.simular();
+        }
+    }
+
+    /**
+     * Atualiza a barra de progresso da execução
+     */
+    renderProgresso(migrados, total) {
+        const container = document.getElementById('migracaoProgresso');
+        if (!container) return;
+
+        container.hidden = false;
+        container.querySelector('progress').max = total;
+        container.querySelector('progress').value = migrados;
+        container.querySelector('span').textContent = `${migrados} de ${total} registro(s) migrado(s)`;
+    }
+
+    /**
+     * Renderiza o relatório da simulação: resumo por migração, valores sem
+     * correspondência (com a escolha do substituto) e as alterações de cada registro
+     */
+    renderRelatorio() {
+        const container = document.getElementById('migracaoRelatorio');
+        if (!container) return;
+
+        const prontos = this.plano.filter(registro => registro.pendencias.length === 0).length;
+        const comPendencia = this.plano.length - prontos;
+        const parciais = this.plano.filter(registro => registro.gravar && registro.pendencias.length > 0).length;
+        document.getElementById('btnExecutarMigracao').disabled = this.executando || !this.plano.some(registro => registro.gravar);
+
+        if (this.plano.length === 0) {
+            container.innerHTML = `<p class="form-help">Todos os ${this.registros.length} registro(s) já estão na versão ${VERSAO_ESQUEMA}.</p>`;
+            return;
+        }
+
+        const semCorrespondencia = this.valoresSemCorrespondencia();
+        const arquivados = this.plano.filter(registro => registro.destino).length;
+
+        container.innerHTML = `
+            <p class="importacao-resumo">
+                <span class="status-badge status-active">${prontos} pronto(s) para migrar</span>
+                <span class="status-badge ${comPendencia > 0 ? 'status-error' : 'status-inactive'}">${comPendencia} com pendência</span>
+                ${parciais > 0 ? `<span class="status-badge status-warning">${parciais} com pendência migrável(is) até a versão anterior</span>` : ''}
+                <span class="status-badge status-inactive">${this.registros.length - this.plano.length} já atualizado(s)</span>
+            </p>
+            <ul class="migracao-etapas">
+                ${MIGRACOES.map(migracao => `
+                    <li>
+                        <strong>Versão ${migracao.versao}</strong> — ${escaparHtml(migracao.descricao)}:
+                        ${this.plano.filter(registro => registro.migracoes.includes(migracao)).length} registro(s)
+                    </li>
+                `).join('')}
+                ${arquivados > 0 ? `
+                    <li>
+                        <strong>Cancelados antigos</strong> — processos em andamento com o status "Cancelado" são
+                        movidos para os cancelados (motivo "${CANCELAMENTO_LEGADO.motivo}"): ${arquivados} registro(s)
+                    </li>
+                ` : ''}
+            </ul>
+            ${semCorrespondencia.length > 0 ? `
+                <div class="form-section">
+                    <h4>Valores sem correspondência</h4>
+                    <p class="form-help">Escolha a opção atual que substitui cada valor antigo. Registros com valores não resolvidos ficam pendentes.</p>
+                    <div class="table-container">
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Campo</th>
+                                    <th>Valor antigo</th>
+                                    <th>Registros</th>
+                                    <th>Substituir por</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${semCorrespondencia.map(({ campo, valor, quantidade }) => `
+                                    <tr>
+                                        <td>${escaparHtml(CAMPOS_PROCESSO[campo].rotulo)}</td>
+                                        <td>${escaparHtml(valor)}</td>
+                                        <td>${quantidade}</td>
+                                        <td>
+                                            <select data-campo="${campo}" data-valor="${escaparHtml(valor)}">
+                                                <option value="">— Manter pendente —</option>
+                                                ${listasManager.valores(CAMPOS_PROCESSO[campo].lista).map(opcao => `
+                                                    <option value="${escaparHtml(opcao)}" ${this.substituicoes[campo]?.[valor] === opcao ? 'selected' : ''}>${escaparHtml(opcao)}</option>
+                                                `).join('')}
+                                            </select>
+                                        </td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>
+            ` : ''}
+            <div class="table-container importacao-tabela">
+                <table class="data-table">
+                    <thead>
+                        <tr>
+                            <th>Lista</th>
+                            <th>SIGADOC</th>
+                            <th>Versão</th>
+                            <th>Alterações</th>
+                            <th>Resultado</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${this.plano.map(({ path, lista, processo, versao, alteracoes, pendencias, destino, gravar }) => `
+                            <tr class="${pendencias.length > 0 ? 'importacao-erro' : ''}">
+                                <td>${LISTAS[lista]}${destino ? ` → ${LISTAS[path]}` : ''}</td>
+                                <td>${escaparHtml(processo.sigadoc || '-')}</td>
+                                <td>${versao} → ${VERSAO_ESQUEMA}</td>
+                                <td>${destino || Object.keys(alteracoes).length > 0
+                                    ? `<ul>
+                                        ${destino ? '<li>Status "Cancelado" removido e processo arquivado nos cancelados</li>' : ''}
+                                        ${Object.entries(alteracoes).map(([campo, valor]) =>
+                                            `<li>${escaparHtml(descreverAlteracao(campo, processo[campo], valor))}</li>`).join('')}
+                                    </ul>`
+                                    : 'Apenas a versão'}</td>
+                                <td>${pendencias.length > 0
+                                    ? `${gravar ? `Vai para a versão ${gravar.versao}; pendente para as seguintes:` : ''}
+                                        <ul>${pendencias.map(pendencia => `<li>${escaparHtml(pendencia)}</li>`).join('')}</ul>`
+                                    : '✅ Pronto para migrar'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+}
+
+// Exporta instância única
+const migracoesManager = new MigracoesManager();
+export default migracoesManager;
@@ -1,15 +1,23 @@
 /**
  * Módulo de Processos
- * Gerencia CRUD e exibição de processos (andamento e finalizados)
+ * Gerencia CRUD e exibição de processos (andamento, finalizados e cancelados)
  */
 
 import dbManager from './database.js';
 import authManager from './auth.js';
 import emailManager from './email.js';
+import workflowManager from './workflow.js';
+import calendarioManager from './calendario.js';
+import slaManager from './sla.js';
+import comentariosManager from './comentarios.js';
+import versoesManager from './versoes.js';
+import importacaoManager from './importacao.js';
+import listasManager from './listas.js';
+import camposExtrasManager from './camposExtras.js';
+import { FORMATOS, validarProcesso, validarCampos, validarCamposExtras } from './schema.js';
 import { OPCOES, MESSAGES, DB_PATHS } from './config.js';
 import {
     formatarData,
-    diasParaPrazo,
     formatarPrazo,
     getClassePrazo,
     truncar,
@@ -17,14 +25,24 @@ import {
     hideLoading,
     showNotification,
     filtrarPorTexto,
-    isoParaInputDate
+    isoParaInputDate,
+    formatarDataHora,
+    listarHistoricoStatus,
+    listarProrrogacoes,
+    chaveSigadoc,
+    escaparHtml,
+    debounce
 } from './utils.js';
 
 class ProcessosManager {
     constructor() {
         this.processosAndamento = [];
         this.processosFinalizados = [];
+        this.processosCancelados = [];
         this.processoEditando = null;
+        this.prazoSugerido = null; // Último prazo preenchido automaticamente pelo SLA
+        this.processoProrrogando = null;
+        this.processoCancelando = null;
         this.filtros = {
             busca: '',
             tipoCotacao: '',
@@ -48,9 +66,10 @@ class ProcessosManager {
     async carregarDados() {
         showLoading();
         try {
-            const [andamento, finalizados] = await Promise.all([
+            const [andamento, finalizados, cancelados] = await Promise.all([
                 dbManager.getProcessosAndamento(),
-                dbManager.getProcessosFinalizados()
+                dbManager.getProcessosFinalizados(),
+                dbManager.getProcessosCancelados()
             ]);
 
             if (andamento.success) {
@@ -61,6 +80,10 @@ class ProcessosManager {
                 this.processosFinalizados = finalizados.data;
             }
 
+            if (cancelados.success) {
+                this.processosCancelados = cancelados.data;
+            }
+
             // Configura listeners em tempo real
             dbManager.listen(DB_PATHS.PROCESSOS_ANDAMENTO, (data) => {
                 this.processosAndamento = data;
@@ -74,6 +97,12 @@ class ProcessosManager {
                 this.atualizarDashboard();
             });
 
+            dbManager.listen(DB_PATHS.PROCESSOS_CANCELADOS, (data) => {
+                this.processosCancelados = data;
+                this.renderTabelas();
+                this.atualizarDashboard();
+            });
+
         } catch (error) {
             console.error('Erro ao carregar processos:', error);
             showNotification(MESSAGES.ERROR.LOAD, 'error');
@@ -91,6 +120,11 @@ class ProcessosManager {
             this.abrirModalProcesso();
         });
 
+        // Importação de processos por planilha
+        document.getElementById('btnImportarProcessos')?.addEventListener('click', () => {
+            importacaoManager.abrirModal();
+        });
+
         // Formulário processo
         document.getElementById('formProcesso')?.addEventListener('submit', (e) => {
             e.preventDefault();
@@ -102,6 +136,59 @@ class ProcessosManager {
             this.fecharModalProcesso();
         });
 
+        // Status disponíveis dependem do tipo de cotação (fluxo de status)
+        document.getElementById('inputTipoCotacao')?.addEventListener('change', () => {
+            this.atualizarOpcoesStatus();
+            this.renderCamposExtras();
+        });
+        workflowManager.onChange(() => this.atualizarOpcoesStatus());
+
+        // Valores das listas de validação alterados por um gestor
+        listasManager.onChange(() => this.popularListas(this.processoEditando));
+
+        // Campos personalizados dependem do tipo de cotação
+        camposExtrasManager.onChange(() => this.renderCamposExtras());
+
+        // Prazos em dias úteis mudam quando feriados ou recessos são cadastrados
+        calendarioManager.onChange(() => this.renderTabelas());
+
+        // Prazo final sugerido pela regra de SLA da classificação do processo
+        ['inputTipoCotacao', 'inputComplexidade', 'inputTipoObjeto', 'inputDataInicio'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.sugerirPrazoSla());
+        });
+        slaManager.onChange(() => this.sugerirPrazoSla());
+
+        // Aviso de SIGADOC já cadastrado enquanto o número é digitado
+        document.getElementById('inputSigadoc')?.addEventListener('input', debounce(() => {
+            this.avisarSigadocDuplicado();
+        }, 300));
+
+        // Prorrogação de prazo
+        document.getElementById('formProrrogacao')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvarProrrogacao();
+        });
+
+        document.getElementById('btnCancelarProrrogacao')?.addEventListener('click', () => {
+            document.getElementById('modalProrrogacao')?.classList.remove('active');
+            this.processoProrrogando = null;
+        });
+
+        document.getElementById('inputNovoPrazo')?.addEventListener('change', () => {
+            this.atualizarResumoProrrogacao();
+        });
+
+        // Cancelamento
+        document.getElementById('formCancelamento')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvarCancelamento();
+        });
+
+        document.getElementById('btnCancelarCancelamento')?.addEventListener('click', () => {
+            document.getElementById('modalCancelamento')?.classList.remove('active');
+            this.processoCancelando = null;
+        });
+
         // Fechar modal
         document.querySelectorAll('.modal-close').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -139,38 +226,14 @@ class ProcessosManager {
      * Popula selects do formulário
      */
     async popularSelects() {
-        // Tipo de Cotação
-        const selectTipoCotacao = document.getElementById('inputTipoCotacao');
-        if (selectTipoCotacao) {
-            selectTipoCotacao.innerHTML = '<option value="">Selecione...</option>' +
-                OPCOES.TIPO_COTACAO
-                    .map(opt => `<option value="${opt}">${opt}</option>`)
-                    .join('');
-        }
-
-        // Tipo de Objeto
-        const selectTipoObjeto = document.getElementById('inputTipoObjeto');
-        if (selectTipoObjeto) {
-            selectTipoObjeto.innerHTML = '<option value="">Selecione...</option>' +
-                OPCOES.TIPO_OBJETO
-                    .map(opt => `<option value="${opt}">${opt}</option>`)
-                    .join('');
-        }
-
-        // Status
-        const selectStatus = document.getElementById('inputStatus');
-        if (selectStatus) {
-            selectStatus.innerHTML = '<option value="">Selecione...</option>' +
-                OPCOES.STATUS
-                    .map(opt => `<option value="${opt}">${opt}</option>`)
-                    .join('');
-        }
-
-        // Unidade Executora
-        const selectUnidadeExecutora = document.getElementById('inputUnidadeExecutora');
-        if (selectUnidadeExecutora) {
-            selectUnidadeExecutora.innerHTML = '<option value="">Selecione...</option>' +
-                OPCOES.UNIDADE_EXECUTORA
+        // Listas de validação (tipo de cotação, objeto, complexidade, unidade e status)
+        this.popularListas();
+
+        // Motivo de cancelamento
+        const selectMotivo = document.getElementById('inputMotivoCancelamento');
+        if (selectMotivo) {
+            selectMotivo.innerHTML = '<option value="">Selecione...</option>' +
+                OPCOES.MOTIVO_CANCELAMENTO
                     .map(opt => `<option value="${opt}">${opt}</option>`)
                     .join('');
         }
@@ -195,22 +258,141 @@ class ProcessosManager {
                         .join('');
             }
         }
+    }
 
-        // Popula filtro de tipo de cotação
-        const filterTipoCotacao = document.getElementById('filterTipoCotacao');
-        if (filterTipoCotacao) {
-            filterTipoCotacao.innerHTML = '<option value="">Todos os Tipos</option>' +
-                OPCOES.TIPO_COTACAO
-                    .map(opt => `<option value="${opt}">${opt}</option>`)
-                    .join('');
+    /**
+     * Popula os selects das listas de validação
+     * Valores desativados só aparecem no formulário se forem os do processo em edição,
+     * e continuam no filtro para encontrar os processos antigos
+     * @param {Object} processo - Processo em edição (null para novo)
+     */
+    popularListas(processo = null) {
+        const selects = {
+            inputTipoCotacao: ['TIPO_COTACAO', 'tipoCotacao'],
+            inputTipoObjeto: ['TIPO_OBJETO', 'tipoObjeto'],
+            inputComplexidade: ['GRAU_COMPLEXIDADE', 'grauComplexidade'],
+            inputUnidadeExecutora: ['UNIDADE_EXECUTORA', 'unidadeExecutora']
+        };
+        Object.entries(selects).forEach(([id, [lista, campo]]) => {
+            listasManager.preencherSelect(document.getElementById(id), lista, {
+                vazio: 'Selecione...',
+                atual: processo?.[campo]
+            });
+        });
+
+        // Filtro de tipo de cotação
+        listasManager.preencherSelect(document.getElementById('filterTipoCotacao'), 'TIPO_COTACAO', {
+            vazio: 'Todos os Tipos',
+            incluirInativos: true
+        });
+
+        // Status (conforme o fluxo do tipo de cotação)
+        this.atualizarOpcoesStatus();
+    }
+
+    /**
+     * Popula o select de status apenas com as transições válidas
+     * para o tipo de cotação selecionado e o status atual do processo
+     */
+    atualizarOpcoesStatus() {
+        const selectStatus = document.getElementById('inputStatus');
+        if (!selectStatus) return;
+
+        const tipoCotacao = document.getElementById('inputTipoCotacao')?.value;
+        if (!tipoCotacao) {
+            selectStatus.innerHTML = '<option value="">Selecione o tipo de cotação...</option>';
+            selectStatus.disabled = true;
+            return;
+        }
+
+        const statusAtual = this.processoEditando?.status || null;
+        const valorSelecionado = selectStatus.value;
+        const permitidos = workflowManager.getStatusPermitidos(tipoCotacao, statusAtual);
+
+        selectStatus.disabled = false;
+        selectStatus.innerHTML = '<option value="">Selecione...</option>' +
+            permitidos
+                .map(opt => `<option value="${opt}">${opt}${opt === statusAtual ? ' (atual)' : ''}</option>`)
+                .join('');
+
+        if (permitidos.includes(valorSelecionado)) {
+            selectStatus.value = valorSelecionado;
+        }
+    }
+
+    /**
+     * Renderiza os campos personalizados do tipo de cotação selecionado
+     * Ao trocar de tipo, mantém o que já foi digitado nos campos de mesmo identificador
+     * @param {boolean} manterDigitados - false ao abrir o modal (só os valores gravados no processo)
+     */
+    renderCamposExtras(manterDigitados = true) {
+        const container = document.getElementById('camposExtrasProcesso');
+        const digitados = manterDigitados ? camposExtrasManager.lerFormulario(container) : {};
+        camposExtrasManager.renderFormulario(container, document.getElementById('inputTipoCotacao')?.value, {
+            ...(this.processoEditando?.camposExtras || {}),
+            ...digitados
+        });
+    }
+
+    /**
+     * Exibe o SLA aplicável e preenche o prazo final com a data calculada
+     * O prazo só é sobrescrito se estiver vazio ou se tiver sido preenchido pelo próprio SLA
+     */
+    sugerirPrazoSla() {
+        const dados = {
+            tipoCotacao: document.getElementById('inputTipoCotacao')?.value,
+            grauComplexidade: document.getElementById('inputComplexidade')?.value,
+            tipoObjeto: document.getElementById('inputTipoObjeto')?.value,
+            dataInicio: document.getElementById('inputDataInicio')?.value
+        };
+
+        const info = document.getElementById('slaSugestao');
+        if (info) info.textContent = dados.tipoCotacao ? slaManager.descreverSla(dados) : '';
+
+        const sla = slaManager.calcularSla(dados);
+        const inputDataFinal = document.getElementById('inputDataFinal');
+        if (!sla || !inputDataFinal || inputDataFinal.disabled) return;
+
+        if (!inputDataFinal.value || inputDataFinal.value === this.prazoSugerido) {
+            inputDataFinal.value = sla.prazo;
+            this.prazoSugerido = sla.prazo;
         }
     }
 
+    /**
+     * Procura outro processo em andamento ou finalizado com o mesmo SIGADOC
+     * (cancelados não ocupam o número)
+     */
+    buscarSigadocDuplicado(sigadoc) {
+        const chave = chaveSigadoc(sigadoc.trim());
+        if (!chave) return null;
+
+        return [...this.processosAndamento, ...this.processosFinalizados].find(p =>
+            p.id !== this.processoEditando?.id && chaveSigadoc(p.sigadoc) === chave
+        ) || null;
+    }
+
+    /**
+     * Exibe no formulário o aviso de SIGADOC já cadastrado
+     */
+    avisarSigadocDuplicado() {
+        const aviso = document.getElementById('sigadocAviso');
+        if (!aviso) return;
+
+        const duplicado = this.buscarSigadocDuplicado(document.getElementById('inputSigadoc')?.value || '');
+        const situacao = this.processosFinalizados.includes(duplicado) ? 'finalizado' : 'em andamento';
+        aviso.textContent = duplicado
+            ? `⚠️ Já existe um processo ${situacao} com este número: ${truncar(duplicado.descricao || '', 60)}`
+            : '';
+        aviso.style.display = duplicado ? '' : 'none';
+    }
+
     /**
      * Abre modal para novo/editar processo
      */
     abrirModalProcesso(processo = null) {
         this.processoEditando = processo;
+        this.prazoSugerido = isoParaInputDate(processo?.sla?.prazo) || null;
         const modal = document.getElementById('modalProcesso');
         const form = document.getElementById('formProcesso');
         const title = document.getElementById('modalTitle');
@@ -222,6 +404,7 @@ class ProcessosManager {
             document.getElementById('inputLink').value = processo.link || '';
             document.getElementById('inputDataInicio').value = isoParaInputDate(processo.dataInicio) || '';
             document.getElementById('inputDataFinal').value = isoParaInputDate(processo.dataFinal) || '';
+            this.popularListas(processo);
             document.getElementById('inputTipoCotacao').value = processo.tipoCotacao || '';
             document.getElementById('inputTipoObjeto').value = processo.tipoObjeto || '';
             document.getElementById('inputDescricao').value = processo.descricao || '';
@@ -229,12 +412,24 @@ class ProcessosManager {
             document.getElementById('inputComplexidade').value = processo.grauComplexidade || '';
             document.getElementById('inputQuantidadeItens').value = processo.quantidadeItens || '';
             document.getElementById('inputUnidadeExecutora').value = processo.unidadeExecutora || '';
+            this.atualizarOpcoesStatus();
             document.getElementById('inputStatus').value = processo.status || '';
         } else {
             title.textContent = 'Novo Processo';
             form.reset();
+            this.popularListas();
         }
 
+        // Prazo já definido só muda por prorrogação, para não perder o prazo original
+        const prazoDefinido = !!processo?.dataFinal;
+        document.getElementById('inputDataFinal').disabled = prazoDefinido;
+        const aviso = document.getElementById('prazoProrrogacaoAviso');
+        if (aviso) aviso.style.display = prazoDefinido ? '' : 'none';
+
+        this.renderCamposExtras(false);
+        this.sugerirPrazoSla();
+        this.avisarSigadocDuplicado();
+        this.renderTimelineStatus(processo, document.getElementById('timelineStatusContainer'));
         modal.classList.add('active');
     }
 
@@ -253,7 +448,7 @@ class ProcessosManager {
      */
     async salvarProcesso() {
         const dados = {
-            sigadoc: document.getElementById('inputSigadoc').value,
+            sigadoc: document.getElementById('inputSigadoc').value.trim(),
             link: document.getElementById('inputLink').value,
             dataInicio: document.getElementById('inputDataInicio').value,
             dataFinal: document.getElementById('inputDataFinal').value || null,
@@ -266,14 +461,71 @@ class ProcessosManager {
             unidadeExecutora: document.getElementById('inputUnidadeExecutora').value,
             status: document.getElementById('inputStatus').value
         };
+        const observacaoStatus = document.getElementById('inputObservacaoStatus')?.value || '';
+
+        // SLA de referência: definido no cadastro e recalculado apenas se a classificação
+        // ou a data de início mudarem (ou se o processo ainda não tiver SLA)
+        const anterior = this.processoEditando;
+        const reclassificado = !anterior?.sla ||
+            ['tipoCotacao', 'grauComplexidade', 'tipoObjeto'].some(campo => anterior[campo] !== dados[campo]) ||
+            isoParaInputDate(anterior.dataInicio) !== dados.dataInicio;
+        if (reclassificado) {
+            dados.sla = slaManager.calcularSla(dados);
+        }
+        const sla = reclassificado ? dados.sla : anterior.sla;
+        if (!dados.dataFinal && sla) {
+            dados.dataFinal = sla.prazo;
+        }
+
+        // Campos personalizados do tipo de cotação; valores de campos que não estão no formulário
+        // (excluídos da definição) são mantidos enquanto o tipo de cotação não muda
+        const camposExtras = Object.fromEntries(Object.entries({
+            ...(anterior?.tipoCotacao === dados.tipoCotacao ? anterior.camposExtras : {}),
+            ...camposExtrasManager.lerFormulario(document.getElementById('camposExtrasProcesso'))
+        }).filter(([, valor]) => valor !== null));
+        dados.camposExtras = Object.keys(camposExtras).length > 0 ? camposExtras : null;
+
+        // Campos conforme o esquema, o mesmo das regras do Firebase
+        const errosCampos = [
+            ...validarProcesso(dados, undefined, listasManager.opcoesValidas(this.processoEditando)),
+            ...validarCamposExtras(camposExtras, camposExtrasManager.definicoes(dados.tipoCotacao))
+        ];
+        if (errosCampos.length > 0) {
+            showNotification(errosCampos[0], 'error');
+            return;
+        }
+
+        // SIGADOC único entre processos em andamento e finalizados (também garantido pelas regras)
+        if (this.buscarSigadocDuplicado(dados.sigadoc)) {
+            showNotification(MESSAGES.ERROR.SIGADOC_DUPLICADO, 'error');
+            return;
+        }
+
+        // Valida transição e campos exigidos pelo fluxo de status
+        const errosFluxo = workflowManager.validar(dados, this.processoEditando?.status || null);
+        if (errosFluxo.length > 0) {
+            showNotification(errosFluxo[0], 'error');
+            return;
+        }
 
         showLoading();
         try {
+            // Confere no banco, que pode ter processos gravados por outro gestor agora há pouco
+            const conflito = await dbManager.verificarSigadoc(dados.sigadoc, [this.processoEditando?.id]);
+            if (conflito.data) {
+                showNotification(MESSAGES.ERROR.SIGADOC_DUPLICADO, 'error');
+                return;
+            }
+
             let resultado;
             if (this.processoEditando) {
-                resultado = await dbManager.updateProcessoAndamento(this.processoEditando.id, dados);
+                resultado = await dbManager.updateProcessoAndamento(this.processoEditando.id, dados, {
+                    de: this.processoEditando.status,
+                    para: dados.status,
+                    observacao: observacaoStatus
+                });
             } else {
-                resultado = await dbManager.createProcessoAndamento(dados);
+                resultado = await dbManager.createProcessoAndamento(dados, observacaoStatus);
             }
 
             if (resultado.success) {
@@ -301,6 +553,227 @@ class ProcessosManager {
         }
     }
 
+    /**
+     * Reabre um processo finalizado ou cancelado por engano (apenas gestores)
+     */
+    async reabrirProcesso(processo, cancelado = false) {
+        if (!processo) {
+            showNotification('Processo não encontrado', 'error');
+            return;
+        }
+
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem reabrir processos', 'warning');
+            return;
+        }
+
+        const motivo = prompt(`Motivo da reabertura do processo ${processo.sigadoc}:`);
+        if (motivo === null) return; // Cancelado
+
+        if (motivo.trim().length < 5) {
+            showNotification('Informe o motivo da reabertura (mínimo de 5 caracteres)', 'error');
+            return;
+        }
+
+        showLoading();
+        try {
+            const resultado = await dbManager.reabrirProcesso(processo.id, motivo.trim(), cancelado);
+            if (resultado.success) {
+                showNotification('Processo reaberto com sucesso!', 'success');
+                await this.carregarDados();
+            } else {
+                showNotification(resultado.error || MESSAGES.ERROR.UPDATE, 'error');
+            }
+        } catch (error) {
+            console.error('Erro ao reabrir processo:', error);
+            showNotification(MESSAGES.ERROR.UPDATE, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Abre modal de cancelamento de processo
+     */
+    abrirModalCancelamento(processo) {
+        if (!processo) {
+            showNotification('Processo não encontrado', 'error');
+            return;
+        }
+
+        this.processoCancelando = processo;
+        document.getElementById('modalCancelamentoTitle').textContent = `Cancelar Processo - ${processo.sigadoc}`;
+        document.getElementById('formCancelamento').reset();
+        document.getElementById('modalCancelamento').classList.add('active');
+    }
+
+    /**
+     * Cancela o processo, arquivando-o separado dos finalizados
+     */
+    async salvarCancelamento() {
+        const processo = this.processoCancelando;
+        if (!processo) return;
+
+        const motivo = document.getElementById('inputMotivoCancelamento').value;
+        const justificativa = document.getElementById('inputJustificativaCancelamento').value.trim();
+
+        if (!motivo) {
+            showNotification('Selecione o motivo do cancelamento', 'error');
+            return;
+        }
+
+        if (justificativa.length < 10) {
+            showNotification('Descreva o cancelamento (mínimo de 10 caracteres)', 'error');
+            return;
+        }
+
+        showLoading();
+        try {
+            const resultado = await dbManager.cancelarProcesso(processo.id, motivo, justificativa);
+            if (resultado.success) {
+                showNotification('Processo cancelado e arquivado', 'success');
+                document.getElementById('modalCancelamento').classList.remove('active');
+                this.processoCancelando = null;
+                await this.carregarDados();
+            } else {
+                showNotification(resultado.error || MESSAGES.ERROR.UPDATE, 'error');
+            }
+        } catch (error) {
+            console.error('Erro ao cancelar processo:', error);
+            showNotification(MESSAGES.ERROR.UPDATE, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Abre modal de prorrogação de prazo
+     */
+    abrirModalProrrogacao(processo) {
+        if (!processo) {
+            showNotification('Processo não encontrado', 'error');
+            return;
+        }
+
+        if (!processo.dataFinal) {
+            showNotification('Este processo não possui prazo final definido. Defina-o na edição do processo.', 'warning');
+            return;
+        }
+
+        this.processoProrrogando = processo;
+        const prorrogacoes = listarProrrogacoes(processo);
+
+        document.getElementById('modalProrrogacaoTitle').textContent = `Prorrogar Prazo - ${processo.sigadoc}`;
+        document.getElementById('formProrrogacao').reset();
+
+        const inputNovoPrazo = document.getElementById('inputNovoPrazo');
+        inputNovoPrazo.min = calendarioManager.adicionarDiasUteis(processo.dataFinal, 1) || '';
+
+        document.getElementById('prorrogacaoInfo').innerHTML = `
+            <p><strong>Prazo atual:</strong> ${formatarData(processo.dataFinal)}</p>
+            ${prorrogacoes.length > 0 ? `
+                <p><strong>Prazo original:</strong> ${formatarData(processo.dataFinalOriginal)}</p>
+                <p><strong>Prorrogações anteriores:</strong> ${prorrogacoes.length}</p>
+                <ul class="timeline">
+                    ${prorrogacoes.map(p => `
+                        <li class="timeline-item">
+                            <div class="timeline-marker"></div>
+                            <div class="timeline-content">
+                                <div class="timeline-status">
+                                    ${formatarData(p.prazoAnterior)} → <strong>${formatarData(p.novoPrazo)}</strong>
+                                </div>
+                                <div class="timeline-meta">
+                                    ${formatarDataHora(p.data)} · aprovado por ${escaparHtml(p.aprovadoPor)}
+                                </div>
+                                <p class="timeline-obs">${escaparHtml(p.justificativa)}</p>
+                            </div>
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
+
+        this.atualizarResumoProrrogacao();
+        document.getElementById('modalProrrogacao').classList.add('active');
+    }
+
+    /**
+     * Mostra quantos dias úteis a prorrogação acrescenta ao prazo atual
+     */
+    atualizarResumoProrrogacao() {
+        const resumo = document.getElementById('prorrogacaoResumo');
+        const novoPrazo = document.getElementById('inputNovoPrazo')?.value;
+        if (!resumo) return;
+
+        if (!novoPrazo || !this.processoProrrogando) {
+            resumo.textContent = '';
+            return;
+        }
+
+        const prazoAtual = isoParaInputDate(this.processoProrrogando.dataFinal);
+        const erro = this.validarNovoPrazo(prazoAtual, novoPrazo);
+        if (erro) {
+            resumo.textContent = erro;
+            return;
+        }
+
+        const acrescimo = calendarioManager.calcularDiasUteis(prazoAtual, novoPrazo) -
+            (calendarioManager.isDiaUtil(prazoAtual) ? 1 : 0);
+        resumo.textContent = `Acréscimo de ${acrescimo} dia(s) útil(eis) ao prazo atual`;
+    }
+
+    /**
+     * Confere o novo prazo de uma prorrogação
+     * As datas são comparadas como texto ISO (como nas regras), por isso ambas precisam estar nesse formato
+     * @returns {string|null} Mensagem de erro ou null se válido
+     */
+    validarNovoPrazo(prazoAtual, novoPrazo) {
+        const formato = new RegExp(FORMATOS.data);
+        if (!formato.test(prazoAtual || '')) return 'O processo não tem um prazo final válido; corrija-o editando o processo';
+        if (!formato.test(novoPrazo || '')) return 'Informe um novo prazo válido';
+        if (novoPrazo <= prazoAtual) return 'O novo prazo deve ser posterior ao prazo atual';
+        return null;
+    }
+
+    /**
+     * Registra a prorrogação de prazo
+     */
+    async salvarProrrogacao() {
+        const processo = this.processoProrrogando;
+        if (!processo) return;
+
+        const novoPrazo = document.getElementById('inputNovoPrazo').value;
+        const justificativa = document.getElementById('inputJustificativaProrrogacao').value.trim();
+
+        const erroPrazo = this.validarNovoPrazo(isoParaInputDate(processo.dataFinal), novoPrazo);
+        if (erroPrazo) {
+            showNotification(erroPrazo, 'error');
+            return;
+        }
+
+        if (justificativa.length < 10) {
+            showNotification('Informe uma justificativa para a prorrogação (mínimo de 10 caracteres)', 'error');
+            return;
+        }
+
+        showLoading();
+        try {
+            const resultado = await dbManager.prorrogarPrazo(processo.id, processo, novoPrazo, justificativa);
+            if (resultado.success) {
+                showNotification(`Prazo prorrogado para ${formatarData(novoPrazo)}`, 'success');
+                document.getElementById('modalProrrogacao').classList.remove('active');
+                this.processoProrrogando = null;
+            } else {
+                showNotification(MESSAGES.ERROR.UPDATE, 'error');
+            }
+        } catch (error) {
+            console.error('Erro ao prorrogar prazo:', error);
+            showNotification(MESSAGES.ERROR.UPDATE, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
     /**
      * Finaliza um processo
      */
@@ -357,14 +830,15 @@ class ProcessosManager {
         const novaDataInicio = prompt('Data de Início (YYYY-MM-DD):', dataInicioAtual);
         if (novaDataInicio === null) return;
 
-        // Valida formato da data de início
-        if (novaDataInicio && !/^\d{4}-\d{2}-\d{2}$/.test(novaDataInicio)) {
-            showNotification('Formato de data de início inválido. Use YYYY-MM-DD', 'error');
+        // Valida a data de início pelo esquema (formato e prazo final)
+        const errosInicio = validarCampos({ dataInicio: novaDataInicio, dataFinal: processo.dataFinal });
+        if (errosInicio.length > 0) {
+            showNotification(errosInicio[0], 'error');
             return;
         }
 
         // Data de finalização
-        const dataFinalizacaoAtual = processo.dataFinalizacao || processo.dataEntrega || new Date().toISOString().split('T')[0];
+        const dataFinalizacaoAtual = processo.dataFinalizacao || new Date().toISOString().split('T')[0];
         const novaDataFinalizacao = prompt('Data de Finalização (YYYY-MM-DD):', dataFinalizacaoAtual);
         if (novaDataFinalizacao === null) return;
 
@@ -376,6 +850,12 @@ class ProcessosManager {
 
         const dataInicioFinal = novaDataInicio || dataInicioAtual;
 
+        // Alerta quando a finalização cai em dia não útil (fim de semana, feriado ou recesso)
+        if (!calendarioManager.isDiaUtil(novaDataFinalizacao)) {
+            const motivo = calendarioManager.getFeriado(novaDataFinalizacao) || 'fim de semana';
+            if (!confirm(`${formatarData(novaDataFinalizacao)} não é dia útil (${motivo}). Deseja continuar?`)) return;
+        }
+
         showLoading();
         try {
             const resultado = await dbManager.atualizarDatasProcessoFinalizado(
@@ -384,7 +864,8 @@ class ProcessosManager {
                 novaDataFinalizacao
             );
             if (resultado.success) {
-                showNotification('Datas atualizadas com sucesso!', 'success');
+                const diasUteis = calendarioManager.calcularDiasUteis(dataInicioFinal, novaDataFinalizacao);
+                showNotification(`Datas atualizadas com sucesso! (${diasUteis} dias úteis)`, 'success');
                 await this.carregarDados();
             } else {
                 showNotification(resultado.error || MESSAGES.ERROR.UPDATE, 'error');
@@ -398,19 +879,22 @@ class ProcessosManager {
     }
 
     /**
-     * Deleta um processo
+     * Exclui um processo, movendo-o para a lixeira
      */
-    async deletarProcesso(id, finalizado = false) {
-        if (!confirm(MESSAGES.CONFIRM.DELETE)) return;
+    async deletarProcesso(id, lista = 'andamento') {
+        if (!confirm(MESSAGES.CONFIRM.LIXEIRA)) return;
 
         showLoading();
         try {
-            const resultado = finalizado
-                ? await dbManager.deleteProcessoFinalizado(id)
-                : await dbManager.deleteProcessoAndamento(id);
+            const exclusao = {
+                andamento: () => dbManager.deleteProcessoAndamento(id),
+                finalizados: () => dbManager.deleteProcessoFinalizado(id),
+                cancelados: () => dbManager.deleteProcessoCancelado(id)
+            };
+            const resultado = await exclusao[lista]();
 
             if (resultado.success) {
-                showNotification(MESSAGES.SUCCESS.DELETE, 'success');
+                showNotification(MESSAGES.SUCCESS.LIXEIRA, 'success');
                 await this.carregarDados();
             } else {
                 showNotification(MESSAGES.ERROR.DELETE, 'error');
@@ -424,7 +908,7 @@ class ProcessosManager {
     }
 
     /**
-     * Muda de tab (andamento/finalizados)
+     * Muda de tab (andamento/finalizados/cancelados)
      */
     mudarTab(tab) {
         // Atualiza botões
@@ -453,6 +937,7 @@ class ProcessosManager {
     renderTabelas() {
         this.renderTabelaAndamento();
         this.renderTabelaFinalizados();
+        this.renderTabelaCancelados();
     }
 
     /**
@@ -507,7 +992,7 @@ class ProcessosManager {
         `;
 
         container.innerHTML = html;
-        this.setupTabelaEventListeners(false);
+        this.setupTabelaEventListeners('andamento');
     }
 
     /**
@@ -563,15 +1048,98 @@ class ProcessosManager {
         `;
 
         container.innerHTML = html;
-        this.setupTabelaEventListeners(true);
+        this.setupTabelaEventListeners('finalizados');
+    }
+
+    /**
+     * Renderiza tabela de processos cancelados
+     */
+    renderTabelaCancelados() {
+        const container = document.getElementById('processosCanceladosTable');
+        if (!container) return;
+
+        let processos = [...this.processosCancelados];
+
+        // Aplica filtros
+        if (this.filtros.busca) {
+            processos = filtrarPorTexto(processos, this.filtros.busca,
+                ['sigadoc', 'descricao', 'responsavel']);
+        }
+        if (this.filtros.tipoCotacao) {
+            processos = processos.filter(p => p.tipoCotacao === this.filtros.tipoCotacao);
+        }
+        if (this.filtros.responsavel) {
+            processos = processos.filter(p => p.responsavel === this.filtros.responsavel);
+        }
+
+        if (processos.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">📭</div>
+                    <p class="empty-state-text">Nenhum processo cancelado encontrado</p>
+                </div>
+            `;
+            return;
+        }
+
+        const isGestor = authManager.isGestor();
+        const html = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Nº Processo</th>
+                        <th>Descrição</th>
+                        <th>Tipo</th>
+                        <th>Responsável</th>
+                        <th>Data Início</th>
+                        <th>Cancelado Em</th>
+                        <th>Etapa</th>
+                        <th>Motivo</th>
+                        <th>Ações</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${processos.map(p => `
+                        <tr data-id="${p.id}">
+                            <td><strong>${escaparHtml(p.sigadoc)}</strong></td>
+                            <td>${escaparHtml(truncar(p.descricao, 40))}</td>
+                            <td><span class="badge badge-info">${escaparHtml(p.tipoCotacao)}</span></td>
+                            <td>${escaparHtml(p.responsavel)}</td>
+                            <td>${formatarData(p.dataInicio)}</td>
+                            <td>${formatarData(p.dataCancelamento)}</td>
+                            <td>${escaparHtml(p.status || '-')}</td>
+                            <td>
+                                <span class="badge badge-danger" title="${escaparHtml(p.cancelamento?.justificativa)}">
+                                    ${escaparHtml(p.cancelamento?.motivo || '-')}
+                                </span>
+                            </td>
+                            <td class="table-actions">
+                                <button class="btn-icon btn-view" data-action="view" title="Visualizar">👁️</button>
+                                <button class="btn-icon btn-view" data-action="history" title="Histórico de Status">🕒</button>
+                                <button class="btn-icon btn-view" data-action="comments" title="Comentários">💬</button>
+                                ${isGestor ? `
+                                    <button class="btn-icon btn-view" data-action="versions" title="Versões Anteriores">🗂️</button>
+                                    <button class="btn-icon btn-edit" data-action="reopen" title="Reabrir">↩️</button>
+                                    <button class="btn-icon btn-delete" data-action="delete" title="Excluir">🗑️</button>
+                                ` : ''}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+
+        container.innerHTML = html;
+        this.setupTabelaEventListeners('cancelados');
     }
 
     /**
      * Renderiza uma linha da tabela
      */
     renderLinhaProcesso(processo, finalizado) {
-        const dias = diasParaPrazo(processo.dataFinal);
+        const dias = calendarioManager.diasUteisAtePrazo(processo.dataFinal);
         const classePrazo = getClassePrazo(dias);
+        const prorrogacoes = listarProrrogacoes(processo).length;
 
         const isGestor = authManager.isGestor();
 
@@ -583,13 +1151,17 @@ class ProcessosManager {
                     <td><span class="badge badge-info">${processo.tipoCotacao}</span></td>
                     <td>${processo.responsavel}</td>
                     <td>${formatarData(processo.dataInicio)}</td>
-                    <td>${formatarData(processo.dataFinalizacao || processo.dataEntrega)}</td>
-                    <td>${processo.diasCorridos || processo.diasDecorridos || '-'}</td>
-                    <td>${processo.diasUteis || '-'}</td>
+                    <td>${formatarData(processo.dataFinalizacao)}</td>
+                    <td>${processo.diasCorridos || '-'}</td>
+                    <td>${processo.diasUteis || '-'} ${this.renderBadgeSla(processo)}</td>
                     <td class="table-actions">
                         <button class="btn-icon btn-view" data-action="view" title="Visualizar">👁️</button>
+                        <button class="btn-icon btn-view" data-action="history" title="Histórico de Status">🕒</button>
+                        <button class="btn-icon btn-view" data-action="comments" title="Comentários">💬</button>
                         ${isGestor ? `
+                            <button class="btn-icon btn-view" data-action="versions" title="Versões Anteriores">🗂️</button>
                             <button class="btn-icon btn-edit" data-action="editDate" title="Ajustar Datas">📅</button>
+                            <button class="btn-icon btn-edit" data-action="reopen" title="Reabrir">↩️</button>
                             <button class="btn-icon btn-delete" data-action="delete" title="Excluir">🗑️</button>
                         ` : ''}
                     </td>
@@ -604,13 +1176,25 @@ class ProcessosManager {
                 <td><span class="badge badge-info">${processo.tipoCotacao}</span></td>
                 <td>${processo.responsavel}</td>
                 <td>${formatarData(processo.dataInicio)}</td>
-                <td><span class="badge ${classePrazo}">${formatarPrazo(dias)}</span></td>
+                <td>
+                    <span class="badge ${classePrazo}">${formatarPrazo(dias, true)}</span>
+                    ${prorrogacoes > 0 ? `
+                        <span class="badge badge-info" title="Prazo original: ${formatarData(processo.dataFinalOriginal)}">
+                            ⏳ ${prorrogacoes}x
+                        </span>
+                    ` : ''}
+                </td>
                 <td><span class="badge badge-warning">${processo.status}</span></td>
                 <td class="table-actions">
                     <button class="btn-icon btn-view" data-action="view" title="Visualizar">👁️</button>
+                    <button class="btn-icon btn-view" data-action="history" title="Histórico de Status">🕒</button>
+                    <button class="btn-icon btn-view" data-action="comments" title="Comentários">💬</button>
                     ${isGestor ? `
+                        <button class="btn-icon btn-view" data-action="versions" title="Versões Anteriores">🗂️</button>
                         <button class="btn-icon btn-edit" data-action="edit" title="Editar">✏️</button>
+                        ${processo.dataFinal ? '<button class="btn-icon btn-edit" data-action="extend" title="Prorrogar Prazo">⏳</button>' : ''}
                         <button class="btn-icon btn-edit" data-action="finish" title="Finalizar">✅</button>
+                        <button class="btn-icon btn-delete" data-action="cancel" title="Cancelar Processo">🚫</button>
                         <button class="btn-icon btn-delete" data-action="delete" title="Excluir">🗑️</button>
                     ` : ''}
                 </td>
@@ -618,15 +1202,31 @@ class ProcessosManager {
         `;
     }
 
+    /**
+     * Badge de cumprimento do SLA de um processo finalizado
+     */
+    renderBadgeSla(processo) {
+        const situacao = slaManager.avaliarCumprimento(processo, true);
+        if (!situacao) return '';
+
+        const titulo = `SLA: ${processo.sla.diasUteis} dias úteis (prazo ${formatarData(processo.sla.prazo)})`;
+        return situacao === 'cumprido'
+            ? `<span class="badge badge-success" title="${titulo}">No SLA</span>`
+            : `<span class="badge badge-danger" title="${titulo}">Fora do SLA</span>`;
+    }
+
     /**
      * Configura event listeners das tabelas
+     * @param {string} lista - 'andamento', 'finalizados' ou 'cancelados'
      */
-    setupTabelaEventListeners(finalizado) {
-        const selector = finalizado 
-            ? '#processosFinalizadosTable .data-table' 
-            : '#processosAndamentoTable .data-table';
-        
-        const tabela = document.querySelector(selector);
+    setupTabelaEventListeners(lista) {
+        const tabelas = {
+            andamento: { selector: '#processosAndamentoTable .data-table', processos: this.processosAndamento },
+            finalizados: { selector: '#processosFinalizadosTable .data-table', processos: this.processosFinalizados },
+            cancelados: { selector: '#processosCanceladosTable .data-table', processos: this.processosCancelados }
+        };
+
+        const tabela = document.querySelector(tabelas[lista].selector);
         if (!tabela) return;
 
         tabela.addEventListener('click', (e) => {
@@ -636,25 +1236,41 @@ class ProcessosManager {
             const row = btn.closest('tr');
             const id = row.dataset.id;
             const action = btn.dataset.action;
-            const processo = finalizado
-                ? this.processosFinalizados.find(p => p.id === id)
-                : this.processosAndamento.find(p => p.id === id);
+            const processo = tabelas[lista].processos.find(p => p.id === id);
 
             switch (action) {
                 case 'view':
                     this.visualizarProcesso(processo);
                     break;
+                case 'history':
+                    this.abrirModalHistorico(processo);
+                    break;
+                case 'comments':
+                    comentariosManager.abrirModal(processo);
+                    break;
+                case 'versions':
+                    versoesManager.abrirModal(processo);
+                    break;
                 case 'edit':
                     this.abrirModalProcesso(processo);
                     break;
+                case 'extend':
+                    this.abrirModalProrrogacao(processo);
+                    break;
                 case 'finish':
                     this.finalizarProcesso(id);
                     break;
                 case 'editDate':
                     this.editarDataFinalizacao(processo);
                     break;
+                case 'reopen':
+                    this.reabrirProcesso(processo, lista === 'cancelados');
+                    break;
+                case 'cancel':
+                    this.abrirModalCancelamento(processo);
+                    break;
                 case 'delete':
-                    this.deletarProcesso(id, finalizado);
+                    this.deletarProcesso(id, lista);
                     break;
             }
         });
@@ -677,6 +1293,59 @@ class ProcessosManager {
         window.open(processo.link, '_blank');
     }
 
+    /**
+     * Renderiza a linha do tempo de status de um processo em um container
+     */
+    renderTimelineStatus(processo, container) {
+        if (!container) return;
+
+        const historico = listarHistoricoStatus(processo);
+        if (historico.length === 0) {
+            container.innerHTML = `
+                <p class="timeline-empty">Nenhuma mudança de status registrada para este processo.</p>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <ul class="timeline">
+                ${historico.map(entrada => `
+                    <li class="timeline-item">
+                        <div class="timeline-marker"></div>
+                        <div class="timeline-content">
+                            <div class="timeline-status">
+                                ${entrada.de ? `<span class="badge badge-info">${escaparHtml(entrada.de)}</span> → ` : ''}
+                                <span class="badge badge-warning">${escaparHtml(entrada.para)}</span>
+                            </div>
+                            <div class="timeline-meta">
+                                ${formatarDataHora(entrada.data)} · ${escaparHtml(entrada.usuarioEmail || 'desconhecido')}
+                            </div>
+                            ${entrada.observacao ? `<p class="timeline-obs">${escaparHtml(entrada.observacao)}</p>` : ''}
+                        </div>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Abre modal com o histórico de status do processo (disponível para todos os papéis)
+     */
+    abrirModalHistorico(processo) {
+        if (!processo) {
+            showNotification('Processo não encontrado', 'error');
+            return;
+        }
+
+        const modal = document.getElementById('modalHistorico');
+        const titulo = document.getElementById('modalHistoricoTitle');
+        if (!modal) return;
+
+        if (titulo) titulo.textContent = `Histórico de Status - ${processo.sigadoc}`;
+        this.renderTimelineStatus(processo, document.getElementById('historicoStatusLista'));
+        modal.classList.add('active');
+    }
+
     /**
      * Callback para atualizar dashboard (será implementado no módulo dashboard)
      */
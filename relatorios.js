@@ -6,12 +6,22 @@
 import dbManager from './database.js';
 import chartManager from './charts.js';
 import openaiManager from './openai.js';
-import { OPENAI_CONFIG } from './config.js';
+import slaManager from './sla.js';
+import calendarioManager from './calendario.js';
+import listasManager from './listas.js';
+import camposExtrasManager from './camposExtras.js';
+import { OPENAI_CONFIG, STATUS_SISTEMA } from './config.js';
 import {
     formatarData,
     exportarParaCSV,
     calcularMedia,
+    calcularMediana,
+    calcularPercentil,
     contarOcorrencias,
+    listarHistoricoStatus,
+    listarProrrogacoes,
+    truncar,
+    escaparHtml,
     showLoading,
     hideLoading,
     showNotification
@@ -21,9 +31,13 @@ class RelatoriosManager {
     constructor() {
         this.processosAndamento = [];
         this.processosFinalizados = [];
+        this.processosCancelados = [];
         this.filtroDataInicio = null;
         this.filtroDataFim = null;
+        this.filtroTipoCotacao = '';
+        this.filtroCampoExtra = ''; // id do campo personalizado do tipo filtrado
         this.resumoIA = null; // Armazena o último resumo gerado pela IA
+        this.dimensaoGargalos = ''; // '' (geral), 'tipoCotacao' ou 'unidadeExecutora'
     }
 
     /**
@@ -33,6 +47,7 @@ class RelatoriosManager {
         await this.carregarDados();
         this.setupEventListeners();
         this.setDatasPadrao();
+        this.popularFiltros();
         this.configurarOpenAI();
     }
 
@@ -52,9 +67,10 @@ class RelatoriosManager {
      */
     async carregarDados() {
         try {
-            const [andamento, finalizados] = await Promise.all([
+            const [andamento, finalizados, cancelados] = await Promise.all([
                 dbManager.getProcessosAndamento(),
-                dbManager.getProcessosFinalizados()
+                dbManager.getProcessosFinalizados(),
+                dbManager.getProcessosCancelados()
             ]);
 
             if (andamento.success) {
@@ -64,6 +80,10 @@ class RelatoriosManager {
             if (finalizados.success) {
                 this.processosFinalizados = finalizados.data;
             }
+
+            if (cancelados.success) {
+                this.processosCancelados = cancelados.data;
+            }
         } catch (error) {
             console.error('Erro ao carregar processos para relatórios:', error);
         }
@@ -98,6 +118,12 @@ class RelatoriosManager {
             this.configurarApiKey();
         });
 
+        // Quebra do relatório de gargalos
+        document.getElementById('filterDimensaoGargalos')?.addEventListener('change', (e) => {
+            this.dimensaoGargalos = e.target.value;
+            this.renderGargalos(this.filtrarProcessos());
+        });
+
         // Inputs de data
         document.getElementById('reportDateStart')?.addEventListener('change', (e) => {
             this.filtroDataInicio = e.target.value;
@@ -106,6 +132,61 @@ class RelatoriosManager {
         document.getElementById('reportDateEnd')?.addEventListener('change', (e) => {
             this.filtroDataFim = e.target.value;
         });
+
+        // Tipo de cotação e campo personalizado do tipo
+        document.getElementById('reportTipoCotacao')?.addEventListener('change', (e) => {
+            this.filtroTipoCotacao = e.target.value;
+            this.filtroCampoExtra = '';
+            this.popularFiltroCampoExtra();
+        });
+
+        document.getElementById('reportCampoExtra')?.addEventListener('change', (e) => {
+            this.filtroCampoExtra = e.target.value;
+            camposExtrasManager.renderFiltro(document.getElementById('reportCampoExtraValor'), this.getCampoFiltrado());
+        });
+
+        listasManager.onChange(() => this.popularFiltros());
+        camposExtrasManager.onChange(() => this.popularFiltroCampoExtra());
+    }
+
+    /**
+     * Popula o filtro de tipo de cotação (inclusive os desativados, que constam nos processos antigos)
+     */
+    popularFiltros() {
+        listasManager.preencherSelect(document.getElementById('reportTipoCotacao'), 'TIPO_COTACAO', {
+            vazio: 'Todos',
+            incluirInativos: true
+        });
+        this.popularFiltroCampoExtra();
+    }
+
+    /**
+     * Popula o filtro de campo personalizado com os campos do tipo de cotação filtrado
+     * Sem tipo de cotação ou sem campos no tipo, o filtro fica oculto
+     */
+    popularFiltroCampoExtra() {
+        const campos = this.filtroTipoCotacao ? camposExtrasManager.definicoes(this.filtroTipoCotacao) : [];
+        if (!campos.some(c => c.id === this.filtroCampoExtra)) this.filtroCampoExtra = '';
+
+        const grupo = document.getElementById('reportCampoExtraGrupo');
+        if (grupo) grupo.hidden = campos.length === 0;
+
+        const select = document.getElementById('reportCampoExtra');
+        if (select) {
+            select.innerHTML = '<option value="">Nenhum</option>' +
+                campos.map(c => `<option value="${c.id}">${escaparHtml(c.rotulo)}</option>`).join('');
+            select.value = this.filtroCampoExtra;
+        }
+
+        camposExtrasManager.renderFiltro(document.getElementById('reportCampoExtraValor'), this.getCampoFiltrado());
+    }
+
+    /**
+     * Definição do campo personalizado escolhido no filtro (ou null)
+     */
+    getCampoFiltrado() {
+        if (!this.filtroTipoCotacao || !this.filtroCampoExtra) return null;
+        return camposExtrasManager.definicoes(this.filtroTipoCotacao).find(c => c.id === this.filtroCampoExtra) || null;
     }
 
     /**
@@ -134,21 +215,66 @@ class RelatoriosManager {
      * Filtra processos por período
      */
     filtrarProcessosPorPeriodo() {
+        const todos = [...this.processosAndamento, ...this.processosFinalizados, ...this.processosCancelados];
+
         if (!this.filtroDataInicio || !this.filtroDataFim) {
-            return [...this.processosAndamento, ...this.processosFinalizados];
+            return todos;
         }
 
         const dataInicio = new Date(this.filtroDataInicio);
         const dataFim = new Date(this.filtroDataFim);
 
-        const todos = [...this.processosAndamento, ...this.processosFinalizados];
-
         return todos.filter(processo => {
             const dataProcesso = new Date(processo.dataInicio);
             return dataProcesso >= dataInicio && dataProcesso <= dataFim;
         });
     }
 
+    /**
+     * Filtra processos pelo período, tipo de cotação e campo personalizado escolhidos
+     */
+    filtrarProcessos() {
+        let processos = this.filtrarProcessosPorPeriodo();
+
+        if (this.filtroTipoCotacao) {
+            processos = processos.filter(p => p.tipoCotacao === this.filtroTipoCotacao);
+        }
+
+        const campo = this.getCampoFiltrado();
+        if (campo) {
+            const filtro = camposExtrasManager.lerFiltro(document.getElementById('reportCampoExtraValor'));
+            processos = processos.filter(p => camposExtrasManager.atendeFiltro(p, campo, filtro));
+        }
+
+        return processos;
+    }
+
+    /**
+     * Descrição dos filtros além do período, para o cabeçalho do PDF
+     */
+    descreverFiltros() {
+        const partes = [];
+        if (this.filtroTipoCotacao) partes.push(`Tipo: ${this.filtroTipoCotacao}`);
+
+        const campo = this.getCampoFiltrado();
+        if (campo) {
+            const { valor, minimo, maximo } = camposExtrasManager.lerFiltro(document.getElementById('reportCampoExtraValor'));
+            const formatar = (v) => {
+                if (v === null) return '...';
+                return camposExtrasManager.formatarValor(campo, campo.tipo === 'numero' || campo.tipo === 'moeda' ? Number(v) : v);
+            };
+
+            if (campo.tipo === 'booleano' && valor !== null) {
+                partes.push(`${campo.rotulo}: ${valor === 'true' ? 'Sim' : 'Não'}`);
+            } else if (valor) {
+                partes.push(`${campo.rotulo}: ${valor}`);
+            } else if (minimo || maximo) {
+                partes.push(`${campo.rotulo}: ${formatar(minimo ?? null)} a ${formatar(maximo ?? null)}`);
+            }
+        }
+        return partes.join(' | ');
+    }
+
     /**
      * Gera relatório completo
      */
@@ -156,10 +282,13 @@ class RelatoriosManager {
         showLoading();
         try {
             await this.carregarDados();
-            const processosFiltrados = this.filtrarProcessosPorPeriodo();
+            const processosFiltrados = this.filtrarProcessos();
 
             this.renderSummary(processosFiltrados);
             chartManager.updateReportCharts(processosFiltrados);
+            this.renderCumprimentoSla(processosFiltrados);
+            this.renderProrrogacoes(processosFiltrados);
+            this.renderGargalos(processosFiltrados);
 
             showNotification('Relatório gerado com sucesso!', 'success');
         } catch (error) {
@@ -192,12 +321,16 @@ class RelatoriosManager {
         const finalizados = processos.filter(p => 
             this.processosFinalizados.some(pf => pf.id === p.id)
         ).length;
-        const emAndamento = totalProcessos - finalizados;
+        const cancelados = processos.filter(p => this.isCancelado(p));
+        const emAndamento = totalProcessos - finalizados - cancelados.length;
+        const encerrados = finalizados + cancelados.length;
+        const taxaSucesso = encerrados > 0 ? `${Math.round((finalizados / encerrados) * 100)}%` : '-';
+        const porMotivo = contarOcorrencias(cancelados.map(p => ({ motivo: p.cancelamento?.motivo })), 'motivo');
 
         // Tempo médio de conclusão
-        const processosComTempo = this.processosFinalizados.filter(p => p.diasDecorridos);
+        const processosComTempo = this.processosFinalizados.filter(p => p.diasCorridos);
         const tempoMedio = processosComTempo.length > 0 
-            ? calcularMedia(processosComTempo, 'diasDecorridos')
+            ? calcularMedia(processosComTempo, 'diasCorridos')
             : 0;
 
         // Por tipo de cotação
@@ -223,6 +356,14 @@ class RelatoriosManager {
                     <span class="summary-value" style="color: #f59e0b;">${emAndamento}</span>
                     <span class="summary-label">Em Andamento</span>
                 </div>
+                <div class="summary-item">
+                    <span class="summary-value" style="color: #ef4444;">${cancelados.length}</span>
+                    <span class="summary-label">Cancelados</span>
+                </div>
+                <div class="summary-item">
+                    <span class="summary-value">${taxaSucesso}</span>
+                    <span class="summary-label">Taxa de Sucesso (finalizados / encerrados)</span>
+                </div>
                 <div class="summary-item">
                     <span class="summary-value">${tempoMedio}</span>
                     <span class="summary-label">Dias Médios de Conclusão</span>
@@ -245,6 +386,26 @@ class RelatoriosManager {
                 </div>
             </div>
 
+            ${cancelados.length > 0 ? `
+                <div style="margin-top: 30px;">
+                    <h4 style="margin-bottom: 15px; color: var(--text-primary);">Cancelamentos por Motivo</h4>
+                    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
+                        ${Object.entries(porMotivo)
+                            .sort((a, b) => b[1] - a[1])
+                            .map(([motivo, qtd]) => `
+                            <div style="background: var(--bg-secondary); padding: 15px; border-radius: 10px;">
+                                <div style="font-size: 1.5rem; font-weight: 700; color: #ef4444; margin-bottom: 5px;">
+                                    ${qtd}
+                                </div>
+                                <div style="font-size: 0.85rem; color: var(--text-secondary);">
+                                    ${motivo}
+                                </div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+
             <div style="margin-top: 30px;">
                 <h4 style="margin-bottom: 15px; color: var(--text-primary);">Principais Unidades Executoras</h4>
                 <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px;">
@@ -267,21 +428,16 @@ class RelatoriosManager {
             <div style="margin-top: 30px;">
                 <h4 style="margin-bottom: 15px; color: var(--text-primary);">Complexidade dos Processos</h4>
                 <div style="display: grid; grid-template-columns: repeat(4, 1fr); gap: 15px;">
-                    ${['BAIXO', 'MÉDIO', 'ALTO', 'MUITO ALTO'].map(nivel => {
+                    ${listasManager.valores('GRAU_COMPLEXIDADE', { incluirInativos: true }).map((nivel, i) => {
                         const qtd = porComplexidade[nivel] || 0;
-                        const cores = {
-                            'BAIXO': '#10b981',
-                            'MÉDIO': '#3b82f6',
-                            'ALTO': '#f59e0b',
-                            'MUITO ALTO': '#ef4444'
-                        };
+                        const cores = ['#10b981', '#3b82f6', '#f59e0b', '#ef4444'];
                         return `
                             <div style="background: var(--bg-secondary); padding: 15px; border-radius: 10px; text-align: center;">
-                                <div style="font-size: 1.8rem; font-weight: 700; color: ${cores[nivel]}; margin-bottom: 5px;">
+                                <div style="font-size: 1.8rem; font-weight: 700; color: ${cores[i % cores.length]}; margin-bottom: 5px;">
                                     ${qtd}
                                 </div>
                                 <div style="font-size: 0.85rem; color: var(--text-secondary);">
-                                    ${nivel}
+                                    ${escaparHtml(nivel)}
                                 </div>
                             </div>
                         `;
@@ -293,6 +449,347 @@ class RelatoriosManager {
         container.innerHTML = html;
     }
 
+    /**
+     * Verifica se o processo está entre os cancelados
+     */
+    isCancelado(processo) {
+        return this.processosCancelados.some(pc => pc.id === processo.id);
+    }
+
+    /**
+     * Calcula o cumprimento do SLA agrupado por tipo de cotação
+     * Finalizados contam como cumpridos ou atrasados; em andamento só contam quando já passaram do prazo
+     * @returns {Object} { grupo: { cumpridos, atrasados, andamentoAtrasados, semSla } }
+     */
+    calcularCumprimentoSla(processos) {
+        const grupos = {};
+
+        processos.forEach(processo => {
+            // Cancelados não são medidos contra o SLA
+            if (this.isCancelado(processo)) return;
+
+            const grupo = processo.tipoCotacao || 'Não Informado';
+            if (!grupos[grupo]) {
+                grupos[grupo] = { cumpridos: 0, atrasados: 0, andamentoAtrasados: 0, semSla: 0 };
+            }
+
+            const finalizado = this.processosFinalizados.some(pf => pf.id === processo.id);
+            const situacao = slaManager.avaliarCumprimento(processo, finalizado);
+
+            if (!situacao) grupos[grupo].semSla++;
+            else if (situacao === 'cumprido') grupos[grupo].cumpridos++;
+            else if (situacao === 'atrasado' && finalizado) grupos[grupo].atrasados++;
+            else if (situacao === 'atrasado') grupos[grupo].andamentoAtrasados++;
+        });
+
+        return grupos;
+    }
+
+    /**
+     * Renderiza o cumprimento do SLA (processos medidos contra a regra registrada)
+     */
+    renderCumprimentoSla(processos) {
+        const container = document.getElementById('relatorioSla');
+        if (!container) return;
+
+        const grupos = this.calcularCumprimentoSla(processos);
+        const total = Object.values(grupos).reduce((acc, g) => ({
+            cumpridos: acc.cumpridos + g.cumpridos,
+            atrasados: acc.atrasados + g.atrasados,
+            andamentoAtrasados: acc.andamentoAtrasados + g.andamentoAtrasados,
+            semSla: acc.semSla + g.semSla
+        }), { cumpridos: 0, atrasados: 0, andamentoAtrasados: 0, semSla: 0 });
+
+        const taxa = (g) => {
+            const medidos = g.cumpridos + g.atrasados;
+            return medidos > 0 ? `${Math.round((g.cumpridos / medidos) * 100)}%` : '-';
+        };
+
+        if (total.cumpridos + total.atrasados + total.andamentoAtrasados === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🎯</div>
+                    <p class="empty-state-text">Nenhum processo com SLA medido no período selecionado</p>
+                </div>
+            `;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="summary-grid">
+                <div class="summary-item">
+                    <span class="summary-value">${taxa(total)}</span>
+                    <span class="summary-label">Finalizados no Prazo do SLA</span>
+                </div>
+                <div class="summary-item">
+                    <span class="summary-value" style="color: #10b981;">${total.cumpridos}</span>
+                    <span class="summary-label">Cumpridos</span>
+                </div>
+                <div class="summary-item">
+                    <span class="summary-value" style="color: #ef4444;">${total.atrasados}</span>
+                    <span class="summary-label">Finalizados com Atraso</span>
+                </div>
+                <div class="summary-item">
+                    <span class="summary-value" style="color: #f59e0b;">${total.andamentoAtrasados}</span>
+                    <span class="summary-label">Em Andamento Fora do SLA</span>
+                </div>
+            </div>
+
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Tipo de Cotação</th>
+                        <th>Cumpridos</th>
+                        <th>Atrasados</th>
+                        <th>Taxa de Cumprimento</th>
+                        <th>Em Andamento Fora do SLA</th>
+                        <th>Sem SLA</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${Object.entries(grupos)
+                        .sort((a, b) => a[0].localeCompare(b[0]))
+                        .map(([grupo, g]) => `
+                            <tr>
+                                <td>${grupo}</td>
+                                <td>${g.cumpridos}</td>
+                                <td>${g.atrasados}</td>
+                                <td><strong>${taxa(g)}</strong></td>
+                                <td>${g.andamentoAtrasados}</td>
+                                <td>${g.semSla}</td>
+                            </tr>
+                        `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Renderiza os processos com prazo prorrogado (prazo original x prazo atual)
+     */
+    renderProrrogacoes(processos) {
+        const container = document.getElementById('relatorioProrrogacoes');
+        if (!container) return;
+
+        const prorrogados = processos
+            .map(processo => {
+                const prorrogacoes = listarProrrogacoes(processo);
+                if (prorrogacoes.length === 0) return null;
+                const original = processo.dataFinalOriginal || prorrogacoes[0].prazoAnterior;
+                return {
+                    processo,
+                    prorrogacoes,
+                    original,
+                    acrescimo: Math.max(0, calendarioManager.calcularDiasUteis(original, processo.dataFinal) - 1)
+                };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.prorrogacoes.length - a.prorrogacoes.length || b.acrescimo - a.acrescimo);
+
+        if (prorrogados.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">⏳</div>
+                    <p class="empty-state-text">Nenhum prazo prorrogado no período selecionado</p>
+                </div>
+            `;
+            return;
+        }
+
+        const totalProrrogacoes = prorrogados.reduce((acc, p) => acc + p.prorrogacoes.length, 0);
+        const mediaAcrescimo = Math.round(prorrogados.reduce((acc, p) => acc + p.acrescimo, 0) / prorrogados.length);
+
+        container.innerHTML = `
+            <div class="summary-grid">
+                <div class="summary-item">
+                    <span class="summary-value">${prorrogados.length}</span>
+                    <span class="summary-label">Processos Prorrogados</span>
+                </div>
+                <div class="summary-item">
+                    <span class="summary-value" style="color: #f59e0b;">${totalProrrogacoes}</span>
+                    <span class="summary-label">Prorrogações</span>
+                </div>
+                <div class="summary-item">
+                    <span class="summary-value">${Math.round((prorrogados.length / processos.length) * 100)}%</span>
+                    <span class="summary-label">dos Processos do Período</span>
+                </div>
+                <div class="summary-item">
+                    <span class="summary-value">${mediaAcrescimo}</span>
+                    <span class="summary-label">Dias Úteis Acrescidos (média)</span>
+                </div>
+            </div>
+
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Nº Processo</th>
+                        <th>Tipo de Cotação</th>
+                        <th>Prazo Original</th>
+                        <th>Prazo Prorrogado</th>
+                        <th>Prorrogações</th>
+                        <th>Dias Úteis Acrescidos</th>
+                        <th>Última Justificativa</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${prorrogados.map(({ processo, prorrogacoes, original, acrescimo }) => `
+                        <tr>
+                            <td><strong>${escaparHtml(processo.sigadoc)}</strong></td>
+                            <td>${escaparHtml(processo.tipoCotacao)}</td>
+                            <td>${formatarData(original)}</td>
+                            <td>${formatarData(processo.dataFinal)}</td>
+                            <td>${prorrogacoes.length}</td>
+                            <td>${acrescimo}</td>
+                            <td title="${escaparHtml(prorrogacoes[prorrogacoes.length - 1].justificativa)}">
+                                ${escaparHtml(truncar(prorrogacoes[prorrogacoes.length - 1].justificativa, 50))}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Extrai os períodos de permanência em cada etapa a partir do histórico de status
+     * A última etapa de um processo em andamento é contada até hoje
+     * @returns {Array} [{ etapa, dias }]
+     */
+    extrairPermanencias(processo) {
+        const historico = listarHistoricoStatus(processo);
+        if (historico.length === 0) return [];
+
+        const finalizado = this.processosFinalizados.some(pf => pf.id === processo.id);
+        let fimProcesso = new Date();
+        if (finalizado) {
+            fimProcesso = new Date(processo.finalizadoEm);
+        } else if (this.isCancelado(processo)) {
+            fimProcesso = new Date(processo.cancelamento?.data || processo.dataCancelamento);
+        }
+
+        const permanencias = [];
+        historico.forEach((entrada, i) => {
+            if (entrada.para === STATUS_SISTEMA.FINALIZADO || entrada.para === STATUS_SISTEMA.CANCELADO) return;
+
+            const inicio = new Date(entrada.data);
+            const fim = historico[i + 1] ? new Date(historico[i + 1].data) : fimProcesso;
+            if (isNaN(inicio.getTime()) || isNaN(fim.getTime()) || fim < inicio) return;
+
+            permanencias.push({
+                etapa: entrada.para,
+                dias: (fim - inicio) / (1000 * 60 * 60 * 24)
+            });
+        });
+
+        return permanencias;
+    }
+
+    /**
+     * Calcula média, mediana e P90 de dias por etapa
+     * @param {string} dimensao - Campo para quebra ('' para visão geral)
+     * @returns {Object} { grupo: [{ etapa, amostras, media, mediana, p90 }] }
+     */
+    calcularTempoPorEtapa(processos, dimensao = '') {
+        const amostras = {};
+
+        processos.forEach(processo => {
+            const grupo = dimensao ? (processo[dimensao] || 'Não Informado') : 'Geral';
+            this.extrairPermanencias(processo).forEach(({ etapa, dias }) => {
+                if (!amostras[grupo]) amostras[grupo] = {};
+                if (!amostras[grupo][etapa]) amostras[grupo][etapa] = [];
+                amostras[grupo][etapa].push(dias);
+            });
+        });
+
+        const arredondar = (valor) => Math.round(valor * 10) / 10;
+        const etapasLista = listasManager.valores('STATUS', { incluirInativos: true });
+        const ordemEtapa = (etapa) => {
+            const indice = etapasLista.indexOf(etapa);
+            return indice === -1 ? etapasLista.length : indice;
+        };
+
+        const resultado = {};
+        Object.entries(amostras).forEach(([grupo, etapas]) => {
+            resultado[grupo] = Object.entries(etapas)
+                .map(([etapa, dias]) => ({
+                    etapa,
+                    amostras: dias.length,
+                    media: arredondar(dias.reduce((acc, d) => acc + d, 0) / dias.length),
+                    mediana: arredondar(calcularMediana(dias)),
+                    p90: arredondar(calcularPercentil(dias, 90))
+                }))
+                .sort((a, b) => ordemEtapa(a.etapa) - ordemEtapa(b.etapa));
+        });
+
+        return resultado;
+    }
+
+    /**
+     * Renderiza o relatório de gargalos (tempo em cada etapa do fluxo)
+     */
+    renderGargalos(processos) {
+        const container = document.getElementById('relatorioGargalos');
+        if (!container) return;
+
+        const geral = this.calcularTempoPorEtapa(processos).Geral || [];
+        const grupos = this.dimensaoGargalos
+            ? this.calcularTempoPorEtapa(processos, this.dimensaoGargalos)
+            : { Geral: geral };
+        chartManager.renderChartGargalos(geral, this.dimensaoGargalos ? grupos : null);
+
+        if (geral.length === 0) {
+            container.innerHTML = `
+                <div class="empty-state">
+                    <div class="empty-state-icon">⏳</div>
+                    <p class="empty-state-text">Nenhum histórico de status registrado no período selecionado</p>
+                </div>
+            `;
+            return;
+        }
+
+        const gargaloGeral = geral.reduce((pior, e) => (e.p90 > pior.p90 ? e : pior), geral[0]);
+
+        container.innerHTML = `
+            <p class="gargalo-destaque">
+                Etapa mais lenta: <strong>${escaparHtml(gargaloGeral.etapa)}</strong>
+                (P90 de ${gargaloGeral.p90} dias, média de ${gargaloGeral.media} dias)
+            </p>
+            ${Object.entries(grupos)
+                .sort((a, b) => a[0].localeCompare(b[0]))
+                .map(([grupo, etapas]) => {
+                    const pior = etapas.reduce((p, e) => (e.p90 > p.p90 ? e : p), etapas[0]);
+                    return `
+                        ${this.dimensaoGargalos ? `<h4 class="gargalo-grupo">${escaparHtml(grupo)}</h4>` : ''}
+                        <table class="data-table">
+                            <thead>
+                                <tr>
+                                    <th>Etapa</th>
+                                    <th>Passagens</th>
+                                    <th>Média (dias)</th>
+                                    <th>Mediana (dias)</th>
+                                    <th>P90 (dias)</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${etapas.map(e => `
+                                    <tr>
+                                        <td>
+                                            ${escaparHtml(e.etapa)}
+                                            ${e === pior ? '<span class="badge badge-danger">Gargalo</span>' : ''}
+                                        </td>
+                                        <td>${e.amostras}</td>
+                                        <td>${e.media}</td>
+                                        <td>${e.mediana}</td>
+                                        <td><strong>${e.p90}</strong></td>
+                                    </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                    `;
+                }).join('')}
+        `;
+    }
+
     /**
      * Exporta relatório para CSV
      */
@@ -300,7 +797,7 @@ class RelatoriosManager {
         showLoading();
         try {
             await this.carregarDados();
-            const processos = this.filtrarProcessosPorPeriodo();
+            const processos = this.filtrarProcessos();
 
             if (processos.length === 0) {
                 showNotification('Nenhum processo para exportar', 'warning');
@@ -308,11 +805,16 @@ class RelatoriosManager {
                 return;
             }
 
+            // Colunas dos campos personalizados dos tipos de cotação exportados
+            const colunasExtras = camposExtrasManager.colunasExportacao(processos);
+
             // Prepara dados para exportação
             const dadosExport = processos.map(p => ({
                 'Nº Processo': p.sigadoc,
                 'Data Início': formatarData(p.dataInicio),
                 'Data Final': formatarData(p.dataFinal),
+                'Prazo Original': formatarData(p.dataFinalOriginal || p.dataFinal),
+                'Prorrogações': listarProrrogacoes(p).length,
                 'Tipo Cotação': p.tipoCotacao,
                 'Tipo Objeto': p.tipoObjeto,
                 'Descrição': p.descricao,
@@ -320,8 +822,15 @@ class RelatoriosManager {
                 'Complexidade': p.grauComplexidade,
                 'Qtd Itens': p.quantidadeItens,
                 'Unidade': p.unidadeExecutora,
+                'Situação': this.isCancelado(p)
+                    ? 'Cancelado'
+                    : (this.processosFinalizados.some(pf => pf.id === p.id) ? 'Finalizado' : 'Em Andamento'),
+                'Motivo Cancelamento': p.cancelamento?.motivo || '-',
                 'Status': p.status || 'Finalizado',
-                'Dias Decorridos': p.diasDecorridos || '-'
+                'Dias Corridos': p.diasCorridos || '-',
+                'SLA (dias úteis)': p.sla?.diasUteis || '-',
+                'Prazo SLA': formatarData(p.sla?.prazo),
+                ...Object.fromEntries(colunasExtras.map(c => [c.rotulo, c.valor(p)]))
             }));
 
             const nomeArquivo = `relatorio_processos_${new Date().toISOString().split('T')[0]}`;
@@ -343,7 +852,7 @@ class RelatoriosManager {
         showLoading();
         try {
             await this.carregarDados();
-            const processos = this.filtrarProcessosPorPeriodo();
+            const processos = this.filtrarProcessos();
 
             if (processos.length === 0) {
                 showNotification('Nenhum processo para exportar', 'warning');
@@ -369,7 +878,9 @@ class RelatoriosManager {
             // Período
             doc.setFontSize(11);
             doc.setFont('helvetica', 'normal');
-            const periodo = `Período: ${formatarData(this.filtroDataInicio)} a ${formatarData(this.filtroDataFim)}`;
+            const filtros = this.descreverFiltros();
+            const periodo = `Período: ${formatarData(this.filtroDataInicio)} a ${formatarData(this.filtroDataFim)}` +
+                (filtros ? ` | ${filtros}` : '');
             doc.text(periodo, 14, 28);
 
             // Data de geração
@@ -411,6 +922,9 @@ class RelatoriosManager {
                 startY += lines.length * 4 + 10;
             }
 
+            // Colunas dos campos personalizados dos tipos de cotação exportados
+            const colunasExtras = camposExtrasManager.colunasExportacao(processos);
+
             // Prepara dados para a tabela
             const tableData = processos.map(p => [
                 p.sigadoc || '-',
@@ -419,13 +933,17 @@ class RelatoriosManager {
                 p.responsavel || '-',
                 formatarData(p.dataInicio) || '-',
                 p.status || 'Finalizado',
-                p.grauComplexidade || '-'
+                p.grauComplexidade || '-',
+                ...colunasExtras.map(c => c.valor(p) || '-')
             ]);
 
             // Cria tabela usando autoTable
             doc.autoTable({
                 startY: startY,
-                head: [['Nº Processo', 'Descrição', 'Tipo Cotação', 'Responsável', 'Data Início', 'Status', 'Complexidade']],
+                head: [[
+                    'Nº Processo', 'Descrição', 'Tipo Cotação', 'Responsável', 'Data Início', 'Status', 'Complexidade',
+                    ...colunasExtras.map(c => c.rotulo)
+                ]],
                 body: tableData,
                 theme: 'grid',
                 headStyles: {
@@ -440,7 +958,8 @@ class RelatoriosManager {
                 alternateRowStyles: {
                     fillColor: [245, 247, 250]
                 },
-                columnStyles: {
+                // Com campos personalizados as larguras ficam automáticas para caber na página
+                columnStyles: colunasExtras.length > 0 ? {} : {
                     0: { cellWidth: 30 },
                     1: { cellWidth: 70 },
                     2: { cellWidth: 35 },
@@ -522,7 +1041,7 @@ class RelatoriosManager {
         showLoading();
         try {
             await this.carregarDados();
-            const processos = this.filtrarProcessosPorPeriodo();
+            const processos = this.filtrarProcessos();
 
             if (processos.length === 0) {
                 showNotification('Nenhum processo para analisar', 'warning');
@@ -537,9 +1056,9 @@ class RelatoriosManager {
             ).length;
             const emAndamento = totalProcessos - finalizados;
 
-            const processosComTempo = this.processosFinalizados.filter(p => p.diasDecorridos);
+            const processosComTempo = this.processosFinalizados.filter(p => p.diasCorridos);
             const tempoMedio = processosComTempo.length > 0
-                ? Math.round(calcularMedia(processosComTempo, 'diasDecorridos'))
+                ? Math.round(calcularMedia(processosComTempo, 'diasCorridos'))
                 : 0;
 
             const porTipo = contarOcorrencias(processos, 'tipoCotacao');
@@ -0,0 +1,483 @@
+/**
+ * Esquema dos Processos
+ * Definição única dos campos do cadastro de processos, das listas de validação e dos tipos de
+ * campos personalizados. Dela saem
+ * a validação do formulário e da importação (validarProcesso) e as regras de validação do
+ * Firebase (regrasProcessos e demais, aplicadas em firebase-rules-deploy.json por gerar-regras.mjs)
+ */
+
+import { OPCOES, DB_PATHS } from './config.js';
+
+// Versão atual do formato dos registros de processo, gravada em schemaVersion
+// Ao mudar o formato, acrescente a migração correspondente em migracoes.js
+export const VERSAO_ESQUEMA = 2;
+
+// Formatos aceitos, escritos de forma que valham tanto em JavaScript quanto nas regras do Firebase
+export const FORMATOS = {
+    // Data ISO (AAAA-MM-DD), opcionalmente com horário
+    data: '^[0-9]{4}-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])(T[0-9]{2}:[0-9]{2}(:[0-9]{2}([.][0-9]+)?)?(Z|[+-][0-9]{2}:[0-9]{2})?)?$',
+    url: '^https?://[^ ]+$'
+};
+
+/**
+ * Listas de valores mantidas pelos gestores em listasValidacao (ver listas.js), na ordem da tela
+ * Enquanto uma lista não é salva no banco, valem os valores padrão de OPCOES (config.js)
+ * campo: campo que recebe o valor nos registros das listas em registros
+ */
+export const LISTAS = {
+    TIPO_COTACAO: {
+        rotulo: 'Tipo de Cotação',
+        campo: 'tipoCotacao',
+        registros: [DB_PATHS.PROCESSOS_ANDAMENTO, DB_PATHS.PROCESSOS_FINALIZADOS, DB_PATHS.PROCESSOS_CANCELADOS]
+    },
+    TIPO_OBJETO: {
+        rotulo: 'Tipo de Objeto',
+        campo: 'tipoObjeto',
+        registros: [DB_PATHS.PROCESSOS_ANDAMENTO, DB_PATHS.PROCESSOS_FINALIZADOS, DB_PATHS.PROCESSOS_CANCELADOS]
+    },
+    STATUS: {
+        rotulo: 'Status',
+        campo: 'status',
+        registros: [DB_PATHS.PROCESSOS_ANDAMENTO, DB_PATHS.PROCESSOS_FINALIZADOS, DB_PATHS.PROCESSOS_CANCELADOS]
+    },
+    UNIDADE_EXECUTORA: {
+        rotulo: 'Unidade Executora',
+        campo: 'unidadeExecutora',
+        registros: [DB_PATHS.PROCESSOS_ANDAMENTO, DB_PATHS.PROCESSOS_FINALIZADOS, DB_PATHS.PROCESSOS_CANCELADOS]
+    },
+    VINCULO: {
+        rotulo: 'Vínculo',
+        campo: 'vinculo',
+        registros: [DB_PATHS.FUNCIONARIOS]
+    },
+    GRAU_COMPLEXIDADE: {
+        rotulo: 'Grau de Complexidade',
+        campo: 'grauComplexidade',
+        registros: [DB_PATHS.PROCESSOS_ANDAMENTO, DB_PATHS.PROCESSOS_FINALIZADOS, DB_PATHS.PROCESSOS_CANCELADOS]
+    }
+};
+
+// Valores de lista viram chaves no banco: não podem conter estes caracteres
+export const CARACTERES_PROIBIDOS_LISTA = /[.#$/[\]]/;
+export const TAMANHO_MAXIMO_VALOR_LISTA = 100;
+
+/**
+ * Campos do cadastro de processos, na ordem do formulário
+ * tipo: 'texto' | 'url' | 'data' | 'inteiro' | 'opcao' (valores da lista de validação em lista)
+ * naoAntesDe / naoDepoisDe: campo de data com que este é comparado
+ */
+export const CAMPOS_PROCESSO = {
+    sigadoc: { rotulo: 'Número do Processo', tipo: 'texto', tamanhoMaximo: 50 },
+    link: { rotulo: 'Link', tipo: 'url' },
+    dataInicio: { rotulo: 'Data de Início', tipo: 'data', naoDepoisDe: 'dataFinal' },
+    dataFinal: { rotulo: 'Prazo Final', tipo: 'data', naoAntesDe: 'dataInicio' },
+    tipoCotacao: { rotulo: 'Tipo de Cotação', tipo: 'opcao', lista: 'TIPO_COTACAO' },
+    tipoObjeto: { rotulo: 'Tipo de Objeto', tipo: 'opcao', lista: 'TIPO_OBJETO' },
+    descricao: { rotulo: 'Descrição', tipo: 'texto', tamanhoMaximo: 1000 },
+    responsavel: { rotulo: 'Responsável', tipo: 'texto', tamanhoMaximo: 100 },
+    grauComplexidade: { rotulo: 'Grau de Complexidade', tipo: 'opcao', lista: 'GRAU_COMPLEXIDADE' },
+    quantidadeItens: { rotulo: 'Quantidade de Itens', tipo: 'inteiro', minimo: 0 },
+    unidadeExecutora: { rotulo: 'Unidade Executora', tipo: 'opcao', lista: 'UNIDADE_EXECUTORA' },
+    status: { rotulo: 'Status', tipo: 'opcao', lista: 'STATUS' }
+};
+
+/**
+ * Tipos dos campos personalizados, definidos por tipo de cotação em camposPersonalizados
+ * ({ tipoCotacao: { campoId: { rotulo, tipo, obrigatorio, ordem, opcoes } } }) e gravados
+ * no processo em camposExtras ({ campoId: valor })
+ * Moeda é gravada como número (reais); seleção guarda as opções como { opcao: ordem }
+ */
+export const TIPOS_CAMPO_EXTRA = {
+    texto: 'Texto',
+    numero: 'Número',
+    moeda: 'Moeda (R$)',
+    data: 'Data',
+    selecao: 'Seleção',
+    booleano: 'Sim/Não'
+};
+export const TAMANHO_MAXIMO_CAMPO_EXTRA = 500;
+
+// Raiz dos dados após a escrita, vista de um campo de registro (lista/$id/campo)
+const RAIZ = 'newData.parent().parent().parent()';
+
+// Chave do SIGADOC no índice de unicidade, como em chaveSigadoc (utils.js)
+const CHAVE_SIGADOC = "newData.val().toUpperCase().replace('%', '%25').replace('.', '%2E').replace('#', '%23').replace('$', '%24').replace('/', '%2F').replace('[', '%5B').replace(']', '%5D')";
+
+// O SIGADOC precisa estar no índice apontando para o próprio processo
+const REGRA_INDICE_SIGADOC = `${RAIZ}.child('indiceSigadoc').child(${CHAVE_SIGADOC}).val() === $processoId`;
+
+// Lista de status salva pelos gestores
+const LISTA_STATUS = `${RAIZ}.child('${DB_PATHS.LISTAS_VALIDACAO}').child('STATUS')`;
+
+// Transições do fluxo de status; restauração, reabertura, lixeira e importação podem gravar qualquer etapa,
+// a migração de um processo já existente (que aumenta o schemaVersion, ver regrasProcessos) pode converter o status antigo
+// e o status renomeado na lista de validação (retirado dela na mesma escrita) pode ser substituído
+const REGRA_FLUXO_STATUS = "(!root.child('workflow').child(newData.parent().child('tipoCotacao').val()).exists() || (newData.parent().child('restauradoDe').isString() && root.child('backups').child('data').child(newData.parent().child('restauradoDe').val()).exists() && newData.parent().child('restauradoEm').val() !== data.parent().child('restauradoEm').val()) || (data.exists() ? (data.val() === newData.val() || (newData.parent().child('schemaVersion').isNumber() && (!data.parent().child('schemaVersion').exists() || newData.parent().child('schemaVersion').val() > data.parent().child('schemaVersion').val())) || (" + LISTA_STATUS + ".exists() && !" + LISTA_STATUS + ".child(data.val()).exists()) || root.child('workflow').child(newData.parent().child('tipoCotacao').val()).child('transicoes').child(data.val()).child(newData.val()).val() === true) : (root.child('workflow').child(newData.parent().child('tipoCotacao').val()).child('iniciais').child(newData.val()).val() === true || (newData.parent().child('reabertoDe').isString() && (root.child('processosFinalizados').child(newData.parent().child('reabertoDe').val()).exists() || root.child('processosCancelados').child(newData.parent().child('reabertoDe').val()).exists())) || root.child('lixeira').child($processoId).exists() || (newData.parent().child('importacaoLote').isString() && newData.parent().parent().parent().child('importacoes').child(newData.parent().child('importacaoLote').val()).child('processos').child($processoId).exists()))))";
+
+/**
+ * Campos obrigatórios e regras adicionais de cada lista de processos
+ * Finalizados e cancelados são registros históricos: exigem só a identificação,
+ * mas os campos presentes seguem o mesmo formato dos processos em andamento
+ */
+export const SCHEMA_PROCESSOS = {
+    [DB_PATHS.PROCESSOS_ANDAMENTO]: {
+        obrigatorios: [
+            'sigadoc',
+            'dataInicio',
+            'tipoCotacao',
+            'tipoObjeto',
+            'descricao',
+            'responsavel',
+            'grauComplexidade',
+            'quantidadeItens',
+            'unidadeExecutora',
+            'status'
+        ],
+        adicionais: {
+            sigadoc: REGRA_INDICE_SIGADOC,
+            status: REGRA_FLUXO_STATUS
+        }
+    },
+    [DB_PATHS.PROCESSOS_FINALIZADOS]: {
+        obrigatorios: ['sigadoc', 'descricao', 'responsavel'],
+        adicionais: {
+            sigadoc: REGRA_INDICE_SIGADOC
+        }
+    },
+    [DB_PATHS.PROCESSOS_CANCELADOS]: {
+        obrigatorios: ['sigadoc', 'descricao', 'responsavel', 'cancelamento'],
+        adicionais: {}
+    }
+};
+
+/**
+ * Indica se o valor conta como não preenchido
+ */
+function isVazio(valor) {
+    return valor === undefined || valor === null || valor === '' || Number.isNaN(valor);
+}
+
+/**
+ * Valida os dados de um processo conforme o esquema da lista de destino
+ * @param {Object} dados - Campos do processo
+ * @param {string} path - Lista de destino (processosAndamento, processosFinalizados ou processosCancelados)
+ * @param {Object} opcoes - Valores aceitos por lista de validação ({ TIPO_COTACAO: [...] }), ver listasManager.opcoesValidas()
+ * @returns {Array} Lista de mensagens de erro (vazia se válido)
+ */
+export function validarProcesso(dados, path = DB_PATHS.PROCESSOS_ANDAMENTO, opcoes = OPCOES) {
+    return validarCampos(dados, SCHEMA_PROCESSOS[path].obrigatorios, opcoes);
+}
+
+/**
+ * Valida os campos do esquema presentes em dados
+ * Campos ausentes só são apontados se estiverem entre os obrigatórios
+ * @returns {Array} Lista de mensagens de erro (vazia se válido)
+ */
+export function validarCampos(dados, obrigatorios = [], opcoes = OPCOES) {
+    const erros = [];
+
+    Object.entries(CAMPOS_PROCESSO).forEach(([id, campo]) => {
+        const valor = dados[id];
+        if (isVazio(valor)) {
+            if (obrigatorios.includes(id)) erros.push(`O campo "${campo.rotulo}" é obrigatório`);
+            return;
+        }
+
+        switch (campo.tipo) {
+            case 'texto':
+                if (typeof valor !== 'string' || !valor.trim()) {
+                    erros.push(`O campo "${campo.rotulo}" deve ser um texto`);
+                } else if (campo.tamanhoMaximo && valor.length > campo.tamanhoMaximo) {
+                    erros.push(`O campo "${campo.rotulo}" aceita até ${campo.tamanhoMaximo} caracteres`);
+                }
+                break;
+            case 'url':
+            case 'data':
+                if (typeof valor !== 'string' || !new RegExp(FORMATOS[campo.tipo]).test(valor)) {
+                    erros.push(campo.tipo === 'url'
+                        ? `O campo "${campo.rotulo}" deve ser um endereço http(s)`
+                        : `O campo "${campo.rotulo}" deve ser uma data válida`);
+                }
+                break;
+            case 'inteiro':
+                if (!Number.isInteger(valor) || valor < campo.minimo) {
+                    erros.push(`O campo "${campo.rotulo}" deve ser um número inteiro a partir de ${campo.minimo}`);
+                }
+                break;
+            case 'opcao':
+                if (!(opcoes[campo.lista] || []).includes(valor)) {
+                    erros.push(`Valor inválido para "${campo.rotulo}": ${valor}`);
+                }
+                break;
+        }
+    });
+
+    // Datas comparadas como texto ISO, como nas regras
+    Object.entries(CAMPOS_PROCESSO).forEach(([id, campo]) => {
+        if (campo.naoAntesDe && !isVazio(dados[id]) && !isVazio(dados[campo.naoAntesDe]) &&
+            dados[id] < dados[campo.naoAntesDe]) {
+            erros.push(`"${campo.rotulo}" não pode ser anterior a "${CAMPOS_PROCESSO[campo.naoAntesDe].rotulo}"`);
+        }
+    });
+
+    return erros;
+}
+
+/**
+ * Valida os campos personalizados de um processo conforme as definições do seu tipo de cotação
+ * @param {Object} valores - camposExtras do processo
+ * @param {Array} definicoes - [{ id, rotulo, tipo, obrigatorio, opcoes: [...] }], ver camposExtrasManager.definicoes()
+ * @returns {Array} Lista de mensagens de erro (vazia se válido)
+ */
+export function validarCamposExtras(valores = {}, definicoes = []) {
+    const erros = [];
+
+    definicoes.forEach(campo => {
+        const valor = valores[campo.id];
+        if (isVazio(valor)) {
+            if (campo.obrigatorio) erros.push(`O campo "${campo.rotulo}" é obrigatório`);
+            return;
+        }
+
+        switch (campo.tipo) {
+            case 'texto':
+                if (typeof valor !== 'string' || valor.length > TAMANHO_MAXIMO_CAMPO_EXTRA) {
+                    erros.push(`O campo "${campo.rotulo}" aceita até ${TAMANHO_MAXIMO_CAMPO_EXTRA} caracteres`);
+                }
+                break;
+            case 'numero':
+                if (!Number.isFinite(valor)) erros.push(`O campo "${campo.rotulo}" deve ser um número`);
+                break;
+            case 'moeda':
+                if (!Number.isFinite(valor) || valor < 0) {
+                    erros.push(`O campo "${campo.rotulo}" deve ser um valor em reais não negativo`);
+                }
+                break;
+            case 'data':
+                if (typeof valor !== 'string' || !new RegExp(FORMATOS.data).test(valor)) {
+                    erros.push(`O campo "${campo.rotulo}" deve ser uma data válida`);
+                }
+                break;
+            case 'selecao':
+                if (!(campo.opcoes || []).includes(valor)) {
+                    erros.push(`Valor inválido para "${campo.rotulo}": ${valor}`);
+                }
+                break;
+            case 'booleano':
+                if (typeof valor !== 'boolean') erros.push(`O campo "${campo.rotulo}" deve ser Sim ou Não`);
+                break;
+        }
+    });
+
+    return erros;
+}
+
+// ============ REGRAS DO FIREBASE ============
+
+/**
+ * Escreve um texto como literal das regras do Firebase
+ */
+function literal(texto) {
+    return `'${String(texto).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+/**
+ * Confere o formato de um texto (FORMATOS)
+ */
+function regraFormato(formato) {
+    return `newData.val().matches(/${FORMATOS[formato].replace(/\//g, '\\/')}/)`;
+}
+
+/**
+ * Aceita os valores da lista de validação salva no banco (ativos ou desativados) ou,
+ * enquanto ela não for salva, os valores padrão de OPCOES
+ * Consulta os dados após a escrita, para aceitar o valor renomeado junto com a lista
+ * @param {string} valor - Expressão do valor conferido (o próprio campo, por padrão)
+ * @param {string} raiz - Expressão da raiz após a escrita, vista do nó validado
+ */
+export function regraLista(lista, valor = 'newData.val()', raiz = RAIZ) {
+    const salva = `${raiz}.child('${DB_PATHS.LISTAS_VALIDACAO}').child('${lista}')`;
+    const padrao = OPCOES[lista].map(opcao => `${valor} === ${literal(opcao)}`).join(' || ');
+    return `(${salva}.exists() ? ${salva}.child(${valor}).exists() : (${padrao}))`;
+}
+
+/**
+ * Expressão .validate de um campo personalizado (processo/$id/camposExtras/$campo)
+ * Segue a definição do tipo de cotação do processo; valores sem definição (campo removido
+ * ou de outro tipo de cotação) são aceitos se forem simples, para que restaurações e
+ * edições não percam dados já gravados. A obrigatoriedade é conferida no formulário
+ */
+export function regraCampoExtra() {
+    const tipoCotacao = "newData.parent().parent().child('tipoCotacao')";
+    const definicao = `newData.parent().parent().parent().parent().child('${DB_PATHS.CAMPOS_PERSONALIZADOS}').child(${tipoCotacao}.val()).child($campo)`;
+    const texto = `newData.isString() && newData.val().length <= ${TAMANHO_MAXIMO_CAMPO_EXTRA}`;
+    const porTipo = {
+        texto,
+        numero: 'newData.isNumber()',
+        moeda: 'newData.isNumber() && newData.val() >= 0',
+        data: `newData.isString() && ${regraFormato('data')}`,
+        selecao: `newData.isString() && ${definicao}.child('opcoes').child(newData.val()).exists()`,
+        booleano: 'newData.isBoolean()'
+    };
+    const conforme = Object.entries(porTipo)
+        .map(([tipo, regra]) => `(${definicao}.child('tipo').val() === '${tipo}' && ${regra})`)
+        .join(' || ');
+    return `(${tipoCotacao}.isString() && ${definicao}.exists()) ? (${conforme}) : ((${texto}) || newData.isNumber() || newData.isBoolean())`;
+}
+
+/**
+ * Compara a data com a de outro campo, quando ele estiver preenchido
+ */
+function regraComparacao(outro, operador) {
+    const irmao = `newData.parent().child('${outro}')`;
+    return `(!${irmao}.exists() || ${irmao}.val() === '' || newData.val() ${operador} ${irmao}.val())`;
+}
+
+/**
+ * Expressão .validate de um campo do esquema
+ * Link e datas opcionais aceitam texto vazio, como o formulário grava
+ */
+export function regraCampo(id, obrigatorio, adicional = null) {
+    const campo = CAMPOS_PROCESSO[id];
+    const partes = [];
+
+    switch (campo.tipo) {
+        case 'texto':
+            partes.push('newData.isString()', 'newData.val().length > 0');
+            if (campo.tamanhoMaximo) partes.push(`newData.val().length <= ${campo.tamanhoMaximo}`);
+            break;
+        case 'url':
+        case 'data': {
+            const formato = regraFormato(campo.tipo);
+            partes.push('newData.isString()', obrigatorio ? formato : `(newData.val() === '' || ${formato})`);
+            break;
+        }
+        case 'inteiro':
+            partes.push('newData.isNumber()', 'newData.val() % 1 === 0', `newData.val() >= ${campo.minimo}`);
+            break;
+        case 'opcao':
+            partes.push('newData.isString()', regraLista(campo.lista));
+            break;
+    }
+
+    if (campo.naoAntesDe) partes.push(regraComparacao(campo.naoAntesDe, '>='));
+    if (campo.naoDepoisDe) partes.push(regraComparacao(campo.naoDepoisDe, '<='));
+    if (adicional) partes.push(adicional);
+
+    return partes.join(' && ');
+}
+
+/**
+ * Aplica o esquema às regras de uma lista de processos
+ * Os campos do esquema vêm primeiro, na ordem do formulário, seguidos do schemaVersion; as demais regras
+ * (histórico, prorrogações, cancelamento etc.) são mantidas como estão
+ * @param {Object} regrasAtuais - Regras atuais de $processoId
+ * @returns {Object} Novas regras de $processoId
+ */
+export function regrasProcessos(path, regrasAtuais = {}) {
+    const { obrigatorios, adicionais } = SCHEMA_PROCESSOS[path];
+    const regras = {
+        '.validate': `newData.hasChildren([${obrigatorios.map(id => `'${id}'`).join(', ')}])`
+    };
+
+    Object.keys(CAMPOS_PROCESSO).forEach(id => {
+        regras[id] = {
+            ...(regrasAtuais[id] || {}),
+            '.validate': regraCampo(id, obrigatorios.includes(id), adicionais[id])
+        };
+    });
+
+    // A versão só aumenta (cada aumento libera uma conversão de status na migração), exceto na
+    // restauração, que troca o registro inteiro pela cópia do backup
+    regras.schemaVersion = {
+        ...(regrasAtuais.schemaVersion || {}),
+        '.validate': `newData.isNumber() && newData.val() % 1 === 0 && newData.val() >= 1 && newData.val() <= ${VERSAO_ESQUEMA} && ` +
+            "(!data.exists() || newData.val() >= data.val() || (newData.parent().child('restauradoDe').isString() && newData.parent().child('restauradoEm').val() !== data.parent().child('restauradoEm').val()))"
+    };
+
+    regras.camposExtras = {
+        ...(regrasAtuais.camposExtras || {}),
+        $campo: { '.validate': regraCampoExtra() }
+    };
+
+    Object.entries(regrasAtuais).forEach(([chave, regra]) => {
+        if (!(chave in regras)) regras[chave] = regra;
+    });
+
+    return regras;
+}
+
+/**
+ * Regras do nó listasValidacao: { LISTA: { valor: { ordem, ativo } } }
+ */
+export function regrasListasValidacao(regrasAtuais = {}) {
+    return {
+        ...regrasAtuais,
+        $lista: {
+            '.validate': Object.keys(LISTAS).map(lista => `$lista === '${lista}'`).join(' || '),
+            $valor: {
+                '.validate': `newData.hasChildren(['ordem', 'ativo']) && $valor.length <= ${TAMANHO_MAXIMO_VALOR_LISTA}`,
+                ordem: { '.validate': 'newData.isNumber()' },
+                ativo: { '.validate': 'newData.isBoolean()' },
+                $outro: { '.validate': false }
+            }
+        }
+    };
+}
+
+/**
+ * Regras do nó camposPersonalizados: { tipoCotacao: { campoId: { rotulo, tipo, obrigatorio, ordem, opcoes } } }
+ * O tipo de cotação precisa estar na lista de validação (inclusive quando renomeado na mesma escrita)
+ */
+export function regrasCamposPersonalizados(regrasAtuais = {}) {
+    return {
+        ...regrasAtuais,
+        $tipo: {
+            '.validate': regraLista('TIPO_COTACAO', '$tipo', 'newData.parent().parent()'),
+            $campo: {
+                '.validate': "$campo.matches(/^[a-zA-Z][a-zA-Z0-9]{0,39}$/) && newData.hasChildren(['rotulo', 'tipo', 'obrigatorio', 'ordem']) && (newData.child('tipo').val() !== 'selecao' || newData.child('opcoes').hasChildren())",
+                rotulo: { '.validate': `newData.isString() && newData.val().length > 0 && newData.val().length <= ${TAMANHO_MAXIMO_VALOR_LISTA}` },
+                tipo: { '.validate': Object.keys(TIPOS_CAMPO_EXTRA).map(tipo => `newData.val() === '${tipo}'`).join(' || ') },
+                obrigatorio: { '.validate': 'newData.isBoolean()' },
+                ordem: { '.validate': 'newData.isNumber()' },
+                opcoes: {
+                    $opcao: { '.validate': `newData.isNumber() && $opcao.length <= ${TAMANHO_MAXIMO_VALOR_LISTA}` }
+                },
+                $outro: { '.validate': false }
+            }
+        }
+    };
+}
+
+/**
+ * Aplica a lista de vínculos às regras de um funcionário
+ * @param {Object} regrasAtuais - Regras atuais de $funcionarioId
+ */
+export function regrasFuncionario(regrasAtuais = {}) {
+    return {
+        ...regrasAtuais,
+        vinculo: {
+            ...(regrasAtuais.vinculo || {}),
+            '.validate': `newData.isString() && ${regraLista('VINCULO')}`
+        }
+    };
+}
+
+export default {
+    VERSAO_ESQUEMA,
+    FORMATOS,
+    LISTAS,
+    TIPOS_CAMPO_EXTRA,
+    CAMPOS_PROCESSO,
+    SCHEMA_PROCESSOS,
+    validarProcesso,
+    validarCampos,
+    validarCamposExtras,
+    regraCampo,
+    regraCampoExtra,
+    regraLista,
+    regrasProcessos,
+    regrasListasValidacao,
+    regrasCamposPersonalizados,
+    regrasFuncionario
+};
@@ -4,8 +4,10 @@
  */
 
 import { initializeApp } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-app.js';
-import { getDatabase, ref, set, push } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js';
+import { getDatabase, ref, set, push, update } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js';
 import { getAuth, createUserWithEmailAndPassword, signOut } from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-auth.js';
+import { VERSAO_ESQUEMA } from './schema.js';
+import { chaveSigadoc } from './utils.js';
 
 // ---------------------------------------------------------------------------
 // Dados
@@ -38,7 +40,7 @@ const PROCESSOS_ANDAMENTO = [
         responsavel: 'Ana Oliveira',
         grauComplexidade: 'ALTO',
         quantidadeItens: 12,
-        unidadeExecutora: 'Diretoria de Gestão',
+        unidadeExecutora: 'Secretaria de Administração',
         status: 'Em Andamento'
     },
     {
@@ -46,13 +48,13 @@ const PROCESSOS_ANDAMENTO = [
         link: '',
         dataInicio: '2025-11-22',
         dataFinal: '2026-02-28',
-        tipoCotacao: 'DISPENSA',
+        tipoCotacao: 'DISPENSA DE LICITAÇÃO',
         tipoObjeto: 'MATERIAL',
         descricao: 'Aquisição de materiais de expediente para todos os departamentos.',
         responsavel: 'Pedro Santos',
         grauComplexidade: 'BAIXO',
         quantidadeItens: 45,
-        unidadeExecutora: 'Setor de Compras',
+        unidadeExecutora: 'Secretaria de Administração',
         status: 'Aguardando Aprovação'
     },
     {
@@ -66,7 +68,7 @@ const PROCESSOS_ANDAMENTO = [
         responsavel: 'Mariana Costa',
         grauComplexidade: 'MUITO ALTO',
         quantidadeItens: 8,
-        unidadeExecutora: 'Engenharia Civil',
+        unidadeExecutora: 'Secretaria de Engenharia e Arquitetura',
         status: 'Em Elaboração'
     },
     {
@@ -80,21 +82,21 @@ const PROCESSOS_ANDAMENTO = [
         responsavel: 'Lucas Ferreira',
         grauComplexidade: 'MÉDIO',
         quantidadeItens: 20,
-        unidadeExecutora: 'TI — Tecnologia da Informação',
-        status: 'Validação Orçamento'
+        unidadeExecutora: 'Secretaria de Tecnologia da Informação e Comunicação',
+        status: 'Validação Orçamento - SEPLAN'
     },
     {
         sigadoc: '20240412',
         link: '',
         dataInicio: '2026-01-08',
         dataFinal: '2026-03-30',
-        tipoCotacao: 'DISPENSA',
+        tipoCotacao: 'DISPENSA DE LICITAÇÃO',
         tipoObjeto: 'SERVIÇO',
         descricao: 'Contratação de consultoria jurídica para análise de contratos pendentes.',
         responsavel: 'Fernanda Almeida',
         grauComplexidade: 'ALTO',
         quantidadeItens: 3,
-        unidadeExecutora: 'Diretoria Jurídica',
+        unidadeExecutora: 'Secretaria de Planejamento, Coordenação e Finanças',
         status: 'Em Análise Jurídica'
     },
     {
@@ -102,13 +104,13 @@ const PROCESSOS_ANDAMENTO = [
         link: '',
         dataInicio: '2026-01-20',
         dataFinal: '2026-04-25',
-        tipoCotacao: 'LEVANTAMENTO',
+        tipoCotacao: 'LEVANTAMENTO DE MERCADO',
         tipoObjeto: 'MATERIAL',
         descricao: 'Levantamento e aquisição de materiais para renovação do laboratório.',
         responsavel: 'Ana Oliveira',
         grauComplexidade: 'MÉDIO',
         quantidadeItens: 30,
-        unidadeExecutora: 'Laboratório Central',
+        unidadeExecutora: 'Escola Judicial do Poder Judiciário do Estado do Pará',
         status: 'Em Andamento'
     }
 ];
@@ -119,16 +121,16 @@ const PROCESSOS_FINALIZADOS = [
         link: '',
         dataInicio: '2025-07-02',
         dataFinal: '2025-09-10',
-        dataEntrega: '2025-08-29',
-        diasDecorridos: 58,
+        dataFinalizacao: '2025-08-29',
+        diasCorridos: 58,
         tipoCotacao: 'LICITAÇÃO',
         tipoObjeto: 'SERVIÇO',
         descricao: 'Contratação de serviços de limpeza para instalações administrativas.',
         responsavel: 'Pedro Santos',
         grauComplexidade: 'BAIXO',
         quantidadeItens: 5,
-        unidadeExecutora: 'Facilities Management',
-        status: 'Finalizado',
+        unidadeExecutora: 'Secretaria de Administração',
+        status: 'Concluído',
         finalizadoEm: '2025-08-29'
     },
     {
@@ -136,16 +138,16 @@ const PROCESSOS_FINALIZADOS = [
         link: '',
         dataInicio: '2025-07-15',
         dataFinal: '2025-10-05',
-        dataEntrega: '2025-09-28',
-        diasDecorridos: 75,
-        tipoCotacao: 'DISPENSA',
+        dataFinalizacao: '2025-09-28',
+        diasCorridos: 75,
+        tipoCotacao: 'DISPENSA DE LICITAÇÃO',
         tipoObjeto: 'EQUIPAMENTO',
         descricao: 'Aquisição de equipamentos de segurança para o estacionamento.',
         responsavel: 'Ana Oliveira',
         grauComplexidade: 'MÉDIO',
         quantidadeItens: 10,
-        unidadeExecutora: 'Segurança Patrimonial',
-        status: 'Finalizado',
+        unidadeExecutora: 'Coordenadoria Militar',
+        status: 'Concluído',
         finalizadoEm: '2025-09-28'
     },
     {
@@ -153,16 +155,16 @@ const PROCESSOS_FINALIZADOS = [
         link: '',
         dataInicio: '2025-08-01',
         dataFinal: '2025-11-15',
-        dataEntrega: '2025-10-22',
-        diasDecorridos: 82,
+        dataFinalizacao: '2025-10-22',
+        diasCorridos: 82,
         tipoCotacao: 'LICITAÇÃO',
         tipoObjeto: 'OBRA',
         descricao: 'Reforma dos banheiros do bloco A — obras hidráulicas e elétricas.',
         responsavel: 'Lucas Ferreira',
         grauComplexidade: 'ALTO',
         quantidadeItens: 15,
-        unidadeExecutora: 'Engenharia Civil',
-        status: 'Finalizado',
+        unidadeExecutora: 'Secretaria de Engenharia e Arquitetura',
+        status: 'Concluído',
         finalizadoEm: '2025-10-22'
     },
     {
@@ -170,16 +172,16 @@ const PROCESSOS_FINALIZADOS = [
         link: '',
         dataInicio: '2025-08-20',
         dataFinal: '2025-11-30',
-        dataEntrega: '2025-11-14',
-        diasDecorridos: 86,
+        dataFinalizacao: '2025-11-14',
+        diasCorridos: 86,
         tipoCotacao: 'AJUSTES CONTRATUAIS',
         tipoObjeto: 'SERVIÇO',
         descricao: 'Reajuste do contrato de fornecimento de café e lanches para o refeitório.',
         responsavel: 'Mariana Costa',
         grauComplexidade: 'BAIXO',
         quantidadeItens: 2,
-        unidadeExecutora: 'Administração Geral',
-        status: 'Finalizado',
+        unidadeExecutora: 'Secretaria de Administração',
+        status: 'Concluído',
         finalizadoEm: '2025-11-14'
     }
 ];
@@ -196,6 +198,19 @@ function log(msg) {
     console.log('[SEED]', msg);
 }
 
+// ---------------------------------------------------------------------------
+// Gravação de processos
+// ---------------------------------------------------------------------------
+// O processo e sua entrada no índice de SIGADOC são gravados juntos, como em
+// createProcessoAndamento: as regras recusam um SIGADOC sem a entrada no índice
+async function criarProcesso(db, caminho, processo) {
+    const id = push(ref(db, caminho)).key;
+    await update(ref(db), {
+        [`${caminho}/${id}`]: { ...processo, schemaVersion: VERSAO_ESQUEMA },
+        [`indiceSigadoc/${chaveSigadoc(processo.sigadoc)}`]: id
+    });
+}
+
 // ---------------------------------------------------------------------------
 // Execução principal
 // ---------------------------------------------------------------------------
@@ -241,15 +256,23 @@ export async function runSeed(firebaseConfig) {
     // 4. Processos em andamento
     log('--- Criando processos em andamento ---');
     for (const p of PROCESSOS_ANDAMENTO) {
-        await push(ref(db, 'processosAndamento'), p);
-        log(`✓ Processo andamento: ${p.sigadoc}`);
+        try {
+            await criarProcesso(db, 'processosAndamento', p);
+            log(`✓ Processo andamento: ${p.sigadoc}`);
+        } catch (err) {
+            log(`✗ Erro ao criar ${p.sigadoc} (SIGADOC já cadastrado?): ${err.message}`);
+        }
     }
 
     // 5. Processos finalizados
     log('--- Criando processos finalizados ---');
     for (const p of PROCESSOS_FINALIZADOS) {
-        await push(ref(db, 'processosFinalizados'), p);
-        log(`✓ Processo finalizado: ${p.sigadoc}`);
+        try {
+            await criarProcesso(db, 'processosFinalizados', p);
+            log(`✓ Processo finalizado: ${p.sigadoc}`);
+        } catch (err) {
+            log(`✗ Erro ao criar ${p.sigadoc} (SIGADOC já cadastrado?): ${err.message}`);
+        }
     }
 
     log('');
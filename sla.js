@@ -0,0 +1,294 @@
+/**
+ * Módulo de SLA (Prazos em Dias Úteis)
+ * Regras de prazo por tipo de cotação × grau de complexidade × tipo de objeto,
+ * usadas para sugerir o prazo final e medir o cumprimento dos processos
+ */
+
+import dbManager from './database.js';
+import authManager from './auth.js';
+import calendarioManager from './calendario.js';
+import listasManager from './listas.js';
+import { DB_PATHS, MESSAGES } from './config.js';
+import {
+    formatarData,
+    isoParaInputDate,
+    escaparHtml,
+    showLoading,
+    hideLoading,
+    showNotification
+} from './utils.js';
+
+class SlaManager {
+    constructor() {
+        this.regras = [];
+        this.callbacks = [];
+    }
+
+    /**
+     * Inicializa o módulo e escuta as regras em tempo real
+     */
+    async initialize() {
+        const resultado = await dbManager.getSlaRegras();
+        if (resultado.success) {
+            this.regras = resultado.data;
+        }
+
+        dbManager.listen(DB_PATHS.SLA_REGRAS, (data) => {
+            this.regras = data;
+            this.callbacks.forEach(cb => cb());
+            this.renderRegras();
+        });
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Registra callback para mudanças nas regras
+     */
+    onChange(callback) {
+        this.callbacks.push(callback);
+    }
+
+    /**
+     * Encontra a regra aplicável ao processo
+     * Regra com tipo de objeto específico tem prioridade sobre a regra genérica (tipoObjeto vazio)
+     */
+    encontrarRegra({ tipoCotacao, grauComplexidade, tipoObjeto }) {
+        if (!tipoCotacao || !grauComplexidade) return null;
+
+        const candidatas = this.regras.filter(r =>
+            r.tipoCotacao === tipoCotacao &&
+            r.grauComplexidade === grauComplexidade &&
+            (!r.tipoObjeto || r.tipoObjeto === tipoObjeto)
+        );
+
+        return candidatas.find(r => r.tipoObjeto) || candidatas[0] || null;
+    }
+
+    /**
+     * Calcula o SLA do processo a partir da regra aplicável e da data de início
+     * @returns {Object|null} { regraId, diasUteis, prazo } ou null se não houver regra
+     */
+    calcularSla(processo) {
+        const regra = this.encontrarRegra(processo);
+        if (!regra || !processo.dataInicio) return null;
+
+        return {
+            regraId: regra.id,
+            diasUteis: regra.diasUteis,
+            prazo: calendarioManager.adicionarDiasUteis(processo.dataInicio, regra.diasUteis)
+        };
+    }
+
+    /**
+     * Avalia o cumprimento do SLA registrado no processo
+     * Finalizados são medidos pela data de finalização; em andamento, pela data de hoje
+     * @returns {string|null} 'cumprido', 'atrasado', 'em-dia' ou null se o processo não tem SLA
+     */
+    avaliarCumprimento(processo, finalizado = false) {
+        if (!processo.sla?.prazo) return null;
+
+        const prazo = calendarioManager.proximoDiaUtil(processo.sla.prazo);
+        if (finalizado) {
+            const dataFinalizacao = isoParaInputDate(processo.dataFinalizacao);
+            if (!dataFinalizacao) return null;
+            return dataFinalizacao <= prazo ? 'cumprido' : 'atrasado';
+        }
+
+        return isoParaInputDate(new Date()) <= prazo ? 'em-dia' : 'atrasado';
+    }
+
+    // ============ CADASTRO DE REGRAS (APENAS GESTORES) ============
+
+    /**
+     * Configura event listeners do modal de SLA
+     */
+    setupEventListeners() {
+        document.getElementById('btnConfigurarSla')?.addEventListener('click', () => {
+            this.abrirModal();
+        });
+
+        document.getElementById('formSla')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvarRegra();
+        });
+
+        document.getElementById('slaRegrasLista')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('.btn-icon');
+            if (!btn) return;
+            const regra = this.regras.find(r => r.id === btn.dataset.id);
+            if (!regra) return;
+
+            if (btn.dataset.action === 'edit') {
+                this.preencherFormulario(regra);
+            } else if (btn.dataset.action === 'delete') {
+                this.removerRegra(regra.id);
+            }
+        });
+    }
+
+    /**
+     * Abre o modal de regras de SLA
+     */
+    abrirModal() {
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem configurar os prazos de SLA', 'warning');
+            return;
+        }
+
+        listasManager.preencherSelect(document.getElementById('slaTipoCotacao'), 'TIPO_COTACAO');
+        listasManager.preencherSelect(document.getElementById('slaComplexidade'), 'GRAU_COMPLEXIDADE');
+        listasManager.preencherSelect(document.getElementById('slaTipoObjeto'), 'TIPO_OBJETO', { vazio: 'Qualquer' });
+
+        document.getElementById('formSla')?.reset();
+        this.renderRegras();
+        document.getElementById('modalSla')?.classList.add('active');
+    }
+
+    /**
+     * Renderiza a tabela de regras cadastradas
+     */
+    renderRegras() {
+        const container = document.getElementById('slaRegrasLista');
+        if (!container) return;
+
+        if (this.regras.length === 0) {
+            container.innerHTML = '<p class="form-help">Nenhuma regra de SLA cadastrada.</p>';
+            return;
+        }
+
+        const ordem = (lista, valor) => {
+            const indice = lista.indexOf(valor);
+            return indice === -1 ? lista.length : indice;
+        };
+
+        const tipos = listasManager.valores('TIPO_COTACAO', { incluirInativos: true });
+        const complexidades = listasManager.valores('GRAU_COMPLEXIDADE', { incluirInativos: true });
+        const regras = [...this.regras].sort((a, b) =>
+            ordem(tipos, a.tipoCotacao) - ordem(tipos, b.tipoCotacao) ||
+            ordem(complexidades, a.grauComplexidade) - ordem(complexidades, b.grauComplexidade) ||
+            (a.tipoObjeto || '').localeCompare(b.tipoObjeto || '')
+        );
+
+        container.innerHTML = `
+            <table class="data-table">
+                <thead>
+                    <tr>
+                        <th>Tipo de Cotação</th>
+                        <th>Complexidade</th>
+                        <th>Tipo de Objeto</th>
+                        <th>Dias Úteis</th>
+                        <th>Ações</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${regras.map(r => `
+                        <tr>
+                            <td>${escaparHtml(r.tipoCotacao)}</td>
+                            <td>${escaparHtml(r.grauComplexidade)}</td>
+                            <td>${escaparHtml(r.tipoObjeto || 'Qualquer')}</td>
+                            <td><strong>${r.diasUteis}</strong></td>
+                            <td class="table-actions">
+                                <button type="button" class="btn-icon btn-edit" data-action="edit" data-id="${r.id}" title="Editar">✏️</button>
+                                <button type="button" class="btn-icon btn-delete" data-action="delete" data-id="${r.id}" title="Excluir">🗑️</button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Preenche o formulário com uma regra existente para edição
+     */
+    preencherFormulario(regra) {
+        // Regras antigas podem usar valores já desativados nas listas
+        listasManager.preencherSelect(document.getElementById('slaTipoCotacao'), 'TIPO_COTACAO', { atual: regra.tipoCotacao });
+        listasManager.preencherSelect(document.getElementById('slaComplexidade'), 'GRAU_COMPLEXIDADE', { atual: regra.grauComplexidade });
+        listasManager.preencherSelect(document.getElementById('slaTipoObjeto'), 'TIPO_OBJETO', { vazio: 'Qualquer', atual: regra.tipoObjeto });
+
+        document.getElementById('slaTipoCotacao').value = regra.tipoCotacao;
+        document.getElementById('slaComplexidade').value = regra.grauComplexidade;
+        document.getElementById('slaTipoObjeto').value = regra.tipoObjeto || '';
+        document.getElementById('slaDiasUteis').value = regra.diasUteis;
+    }
+
+    /**
+     * Salva a regra do formulário
+     * Se já existir regra para a mesma combinação, ela é atualizada
+     */
+    async salvarRegra() {
+        const regra = {
+            tipoCotacao: document.getElementById('slaTipoCotacao').value,
+            grauComplexidade: document.getElementById('slaComplexidade').value,
+            tipoObjeto: document.getElementById('slaTipoObjeto').value,
+            diasUteis: parseInt(document.getElementById('slaDiasUteis').value)
+        };
+
+        if (!regra.diasUteis || regra.diasUteis < 1) {
+            showNotification('Informe a quantidade de dias úteis do prazo', 'error');
+            return;
+        }
+
+        const existente = this.regras.find(r =>
+            r.tipoCotacao === regra.tipoCotacao &&
+            r.grauComplexidade === regra.grauComplexidade &&
+            (r.tipoObjeto || '') === regra.tipoObjeto
+        );
+
+        showLoading();
+        try {
+            const resultado = existente
+                ? await dbManager.updateSlaRegra(existente.id, regra)
+                : await dbManager.createSlaRegra(regra);
+
+            if (resultado.success) {
+                showNotification(MESSAGES.SUCCESS.SAVE, 'success');
+                document.getElementById('formSla')?.reset();
+            } else {
+                showNotification(MESSAGES.ERROR.SAVE, 'error');
+            }
+        } catch (error) {
+            console.error('Erro ao salvar regra de SLA:', error);
+            showNotification(MESSAGES.ERROR.SAVE, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Remove uma regra de SLA
+     * Processos já cadastrados mantêm o SLA registrado neles
+     */
+    async removerRegra(id) {
+        if (!confirm(MESSAGES.CONFIRM.DELETE)) return;
+
+        showLoading();
+        try {
+            const resultado = await dbManager.deleteSlaRegra(id);
+            showNotification(
+                resultado.success ? MESSAGES.SUCCESS.DELETE : MESSAGES.ERROR.DELETE,
+                resultado.success ? 'success' : 'error'
+            );
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Texto descritivo do SLA aplicável, para exibição no formulário de processo
+     */
+    descreverSla(processo) {
+        const regra = this.encontrarRegra(processo);
+        if (!regra) return 'Nenhuma regra de SLA para esta classificação.';
+        if (!processo.dataInicio) return `SLA: ${regra.diasUteis} dias úteis (informe a data de início)`;
+
+        const sla = this.calcularSla(processo);
+        return `SLA: ${sla.diasUteis} dias úteis — prazo em ${formatarData(sla.prazo)}`;
+    }
+}
+
+// Exporta instância única
+const slaManager = new SlaManager();
+export default slaManager;
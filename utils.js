@@ -72,6 +72,25 @@ export function isoParaInputDate(isoDate) {
     return `${ano}-${mes}-${dia}`;
 }
 
+/**
+ * Converte data (YYYY-MM-DD, ISO ou Date) em Date local à meia-noite
+ * Retorna null se a data for inválida
+ */
+export function parseDataLocal(data) {
+    if (!data) return null;
+
+    let d;
+    if (typeof data === 'string' && /^\d{4}-\d{2}-\d{2}/.test(data)) {
+        const [ano, mes, dia] = data.substring(0, 10).split('-').map(Number);
+        d = new Date(ano, mes - 1, dia);
+    } else {
+        d = new Date(data);
+        d.setHours(0, 0, 0, 0);
+    }
+
+    return isNaN(d.getTime()) ? null : d;
+}
+
 /**
  * Calcula dias entre duas datas
  * Trata corretamente datas no formato YYYY-MM-DD sem problemas de timezone
@@ -137,12 +156,20 @@ export function diasParaPrazo(dataFinal) {
 /**
  * Formata exibição de prazo
  */
-export function formatarPrazo(dias) {
+export function formatarPrazo(dias, uteis = false) {
+    const unidade = uteis ? 'dias úteis' : 'dias';
     if (dias === null) return 'Sem prazo';
-    if (dias < 0) return `Vencido há ${Math.abs(dias)} dias`;
+    if (dias < 0) return `Vencido há ${Math.abs(dias)} ${unidade}`;
     if (dias === 0) return 'Vence hoje';
-    if (dias === 1) return 'Vence amanhã';
-    return `${dias} dias`;
+    if (dias === 1) return uteis ? 'Vence no próximo dia útil' : 'Vence amanhã';
+    return `${dias} ${unidade}`;
+}
+
+/**
+ * Formata valor em reais (R$ 1.234,56)
+ */
+export function formatarMoeda(valor) {
+    return Number(valor).toLocaleString('pt-BR', { style: 'currency', currency: 'BRL' });
 }
 
 /**
@@ -182,6 +209,71 @@ export function sanitizar(str) {
     return str.replace(/[^a-zA-Z0-9\s]/g, '');
 }
 
+/**
+ * Escapa caracteres especiais de HTML para exibir texto livre digitado pelos usuários
+ * Apenas null e undefined viram texto vazio (0 e false são exibidos)
+ */
+export function escaparHtml(str) {
+    if (str === null || str === undefined) return '';
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Serializa um valor em JSON com as chaves ordenadas,
+ * para comparar objetos independente da ordem das chaves
+ */
+export function serializarOrdenado(valor) {
+    if (valor === null || valor === undefined) return 'null';
+    if (typeof valor !== 'object') return JSON.stringify(valor);
+    return '{' + Object.keys(valor).sort()
+        .map(chave => `${JSON.stringify(chave)}:${serializarOrdenado(valor[chave])}`)
+        .join(',') + '}';
+}
+
+/**
+ * Normaliza texto para comparação: sem acentos, minúsculo e com espaços simples
+ */
+export function normalizarTexto(str) {
+    return String(str ?? '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * Chave do SIGADOC no índice de unicidade (indiceSigadoc)
+ * Maiúsculas, com os caracteres proibidos em chaves do Firebase (e o próprio %) codificados.
+ * As regras do Firebase repetem esta conversão para conferir o índice
+ */
+export function chaveSigadoc(sigadoc) {
+    return String(sigadoc ?? '')
+        .toUpperCase()
+        .replace(/%/g, '%25')
+        .replace(/\./g, '%2E')
+        .replace(/#/g, '%23')
+        .replace(/\$/g, '%24')
+        .replace(/\//g, '%2F')
+        .replace(/\[/g, '%5B')
+        .replace(/\]/g, '%5D');
+}
+
+/**
+ * Calcula o hash SHA-256 de um texto, em hexadecimal
+ */
+export async function calcularSha256(texto) {
+    const bytes = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(texto));
+    return Array.from(new Uint8Array(bytes))
+        .map(byte => byte.toString(16).padStart(2, '0'))
+        .join('');
+}
+
 /**
  * Trunca texto com elipse
  */
@@ -435,6 +527,28 @@ export function calcularMedia(array, campo) {
     return Math.round(soma / array.length);
 }
 
+/**
+ * Calcula o percentil (0-100) de uma lista de números por interpolação linear
+ */
+export function calcularPercentil(valores, percentil) {
+    if (!valores || valores.length === 0) return 0;
+
+    const ordenados = [...valores].sort((a, b) => a - b);
+    const posicao = (percentil / 100) * (ordenados.length - 1);
+    const base = Math.floor(posicao);
+    const resto = posicao - base;
+
+    if (base + 1 >= ordenados.length) return ordenados[base];
+    return ordenados[base] + resto * (ordenados[base + 1] - ordenados[base]);
+}
+
+/**
+ * Calcula a mediana de uma lista de números
+ */
+export function calcularMediana(valores) {
+    return calcularPercentil(valores, 50);
+}
+
 /**
  * Conta ocorrências de valores em um campo
  */
@@ -446,6 +560,28 @@ export function contarOcorrencias(array, campo) {
     }, {});
 }
 
+/**
+ * Retorna o histórico de status de um processo como lista ordenada por data
+ */
+export function listarHistoricoStatus(processo) {
+    if (!processo || !processo.historicoStatus) return [];
+
+    return Object.entries(processo.historicoStatus)
+        .map(([id, entrada]) => ({ ...entrada, id }))
+        .sort((a, b) => new Date(a.data) - new Date(b.data));
+}
+
+/**
+ * Retorna as prorrogações de prazo de um processo como lista ordenada por data
+ */
+export function listarProrrogacoes(processo) {
+    if (!processo || !processo.prorrogacoes) return [];
+
+    return Object.entries(processo.prorrogacoes)
+        .map(([id, prorrogacao]) => ({ ...prorrogacao, id }))
+        .sort((a, b) => new Date(a.data) - new Date(b.data));
+}
+
 /**
  * Inicializa estilos toast ao carregar
  */
@@ -455,13 +591,20 @@ export default {
     formatarData,
     formatarDataHora,
     isoParaInputDate,
+    parseDataLocal,
     calcularDias,
     diasParaPrazo,
     formatarPrazo,
+    formatarMoeda,
     getClassePrazo,
     validarEmail,
     validarUrl,
     sanitizar,
+    escaparHtml,
+    serializarOrdenado,
+    normalizarTexto,
+    chaveSigadoc,
+    calcularSha256,
     truncar,
     capitalizar,
     gerarIniciais,
@@ -475,5 +618,9 @@ export default {
     ordenarPor,
     agruparPor,
     calcularMedia,
-    contarOcorrencias
+    calcularPercentil,
+    calcularMediana,
+    contarOcorrencias,
+    listarHistoricoStatus,
+    listarProrrogacoes
 };
@@ -0,0 +1,345 @@
+/**
+ * Módulo de Versões do Processo
+ * Reconstrói como um processo estava em uma data passada, a partir do backup mais
+ * próximo e das entradas de auditoria, e compara duas versões lado a lado
+ * (apenas gestores, que têm acesso aos backups e à auditoria)
+ */
+
+import {
+    ref,
+    get,
+    query,
+    orderByChild,
+    equalTo
+} from 'https://www.gstatic.com/firebasejs/10.7.1/firebase-database.js';
+
+import authManager from './auth.js';
+import backupManager from './backup.js';
+import { DB_PATHS, CAMPOS_FLUXO } from './config.js';
+import {
+    formatarDataHora,
+    escaparHtml,
+    truncar,
+    serializarOrdenado,
+    showLoading,
+    hideLoading,
+    showNotification
+} from './utils.js';
+
+// Onde um processo pode estar, na ordem de exibição
+const LOCAIS = {
+    [DB_PATHS.PROCESSOS_ANDAMENTO]: 'Em andamento',
+    [DB_PATHS.PROCESSOS_FINALIZADOS]: 'Finalizado',
+    [DB_PATHS.PROCESSOS_CANCELADOS]: 'Cancelado',
+    [DB_PATHS.LIXEIRA]: 'Na lixeira'
+};
+
+// Campos técnicos que não entram na comparação
+const CAMPOS_OCULTOS = ['id', 'updatedAt'];
+
+class VersoesManager {
+    constructor() {
+        this.processo = null;
+        this.entradas = [];
+        this.backups = [];
+        this.cacheBackups = {};
+    }
+
+    /**
+     * Inicializa o módulo
+     */
+    initialize() {
+        this.setupEventListeners();
+    }
+
+    /**
+     * Configura event listeners do modal de versões
+     */
+    setupEventListeners() {
+        document.getElementById('formVersoes')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.comparar();
+        });
+
+        document.getElementById('versoesAlteracoes')?.addEventListener('click', (e) => {
+            const btn = e.target.closest('[data-momento]');
+            if (!btn) return;
+            document.getElementById(btn.dataset.alvo).value = this.paraInputDataHora(btn.dataset.momento);
+            this.comparar();
+        });
+    }
+
+    /**
+     * Valor de um input datetime-local (horário local) a partir de uma data ISO
+     */
+    paraInputDataHora(iso) {
+        const data = new Date(iso);
+        data.setMinutes(data.getMinutes() - data.getTimezoneOffset());
+        return data.toISOString().slice(0, 16);
+    }
+
+    /**
+     * Data ISO do fim do minuto de um input datetime-local, para incluir as alterações feitas nele
+     */
+    fimDoMinuto(valor) {
+        return new Date(new Date(valor).getTime() + 59999).toISOString();
+    }
+
+    /**
+     * Abre o modal de versões do processo, comparando a semana passada com o estado atual
+     */
+    async abrirModal(processo) {
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem consultar versões anteriores', 'warning');
+            return;
+        }
+        if (!processo) {
+            showNotification('Processo não encontrado', 'error');
+            return;
+        }
+
+        this.processo = processo;
+        this.cacheBackups = {};
+
+        const titulo = document.getElementById('modalVersoesTitle');
+        if (titulo) titulo.textContent = `Versões - ${processo.sigadoc}`;
+
+        const semanaPassada = new Date();
+        semanaPassada.setDate(semanaPassada.getDate() - 7);
+        document.getElementById('versaoDataA').value = this.paraInputDataHora(semanaPassada.toISOString());
+        document.getElementById('versaoDataB').value = this.paraInputDataHora(new Date().toISOString());
+        document.getElementById('versoesComparacao').innerHTML = '';
+
+        showLoading();
+        try {
+            await this.carregarFontes();
+            this.renderAlteracoes();
+            document.getElementById('modalVersoes')?.classList.add('active');
+        } catch (error) {
+            console.error('Erro ao carregar versões do processo:', error);
+            showNotification('Erro ao carregar o histórico do processo', 'error');
+            return;
+        } finally {
+            hideLoading();
+        }
+
+        await this.comparar();
+    }
+
+    /**
+     * Carrega as entradas de auditoria do processo e a lista de backups gravados no banco
+     * Backups importados guardam dados de outra época e não servem de base
+     */
+    async carregarFontes() {
+        const db = window.database;
+        const caminhos = Object.keys(LOCAIS).map(local => `${local}/${this.processo.id}`);
+
+        const snapshot = await get(query(ref(db, DB_PATHS.AUDITORIA), orderByChild('registroId'), equalTo(this.processo.id)));
+
+        this.entradas = (snapshot.exists() ? Object.values(snapshot.val()) : [])
+            .filter(entrada => caminhos.includes(entrada.path))
+            .sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+        this.backups = (await backupManager.listBackups())
+            .filter(backup => !backup.importado && backupManager.isNoBanco(backup));
+    }
+
+    /**
+     * Reconstrói o processo na data informada
+     * Parte do backup mais recente até a data e aplica as alterações da auditoria feitas depois dele;
+     * sem backup anterior, parte dos dados atuais e desfaz as alterações feitas após a data
+     * @returns {Object} { local, processo, fonte } (processo null se ainda não existia ou já fora excluído)
+     */
+    async getVersao(dataIso) {
+        const estados = {};
+        const base = this.backups.find(backup => backup.createdAt <= dataIso);
+        let fonte;
+
+        if (base) {
+            if (!this.cacheBackups[base.key]) {
+                const backup = await backupManager.getBackup(base.key);
+                if (!backup.success) throw new Error(backup.error);
+                this.cacheBackups[base.key] = backup.data.data;
+            }
+
+            const dados = this.cacheBackups[base.key];
+            Object.keys(LOCAIS).forEach(local => {
+                estados[`${local}/${this.processo.id}`] = dados[local]?.[this.processo.id] || null;
+            });
+
+            const posteriores = this.entradas.filter(e => e.timestamp > base.createdAt && e.timestamp <= dataIso);
+            posteriores.forEach(entrada => {
+                estados[entrada.path] = entrada.operacao === 'delete'
+                    ? null
+                    : this.aplicarDiff(estados[entrada.path], entrada.diff, 'depois');
+            });
+
+            fonte = `Backup de ${formatarDataHora(base.createdAt)} + ${posteriores.length} alteração(ões) da auditoria`;
+        } else {
+            await Promise.all(Object.keys(LOCAIS).map(async local => {
+                const snapshot = await get(ref(window.database, `${local}/${this.processo.id}`));
+                estados[`${local}/${this.processo.id}`] = snapshot.exists() ? snapshot.val() : null;
+            }));
+
+            const posteriores = this.entradas.filter(e => e.timestamp > dataIso).reverse();
+            posteriores.forEach(entrada => {
+                estados[entrada.path] = entrada.operacao === 'create'
+                    ? null
+                    : this.aplicarDiff(estados[entrada.path], entrada.diff, 'antes');
+            });
+
+            fonte = `Dados atuais com ${posteriores.length} alteração(ões) desfeitas pela auditoria` +
+                ' (alterações anteriores à auditoria não são conhecidas)';
+        }
+
+        const caminho = Object.keys(estados).find(c => estados[c] && Object.keys(estados[c]).length > 0);
+        if (!caminho) return { local: null, processo: null, fonte };
+
+        const local = caminho.split('/')[0];
+        const registro = estados[caminho];
+        return {
+            local,
+            processo: local === DB_PATHS.LIXEIRA ? registro.dados || null : registro,
+            fonte
+        };
+    }
+
+    /**
+     * Aplica um lado ('antes' ou 'depois') do diff de uma entrada de auditoria sobre o registro
+     */
+    aplicarDiff(registro, diff, lado) {
+        const resultado = { ...(registro || {}) };
+        Object.entries(diff || {}).forEach(([campo, valores]) => {
+            const valor = valores[lado];
+            if (valor === null || valor === undefined) {
+                delete resultado[campo];
+            } else {
+                resultado[campo] = valor;
+            }
+        });
+        return Object.keys(resultado).length > 0 ? resultado : null;
+    }
+
+    /**
+     * Reconstrói as duas versões escolhidas e renderiza a comparação
+     */
+    async comparar() {
+        const dataA = document.getElementById('versaoDataA').value;
+        const dataB = document.getElementById('versaoDataB').value;
+        if (!dataA || !dataB) {
+            showNotification('Informe as duas datas a comparar', 'error');
+            return;
+        }
+
+        showLoading();
+        try {
+            const [versaoA, versaoB] = await Promise.all([
+                this.getVersao(this.fimDoMinuto(dataA)),
+                this.getVersao(this.fimDoMinuto(dataB))
+            ]);
+            this.renderComparacao(versaoA, versaoB);
+        } catch (error) {
+            console.error('Erro ao reconstruir versões:', error);
+            showNotification('Erro ao reconstruir as versões do processo', 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+
+    /**
+     * Formata o valor de um campo para a tabela de comparação
+     */
+    formatarValor(valor) {
+        if (valor === null || valor === undefined || valor === '') return '—';
+        const texto = typeof valor === 'object' ? JSON.stringify(valor) : String(valor);
+        return escaparHtml(truncar(texto, 200));
+    }
+
+    /**
+     * Renderiza as versões lado a lado, destacando os campos alterados
+     */
+    renderComparacao(versaoA, versaoB) {
+        const container = document.getElementById('versoesComparacao');
+        if (!container) return;
+
+        const a = versaoA.processo || {};
+        const b = versaoB.processo || {};
+        const campos = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+            .filter(campo => !CAMPOS_OCULTOS.includes(campo))
+            .sort();
+
+        const situacao = (versao) => versao.local ? LOCAIS[versao.local] : 'Não existia';
+        const linhas = [
+            { rotulo: 'Situação', valorA: situacao(versaoA), valorB: situacao(versaoB), alterado: versaoA.local !== versaoB.local },
+            ...campos.map(campo => ({
+                rotulo: CAMPOS_FLUXO[campo] || campo,
+                valorA: this.formatarValor(a[campo]),
+                valorB: this.formatarValor(b[campo]),
+                alterado: serializarOrdenado(a[campo]) !== serializarOrdenado(b[campo])
+            }))
+        ];
+        const alterados = linhas.filter(linha => linha.alterado).length;
+
+        container.innerHTML = `
+            <p class="form-help">
+                <strong>A:</strong> ${escaparHtml(versaoA.fonte)}<br>
+                <strong>B:</strong> ${escaparHtml(versaoB.fonte)}<br>
+                ${alterados === 0 ? 'Nenhuma diferença entre as versões.' : `${alterados} campo(s) diferente(s).`}
+            </p>
+            <div class="table-container">
+                <table class="data-table versoes-tabela">
+                    <thead>
+                        <tr>
+                            <th>Campo</th>
+                            <th>Versão A</th>
+                            <th>Versão B</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${linhas.map(linha => `
+                            <tr class="${linha.alterado ? 'versao-alterada' : ''}">
+                                <td><strong>${escaparHtml(linha.rotulo)}</strong></td>
+                                <td>${linha.valorA}</td>
+                                <td>${linha.valorB}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Renderiza as alterações registradas na auditoria, para escolher as datas da comparação
+     */
+    renderAlteracoes() {
+        const container = document.getElementById('versoesAlteracoes');
+        if (!container) return;
+
+        if (this.entradas.length === 0) {
+            container.innerHTML = '<p class="form-help">Nenhuma alteração deste processo registrada na auditoria.</p>';
+            return;
+        }
+
+        container.innerHTML = `
+            <details>
+                <summary>${this.entradas.length} alteração(ões) registradas</summary>
+                <ul class="versoes-alteracoes">
+                    ${[...this.entradas].reverse().map(e => `
+                        <li>
+                            ${formatarDataHora(e.timestamp)} · ${escaparHtml(e.email)} ·
+                            ${LOCAIS[e.path.split('/')[0]] || e.entidade} ·
+                            ${Object.keys(e.diff || {}).map(campo => escaparHtml(CAMPOS_FLUXO[campo] || campo)).join(', ') || '-'}
+                            <button type="button" class="btn-momento" data-momento="${e.timestamp}" data-alvo="versaoDataA">Usar como A</button>
+                            <button type="button" class="btn-momento" data-momento="${e.timestamp}" data-alvo="versaoDataB">Usar como B</button>
+                        </li>
+                    `).join('')}
+                </ul>
+            </details>
+        `;
+    }
+}
+
+// Exporta instância única
+const versoesManager = new VersoesManager();
+export default versoesManager;
@@ -0,0 +1,341 @@
+/**
+ * Módulo de Fluxo de Status (Workflow)
+ * Define, por tipo de cotação, os status iniciais, as transições permitidas
+ * e os campos exigidos ao entrar em cada etapa
+ */
+
+import dbManager from './database.js';
+import authManager from './auth.js';
+import listasManager from './listas.js';
+import { DB_PATHS, FLUXO_PADRAO, CAMPOS_FLUXO, STATUS_SISTEMA, MESSAGES } from './config.js';
+import { escaparHtml, showLoading, hideLoading, showNotification } from './utils.js';
+
+class WorkflowManager {
+    constructor() {
+        this.definicoes = {};
+        this.tipoEditando = null;
+        this.callbacks = [];
+    }
+
+    /**
+     * Inicializa o módulo
+     * Se nenhum fluxo estiver salvo e o usuário for gestor, grava o fluxo padrão
+     */
+    async initialize() {
+        const resultado = await dbManager.getWorkflow();
+        if (resultado.success) {
+            this.definicoes = resultado.data;
+        }
+
+        if (authManager.isGestor()) {
+            for (const tipo of listasManager.valores('TIPO_COTACAO')) {
+                if (!this.definicoes[tipo]) {
+                    const definicao = this.gerarDefinicaoPadrao(tipo);
+                    const salvo = await dbManager.salvarWorkflow(tipo, definicao);
+                    if (salvo.success) this.definicoes[tipo] = definicao;
+                }
+            }
+        }
+
+        // Mantém as definições sincronizadas em tempo real
+        dbManager.listen(DB_PATHS.WORKFLOW, (data) => {
+            this.definicoes = {};
+            data.forEach(({ id, ...definicao }) => {
+                this.definicoes[id] = definicao;
+            });
+            this.callbacks.forEach(cb => cb());
+        });
+
+        this.setupEventListeners();
+    }
+
+    /**
+     * Registra callback para mudanças no fluxo
+     */
+    onChange(callback) {
+        this.callbacks.push(callback);
+    }
+
+    /**
+     * Gera a definição padrão de um tipo de cotação a partir de FLUXO_PADRAO:
+     * cada etapa avança para a seguinte ou retorna à anterior
+     * (cancelamento é uma ação própria, fora do fluxo de status)
+     */
+    gerarDefinicaoPadrao(tipoCotacao) {
+        const etapas = FLUXO_PADRAO[tipoCotacao] || listasManager.valores('STATUS');
+        const transicoes = {};
+
+        etapas.forEach((etapa, i) => {
+            transicoes[etapa] = {};
+            if (etapas[i + 1]) transicoes[etapa][etapas[i + 1]] = true;
+            if (etapas[i - 1]) transicoes[etapa][etapas[i - 1]] = true;
+        });
+
+        const camposObrigatorios = {};
+        if (etapas.includes('Publicado')) {
+            camposObrigatorios['Publicado'] = { link: true, dataFinal: true };
+        }
+
+        return {
+            iniciais: { [etapas[0]]: true },
+            transicoes,
+            camposObrigatorios
+        };
+    }
+
+    /**
+     * Retorna a definição do fluxo de um tipo de cotação (salva ou padrão)
+     */
+    getDefinicao(tipoCotacao) {
+        return this.definicoes[tipoCotacao] || this.gerarDefinicaoPadrao(tipoCotacao);
+    }
+
+    /**
+     * Lista os status que podem ser escolhidos a partir do status atual
+     * Para processos novos (statusAtual nulo), retorna os status iniciais
+     */
+    getStatusPermitidos(tipoCotacao, statusAtual = null) {
+        if (!tipoCotacao) return [];
+
+        const definicao = this.getDefinicao(tipoCotacao);
+        const destinos = statusAtual
+            ? Object.keys(definicao.transicoes?.[statusAtual] || {})
+            : Object.keys(definicao.iniciais || {});
+
+        // Finalizado e Cancelado são desfechos com ação própria, mesmo que constem em fluxos antigos,
+        // e status desativados na lista de validação não recebem novos processos
+        const desfechos = Object.values(STATUS_SISTEMA);
+        const ativos = listasManager.valores('STATUS');
+        const permitidos = (statusAtual ? [statusAtual, ...destinos] : destinos)
+            .filter(s => s === statusAtual || (!desfechos.includes(s) && ativos.includes(s)));
+
+        // Mantém a ordem da lista de status
+        const ordem = listasManager.valores('STATUS', { incluirInativos: true });
+        return ordem.filter(s => permitidos.includes(s))
+            .concat(permitidos.filter(s => !ordem.includes(s)));
+    }
+
+    /**
+     * Verifica se a transição de status é permitida para o tipo de cotação
+     */
+    isTransicaoPermitida(tipoCotacao, de, para) {
+        if (de === para) return true;
+        return this.getStatusPermitidos(tipoCotacao, de).includes(para);
+    }
+
+    /**
+     * Retorna os campos obrigatórios ao entrar no status informado
+     */
+    getCamposObrigatorios(tipoCotacao, status) {
+        const definicao = this.getDefinicao(tipoCotacao);
+        return Object.keys(definicao.camposObrigatorios?.[status] || {});
+    }
+
+    /**
+     * Valida uma mudança de status e os campos exigidos pela etapa de destino
+     * @returns {Array} Lista de mensagens de erro (vazia se válido)
+     */
+    validar(dados, statusAnterior = null) {
+        const erros = [];
+
+        if (!this.isTransicaoPermitida(dados.tipoCotacao, statusAnterior, dados.status)) {
+            erros.push(statusAnterior
+                ? `Transição de "${statusAnterior}" para "${dados.status}" não permitida para ${dados.tipoCotacao}`
+                : `"${dados.status}" não é um status inicial válido para ${dados.tipoCotacao}`);
+        }
+
+        this.getCamposObrigatorios(dados.tipoCotacao, dados.status).forEach(campo => {
+            const valor = dados[campo];
+            if (valor === null || valor === undefined || valor === '' || Number.isNaN(valor)) {
+                erros.push(`O campo "${CAMPOS_FLUXO[campo] || campo}" é obrigatório no status "${dados.status}"`);
+            }
+        });
+
+        return erros;
+    }
+
+    // ============ EDITOR DE FLUXO (APENAS GESTORES) ============
+
+    /**
+     * Configura event listeners do editor
+     */
+    setupEventListeners() {
+        document.getElementById('btnConfigurarWorkflow')?.addEventListener('click', () => {
+            this.abrirEditor();
+        });
+
+        document.getElementById('workflowTipoCotacao')?.addEventListener('change', (e) => {
+            this.tipoEditando = e.target.value;
+            this.renderEditor(this.getDefinicao(this.tipoEditando));
+        });
+
+        document.getElementById('btnWorkflowPadrao')?.addEventListener('click', () => {
+            if (!confirm('Restaurar o fluxo padrão para este tipo de cotação? As alterações não salvas serão perdidas.')) return;
+            this.renderEditor(this.gerarDefinicaoPadrao(this.tipoEditando));
+        });
+
+        document.getElementById('btnCancelarWorkflow')?.addEventListener('click', () => {
+            document.getElementById('modalWorkflow')?.classList.remove('active');
+        });
+
+        document.getElementById('formWorkflow')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.salvarEditor();
+        });
+    }
+
+    /**
+     * Abre o editor de fluxo
+     */
+    abrirEditor() {
+        if (!authManager.isGestor()) {
+            showNotification('Apenas gestores podem configurar o fluxo de status', 'warning');
+            return;
+        }
+
+        const select = document.getElementById('workflowTipoCotacao');
+        if (select) {
+            listasManager.preencherSelect(select, 'TIPO_COTACAO', { incluirInativos: true });
+            this.tipoEditando = select.value;
+        }
+
+        this.renderEditor(this.getDefinicao(this.tipoEditando));
+        document.getElementById('modalWorkflow')?.classList.add('active');
+    }
+
+    /**
+     * Renderiza matriz de transições e campos obrigatórios para edição
+     */
+    renderEditor(definicao) {
+        const container = document.getElementById('workflowEditor');
+        if (!container) return;
+
+        // Valores crus para consultar a definição; escapados só ao montar o HTML
+        const status = listasManager.valores('STATUS', { incluirInativos: true });
+        const campos = Object.entries(CAMPOS_FLUXO);
+
+        container.innerHTML = `
+            <div class="form-section">
+                <h4>Status Iniciais</h4>
+                <p class="form-help">Status que podem ser escolhidos ao cadastrar um processo.</p>
+                <div class="workflow-checks">
+                    ${status.map(s => `
+                        <label class="workflow-check">
+                            <input type="checkbox" data-tipo="inicial" data-para="${escaparHtml(s)}"
+                                ${definicao.iniciais?.[s] ? 'checked' : ''}>
+                            ${escaparHtml(s)}
+                        </label>
+                    `).join('')}
+                </div>
+            </div>
+
+            <div class="form-section">
+                <h4>Transições Permitidas</h4>
+                <p class="form-help">Marque para quais status (colunas) cada status (linhas) pode avançar.</p>
+                <div class="table-container">
+                    <table class="data-table workflow-matrix">
+                        <thead>
+                            <tr>
+                                <th>De \\ Para</th>
+                                ${status.map(s => `<th>${escaparHtml(s)}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${status.map(de => `
+                                <tr>
+                                    <td><strong>${escaparHtml(de)}</strong></td>
+                                    ${status.map(para => `
+                                        <td>
+                                            ${de === para ? '-' : `
+                                                <input type="checkbox" data-tipo="transicao"
+                                                    data-de="${escaparHtml(de)}" data-para="${escaparHtml(para)}"
+                                                    ${definicao.transicoes?.[de]?.[para] ? 'checked' : ''}>
+                                            `}
+                                        </td>
+                                    `).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div class="form-section">
+                <h4>Campos Obrigatórios por Status</h4>
+                <p class="form-help">Campos que precisam estar preenchidos para o processo entrar no status.</p>
+                <div class="table-container">
+                    <table class="data-table workflow-matrix">
+                        <thead>
+                            <tr>
+                                <th>Status</th>
+                                ${campos.map(([, rotulo]) => `<th>${rotulo}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${status.map(s => `
+                                <tr>
+                                    <td><strong>${escaparHtml(s)}</strong></td>
+                                    ${campos.map(([campo]) => `
+                                        <td>
+                                            <input type="checkbox" data-tipo="campo"
+                                                data-status="${escaparHtml(s)}" data-campo="${campo}"
+                                                ${definicao.camposObrigatorios?.[s]?.[campo] ? 'checked' : ''}>
+                                        </td>
+                                    `).join('')}
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Lê o editor e salva a definição do tipo de cotação selecionado
+     */
+    async salvarEditor() {
+        const container = document.getElementById('workflowEditor');
+        if (!container || !this.tipoEditando) return;
+
+        const definicao = { iniciais: {}, transicoes: {}, camposObrigatorios: {} };
+
+        container.querySelectorAll('input[type="checkbox"]:checked').forEach(input => {
+            const { tipo, de, para, status, campo } = input.dataset;
+            if (tipo === 'inicial') {
+                definicao.iniciais[para] = true;
+            } else if (tipo === 'transicao') {
+                definicao.transicoes[de] = definicao.transicoes[de] || {};
+                definicao.transicoes[de][para] = true;
+            } else if (tipo === 'campo') {
+                definicao.camposObrigatorios[status] = definicao.camposObrigatorios[status] || {};
+                definicao.camposObrigatorios[status][campo] = true;
+            }
+        });
+
+        if (Object.keys(definicao.iniciais).length === 0) {
+            showNotification('Selecione ao menos um status inicial', 'error');
+            return;
+        }
+
+        showLoading();
+        try {
+            const resultado = await dbManager.salvarWorkflow(this.tipoEditando, definicao);
+            if (resultado.success) {
+                showNotification(MESSAGES.SUCCESS.SAVE, 'success');
+                document.getElementById('modalWorkflow')?.classList.remove('active');
+            } else {
+                showNotification(MESSAGES.ERROR.SAVE, 'error');
+            }
+        } catch (error) {
+            console.error('Erro ao salvar fluxo:', error);
+            showNotification(MESSAGES.ERROR.SAVE, 'error');
+        } finally {
+            hideLoading();
+        }
+    }
+}
+
+// Exporta instância única
+const workflowManager = new WorkflowManager();
+export default workflowManager;